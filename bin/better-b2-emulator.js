@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { runEmulator } from '../src/emulator/cli.js';
+
+process.exitCode = await runEmulator(process.argv.slice(2));
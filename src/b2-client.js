@@ -9,7 +9,9 @@ import { AuthManager } from './managers/auth-manager.js';
 import { BucketManager } from './managers/bucket-manager.js';
 import { FileManager } from './managers/file-manager.js';
 import { KeyManager } from './managers/key-manager.js';
-import { DEFAULT_CONFIG, BUCKET_TYPES, KEY_CAPABILITIES, B2_API_BASE_URL } from './constants.js';
+import { isNodeStream, isWebStream } from './utils/data-source.js';
+import { paginate } from './utils/pagination.js';
+import { DEFAULT_CONFIG, BUCKET_TYPES, KEY_CAPABILITIES, METADATA_DIRECTIVES, CORS_OPERATIONS, ENCRYPTION_MODES, RETENTION_MODES, LEGAL_HOLD, EVENT_TYPES, REPLICATION_STATUS, B2_API_BASE_URL, B2_ERROR_CODES } from './constants.js';
 
 export class B2Client {
   constructor(options = {}) {
@@ -45,6 +47,7 @@ export class B2Client {
       retryDelay: this.config.retryDelay,
       retryDelayMultiplier: this.config.retryDelayMultiplier,
       maxRetryDelay: this.config.maxRetryDelay,
+      onAuthExpired: (error) => this.handleAuthExpired(error),
     };
 
     this.retryHandler = new RetryHandler(retryOptions);
@@ -74,24 +77,50 @@ export class B2Client {
       this.authManager,
       this.config
     );
+    // Loaded on first use, see getSyncManager
+    this.syncManager = null;
+
+    // Steps of multi-request operations (uploadLargeFile, copy) share the
+    // client's retry handler, so they re-authorize on expired tokens too
+    this.fileManager.retryHandler = this.retryHandler;
 
     // Store credentials for potential re-authentication
     this.credentials = null;
+    this.reauthorization = null;
+
+    // Optional store sharing auth tokens between processes
+    this.tokenStore = options.tokenStore || null;
+    if (
+      this.tokenStore &&
+      (typeof this.tokenStore.get !== 'function' ||
+        typeof this.tokenStore.set !== 'function')
+    ) {
+      throw new Error('tokenStore must have get and set methods');
+    }
 
     // Add backward compatibility constants as instance properties
     this.BUCKET_TYPES = BUCKET_TYPES;
     this.KEY_CAPABILITIES = KEY_CAPABILITIES;
+    this.METADATA_DIRECTIVES = METADATA_DIRECTIVES;
+    this.CORS_OPERATIONS = CORS_OPERATIONS;
+    this.ENCRYPTION_MODES = ENCRYPTION_MODES;
+    this.RETENTION_MODES = RETENTION_MODES;
+    this.LEGAL_HOLD = LEGAL_HOLD;
+    this.EVENT_TYPES = EVENT_TYPES;
+    this.REPLICATION_STATUS = REPLICATION_STATUS;
   }
 
   // ===== AUTHENTICATION METHODS =====
 
   /**
-   * Authorize with B2 API using application credentials
+   * Authorize with B2 API using application credentials. With a tokenStore,
+   * a stored token younger than tokenMaxAge (default: 23 hours) is reused
+   * instead, and new tokens are stored for later processes.
    * @param {Object|string} options - Authentication options or applicationKeyId (for backward compatibility)
    * @param {string} options.applicationKeyId - Application key ID
    * @param {string} options.applicationKey - Application key
    * @param {string} [applicationKey] - Application key (for backward compatibility when first param is string)
-   * @returns {Promise<Object>} Authentication response
+   * @returns {Promise<Object>} Authentication response, with fromTokenStore: true if a stored token was reused
    */
   async authorize(options, applicationKey) {
     // Handle backward compatibility: authorize(applicationKeyId, applicationKey)
@@ -121,6 +150,20 @@ export class B2Client {
     // Store credentials for potential re-authentication
     this.credentials = credentials;
 
+    const storedResponse = await this.restoreAuth(credentials);
+    if (storedResponse) {
+      return storedResponse;
+    }
+
+    return this.authorizeAccount(credentials);
+  }
+
+  /**
+   * Call b2_authorize_account and store the new token in the tokenStore
+   * @param {Object} credentials - Credentials with applicationKeyId and applicationKey
+   * @returns {Promise<Object>} Authentication response
+   */
+  async authorizeAccount(credentials) {
     // Delegate to auth manager with retry handling
     const response = await this.retryHandler.executeWithRetry(async () => {
       return this.authManager.authorize(credentials, {
@@ -135,9 +178,84 @@ export class B2Client {
       this.downloadUrl = response.data.downloadUrl;
     }
 
+    if (this.tokenStore && response && response.data) {
+      // Failing to store the token mustn't fail the authorization
+      try {
+        await this.tokenStore.set(this.getTokenStoreKey(credentials), {
+          authResponse: response.data,
+          authorizedAt: this.authManager.getAuthContext().authorizedAt,
+        });
+      } catch {
+        // Ignored, the next process authorizes again
+      }
+    }
+
     return response;
   }
 
+  /**
+   * Get the tokenStore key of credentials. Tokens of other base URLs, e.g.
+   * an emulator's, are kept apart from B2's.
+   * @param {Object} credentials - Credentials with applicationKeyId
+   * @returns {string} Store key
+   */
+  getTokenStoreKey(credentials) {
+    return this.config.baseUrl
+      ? `${credentials.applicationKeyId}@${this.config.baseUrl}`
+      : credentials.applicationKeyId;
+  }
+
+  /**
+   * Reuse the token stored for the credentials in the tokenStore, unless it
+   * is near its 24 hour expiry
+   * @param {Object} credentials - Credentials with applicationKeyId
+   * @returns {Promise<Object|null>} Authentication response built from the stored token, or null if there is none to reuse
+   */
+  async restoreAuth(credentials) {
+    if (!this.tokenStore) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await this.tokenStore.get(this.getTokenStoreKey(credentials));
+    } catch {
+      // An unreadable store is treated as empty
+      return null;
+    }
+
+    const maxAge = this.config.tokenMaxAge ?? DEFAULT_CONFIG.AUTH_TOKEN_MAX_AGE;
+    if (
+      !entry ||
+      !entry.authResponse ||
+      typeof entry.authorizedAt !== 'number' ||
+      Date.now() - entry.authorizedAt >= maxAge
+    ) {
+      return null;
+    }
+
+    try {
+      this.authManager.saveAuthContext(entry.authResponse, entry.authorizedAt);
+    } catch {
+      // Not a valid b2_authorize_account response, authorize again
+      return null;
+    }
+
+    // Update legacy instance properties for backward compatibility
+    const authContext = this.authManager.getAuthContext();
+    this.authorizationToken = authContext.authorizationToken;
+    this.apiUrl = authContext.apiUrl;
+    this.downloadUrl = authContext.downloadUrl;
+
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: new Headers(),
+      data: entry.authResponse,
+      fromTokenStore: true,
+    };
+  }
+
   // ===== BUCKET METHODS =====
 
   /**
@@ -145,6 +263,10 @@ export class B2Client {
    * @param {Object|string} options - Bucket creation options or bucket name (for backward compatibility)
    * @param {string} options.bucketName - Name of the bucket to create
    * @param {string} options.bucketType - Type of bucket (allPublic or allPrivate)
+   * @param {Array<Object>} [options.lifecycleRules] - Lifecycle rules, each with fileNamePrefix, daysFromUploadingToHiding and daysFromHidingToDeleting
+   * @param {Array<Object>} [options.corsRules] - CORS rules, e.g. from createBrowserCorsRules
+   * @param {Object} [options.defaultServerSideEncryption] - Default encryption of new files, e.g. { mode: 'SSE-B2' }
+   * @param {boolean} [options.fileLockEnabled] - Enable Object Lock, needed for file retention and legal holds
    * @param {string} [bucketType] - Bucket type (for backward compatibility when first param is string)
    * @returns {Promise<Object>} Bucket creation response
    */
@@ -191,10 +313,16 @@ export class B2Client {
   }
 
   /**
-   * Update bucket type
+   * Update bucket type and settings
    * @param {Object|string} options - Bucket update options or bucket ID (for backward compatibility)
    * @param {string} options.bucketId - ID of the bucket to update
-   * @param {string} options.bucketType - New bucket type
+   * @param {string} [options.bucketType] - New bucket type (required unless a setting is changed)
+   * @param {Array<Object>} [options.lifecycleRules] - New lifecycle rules, replacing all existing rules
+   * @param {Array<Object>} [options.corsRules] - New CORS rules, replacing all existing rules
+   * @param {Object} [options.defaultServerSideEncryption] - New default encryption of new files: { mode: 'SSE-B2' } or { mode: null } for none
+   * @param {boolean} [options.fileLockEnabled] - Enable Object Lock on an existing bucket (cannot be disabled again)
+   * @param {Object} [options.defaultRetention] - Default retention of new files: { mode, period: { duration, unit } } or { mode: null } for none
+   * @param {number} [options.ifRevisionMatch] - Only update if the bucket still has this revision
    * @param {string} [bucketType] - New bucket type (for backward compatibility when first param is string)
    * @returns {Promise<Object>} Bucket update response
    */
@@ -204,6 +332,110 @@ export class B2Client {
     });
   }
 
+  /**
+   * Get the replication configuration of a bucket
+   * @param {Object|string} options - Options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket
+   * @returns {Promise<Object|null>} Configuration with asReplicationSource and asReplicationDestination, or null if the bucket has none
+   */
+  async getReplicationConfiguration(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.getReplicationConfiguration(options);
+    });
+  }
+
+  /**
+   * Build CORS rules for uploading to and downloading from the bucket in a browser
+   * @param {Object} options - Rule options
+   * @param {Array<string>} options.allowedOrigins - Origins allowed to access the bucket
+   * @param {boolean} [options.download=true] - Allow downloads by name and by ID
+   * @param {boolean} [options.upload=true] - Allow uploads of files and large file parts
+   * @param {number} [options.maxAgeSeconds=3600] - How long browsers may cache the preflight response
+   * @returns {Array<Object>} CORS rules to pass to createBucket or updateBucket
+   */
+  createBrowserCorsRules(options) {
+    return this.bucketManager.createBrowserCorsRules(options);
+  }
+
+  /**
+   * Add a lifecycle rule to a bucket without changing its other rules
+   * @param {Object} options - Lifecycle rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Object} options.rule - Rule with fileNamePrefix, daysFromUploadingToHiding and daysFromHidingToDeleting; replaces a rule with the same prefix
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async addLifecycleRule(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.addLifecycleRule(options);
+    });
+  }
+
+  /**
+   * Remove a lifecycle rule from a bucket without changing its other rules
+   * @param {Object} options - Lifecycle rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {string} options.fileNamePrefix - fileNamePrefix of the rule to remove
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async removeLifecycleRule(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.removeLifecycleRule(options);
+    });
+  }
+
+  /**
+   * Get the event notification rules of a bucket
+   * @param {Object|string} options - Options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket
+   * @returns {Promise<Object>} Response with bucketId and eventNotificationRules
+   */
+  async getNotificationRules(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.getNotificationRules(options);
+    });
+  }
+
+  /**
+   * Replace all event notification rules of a bucket
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Array<Object>} options.eventNotificationRules - Rules with name, eventTypes, objectNamePrefix, isEnabled and targetConfiguration
+   * @returns {Promise<Object>} Response with bucketId and the new eventNotificationRules
+   */
+  async setNotificationRules(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.setNotificationRules(options);
+    });
+  }
+
+  /**
+   * Add an event notification rule to a bucket without changing its other
+   * rules. Not safe when the rules of the bucket are changed concurrently.
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Object} options.rule - Rule to add; replaces a rule with the same name
+   * @returns {Promise<Object>} Response with bucketId and the new eventNotificationRules
+   */
+  async addNotificationRule(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.addNotificationRule(options);
+    });
+  }
+
+  /**
+   * Remove an event notification rule from a bucket without changing its
+   * other rules. Not safe when the rules of the bucket are changed concurrently.
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {string} options.name - Name of the rule to remove
+   * @returns {Promise<Object>} Response with bucketId and the remaining eventNotificationRules
+   */
+  async removeNotificationRule(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.bucketManager.removeNotificationRule(options);
+    });
+  }
+
   /**
    * Get upload URL for a bucket
    * @param {Object|string} options - Upload URL options or bucket ID (for backward compatibility)
@@ -221,17 +453,33 @@ export class B2Client {
   /**
    * Upload a file to B2
    * @param {Object} options - Upload options
-   * @param {string} options.uploadUrl - Upload URL from getUploadUrl
-   * @param {string} options.uploadAuthToken - Upload authorization token
+   * @param {string} [options.uploadUrl] - Upload URL from getUploadUrl
+   * @param {string} [options.uploadAuthToken] - Upload authorization token
+   * @param {string} [options.bucketId] - ID of the bucket to upload to, instead of uploadUrl and uploadAuthToken; upload URLs are then pooled and replaced when B2 rejects them
    * @param {string} options.fileName - Name of the file
-   * @param {Buffer|Uint8Array|string} options.data - File data to upload
+   * @param {Buffer|Uint8Array|string|ReadableStream|Object} [options.data] - File data to upload, or a Node.js Readable / web ReadableStream
+   * @param {string} [options.filePath] - Path of a local file to stream instead of data (Node.js only)
+   * @param {number} [options.contentLength] - Length of stream data (required for streams)
    * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
    * @param {string} [options.contentSha1] - SHA1 hash of content (will be calculated if not provided)
    * @param {Object} [options.info] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
    * @param {Function} [options.onUploadProgress] - Progress callback function
    * @returns {Promise<Object>} Upload response
    */
   async uploadFile(options) {
+    // A stream can only be read once, so a failed stream upload can't be replayed
+    if (isWebStream(options?.data) || isNodeStream(options?.data)) {
+      return this.fileManager.uploadFile(options);
+    }
+
+    // Pooled uploads retry on fresh upload URLs by themselves
+    if (options?.uploadUrl === undefined && options?.bucketId !== undefined) {
+      return this.fileManager.uploadFile(options);
+    }
+
     return this.retryHandler.executeWithRetry(async () => {
       return this.fileManager.uploadFile(options);
     });
@@ -245,8 +493,11 @@ export class B2Client {
    * @param {string} [options.responseType] - Response type: 'json', 'text', 'arraybuffer', 'blob', 'stream' (default: 'arraybuffer')
    * @param {Function} [options.onDownloadProgress] - Progress callback function
    * @param {Object} [options.headers] - Additional headers for the request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {string} [options.range] - Only download this byte range: "bytes=start-end" (inclusive)
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file (arraybuffer and stream responses, not with range)
    * @param {string} [fileName] - File name (for backward compatibility when first param is bucket name)
-   * @returns {Promise<Object>} Download response with file data
+   * @returns {Promise<Object>} Download response with file data, and contentRange ({ start, end, size }) for ranged downloads
    */
   async downloadFileByName(options, fileName) {
     return this.retryHandler.executeWithRetry(async () => {
@@ -261,7 +512,10 @@ export class B2Client {
    * @param {string} [options.responseType] - Response type: 'json', 'text', 'arraybuffer', 'blob', 'stream' (default: 'arraybuffer')
    * @param {Function} [options.onDownloadProgress] - Progress callback function
    * @param {Object} [options.headers] - Additional headers for the request
-   * @returns {Promise<Object>} Download response with file data
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {string} [options.range] - Only download this byte range: "bytes=start-end" (inclusive)
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file (arraybuffer and stream responses, not with range)
+   * @returns {Promise<Object>} Download response with file data, and contentRange ({ start, end, size }) for ranged downloads
    */
   async downloadFileById(options) {
     return this.retryHandler.executeWithRetry(async () => {
@@ -269,6 +523,47 @@ export class B2Client {
     });
   }
 
+  /**
+   * Download a file in byte ranges fetched concurrently and reassembled in order
+   * @param {Object} options - Download options
+   * @param {string} [options.bucketName] - Name of the bucket containing the file (with fileName)
+   * @param {string} [options.fileName] - Name of the file to download (with bucketName)
+   * @param {string} [options.fileId] - ID of the file to download, instead of bucketName and fileName
+   * @param {string} [options.responseType] - 'arraybuffer' or 'stream' (default: 'arraybuffer'); ignored with filePath
+   * @param {string} [options.filePath] - Write the file to this local path instead of returning its data (Node.js only)
+   * @param {number} [options.partSize] - Size of each range in bytes (default: 100MB)
+   * @param {number} [options.concurrency] - Maximum number of ranges downloaded in parallel (default: 4)
+   * @param {Function} [options.onDownloadProgress] - Progress callback for the whole download
+   * @param {Object} [options.headers] - Additional headers for every request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the whole file once it is downloaded (while reading for streams)
+   * @returns {Promise<Object>} Response with status, headers, fileId, contentLength and data (or filePath)
+   */
+  async downloadFileParallel(options) {
+    // Not wrapped in the retry handler: each range is retried individually
+    return this.fileManager.downloadFileParallel(options);
+  }
+
+  /**
+   * Download a file to a local path, resuming from the last written byte
+   * after network failures (Node.js only)
+   * @param {Object} options - Download options
+   * @param {string} [options.bucketName] - Name of the bucket containing the file (with fileName)
+   * @param {string} [options.fileName] - Name of the file to download (with bucketName)
+   * @param {string} [options.fileId] - ID of the file to download, instead of bucketName and fileName
+   * @param {string} options.filePath - Local path to write the file to
+   * @param {number} [options.retries] - Attempts to resume after failures without progress (default: the client's retries)
+   * @param {Function} [options.onDownloadProgress] - Progress callback for the whole download
+   * @param {Object} [options.headers] - Additional headers for every request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file before it replaces filePath
+   * @returns {Promise<Object>} Response with status, headers, fileId, contentLength, filePath and resumeCount
+   */
+  async downloadToFile(options) {
+    // Not wrapped in the retry handler: the download resumes where it failed
+    return this.fileManager.downloadToFile(options);
+  }
+
   /**
    * List file names in a bucket
    * @param {Object} options - List options
@@ -285,6 +580,26 @@ export class B2Client {
     });
   }
 
+  /**
+   * Iterate over the file names in a bucket, following pagination automatically
+   * @param {Object} options - listFileNames options
+   * @param {number} [options.limit] - Maximum total number of files to yield
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration
+   * @returns {AsyncGenerator<Object>} Files (and folders, when a delimiter is set)
+   */
+  iterateFileNames(options = {}) {
+    const { limit, signal, ...params } = options;
+    return paginate((page) => this.listFileNames(page), {
+      params,
+      items: 'files',
+      cursors: { nextFileName: 'startFileName' },
+      pageSize: 'maxFileCount',
+      defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      limit,
+      signal,
+    });
+  }
+
   /**
    * List file versions in a bucket
    * @param {Object} options - List options
@@ -302,6 +617,43 @@ export class B2Client {
     });
   }
 
+  /**
+   * Iterate over the file versions in a bucket, following pagination automatically
+   * @param {Object} options - listFileVersions options
+   * @param {number} [options.limit] - Maximum total number of file versions to yield
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration
+   * @returns {AsyncGenerator<Object>} File versions (and folders, when a delimiter is set)
+   */
+  iterateFileVersions(options = {}) {
+    const { limit, signal, ...params } = options;
+    return paginate((page) => this.listFileVersions(page), {
+      params,
+      items: 'files',
+      cursors: { nextFileName: 'startFileName', nextFileId: 'startFileId' },
+      pageSize: 'maxFileCount',
+      defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      limit,
+      signal,
+    });
+  }
+
+  /**
+   * List a virtual directory of a bucket as sub-folders and files
+   * @param {Object|string} options - Directory options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket to list
+   * @param {string} [options.path] - Directory to list (default: bucket root)
+   * @param {string} [options.delimiter] - Folder delimiter (default: '/')
+   * @param {boolean} [options.recursive=false] - Also list the contents of sub-folders
+   * @param {number} [options.maxDepth] - Number of sub-folder levels to descend into when recursive
+   * @param {string|Object} [path] - Directory to list when the first argument is a bucket ID, or the remaining options
+   * @param {Object} [directoryOptions] - Remaining options when bucket ID and path are passed separately
+   * @returns {Promise<Object>} Directory with path, folders and files
+   */
+  async listDirectory(options, path, directoryOptions) {
+    // Every page is retried on its own, so the listing isn't restarted
+    return this.fileManager.listDirectory(options, path, directoryOptions);
+  }
+
   /**
    * Get file information
    * @param {Object|string} options - File info options or file ID (for backward compatibility)
@@ -314,6 +666,33 @@ export class B2Client {
     });
   }
 
+  /**
+   * Get information about the latest version of a file by name with a HEAD
+   * request, without downloading it
+   * @param {Object} options - Stat options
+   * @param {string} options.bucketName - Name of the bucket containing the file
+   * @param {string} options.fileName - Name of the file
+   * @param {Object} [options.headers] - Additional headers for the request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @returns {Promise<Object>} File information with fileId, fileName, contentLength, contentSha1, contentType, uploadTimestamp and fileInfo
+   */
+  async statFileByName(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.statFileByName(options);
+    });
+  }
+
+  /**
+   * Check whether a file exists, i.e. its latest version is not hidden
+   * @param {Object} options - statFileByName options
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async fileExists(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.exists(options);
+    });
+  }
+
   /**
    * Delete a file version
    * @param {Object} options - Delete options
@@ -340,6 +719,71 @@ export class B2Client {
     });
   }
 
+  /**
+   * Set or change the Object Lock retention of a file version
+   * @param {Object} options - Update file retention options
+   * @param {string} options.fileName - Name of the file
+   * @param {string} options.fileId - ID of the file version
+   * @param {Object} options.retention - New retention: { mode: 'governance' | 'compliance', retainUntilTimestamp } or { mode: null } to remove it
+   * @param {boolean} [options.bypassGovernance=false] - Allow shortening or removing governance retention
+   * @returns {Promise<Object>} Update file retention response
+   */
+  async updateFileRetention(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.updateFileRetention(options);
+    });
+  }
+
+  /**
+   * Place or remove an Object Lock legal hold on a file version
+   * @param {Object} options - Update file legal hold options
+   * @param {string} options.fileName - Name of the file
+   * @param {string} options.fileId - ID of the file version
+   * @param {string} options.legalHold - 'on' or 'off'
+   * @returns {Promise<Object>} Update file legal hold response
+   */
+  async updateFileLegalHold(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.updateFileLegalHold(options);
+    });
+  }
+
+  /**
+   * Copy a file server-side (up to 5GB, use copy() for larger files)
+   * @param {Object} options - Copy file options
+   * @param {string} options.sourceFileId - ID of the file to copy
+   * @param {string} options.fileName - Name of the new file
+   * @param {string} [options.destinationBucketId] - ID of the bucket to copy to (defaults to the source bucket)
+   * @param {string} [options.range] - Part of the source to copy, as "bytes=start-end" (defaults to the whole file)
+   * @param {string} [options.metadataDirective] - 'COPY' to keep the source metadata or 'REPLACE' to set new metadata (default: 'COPY')
+   * @param {string} [options.contentType] - Content type of the new file (required with 'REPLACE')
+   * @param {Object} [options.fileInfo] - File info of the new file (only with 'REPLACE')
+   * @returns {Promise<Object>} Copy file response with the new file's info
+   */
+  async copyFile(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.copyFile(options);
+    });
+  }
+
+  /**
+   * Copy a file server-side, of any size. Files above 5GB are copied in parts.
+   * @param {Object} options - Copy options
+   * @param {string} options.sourceFileId - ID of the file to copy
+   * @param {string} options.fileName - Name of the new file
+   * @param {string} [options.destinationBucketId] - ID of the bucket to copy to (defaults to the source bucket)
+   * @param {string} [options.metadataDirective] - 'COPY' to keep the source metadata or 'REPLACE' to set new metadata (default: 'COPY')
+   * @param {string} [options.contentType] - Content type of the new file (required with 'REPLACE')
+   * @param {Object} [options.fileInfo] - File info of the new file (only with 'REPLACE')
+   * @param {number} [options.partSize] - Part size in bytes for multi-part copies (defaults to recommendedPartSize from authorization)
+   * @param {number} [options.concurrency] - Maximum number of parts copied in parallel (default: 4)
+   * @returns {Promise<Object>} Copy file or finish large file response
+   */
+  async copy(options) {
+    // Not wrapped in the retry handler: each step is retried individually
+    return this.fileManager.copy(options);
+  }
+
   /**
    * Get download authorization for private files
    * @param {Object} options - Download authorization options
@@ -355,6 +799,24 @@ export class B2Client {
     });
   }
 
+  /**
+   * Create a URL that downloads a file from a private bucket without further
+   * authorization
+   * @param {Object} options - Signed URL options
+   * @param {string} options.bucketName - Name of the bucket containing the file
+   * @param {string} options.fileName - Name of the file
+   * @param {string} [options.bucketId] - ID of the bucket, saves looking it up by name
+   * @param {number} [options.expiresIn] - Seconds the URL stays valid (default: 3600, max: 604800)
+   * @param {Object} [options.overrides] - Response headers to override: b2ContentDisposition, b2ContentLanguage, b2Expires, b2CacheControl, b2ContentEncoding, b2ContentType
+   * @param {string} [options.cachePrefix] - Prefix of fileName to share a cached authorization with
+   * @returns {Promise<Object>} Signed URL with url, authorizationToken and expiresAt
+   */
+  async getSignedDownloadUrl(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.getSignedDownloadUrl(options);
+    });
+  }
+
   // ===== LARGE FILE METHODS =====
 
   /**
@@ -364,6 +826,9 @@ export class B2Client {
    * @param {string} options.fileName - Name of the file to upload
    * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
    * @param {Object} [options.fileInfo] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption of the whole file: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
    * @returns {Promise<Object>} Start large file response containing fileId
    */
   async startLargeFile(options) {
@@ -392,6 +857,7 @@ export class B2Client {
    * @param {number} options.partNumber - Part number (1-based, must be between 1 and 10000)
    * @param {Buffer|Uint8Array|string} options.data - Part data to upload
    * @param {string} [options.contentSha1] - SHA1 hash of part content (will be calculated if not provided)
+   * @param {Object} [options.encryption] - Encryption the large file was started with; SSE-C keys must be sent with every part
    * @param {Function} [options.onUploadProgress] - Progress callback function
    * @returns {Promise<Object>} Upload part response
    */
@@ -401,6 +867,21 @@ export class B2Client {
     });
   }
 
+  /**
+   * Copy a range of an existing file into a part of a large file, server-side
+   * @param {Object} options - Copy part options
+   * @param {string} options.sourceFileId - ID of the file to copy from
+   * @param {string} options.largeFileId - ID of the large file from startLargeFile
+   * @param {number} options.partNumber - Part number (1-based, must be between 1 and 10000)
+   * @param {string} [options.range] - Part of the source to copy, as "bytes=start-end" (defaults to the whole file)
+   * @returns {Promise<Object>} Copy part response
+   */
+  async copyPart(options) {
+    return this.retryHandler.executeWithRetry(async () => {
+      return this.fileManager.copyPart(options);
+    });
+  }
+
   /**
    * Finish a large file upload
    * @param {Object} options - Finish large file options
@@ -440,10 +921,31 @@ export class B2Client {
     });
   }
 
+  /**
+   * Iterate over the uploaded parts of a large file, following pagination automatically
+   * @param {Object} options - listParts options
+   * @param {number} [options.limit] - Maximum total number of parts to yield
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration
+   * @returns {AsyncGenerator<Object>} Parts in part number order
+   */
+  iterateParts(options = {}) {
+    const { limit, signal, ...params } = options;
+    return paginate((page) => this.listParts(page), {
+      params,
+      items: 'parts',
+      cursors: { nextPartNumber: 'startPartNumber' },
+      pageSize: 'maxPartCount',
+      defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      limit,
+      signal,
+    });
+  }
+
   /**
    * List unfinished large file uploads
    * @param {Object} options - List unfinished large files options
    * @param {string} options.bucketId - ID of the bucket to list unfinished files from
+   * @param {string} [options.namePrefix] - Only return files whose names start with this prefix
    * @param {string} [options.startFileId] - File ID to start listing from
    * @param {number} [options.maxFileCount] - Maximum number of files to return (default: 100, max: 10000)
    * @returns {Promise<Object>} List unfinished large files response
@@ -454,6 +956,146 @@ export class B2Client {
     });
   }
 
+  /**
+   * Iterate over unfinished large file uploads, following pagination automatically
+   * @param {Object} options - listUnfinishedLargeFiles options
+   * @param {number} [options.limit] - Maximum total number of files to yield
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration
+   * @returns {AsyncGenerator<Object>} Unfinished large files
+   */
+  iterateUnfinishedLargeFiles(options = {}) {
+    const { limit, signal, ...params } = options;
+    return paginate((page) => this.listUnfinishedLargeFiles(page), {
+      params,
+      items: 'files',
+      cursors: { nextFileId: 'startFileId' },
+      pageSize: 'maxFileCount',
+      defaultPageSize: DEFAULT_CONFIG.UNFINISHED_LARGE_FILES_PAGE_SIZE,
+      limit,
+      signal,
+    });
+  }
+
+  /**
+   * Upload a large file in one call, splitting it into parts that are uploaded concurrently
+   * @param {Object} options - Upload options
+   * @param {string} options.bucketId - ID of the bucket to upload to
+   * @param {string} options.fileName - Name of the file to upload
+   * @param {Buffer|Uint8Array|ArrayBuffer|Blob|ReadableStream|Object} [options.data] - Data to upload (in-memory data, Blob or stream)
+   * @param {string} [options.filePath] - Path of a local file to upload (Node.js only)
+   * @param {number} [options.contentLength] - Total length of stream data, used to size parts
+   * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
+   * @param {Object} [options.fileInfo] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
+   * @param {number} [options.partSize] - Part size in bytes (defaults to recommendedPartSize from authorization)
+   * @param {number} [options.concurrency] - Maximum number of parts uploaded in parallel (default: 4)
+   * @param {Function} [options.onUploadProgress] - Progress callback for the whole upload
+   * @param {boolean} [options.resume=false] - Continue a matching unfinished large file instead of starting a new one
+   * @param {string} [options.fingerprint] - Identifier of the local source, stored in fileInfo and required to match when resuming
+   * @returns {Promise<Object>} Finish large file response
+   */
+  async uploadLargeFile(options) {
+    // Not wrapped in the retry handler: each step is retried individually,
+    // replaying the whole upload would re-send every part
+    return this.fileManager.uploadLargeFile(options);
+  }
+
+  // ===== SYNC METHODS =====
+
+  /**
+   * Sync a local directory to a bucket, uploading new and changed files and
+   * optionally hiding or deleting bucket files missing locally (Node.js only)
+   * @param {Object} options - Sync options
+   * @param {string} options.localPath - Local directory to sync
+   * @param {string} [options.bucketId] - ID of the bucket to sync to
+   * @param {string} [options.bucketName] - Name of the bucket to sync to, instead of bucketId
+   * @param {string} [options.prefix] - Folder in the bucket to sync to
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone
+   * @param {string} [options.compareBy='modTime'] - 'modTime' or 'sha1', both also compare sizes
+   * @param {string} [options.deleteMode] - 'hide' or 'delete' bucket files missing locally
+   * @param {boolean} [options.dryRun=false] - Report the actions without performing them
+   * @param {number} [options.concurrency] - Maximum number of files transferred in parallel (default: 4)
+   * @param {number} [options.largeFileThreshold] - Size in bytes from which files are uploaded as large files (default: 200MB)
+   * @param {Object} [options.encryption] - Server-side encryption of uploaded files
+   * @param {Function} [options.onAction] - Called with every action once it is done
+   * @returns {Promise<Object>} Summary with counts, bytesUploaded, actions and errors
+   */
+  async syncToBucket(options) {
+    // Not wrapped in the retry handler: each request is retried individually
+    // and failed files are reported in the summary
+    const syncManager = await this.getSyncManager();
+    return syncManager.syncToBucket(options);
+  }
+
+  /**
+   * Sync a bucket folder to a local directory, optionally as it was at a
+   * past moment, e.g. to restore a backup (Node.js only)
+   * @param {Object} options - Sync options
+   * @param {string} options.localPath - Local directory to sync to, created if missing
+   * @param {string} [options.bucketId] - ID of the bucket to sync from
+   * @param {string} [options.bucketName] - Name of the bucket to sync from, instead of bucketId
+   * @param {string} [options.prefix] - Folder in the bucket to sync from
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone
+   * @param {string} [options.compareBy='sha1'] - 'sha1' or 'modTime', both also compare sizes
+   * @param {Date|number} [options.asOf] - Sync the versions that were current at this time
+   * @param {string} [options.deleteMode] - 'delete' local files missing from the bucket
+   * @param {boolean} [options.dryRun=false] - Report the actions without performing them
+   * @param {number} [options.concurrency] - Maximum number of files transferred in parallel (default: 4)
+   * @param {Object} [options.encryption] - SSE-C encryption the files were uploaded with
+   * @param {Function} [options.onAction] - Called with every action once it is done
+   * @returns {Promise<Object>} Summary with counts, bytesDownloaded, actions and errors
+   */
+  async syncToLocal(options) {
+    // Not wrapped in the retry handler: each request is retried individually
+    // and failed files are reported in the summary
+    const syncManager = await this.getSyncManager();
+    return syncManager.syncToLocal(options);
+  }
+
+  /**
+   * Sync a bucket folder to a folder of another bucket with server-side
+   * copies, optionally hiding or deleting destination files missing from the
+   * source
+   * @param {Object} options - Sync options
+   * @param {string} [options.sourceBucketId] - ID of the bucket to sync from
+   * @param {string} [options.sourceBucketName] - Name of the bucket to sync from, instead of sourceBucketId
+   * @param {string} [options.sourcePrefix] - Folder in the source bucket to sync from
+   * @param {string} [options.destinationBucketId] - ID of the bucket to sync to
+   * @param {string} [options.destinationBucketName] - Name of the bucket to sync to, instead of destinationBucketId
+   * @param {string} [options.destinationPrefix] - Folder in the destination bucket to sync to
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone
+   * @param {string} [options.compareBy='sha1'] - 'sha1' or 'modTime', both also compare sizes
+   * @param {string} [options.deleteMode] - 'hide' or 'delete' destination files missing from the source
+   * @param {boolean} [options.dryRun=false] - Report the actions without performing them
+   * @param {number} [options.concurrency] - Maximum number of files copied in parallel (default: 4)
+   * @param {Function} [options.onAction] - Called with every action once it is done
+   * @returns {Promise<Object>} Summary with counts, bytesCopied, actions and errors
+   */
+  async syncBuckets(options) {
+    // Not wrapped in the retry handler: each request is retried individually
+    // and failed files are reported in the summary
+    const syncManager = await this.getSyncManager();
+    return syncManager.syncBuckets(options);
+  }
+
+  /**
+   * Get the sync manager, loaded on first use to keep the sync engine out of
+   * the main bundle
+   * @returns {Promise<SyncManager>} Sync manager
+   */
+  async getSyncManager() {
+    if (!this.syncManager) {
+      const { SyncManager } = await import('./managers/sync-manager.js');
+      this.syncManager = new SyncManager(this.fileManager, this.config);
+    }
+    return this.syncManager;
+  }
+
   // ===== KEY MANAGEMENT METHODS =====
 
   /**
@@ -497,6 +1139,26 @@ export class B2Client {
     });
   }
 
+  /**
+   * Iterate over application keys, following pagination automatically
+   * @param {Object} [options={}] - listKeys options
+   * @param {number} [options.limit] - Maximum total number of keys to yield
+   * @param {AbortSignal} [options.signal] - Signal to stop the iteration
+   * @returns {AsyncGenerator<Object>} Application keys
+   */
+  iterateKeys(options = {}) {
+    const { limit, signal, ...params } = options;
+    return paginate((page) => this.listKeys(page), {
+      params,
+      items: 'keys',
+      cursors: { nextApplicationKeyId: 'startApplicationKeyId' },
+      pageSize: 'maxKeyCount',
+      defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      limit,
+      signal,
+    });
+  }
+
   // ===== UTILITY METHODS =====
 
   /**
@@ -521,6 +1183,7 @@ export class B2Client {
   clearAuth() {
     this.authManager.clearAuthContext();
     this.credentials = null;
+    this.fileManager.uploadUrlPool.clear();
 
     // Clear legacy instance properties
     this.authorizationToken = null;
@@ -538,7 +1201,37 @@ export class B2Client {
       throw new Error('No credentials stored. Call authorize() first.');
     }
 
-    return this.authorize(this.credentials);
+    // Skips the tokenStore, its token may be the one that just expired
+    return this.authorizeAccount(this.credentials);
+  }
+
+  /**
+   * Re-authorize with the stored credentials after a request failed because
+   * the auth token expired. Concurrent failures share a single re-authorization.
+   * Other 401s, such as unauthorized for a key lacking a capability, would fail
+   * the same way again and are not replayed.
+   * @param {Error} error - Error thrown by the failed request
+   * @returns {Promise<boolean>} True if re-authorized and the request should be replayed
+   */
+  async handleAuthExpired(error) {
+    if (
+      !this.credentials ||
+      error.isAuthError ||
+      error.isUploadAuthError ||
+      (error.code !== B2_ERROR_CODES.EXPIRED_AUTH_TOKEN &&
+        error.code !== B2_ERROR_CODES.BAD_AUTH_TOKEN)
+    ) {
+      return false;
+    }
+
+    if (!this.reauthorization) {
+      this.reauthorization = this.refreshAuth().finally(() => {
+        this.reauthorization = null;
+      });
+    }
+
+    await this.reauthorization;
+    return true;
   }
 
   /**
@@ -0,0 +1,136 @@
+/**
+ * Command-line argument parsing for the better-b2 CLI
+ */
+
+/**
+ * Create an error for invalid command-line usage
+ * @param {string} message - Error message
+ * @returns {Error} Error with the code INVALID_USAGE
+ */
+export function createUsageError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_USAGE';
+  return error;
+}
+
+/**
+ * Parse command-line arguments into positionals and options. Supports
+ * `--name value`, `--name=value`, short aliases like `-r` and `--` to end
+ * the options. (util.parseArgs is missing from the oldest supported Node.js
+ * versions.)
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object<string, Object>} spec - Options by long name, each with type ('boolean' or 'string'), and optionally short and multiple
+ * @returns {Object} positionals array and options object keyed by long name
+ * @throws {Error} If an option is unknown or misses its value
+ */
+export function parseArgs(argv, spec) {
+  const positionals = [];
+  const options = {};
+  const shortNames = new Map(
+    Object.entries(spec)
+      .filter(([, option]) => option.short)
+      .map(([name, option]) => [option.short, name])
+  );
+
+  const setOption = (name, value) => {
+    if (spec[name].multiple) {
+      options[name] = [...(options[name] || []), value];
+    } else {
+      options[name] = value;
+    }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+      value = equals === -1 ? undefined : arg.slice(equals + 1);
+    } else {
+      name = shortNames.get(arg.slice(1));
+    }
+
+    if (!name || !spec[name]) {
+      throw createUsageError(`Unknown option: ${arg}`);
+    }
+
+    if (spec[name].type === 'boolean') {
+      if (value !== undefined) {
+        throw createUsageError(`Option --${name} does not take a value`);
+      }
+      setOption(name, true);
+      continue;
+    }
+
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw createUsageError(`Option --${name} requires a value`);
+      }
+      value = argv[++i];
+    }
+    setOption(name, value);
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for error messages
+ * @returns {number|undefined} Parsed number
+ * @throws {Error} If the value is not a non-negative integer
+ */
+export function parseIntegerOption(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw createUsageError(`--${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse a B2 URI: b2://bucketName/fileName or b2id://fileId
+ * @param {string} uri - URI to parse
+ * @returns {Object} { bucketName, fileName } or { fileId }; fileName is empty for bucket URIs
+ * @throws {Error} If the URI is invalid
+ */
+export function parseB2Uri(uri) {
+  if (typeof uri === 'string' && uri.startsWith('b2id://')) {
+    const fileId = uri.slice('b2id://'.length);
+    if (fileId) {
+      return { fileId };
+    }
+  }
+
+  if (typeof uri === 'string' && uri.startsWith('b2://')) {
+    const path = uri.slice('b2://'.length);
+    const slash = path.indexOf('/');
+    const bucketName = slash === -1 ? path : path.slice(0, slash);
+    if (bucketName) {
+      return {
+        bucketName,
+        fileName: slash === -1 ? '' : path.slice(slash + 1),
+      };
+    }
+  }
+
+  throw createUsageError(
+    `Invalid B2 URI: ${uri}. Expected b2://bucketName/fileName or b2id://fileId`
+  );
+}
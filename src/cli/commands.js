@@ -0,0 +1,541 @@
+/**
+ * Subcommands of the better-b2 CLI
+ */
+
+import { once } from 'events';
+import { promises as fs } from 'fs';
+import {
+  B2_ERROR_CODES,
+  CONTENT_TYPES,
+  DEFAULT_CONFIG,
+  FILE_INFO_KEYS,
+} from '../constants.js';
+import { createUsageError, parseB2Uri, parseIntegerOption } from './args.js';
+import { writeConfig } from './config.js';
+
+/**
+ * Look up a bucket by name
+ * @param {Object} client - Authorized B2Client
+ * @param {string} bucketName - Name of the bucket
+ * @returns {Promise<Object>} Bucket
+ * @throws {Error} If the bucket doesn't exist
+ */
+async function getBucket(client, bucketName) {
+  const response = await client.getBucket({ bucketName });
+  const bucket = response.data.buckets?.[0];
+  if (!bucket) {
+    const b2Error = new Error(`Bucket not found: ${bucketName}`);
+    b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_NAME;
+    b2Error.status = 400;
+    throw b2Error;
+  }
+  return bucket;
+}
+
+/**
+ * Parse a URI that must name a file: b2://bucketName/fileName, or
+ * b2id://fileId if allowed
+ * @param {string} uri - URI to parse
+ * @param {boolean} [allowFileId=false] - Accept b2id:// URIs
+ * @returns {Object} { bucketName, fileName } or { fileId }
+ * @throws {Error} If the URI doesn't name a file
+ */
+function parseFileUri(uri, allowFileId = false) {
+  const location = parseB2Uri(uri);
+  if (location.fileId && !allowFileId) {
+    throw createUsageError(`Expected b2://bucketName/fileName, got: ${uri}`);
+  }
+  if (!location.fileId && !location.fileName) {
+    throw createUsageError(`URI does not name a file: ${uri}`);
+  }
+  return location;
+}
+
+/**
+ * Format a file or folder from a listing as one line of ls --long output
+ * @param {Object} file - File from listFileNames or listFileVersions
+ * @returns {string} fileId, action, upload time, size and name
+ */
+function formatFile(file) {
+  const uploaded =
+    file.action === 'folder'
+      ? '-'
+      : new Date(file.uploadTimestamp).toISOString();
+  return [
+    file.fileId || '-',
+    file.action.padEnd(6),
+    uploaded.padEnd(24),
+    String(file.contentLength ?? 0).padStart(12),
+    file.fileName,
+  ].join('  ');
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {Uint8Array} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * authorize: check credentials and save them to the config file
+ */
+async function authorize({ client, args, env, configPath }) {
+  let credentials;
+  if (args.length === 2) {
+    credentials = { applicationKeyId: args[0], applicationKey: args[1] };
+  } else if (env.B2_APPLICATION_KEY_ID && env.B2_APPLICATION_KEY) {
+    credentials = {
+      applicationKeyId: env.B2_APPLICATION_KEY_ID,
+      applicationKey: env.B2_APPLICATION_KEY,
+    };
+  } else {
+    throw createUsageError(
+      'Pass applicationKeyId and applicationKey, or set B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY'
+    );
+  }
+
+  // Not authorize: a stored token would skip checking the credentials
+  const response = await client.authorizeAccount(credentials);
+  await writeConfig(configPath, credentials);
+
+  const { accountId, apiUrl, downloadUrl, allowed } = response.data;
+  return {
+    data: { accountId, apiUrl, downloadUrl, allowed, configPath },
+    text: [
+      `Authorized account ${accountId}`,
+      `Credentials saved to ${configPath}`,
+    ],
+  };
+}
+
+/**
+ * ls: list the files of a bucket folder
+ */
+async function ls({ client, args, options }) {
+  const { bucketName, fileName, fileId } = parseB2Uri(args[0]);
+  if (fileId) {
+    throw createUsageError(`Expected b2://bucketName/folder, got: ${args[0]}`);
+  }
+
+  // A path is listed as a folder, like a local directory
+  const prefix =
+    fileName && !fileName.endsWith('/') ? `${fileName}/` : fileName;
+  const bucket = await getBucket(client, bucketName);
+  const listOptions = {
+    bucketId: bucket.bucketId,
+    prefix,
+    delimiter: options.recursive ? undefined : '/',
+  };
+
+  const files = [];
+  const iterator = options.versions
+    ? client.iterateFileVersions(listOptions)
+    : client.iterateFileNames(listOptions);
+  for await (const file of iterator) {
+    files.push(file);
+  }
+
+  return {
+    data: files,
+    text: files.map((file) =>
+      options.long ? formatFile(file) : file.fileName
+    ),
+  };
+}
+
+/**
+ * upload: upload a local file, as a large file from 200MB
+ */
+async function upload({ client, args, options }) {
+  const [localPath, uri] = args;
+  const { bucketName, fileName } = parseFileUri(uri);
+
+  const info = {};
+  for (const entry of options.info || []) {
+    const equals = entry.indexOf('=');
+    if (equals < 1) {
+      throw createUsageError(`--info must be key=value, got: ${entry}`);
+    }
+    info[entry.slice(0, equals)] = entry.slice(equals + 1);
+  }
+
+  const stats = await fs.stat(localPath);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${localPath}`);
+  }
+  if (info[FILE_INFO_KEYS.SRC_LAST_MODIFIED_MILLIS] === undefined) {
+    info[FILE_INFO_KEYS.SRC_LAST_MODIFIED_MILLIS] = String(
+      Math.floor(stats.mtimeMs)
+    );
+  }
+
+  const bucket = await getBucket(client, bucketName);
+  const uploadOptions = {
+    bucketId: bucket.bucketId,
+    fileName,
+    filePath: localPath,
+    contentType: options['content-type'] || CONTENT_TYPES.AUTO,
+  };
+
+  const response =
+    stats.size < DEFAULT_CONFIG.LARGE_FILE_THRESHOLD
+      ? await client.uploadFile({ ...uploadOptions, info })
+      : await client.uploadLargeFile({ ...uploadOptions, fileInfo: info });
+
+  return {
+    data: response.data,
+    text: `Uploaded ${response.data.fileName} (${response.data.fileId})`,
+  };
+}
+
+/**
+ * download: download a file to a local path
+ */
+async function download({ client, args, options }) {
+  const [uri, localPath] = args;
+  const location = parseFileUri(uri, true);
+
+  const response = await client.downloadToFile({
+    ...location,
+    filePath: localPath,
+    verifyChecksum: options.verify,
+  });
+
+  const { fileId, contentLength, filePath, resumeCount } = response;
+  return {
+    data: { fileId, contentLength, filePath, resumeCount },
+    text: `Downloaded ${contentLength} bytes to ${filePath}`,
+  };
+}
+
+/**
+ * cat: write the content of a file to stdout
+ */
+async function cat({ client, args, stdout }) {
+  const location = parseFileUri(args[0], true);
+  const downloadOptions = { ...location, responseType: 'stream' };
+
+  const response = location.fileId
+    ? await client.downloadFileById(downloadOptions)
+    : await client.downloadFileByName(downloadOptions);
+
+  for await (const chunk of response.data) {
+    await writeChunk(stdout, chunk);
+  }
+}
+
+/**
+ * rm: delete the latest version of a file, or all of its versions
+ */
+async function rm({ client, args, options }) {
+  const location = parseFileUri(args[0], true);
+
+  let versions;
+  if (location.fileId) {
+    const response = await client.getFileInfo({ fileId: location.fileId });
+    versions = [response.data];
+  } else {
+    const bucket = await getBucket(client, location.bucketName);
+    versions = [];
+    for await (const file of client.iterateFileVersions({
+      bucketId: bucket.bucketId,
+      prefix: location.fileName,
+      startFileName: location.fileName,
+    })) {
+      if (file.fileName !== location.fileName) {
+        break;
+      }
+      versions.push(file);
+      if (!options.versions) {
+        break;
+      }
+    }
+    if (versions.length === 0) {
+      throw new Error(`File not found: ${location.fileName}`);
+    }
+  }
+
+  const deleted = [];
+  for (const { fileId, fileName } of versions) {
+    await client.deleteFileVersion({ fileId, fileName });
+    deleted.push({ fileId, fileName });
+  }
+
+  return {
+    data: deleted,
+    text: deleted.map(
+      ({ fileId, fileName }) => `Deleted ${fileName} (${fileId})`
+    ),
+  };
+}
+
+/**
+ * hide: hide a file so it no longer shows up in listings
+ */
+async function hide({ client, args }) {
+  const { bucketName, fileName } = parseFileUri(args[0]);
+  const bucket = await getBucket(client, bucketName);
+
+  const response = await client.hideFile({
+    bucketId: bucket.bucketId,
+    fileName,
+  });
+
+  return { data: response.data, text: `Hid ${fileName}` };
+}
+
+/**
+ * bucket list: list the buckets of the account
+ */
+async function bucketList({ client }) {
+  const response = await client.listBuckets();
+  const { buckets } = response.data;
+
+  return {
+    data: buckets,
+    text: buckets.map(({ bucketId, bucketType, bucketName }) =>
+      [bucketId, bucketType.padEnd(10), bucketName].join('  ')
+    ),
+  };
+}
+
+/**
+ * bucket create: create a bucket
+ */
+async function bucketCreate({ client, args }) {
+  const [bucketName, bucketType] = args;
+  const response = await client.createBucket({ bucketName, bucketType });
+
+  return {
+    data: response.data,
+    text: `Created bucket ${bucketName} (${response.data.bucketId})`,
+  };
+}
+
+/**
+ * bucket update: change the type of a bucket
+ */
+async function bucketUpdate({ client, args }) {
+  const [bucketName, bucketType] = args;
+  const bucket = await getBucket(client, bucketName);
+  const response = await client.updateBucket({
+    bucketId: bucket.bucketId,
+    bucketType,
+  });
+
+  return {
+    data: response.data,
+    text: `Updated bucket ${bucketName} to ${response.data.bucketType}`,
+  };
+}
+
+/**
+ * bucket delete: delete an empty bucket
+ */
+async function bucketDelete({ client, args }) {
+  const [bucketName] = args;
+  const bucket = await getBucket(client, bucketName);
+  const response = await client.deleteBucket({ bucketId: bucket.bucketId });
+
+  return { data: response.data, text: `Deleted bucket ${bucketName}` };
+}
+
+/**
+ * key list: list the application keys of the account
+ */
+async function keyList({ client }) {
+  const keys = [];
+  for await (const key of client.iterateKeys()) {
+    keys.push(key);
+  }
+
+  return {
+    data: keys,
+    text: keys.map(({ applicationKeyId, keyName, capabilities }) =>
+      [applicationKeyId, keyName, capabilities.join(',')].join('  ')
+    ),
+  };
+}
+
+/**
+ * key create: create an application key, printing its ID and secret
+ */
+async function keyCreate({ client, args, options }) {
+  const [keyName, capabilities] = args;
+  const keyOptions = {
+    keyName,
+    capabilities: capabilities.split(',').filter(Boolean),
+    namePrefix: options['name-prefix'],
+    validDurationInSeconds: parseIntegerOption(options.duration, 'duration'),
+  };
+  if (options.bucket) {
+    const bucket = await getBucket(client, options.bucket);
+    keyOptions.bucketId = bucket.bucketId;
+  }
+
+  const response = await client.createKey(keyOptions);
+  const { applicationKeyId, applicationKey } = response.data;
+
+  return {
+    data: response.data,
+    text: `${applicationKeyId} ${applicationKey}`,
+  };
+}
+
+/**
+ * key delete: delete an application key
+ */
+async function keyDelete({ client, args }) {
+  const [applicationKeyId] = args;
+  const response = await client.deleteKey({ applicationKeyId });
+
+  return {
+    data: response.data,
+    text: `Deleted key ${response.data.keyName} (${applicationKeyId})`,
+  };
+}
+
+/**
+ * get-download-url: create a signed URL for a file in a private bucket
+ */
+async function getDownloadUrl({ client, args, options }) {
+  const { bucketName, fileName } = parseFileUri(args[0]);
+
+  const { url, expiresAt } = await client.getSignedDownloadUrl({
+    bucketName,
+    fileName,
+    expiresIn: parseIntegerOption(options['expires-in'], 'expires-in'),
+  });
+
+  return { data: { url, expiresAt }, text: url };
+}
+
+/**
+ * Subcommands by name. authorize: false commands run without loading saved
+ * credentials first; args gives the accepted number of positionals.
+ */
+export const COMMANDS = {
+  authorize: {
+    usage: 'authorize [applicationKeyId applicationKey]',
+    description: 'Check credentials and save them to the config file',
+    args: [0, 2],
+    authorize: false,
+    run: authorize,
+  },
+  ls: {
+    usage: 'ls [-r] [-l] [--versions] b2://bucketName[/folder]',
+    description: 'List files and folders, or all files with -r',
+    args: [1, 1],
+    options: {
+      recursive: { type: 'boolean', short: 'r' },
+      long: { type: 'boolean', short: 'l' },
+      versions: { type: 'boolean' },
+    },
+    run: ls,
+  },
+  upload: {
+    usage:
+      'upload [--content-type type] [--info key=value]... localPath b2://bucketName/fileName',
+    description: 'Upload a local file',
+    args: [2, 2],
+    options: {
+      'content-type': { type: 'string' },
+      info: { type: 'string', multiple: true },
+    },
+    run: upload,
+  },
+  download: {
+    usage:
+      'download [--verify] b2://bucketName/fileName|b2id://fileId localPath',
+    description: 'Download a file to a local path',
+    args: [2, 2],
+    options: {
+      verify: { type: 'boolean' },
+    },
+    run: download,
+  },
+  cat: {
+    usage: 'cat b2://bucketName/fileName|b2id://fileId',
+    description: 'Write the content of a file to stdout',
+    args: [1, 1],
+    run: cat,
+  },
+  rm: {
+    usage: 'rm [--versions] b2://bucketName/fileName|b2id://fileId',
+    description: 'Delete the latest version of a file, or all versions',
+    args: [1, 1],
+    options: {
+      versions: { type: 'boolean' },
+    },
+    run: rm,
+  },
+  hide: {
+    usage: 'hide b2://bucketName/fileName',
+    description: 'Hide a file',
+    args: [1, 1],
+    run: hide,
+  },
+  'bucket list': {
+    usage: 'bucket list',
+    description: 'List buckets',
+    args: [0, 0],
+    run: bucketList,
+  },
+  'bucket create': {
+    usage: 'bucket create bucketName allPrivate|allPublic',
+    description: 'Create a bucket',
+    args: [2, 2],
+    run: bucketCreate,
+  },
+  'bucket update': {
+    usage: 'bucket update bucketName allPrivate|allPublic',
+    description: 'Change the type of a bucket',
+    args: [2, 2],
+    run: bucketUpdate,
+  },
+  'bucket delete': {
+    usage: 'bucket delete bucketName',
+    description: 'Delete an empty bucket',
+    args: [1, 1],
+    run: bucketDelete,
+  },
+  'key list': {
+    usage: 'key list',
+    description: 'List application keys',
+    args: [0, 0],
+    run: keyList,
+  },
+  'key create': {
+    usage:
+      'key create [--bucket name] [--name-prefix prefix] [--duration seconds] keyName capability[,capability...]',
+    description: 'Create an application key',
+    args: [2, 2],
+    options: {
+      bucket: { type: 'string' },
+      'name-prefix': { type: 'string' },
+      duration: { type: 'string' },
+    },
+    run: keyCreate,
+  },
+  'key delete': {
+    usage: 'key delete applicationKeyId',
+    description: 'Delete an application key',
+    args: [1, 1],
+    run: keyDelete,
+  },
+  'get-download-url': {
+    usage: 'get-download-url [--expires-in seconds] b2://bucketName/fileName',
+    description: 'Create a signed download URL for a private file',
+    args: [1, 1],
+    options: {
+      'expires-in': { type: 'string' },
+    },
+    run: getDownloadUrl,
+  },
+};
@@ -0,0 +1,84 @@
+/**
+ * Credential loading and caching for the better-b2 CLI
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+/**
+ * Get the path of the CLI config file: BETTER_B2_CONFIG, or
+ * better-b2/config.json in XDG_CONFIG_HOME (default: ~/.config)
+ * @param {Object} env - Environment variables
+ * @returns {string} Config file path
+ */
+export function getConfigPath(env) {
+  if (env.BETTER_B2_CONFIG) {
+    return env.BETTER_B2_CONFIG;
+  }
+  const configHome = env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'better-b2', 'config.json');
+}
+
+/**
+ * Read the CLI config file
+ * @param {string} configPath - Config file path
+ * @returns {Promise<Object>} Saved config, empty if the file doesn't exist
+ * @throws {Error} If the file can't be read or isn't valid JSON
+ */
+export async function readConfig(configPath) {
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch {
+    throw new Error(`Config file is not valid JSON: ${configPath}`);
+  }
+}
+
+/**
+ * Write the CLI config file, readable by the current user only since it
+ * contains the application key
+ * @param {string} configPath - Config file path
+ * @param {Object} config - Config to save
+ * @returns {Promise<void>}
+ */
+export async function writeConfig(configPath, config) {
+  await fs.mkdir(dirname(configPath), { recursive: true, mode: 0o700 });
+  await fs.writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  // writeFile only applies the mode to new files
+  await fs.chmod(configPath, 0o600);
+}
+
+/**
+ * Resolve the credentials to use: B2_APPLICATION_KEY_ID and
+ * B2_APPLICATION_KEY take precedence over the config file
+ * @param {Object} env - Environment variables
+ * @param {string} configPath - Config file path
+ * @returns {Promise<Object|null>} { applicationKeyId, applicationKey }, or null if none are set
+ */
+export async function loadCredentials(env, configPath) {
+  if (env.B2_APPLICATION_KEY_ID && env.B2_APPLICATION_KEY) {
+    return {
+      applicationKeyId: env.B2_APPLICATION_KEY_ID,
+      applicationKey: env.B2_APPLICATION_KEY,
+    };
+  }
+
+  const { applicationKeyId, applicationKey } = await readConfig(configPath);
+  if (applicationKeyId && applicationKey) {
+    return { applicationKeyId, applicationKey };
+  }
+
+  return null;
+}
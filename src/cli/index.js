@@ -0,0 +1,201 @@
+/**
+ * better-b2 command-line interface (Node.js only)
+ */
+
+import { dirname, join } from 'path';
+import { B2Client } from '../b2-client.js';
+import { FileTokenStore } from '../core/token-store.js';
+import { createUsageError, parseArgs } from './args.js';
+import { COMMANDS } from './commands.js';
+import { getConfigPath, loadCredentials } from './config.js';
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+};
+
+/**
+ * Build the help text listing every command
+ * @returns {string} Usage text
+ */
+function getUsage() {
+  const lines = [
+    'Usage: better-b2 [--json] [--config path] <command> [options] [arguments]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(
+      ({ usage, description }) => `  ${usage}\n      ${description}`
+    ),
+    '',
+    'Options:',
+    '  --json           Print results as JSON',
+    '  --config path    Config file (default: ~/.config/better-b2/config.json)',
+    '  -h, --help       Show this help',
+    '',
+    'Credentials are read from B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY,',
+    'or from the config file written by "better-b2 authorize".',
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Find the command named by the leading positionals, e.g. "ls" or
+ * "bucket create"
+ * @param {string[]} positionals - Positional arguments
+ * @returns {Object|null} { name, command, args } or null if no command matches
+ */
+function findCommand(positionals) {
+  const [first, second] = positionals;
+  const groupName = `${first} ${second}`;
+  if (COMMANDS[groupName]) {
+    return {
+      name: groupName,
+      command: COMMANDS[groupName],
+      args: positionals.slice(2),
+    };
+  }
+  if (COMMANDS[first]) {
+    return {
+      name: first,
+      command: COMMANDS[first],
+      args: positionals.slice(1),
+    };
+  }
+  return null;
+}
+
+/**
+ * Print the result of a command
+ * @param {Object} stdout - Writable stream
+ * @param {Object|undefined} result - { data, text } returned by the command
+ * @param {boolean} json - Print data as JSON instead of text
+ */
+function printResult(stdout, result, json) {
+  if (!result) {
+    return;
+  }
+  if (json) {
+    stdout.write(`${JSON.stringify(result.data, null, 2)}\n`);
+    return;
+  }
+  const lines = Array.isArray(result.text) ? result.text : [result.text];
+  if (lines.length > 0) {
+    stdout.write(`${lines.join('\n')}\n`);
+  }
+}
+
+/**
+ * Print an error, as { error: { message, code, status } } in JSON mode
+ * @param {Object} stderr - Writable stream
+ * @param {Error} error - Error to print
+ * @param {boolean} json - Print the error as JSON
+ */
+function printError(stderr, error, json) {
+  if (json) {
+    const { message, code, status } = error;
+    stderr.write(`${JSON.stringify({ error: { message, code, status } })}\n`);
+  } else {
+    stderr.write(`Error: ${error.message}\n`);
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Environment of the run, replaceable for testing
+ * @param {Object} [io.env] - Environment variables (default: process.env)
+ * @param {Object} [io.stdout] - Output stream (default: process.stdout)
+ * @param {Object} [io.stderr] - Error stream (default: process.stderr)
+ * @param {Function} [io.createClient] - Create the B2Client to use from B2Client options
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on errors, 2 on invalid usage
+ */
+export async function run(argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    createClient = (options) => new B2Client(options),
+  } = io;
+
+  // Which options are valid depends on the command, so find it first with
+  // the options of every command known
+  let parsed;
+  let match;
+  const json = argv.includes('--json');
+  try {
+    const firstPass = parseArgs(argv, {
+      ...GLOBAL_OPTIONS,
+      ...Object.assign(
+        {},
+        ...Object.values(COMMANDS).map((command) => command.options)
+      ),
+    });
+    match = findCommand(firstPass.positionals);
+
+    if (firstPass.options.help || firstPass.positionals[0] === 'help') {
+      stdout.write(getUsage());
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!match) {
+      const given = firstPass.positionals.slice(0, 2).join(' ');
+      throw createUsageError(
+        given ? `Unknown command: ${given}` : 'No command given'
+      );
+    }
+
+    // Parse again with only the options of this command
+    parsed = parseArgs(argv, { ...GLOBAL_OPTIONS, ...match.command.options });
+    const [min, max] = match.command.args;
+    if (match.args.length < min || match.args.length > max) {
+      throw createUsageError('Wrong number of arguments');
+    }
+  } catch (error) {
+    printError(stderr, error, json);
+    stderr.write(
+      match ? `Usage: better-b2 ${match.command.usage}\n` : getUsage()
+    );
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const configPath = parsed.options.config || getConfigPath(env);
+    // Auth tokens are kept next to the config, so every run doesn't have to
+    // authorize again
+    const client = createClient({
+      tokenStore: new FileTokenStore({
+        path: join(dirname(configPath), 'tokens.json'),
+      }),
+    });
+
+    if (match.command.authorize !== false) {
+      const credentials = await loadCredentials(env, configPath);
+      if (!credentials) {
+        throw new Error(
+          'No credentials found. Set B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY, or run "better-b2 authorize"'
+        );
+      }
+      await client.authorize(credentials);
+    }
+
+    const result = await match.command.run({
+      client,
+      args: match.args,
+      options: parsed.options,
+      env,
+      configPath,
+      stdout,
+    });
+    printResult(stdout, result, parsed.options.json);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    printError(stderr, error, json);
+    return error.code === 'INVALID_USAGE' ? EXIT_CODES.USAGE : EXIT_CODES.ERROR;
+  }
+}
@@ -15,6 +15,8 @@ export const API_ENDPOINTS = {
   LIST_BUCKETS: '/b2api/v2/b2_list_buckets',
   UPDATE_BUCKET: '/b2api/v2/b2_update_bucket',
   GET_UPLOAD_URL: '/b2api/v2/b2_get_upload_url',
+  GET_BUCKET_NOTIFICATION_RULES: '/b2api/v4/b2_get_bucket_notification_rules',
+  SET_BUCKET_NOTIFICATION_RULES: '/b2api/v4/b2_set_bucket_notification_rules',
 
   // File operations
   UPLOAD_FILE: '/b2api/v2/b2_upload_file',
@@ -25,6 +27,9 @@ export const API_ENDPOINTS = {
   GET_FILE_INFO: '/b2api/v2/b2_get_file_info',
   DELETE_FILE_VERSION: '/b2api/v2/b2_delete_file_version',
   HIDE_FILE: '/b2api/v2/b2_hide_file',
+  COPY_FILE: '/b2api/v2/b2_copy_file',
+  UPDATE_FILE_RETENTION: '/b2api/v2/b2_update_file_retention',
+  UPDATE_FILE_LEGAL_HOLD: '/b2api/v2/b2_update_file_legal_hold',
 
   // Large file operations
   START_LARGE_FILE: '/b2api/v2/b2_start_large_file',
@@ -34,6 +39,7 @@ export const API_ENDPOINTS = {
   CANCEL_LARGE_FILE: '/b2api/v2/b2_cancel_large_file',
   LIST_PARTS: '/b2api/v2/b2_list_parts',
   LIST_UNFINISHED_LARGE_FILES: '/b2api/v2/b2_list_unfinished_large_files',
+  COPY_PART: '/b2api/v2/b2_copy_part',
 
   // Key management
   CREATE_KEY: '/b2api/v2/b2_create_key',
@@ -50,6 +56,100 @@ export const BUCKET_TYPES = {
   ALL_PUBLIC: 'allPublic',
 };
 
+// Metadata directives for server-side copies
+export const METADATA_DIRECTIVES = {
+  COPY: 'COPY',
+  REPLACE: 'REPLACE',
+};
+
+// Operations a bucket CORS rule can allow
+export const CORS_OPERATIONS = {
+  DOWNLOAD_FILE_BY_NAME: 'b2_download_file_by_name',
+  DOWNLOAD_FILE_BY_ID: 'b2_download_file_by_id',
+  UPLOAD_FILE: 'b2_upload_file',
+  UPLOAD_PART: 'b2_upload_part',
+  S3_DELETE: 's3_delete',
+  S3_GET: 's3_get',
+  S3_HEAD: 's3_head',
+  S3_POST: 's3_post',
+  S3_PUT: 's3_put',
+};
+
+// Event types a bucket notification rule can subscribe to
+export const EVENT_TYPES = {
+  OBJECT_CREATED_ALL: 'b2:ObjectCreated:*',
+  OBJECT_CREATED_UPLOAD: 'b2:ObjectCreated:Upload',
+  OBJECT_CREATED_MULTIPART_UPLOAD: 'b2:ObjectCreated:MultipartUpload',
+  OBJECT_CREATED_COPY: 'b2:ObjectCreated:Copy',
+  OBJECT_CREATED_REPLICA: 'b2:ObjectCreated:Replica',
+  OBJECT_CREATED_MULTIPART_REPLICA: 'b2:ObjectCreated:MultipartReplica',
+  OBJECT_DELETED_ALL: 'b2:ObjectDeleted:*',
+  OBJECT_DELETED_DELETE: 'b2:ObjectDeleted:Delete',
+  OBJECT_DELETED_LIFECYCLE_RULE: 'b2:ObjectDeleted:LifecycleRule',
+  HIDE_MARKER_CREATED_ALL: 'b2:HideMarkerCreated:*',
+  HIDE_MARKER_CREATED_HIDE: 'b2:HideMarkerCreated:Hide',
+  HIDE_MARKER_CREATED_LIFECYCLE_RULE: 'b2:HideMarkerCreated:LifecycleRule',
+};
+
+// Server-side encryption modes
+export const ENCRYPTION_MODES = {
+  SSE_B2: 'SSE-B2', // Keys managed by B2
+  SSE_C: 'SSE-C', // Keys provided by the customer with every request
+};
+
+// Server-side encryption algorithms
+export const ENCRYPTION_ALGORITHMS = {
+  AES256: 'AES256',
+};
+
+// Object Lock retention modes
+export const RETENTION_MODES = {
+  GOVERNANCE: 'governance', // Can be shortened or removed with bypassGovernance
+  COMPLIANCE: 'compliance', // Can only be extended
+};
+
+// Units of a bucket's default retention period
+export const RETENTION_PERIOD_UNITS = {
+  DAYS: 'days',
+  YEARS: 'years',
+};
+
+// Object Lock legal hold states
+export const LEGAL_HOLD = {
+  ON: 'on',
+  OFF: 'off',
+};
+
+// Replication status of a file in a bucket that replicates or receives replicas
+export const REPLICATION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  REPLICA: 'replica', // The file was replicated from another bucket
+};
+
+// How sync decides whether a file that exists on both sides changed
+export const SYNC_COMPARE_MODES = {
+  MOD_TIME: 'modTime', // Size and src_last_modified_millis (or upload time)
+  SHA1: 'sha1', // Size and content SHA1
+};
+
+// What sync does with destination files missing from the source
+export const SYNC_DELETE_MODES = {
+  HIDE: 'hide', // Hide the file, keeping its versions
+  DELETE: 'delete', // Delete every version of the file
+};
+
+// Actions reported by sync
+export const SYNC_ACTIONS = {
+  UPLOAD: 'upload',
+  DOWNLOAD: 'download',
+  COPY: 'copy',
+  SKIP: 'skip',
+  HIDE: 'hide',
+  DELETE: 'delete',
+};
+
 // Key Capabilities
 export const KEY_CAPABILITIES = {
   LIST_KEYS: 'listKeys',
@@ -58,6 +158,8 @@ export const KEY_CAPABILITIES = {
   LIST_BUCKETS: 'listBuckets',
   WRITE_BUCKETS: 'writeBuckets',
   DELETE_BUCKETS: 'deleteBuckets',
+  READ_BUCKET_REPLICATIONS: 'readBucketReplications',
+  WRITE_BUCKET_REPLICATIONS: 'writeBucketReplications',
   LIST_ALL_BUCKET_NAMES: 'listAllBucketNames',
   LIST_FILES: 'listFiles',
   READ_FILES: 'readFiles',
@@ -93,12 +195,30 @@ export const DEFAULT_CONFIG = {
   // Request configuration
   REQUEST_TIMEOUT: 30000, // 30 seconds
   UPLOAD_TIMEOUT: 300000, // 5 minutes for uploads
+  UPLOAD_URL_MAX_AGE: 23 * 60 * 60 * 1000, // upload tokens expire after 24 hours
+  AUTH_TOKEN_MAX_AGE: 23 * 60 * 60 * 1000, // stored auth tokens expire after 24 hours
+  TOKEN_FILE_LOCK_TIMEOUT: 5000, // wait for another process updating a token file, older locks are stale
+  TOKEN_FILE_LOCK_RETRY_DELAY: 20, // ms between attempts to take a token file lock
+  SIGNED_URL_EXPIRES_IN: 3600, // seconds signed download URLs stay valid
 
   // Large file configuration
   RECOMMENDED_PART_SIZE: 100 * 1024 * 1024, // 100MB
   MIN_PART_SIZE: 5 * 1024 * 1024, // 5MB
   MAX_PART_SIZE: 5 * 1024 * 1024 * 1024, // 5GB
   MAX_PARTS_COUNT: 10000,
+  UPLOAD_CONCURRENCY: 4, // parallel part uploads per large file
+  DOWNLOAD_PART_SIZE: 100 * 1024 * 1024, // 100MB ranges for parallel downloads
+  DOWNLOAD_CONCURRENCY: 4, // parallel range downloads per file
+  SYNC_CONCURRENCY: 4, // parallel file transfers per sync
+  LARGE_FILE_THRESHOLD: 200 * 1024 * 1024, // 200MB, larger files are uploaded as large files by sync and the CLI
+  MAX_COPY_FILE_SIZE: 5 * 1024 * 1024 * 1024, // 5GB, larger files are copied in parts
+
+  // Bucket configuration
+  BUCKET_UPDATE_ATTEMPTS: 3, // read-modify-write attempts when the bucket revision changes
+
+  // Listing
+  LIST_PAGE_SIZE: 1000, // entries per page requested by the iterate* methods
+  UNFINISHED_LARGE_FILES_PAGE_SIZE: 100, // maximum accepted by b2_list_unfinished_large_files
 
   // Progress reporting
   PROGRESS_REPORT_INTERVAL: 1000, // 1 second
@@ -117,6 +237,9 @@ export const B2_ERROR_CODES = {
   NOT_ALLOWED: 'not_allowed',
   REQUEST_TIMEOUT: 'request_timeout',
   TOO_MANY_REQUESTS: 'too_many_requests',
+  CONFLICT: 'conflict',
+  ACCESS_DENIED: 'access_denied',
+  RANGE_NOT_SATISFIABLE: 'range_not_satisfiable',
 };
 
 // Retryable Error Codes
@@ -140,6 +263,31 @@ export const CONTENT_TYPES = {
   JSON: 'application/json',
   OCTET_STREAM: 'application/octet-stream',
   TEXT_PLAIN: 'text/plain',
+  AUTO: 'b2/x-auto', // B2 picks the content type from the file name
+};
+
+// Special X-Bz-Content-Sha1 values
+export const CONTENT_SHA1_VALUES = {
+  HEX_DIGITS_AT_END: 'hex_digits_at_end', // SHA1 is appended to the body
+  NONE: 'none', // returned for large files, which have no SHA1 of their own
+  UNVERIFIED_PREFIX: 'unverified:', // SHA1 sent at the end of the body
+};
+
+// Query parameters of download URLs that override response headers
+export const DOWNLOAD_OVERRIDE_PARAMS = [
+  'b2ContentDisposition',
+  'b2ContentLanguage',
+  'b2Expires',
+  'b2CacheControl',
+  'b2ContentEncoding',
+  'b2ContentType',
+];
+
+// File info keys with special meaning to B2 or this library
+export const FILE_INFO_KEYS = {
+  LARGE_FILE_SHA1: 'large_file_sha1',
+  UPLOAD_FINGERPRINT: 'upload_fingerprint',
+  SRC_LAST_MODIFIED_MILLIS: 'src_last_modified_millis',
 };
 
 // Headers
@@ -150,6 +298,18 @@ export const HEADERS = {
   CONTENT_SHA1: 'X-Bz-Content-Sha1',
   FILE_NAME: 'X-Bz-File-Name',
   FILE_ID: 'X-Bz-File-Id',
+  UPLOAD_TIMESTAMP: 'X-Bz-Upload-Timestamp',
   PART_NUMBER: 'X-Bz-Part-Number',
   TEST_MODE: 'X-Bz-Test-Mode',
+  SERVER_SIDE_ENCRYPTION: 'X-Bz-Server-Side-Encryption',
+  SSE_CUSTOMER_ALGORITHM: 'X-Bz-Server-Side-Encryption-Customer-Algorithm',
+  SSE_CUSTOMER_KEY: 'X-Bz-Server-Side-Encryption-Customer-Key',
+  SSE_CUSTOMER_KEY_MD5: 'X-Bz-Server-Side-Encryption-Customer-Key-Md5',
+  FILE_RETENTION_MODE: 'X-Bz-File-Retention-Mode',
+  FILE_RETENTION_RETAIN_UNTIL_TIMESTAMP:
+    'X-Bz-File-Retention-Retain-Until-Timestamp',
+  FILE_LEGAL_HOLD: 'X-Bz-File-Legal-Hold',
+  EVENT_NOTIFICATION_SIGNATURE: 'X-Bz-Event-Notification-Signature',
+  RANGE: 'Range',
+  CONTENT_RANGE: 'Content-Range',
 };
@@ -0,0 +1,112 @@
+/**
+ * Download Authorization Cache
+ * Shares download authorizations between the signed URLs of files under the
+ * same prefix
+ */
+
+// Longest validity B2 accepts for a download authorization
+const MAX_VALID_DURATION = 604800;
+
+export class DownloadAuthorizationCache {
+  /**
+   * @param {Function} fetchAuthorization - Async function called with { bucketId, fileNamePrefix, validDurationInSeconds }, resolving to { authorizationToken }
+   */
+  constructor(fetchAuthorization) {
+    if (typeof fetchAuthorization !== 'function') {
+      throw new Error('fetchAuthorization must be a function');
+    }
+
+    this.fetchAuthorization = fetchAuthorization;
+
+    // Authorizations by bucket ID and prefix. Pending requests are cached
+    // too, so concurrent callers share one request.
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an authorization for a prefix that stays valid for at least
+   * minValidSeconds. New authorizations are valid for twice as long (up to
+   * 7 days), so the URLs signed in the meantime can share them.
+   * @param {string} bucketId - ID of the bucket
+   * @param {string} fileNamePrefix - Prefix of the file names to authorize
+   * @param {number} minValidSeconds - Seconds the authorization must stay valid
+   * @returns {Promise<Object>} Authorization with authorizationToken and expiresAt (milliseconds since the epoch)
+   */
+  async get(bucketId, fileNamePrefix, minValidSeconds) {
+    const key = `${bucketId}/${fileNamePrefix}`;
+    const now = Date.now();
+    const cached = this.entries.get(key);
+
+    if (cached && cached.expiresAt - now >= minValidSeconds * 1000) {
+      return cached.authorization;
+    }
+
+    this.prune(now);
+
+    const validDurationInSeconds = Math.min(
+      minValidSeconds * 2,
+      MAX_VALID_DURATION
+    );
+    // B2 issues the token after the request starts, so it expires no
+    // earlier than this
+    const expiresAt = now + validDurationInSeconds * 1000;
+
+    const entry = {
+      expiresAt,
+      authorization: this.fetchAuthorization({
+        bucketId,
+        fileNamePrefix,
+        validDurationInSeconds,
+      }).then(({ authorizationToken }) => ({ authorizationToken, expiresAt })),
+    };
+    this.entries.set(key, entry);
+
+    try {
+      return await entry.authorization;
+    } catch (error) {
+      if (this.entries.get(key) === entry) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop expired authorizations
+   * @param {number} [now] - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Number of cached authorizations, including pending ones
+   * @returns {number} Number of cached authorizations
+   */
+  getCount() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop cached authorizations
+   * @param {string} [bucketId] - Only drop authorizations of this bucket
+   */
+  clear(bucketId) {
+    if (bucketId === undefined) {
+      this.entries.clear();
+      return;
+    }
+
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${bucketId}/`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+export default DownloadAuthorizationCache;
@@ -275,10 +275,14 @@ export class HttpClient {
       if (
         data instanceof FormData ||
         data instanceof ArrayBuffer ||
-        data instanceof Blob
+        data instanceof Blob ||
+        ArrayBuffer.isView(data)
       ) {
         // Optimize large uploads for memory efficiency
         body = this.optimizeUploadData(data);
+      } else if (data instanceof ReadableStream) {
+        // Stream bodies are sent as-is
+        body = data;
       } else if (typeof data === 'object') {
         body = JSON.stringify(data);
         if (!requestHeaders['Content-Type']) {
@@ -312,28 +316,37 @@ export class HttpClient {
       signal: controller.signal,
     };
 
+    // Streaming request bodies require half-duplex mode in Node.js fetch
+    if (body instanceof ReadableStream) {
+      fetchOptions.duplex = 'half';
+    }
+
     try {
       // Make the request
       const response = await fetch(fullUrl, fetchOptions);
 
+      // Responses to HEAD requests have no body to parse
+      const hasBody = fetchOptions.method !== 'HEAD';
+
       // Check if response is successful before processing
       if (!response.ok) {
-        // For error responses, parse without progress tracking
-        const responseData = await this.parseResponseData(
-          response,
-          responseType
-        );
+        // For error responses, parse without progress tracking. B2 errors
+        // are JSON whatever the requested type, e.g. of a download.
+        const responseData = hasBody
+          ? await this.parseResponseData(response, 'auto')
+          : null;
         const error = await this.createHttpError(response, responseData);
         throw error;
       }
 
       // Parse response data with progress tracking for downloads
-      const responseData =
-        await this.progressHandler.processResponseWithProgress(
-          response,
-          responseType,
-          onDownloadProgress
-        );
+      const responseData = hasBody
+        ? await this.progressHandler.processResponseWithProgress(
+            response,
+            responseType,
+            onDownloadProgress
+          )
+        : null;
 
       // End performance monitoring (success)
       this.endPerformanceTimer(perfTimer, false);
@@ -380,6 +393,20 @@ export class HttpClient {
     });
   }
 
+  /**
+   * Make HEAD request
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response object with headers and null data
+   */
+  async head(url, options = {}) {
+    return this.request({
+      method: 'HEAD',
+      url,
+      ...options,
+    });
+  }
+
   /**
    * Make POST request
    * @param {string} url - Request URL
@@ -21,6 +21,7 @@ export class RetryHandler {
     this.retryCondition =
       options.retryCondition || this.defaultRetryCondition.bind(this);
     this.onRetry = options.onRetry || null;
+    this.onAuthExpired = options.onAuthExpired || null;
   }
 
   /**
@@ -100,11 +101,13 @@ export class RetryHandler {
    * Execute a function with retry logic
    * @param {Function} requestFn - Function that returns a Promise
    * @param {Object} options - Retry options
+   * @param {Function} [options.retryCondition] - Retry condition for this call instead of the configured one
    * @returns {Promise<any>} Result of successful request
    */
   async executeWithRetry(requestFn, options = {}) {
     const maxAttempts = (options.retries ?? this.retries) + 1; // +1 for initial attempt
     let lastError;
+    let reauthorized = false;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       try {
@@ -114,8 +117,21 @@ export class RetryHandler {
       } catch (error) {
         lastError = error;
 
+        // Replay the request once after re-authorizing an expired token,
+        // without counting it as a retry
+        if (
+          !reauthorized &&
+          this.onAuthExpired &&
+          (await this.onAuthExpired(error))
+        ) {
+          reauthorized = true;
+          attempt--;
+          continue;
+        }
+
         // Check if we should retry this error
-        const shouldRetry = this.retryCondition(error, attempt);
+        const retryCondition = options.retryCondition || this.retryCondition;
+        const shouldRetry = retryCondition(error, attempt);
 
         // If this is the last attempt or we shouldn't retry, throw the error
         if (attempt === maxAttempts - 1 || !shouldRetry) {
@@ -0,0 +1,242 @@
+/**
+ * Token Stores
+ * Keep authorizations between processes, so a new process can reuse the auth
+ * token of an earlier one instead of calling b2_authorize_account. A store is
+ * any object with async get(key), set(key, entry) and delete(key) methods;
+ * entries are { authResponse, authorizedAt }.
+ */
+
+import { DEFAULT_CONFIG } from '../constants.js';
+
+// Check if we're in Node.js or browser environment
+const isNode =
+  typeof process !== 'undefined' && process.versions && process.versions.node;
+
+/**
+ * Token store keeping entries in memory, shared by the clients of a process
+ */
+export class MemoryTokenStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a stored entry
+   * @param {string} key - Entry key
+   * @returns {Promise<Object|null>} Entry, or null if none is stored
+   */
+  async get(key) {
+    return this.entries.get(key) ?? null;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Entry key
+   * @param {Object} entry - Entry with authResponse and authorizedAt
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Token store keeping entries in a JSON file, readable by the current user
+ * only (Node.js only). Processes sharing the file take turns updating it.
+ */
+export class FileTokenStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Path of the JSON file, created when the first entry is stored
+   */
+  constructor(options) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+    if (!options.path || typeof options.path !== 'string') {
+      throw new Error('path is required and must be a string');
+    }
+
+    this.path = options.path;
+    // Updates of this store run one at a time, so none overwrites another;
+    // other processes are kept out by a lock file, see withLock
+    this.updates = Promise.resolve();
+  }
+
+  /**
+   * Read all entries from the file
+   * @returns {Promise<Object>} Entries by key, empty if the file doesn't exist
+   */
+  async readEntries() {
+    if (!isNode) {
+      throw new Error(
+        'File token stores are only available in Node.js environment'
+      );
+    }
+
+    const fs = await import('fs');
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch {
+      // A corrupt file only costs a new authorization
+      return {};
+    }
+  }
+
+  /**
+   * Replace all entries in the file. The file is written next to its final
+   * path and renamed, so concurrent readers never see it half written.
+   * @param {Object} entries - Entries by key
+   * @returns {Promise<void>}
+   */
+  async writeEntries(entries) {
+    const fs = await import('fs');
+    const path = await import('path');
+
+    await fs.promises.mkdir(path.dirname(this.path), {
+      recursive: true,
+      mode: 0o700,
+    });
+
+    const suffix = Math.random().toString(36).slice(2);
+    const tempPath = `${this.path}.${process.pid}.${suffix}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(entries), {
+      mode: 0o600,
+    });
+    await fs.promises.rename(tempPath, this.path);
+  }
+
+  /**
+   * Get a stored entry
+   * @param {string} key - Entry key
+   * @returns {Promise<Object|null>} Entry, or null if none is stored
+   */
+  async get(key) {
+    const entries = await this.readEntries();
+    return entries[key] ?? null;
+  }
+
+  /**
+   * Run a function while holding `<path>.lock`, created exclusively so only
+   * one process sharing the file holds it. A lock older than
+   * TOKEN_FILE_LOCK_TIMEOUT was left behind by a process that died and is
+   * taken over.
+   * @param {Function} fn - Function to run while holding the lock
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} If another process holds the lock for too long
+   */
+  async withLock(fn) {
+    if (!isNode) {
+      throw new Error(
+        'File token stores are only available in Node.js environment'
+      );
+    }
+
+    const fs = await import('fs');
+    const path = await import('path');
+    const lockPath = `${this.path}.lock`;
+
+    await fs.promises.mkdir(path.dirname(this.path), {
+      recursive: true,
+      mode: 0o700,
+    });
+
+    const deadline = Date.now() + DEFAULT_CONFIG.TOKEN_FILE_LOCK_TIMEOUT;
+    let lock = null;
+    while (!lock) {
+      try {
+        lock = await fs.promises.open(lockPath, 'wx', 0o600);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        const stats = await fs.promises.stat(lockPath).catch(() => null);
+        if (
+          stats &&
+          Date.now() - stats.mtimeMs > DEFAULT_CONFIG.TOKEN_FILE_LOCK_TIMEOUT
+        ) {
+          await fs.promises.rm(lockPath, { force: true });
+        } else if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for the lock on ${this.path}`);
+        } else {
+          await new Promise((resolve) =>
+            setTimeout(resolve, DEFAULT_CONFIG.TOKEN_FILE_LOCK_RETRY_DELAY)
+          );
+        }
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await lock.close();
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Read, change and write the entries after the updates before, holding the
+   * lock file so updates of other processes aren't lost either
+   * @param {Function} change - Changes the entries, returns false to skip writing
+   * @returns {Promise<void>}
+   */
+  update(change) {
+    const update = this.updates.then(() =>
+      this.withLock(async () => {
+        const entries = await this.readEntries();
+        if (change(entries) !== false) {
+          await this.writeEntries(entries);
+        }
+      })
+    );
+    this.updates = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Entry key
+   * @param {Object} entry - Entry with authResponse and authorizedAt
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this.update((entries) => {
+      entries[key] = entry;
+    });
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.update((entries) => {
+      if (!(key in entries)) {
+        return false;
+      }
+      delete entries[key];
+    });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Upload URL Pool
+ * Hands out bucket upload URLs to concurrent uploads and replaces the ones
+ * B2 asks clients to stop using
+ */
+
+import { DEFAULT_CONFIG, HTTP_STATUS } from '../constants.js';
+
+export class UploadUrlPool {
+  /**
+   * @param {Function} fetchUploadUrl - Async function called with a bucket ID, resolving to { uploadUrl, authorizationToken }
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.maxAge] - Age in milliseconds after which an idle upload URL is no longer handed out (default: 23 hours)
+   */
+  constructor(fetchUploadUrl, options = {}) {
+    if (typeof fetchUploadUrl !== 'function') {
+      throw new Error('fetchUploadUrl must be a function');
+    }
+
+    this.fetchUploadUrl = fetchUploadUrl;
+    this.maxAge = options.maxAge ?? DEFAULT_CONFIG.UPLOAD_URL_MAX_AGE;
+
+    // Idle upload URLs by bucket ID. An upload URL can only be used by one
+    // upload at a time, so URLs in use are not kept here.
+    this.idleTargets = new Map();
+  }
+
+  /**
+   * Take an idle upload URL for a bucket, or fetch a new one if there is none
+   * @param {string} bucketId - ID of the bucket to upload to
+   * @returns {Promise<Object>} Upload target with bucketId, uploadUrl, authorizationToken and fetchedAt
+   */
+  async acquire(bucketId) {
+    const idle = this.idleTargets.get(bucketId);
+
+    while (idle && idle.length > 0) {
+      const target = idle.pop();
+      // Upload authorization tokens are valid for 24 hours
+      if (Date.now() - target.fetchedAt < this.maxAge) {
+        return target;
+      }
+    }
+
+    const { uploadUrl, authorizationToken } =
+      await this.fetchUploadUrl(bucketId);
+
+    return {
+      bucketId,
+      uploadUrl,
+      authorizationToken,
+      fetchedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Return an upload URL to the pool after an upload finished with it
+   * @param {Object} target - Upload target from acquire
+   */
+  release(target) {
+    if (!this.idleTargets.has(target.bucketId)) {
+      this.idleTargets.set(target.bucketId, []);
+    }
+    this.idleTargets.get(target.bucketId).push(target);
+  }
+
+  /**
+   * Check whether a failed upload means its upload URL must not be used
+   * again. B2 asks for a new upload URL after timeouts, server errors,
+   * network failures and expired or invalid upload tokens.
+   * @param {Error} error - Error from the upload request
+   * @returns {boolean} True if the upload URL should be discarded
+   */
+  isUploadUrlError(error) {
+    return (
+      !!error.isNetworkError ||
+      error.status === HTTP_STATUS.UNAUTHORIZED ||
+      error.status === HTTP_STATUS.REQUEST_TIMEOUT ||
+      error.status >= 500
+    );
+  }
+
+  /**
+   * Number of idle upload URLs
+   * @param {string} [bucketId] - Only count upload URLs of this bucket
+   * @returns {number} Number of idle upload URLs
+   */
+  getIdleCount(bucketId) {
+    if (bucketId !== undefined) {
+      return this.idleTargets.get(bucketId)?.length || 0;
+    }
+
+    let count = 0;
+    for (const idle of this.idleTargets.values()) {
+      count += idle.length;
+    }
+    return count;
+  }
+
+  /**
+   * Drop idle upload URLs
+   * @param {string} [bucketId] - Only drop upload URLs of this bucket
+   */
+  clear(bucketId) {
+    if (bucketId !== undefined) {
+      this.idleTargets.delete(bucketId);
+    } else {
+      this.idleTargets.clear();
+    }
+  }
+}
+
+export default UploadUrlPool;
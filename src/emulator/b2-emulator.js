@@ -0,0 +1,2340 @@
+/**
+ * B2 Emulator
+ * Local server implementing the native B2 API calls this library makes, for
+ * testing without reaching Backblaze (Node.js only). Point a B2Client at it
+ * with the baseUrl option.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { createServer } from 'http';
+import { finished } from 'stream/promises';
+import {
+  B2_ERROR_CODES,
+  BUCKET_TYPES,
+  CONTENT_SHA1_VALUES,
+  CONTENT_TYPES,
+  DEFAULT_CONFIG,
+  DOWNLOAD_OVERRIDE_PARAMS,
+  HEADERS,
+  KEY_CAPABILITIES,
+  METADATA_DIRECTIVES,
+  RETENTION_MODES,
+} from '../constants.js';
+import { DiskStorage, MemoryStorage } from './storage.js';
+
+const DEFAULT_APPLICATION_KEY_ID = 'emulator0001';
+const DEFAULT_APPLICATION_KEY = 'emulatorApplicationKey';
+
+// Auth, upload and download tokens expire like B2's, after 24 hours
+const TOKEN_LIFETIME = 24 * 60 * 60 * 1000;
+
+// Capabilities of the master key. Capabilities for Object Lock and event
+// notifications are missing from KEY_CAPABILITIES.
+const MASTER_CAPABILITIES = [
+  ...Object.values(KEY_CAPABILITIES),
+  'readBuckets',
+  'readBucketNotifications',
+  'writeBucketNotifications',
+  'readFileRetentions',
+  'writeFileRetentions',
+  'readFileLegalHolds',
+  'writeFileLegalHolds',
+  'bypassGovernance',
+];
+
+// JSON API calls: the method handling each and the capability it needs
+const API_CALLS = {
+  b2_create_bucket: {
+    handler: 'createBucket',
+    capability: KEY_CAPABILITIES.WRITE_BUCKETS,
+  },
+  b2_delete_bucket: {
+    handler: 'deleteBucket',
+    capability: KEY_CAPABILITIES.DELETE_BUCKETS,
+  },
+  b2_list_buckets: {
+    handler: 'listBuckets',
+    capability: KEY_CAPABILITIES.LIST_BUCKETS,
+  },
+  b2_update_bucket: {
+    handler: 'updateBucket',
+    capability: KEY_CAPABILITIES.WRITE_BUCKETS,
+  },
+  b2_get_bucket_notification_rules: {
+    handler: 'getBucketNotificationRules',
+    capability: 'readBucketNotifications',
+  },
+  b2_set_bucket_notification_rules: {
+    handler: 'setBucketNotificationRules',
+    capability: 'writeBucketNotifications',
+  },
+  b2_get_upload_url: {
+    handler: 'getUploadUrl',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_list_file_names: {
+    handler: 'listFileNames',
+    capability: KEY_CAPABILITIES.LIST_FILES,
+  },
+  b2_list_file_versions: {
+    handler: 'listFileVersions',
+    capability: KEY_CAPABILITIES.LIST_FILES,
+  },
+  b2_get_file_info: {
+    handler: 'getFileInfo',
+    capability: KEY_CAPABILITIES.READ_FILES,
+  },
+  b2_delete_file_version: {
+    handler: 'deleteFileVersion',
+    capability: KEY_CAPABILITIES.DELETE_FILES,
+  },
+  b2_hide_file: {
+    handler: 'hideFile',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_copy_file: {
+    handler: 'copyFile',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_update_file_retention: {
+    handler: 'updateFileRetention',
+    capability: 'writeFileRetentions',
+  },
+  b2_update_file_legal_hold: {
+    handler: 'updateFileLegalHold',
+    capability: 'writeFileLegalHolds',
+  },
+  b2_start_large_file: {
+    handler: 'startLargeFile',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_get_upload_part_url: {
+    handler: 'getUploadPartUrl',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_finish_large_file: {
+    handler: 'finishLargeFile',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_cancel_large_file: {
+    handler: 'cancelLargeFile',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_list_parts: {
+    handler: 'listParts',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_list_unfinished_large_files: {
+    handler: 'listUnfinishedLargeFiles',
+    capability: KEY_CAPABILITIES.LIST_FILES,
+  },
+  b2_copy_part: {
+    handler: 'copyPart',
+    capability: KEY_CAPABILITIES.WRITE_FILES,
+  },
+  b2_create_key: {
+    handler: 'createKey',
+    capability: KEY_CAPABILITIES.WRITE_KEYS,
+  },
+  b2_delete_key: {
+    handler: 'deleteKey',
+    capability: KEY_CAPABILITIES.DELETE_KEYS,
+  },
+  b2_list_keys: {
+    handler: 'listKeys',
+    capability: KEY_CAPABILITIES.LIST_KEYS,
+  },
+  b2_get_download_authorization: {
+    handler: 'getDownloadAuthorization',
+    capability: KEY_CAPABILITIES.SHARE_FILES,
+  },
+};
+
+// Content types of b2/x-auto uploads, by file extension
+const AUTO_CONTENT_TYPES = {
+  css: 'text/css',
+  csv: 'text/csv',
+  gif: 'image/gif',
+  gz: 'application/gzip',
+  htm: 'text/html',
+  html: 'text/html',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  js: 'text/javascript',
+  json: 'application/json',
+  md: 'text/markdown',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  txt: 'text/plain',
+  webp: 'image/webp',
+  xml: 'application/xml',
+  zip: 'application/zip',
+};
+
+/**
+ * Create an error sent to the client as a B2 error response
+ * @param {number} status - HTTP status
+ * @param {string} code - B2 error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status and code
+ */
+function createApiError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Throw unless a request field is a non-empty string
+ * @param {*} value - Field value
+ * @param {string} name - Field name
+ */
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw createApiError(400, 'bad_request', `${name} is required`);
+  }
+}
+
+/**
+ * Parse a page size field
+ * @param {*} value - Field value
+ * @param {string} name - Field name
+ * @param {number} defaultCount - Count when the field is missing
+ * @param {number} maxCount - Largest count allowed
+ * @returns {number} Page size
+ */
+function parseMaxCount(value, name, defaultCount, maxCount) {
+  if (value === undefined || value === null) {
+    return defaultCount;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > maxCount) {
+    throw createApiError(
+      400,
+      'bad_request',
+      `${name} must be an integer between 1 and ${maxCount}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse a "bytes=start-end" range
+ * @param {string|undefined} range - Range header or field
+ * @param {number} size - Size of the content
+ * @returns {Object|null} { start, end } (inclusive), or null if there is no valid range
+ * @throws {Error} If the range starts beyond the content
+ */
+function parseRange(range, size) {
+  const match = range && /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end) {
+    const error = createApiError(
+      416,
+      B2_ERROR_CODES.RANGE_NOT_SATISFIABLE,
+      `Range ${range} is not satisfiable for ${size} bytes`
+    );
+    error.headers = { [HEADERS.CONTENT_RANGE]: `bytes */${size}` };
+    throw error;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Calculate the hex SHA1 of data
+ * @param {Buffer} data - Data to hash
+ * @returns {string} Lowercase hex SHA1
+ */
+function sha1Hex(data) {
+  return createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Get the MD5 of an SSE-C customer key, checking the MD5 sent along with it
+ * @param {Object} encryption - Encryption with a base64 customerKey and customerKeyMd5
+ * @returns {string} Base64 MD5 of the key
+ * @throws {Error} If the key is missing or does not match its MD5
+ */
+function getCustomerKeyMd5({ customerKey, customerKeyMd5 }) {
+  requireString(customerKey, 'customerKey');
+  const md5 = createHash('md5')
+    .update(Buffer.from(customerKey, 'base64'))
+    .digest('base64');
+  if (customerKeyMd5 !== undefined && customerKeyMd5 !== md5) {
+    throw createApiError(
+      400,
+      'bad_request',
+      'customerKeyMd5 does not match customerKey'
+    );
+  }
+  return md5;
+}
+
+/**
+ * Read the whole body of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ * @param {Object} [headers] - Additional headers
+ */
+function sendJson(res, status, data, headers = {}) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    ...headers,
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/**
+ * Collapse the names below a delimiter into folder entries, like B2 does
+ * for listings with a delimiter
+ * @param {Object[]} files - Files sorted by name
+ * @param {string} prefix - Prefix of the listing
+ * @param {string} [delimiter] - Delimiter, nothing is collapsed without one
+ * @returns {Object[]} Files and folder entries
+ */
+function collapseFolders(files, prefix, delimiter) {
+  if (!delimiter) {
+    return files;
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const index = file.fileName.indexOf(delimiter, prefix.length);
+    if (index === -1) {
+      entries.push(file);
+      continue;
+    }
+
+    const folderName = file.fileName.slice(0, index + delimiter.length);
+    if (entries[entries.length - 1]?.fileName !== folderName) {
+      entries.push({
+        accountId: file.accountId,
+        action: 'folder',
+        bucketId: file.bucketId,
+        contentLength: 0,
+        contentSha1: null,
+        contentType: null,
+        fileId: null,
+        fileInfo: {},
+        fileName: folderName,
+        uploadTimestamp: 0,
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Wrap a file lock setting in the form B2 returns it
+ * @param {*} value - Setting value
+ * @returns {Object} { isClientAuthorizedToRead, value }
+ */
+function readable(value) {
+  return { isClientAuthorizedToRead: true, value };
+}
+
+/**
+ * Local B2 API server. State and file contents are kept in memory, or with
+ * dataDir in a directory so they survive restarts.
+ */
+export class B2Emulator {
+  /**
+   * @param {Object} [options] - Emulator options
+   * @param {string} [options.applicationKeyId] - ID of the master application key, also used as account ID (default: 'emulator0001')
+   * @param {string} [options.applicationKey] - Master application key (default: 'emulatorApplicationKey')
+   * @param {string} [options.dataDir] - Directory to keep state and file contents in, instead of memory
+   * @param {number} [options.port] - Port to listen on (default: 0, any free port)
+   * @param {string} [options.host] - Host to listen on (default: '127.0.0.1')
+   * @param {number} [options.recommendedPartSize] - Part size recommended to clients (default: 100MB)
+   * @param {number} [options.absoluteMinimumPartSize] - Smallest size of all but the last part of a large file (default: 5MB, like B2); lower it to test large files with little data
+   */
+  constructor(options = {}) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('options must be an object');
+    }
+
+    this.applicationKeyId =
+      options.applicationKeyId || DEFAULT_APPLICATION_KEY_ID;
+    this.applicationKey = options.applicationKey || DEFAULT_APPLICATION_KEY;
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.recommendedPartSize =
+      options.recommendedPartSize || DEFAULT_CONFIG.RECOMMENDED_PART_SIZE;
+    this.absoluteMinimumPartSize =
+      options.absoluteMinimumPartSize || DEFAULT_CONFIG.MIN_PART_SIZE;
+    this.storage = options.dataDir
+      ? new DiskStorage(options.dataDir)
+      : new MemoryStorage();
+
+    this.server = null;
+    this.url = null;
+    this.state = null;
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} URL of the emulator, to pass as baseUrl
+   */
+  async start() {
+    if (this.server) {
+      throw new Error('Emulator is already running');
+    }
+
+    this.state = (await this.storage.loadState()) || {
+      accountId: this.applicationKeyId,
+      buckets: [],
+      files: [],
+      parts: {},
+      keys: [],
+      tokens: {},
+      notificationRules: {},
+      // MD5s of the customer keys of SSE-C files, never sent to clients
+      customerKeyMd5s: {},
+    };
+
+    const server = createServer((req, res) => {
+      this.handle(req, res);
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+
+    this.server = server;
+    const { port } = server.address();
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    this.url = `http://${host}:${port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening, closing open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+
+    // closeAllConnections is missing before Node.js 18.2
+    server.closeAllConnections?.();
+    await new Promise((resolve, reject) => {
+      server.close((error) => (error ? reject(error) : resolve()));
+    });
+    await this.saveQueue;
+  }
+
+  /**
+   * Expire all issued auth, upload and download tokens, so clients get
+   * expired_auth_token errors and have to authorize again
+   * @returns {Promise<void>}
+   */
+  async expireTokens() {
+    const now = Date.now();
+    for (const entry of Object.values(this.state.tokens)) {
+      entry.expiresAt = Math.min(entry.expiresAt, now);
+    }
+    await this.save();
+  }
+
+  /**
+   * Handle a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname.startsWith('/file/')) {
+        await this.downloadFileByName(req, res, url);
+        return;
+      }
+
+      const match = /^\/b2api\/v\d+\/(b2_\w+)(?:\/([^/]+))?$/.exec(
+        url.pathname
+      );
+      const call = match?.[1];
+
+      if (call === 'b2_authorize_account') {
+        this.requireMethod(req, 'GET');
+        sendJson(res, 200, this.authorizeAccount(req));
+      } else if (call === 'b2_download_file_by_id') {
+        await this.downloadFileById(req, res, url);
+        return;
+      } else if (call === 'b2_upload_file' && match[2]) {
+        sendJson(res, 200, await this.uploadFile(req, match[2]));
+      } else if (call === 'b2_upload_part' && match[2]) {
+        sendJson(res, 200, await this.uploadPart(req, match[2]));
+      } else if (API_CALLS[call]) {
+        this.requireMethod(req, 'POST');
+        const { handler, capability } = API_CALLS[call];
+        const body = await readBody(req);
+        let params;
+        try {
+          params = body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+        } catch {
+          throw createApiError(400, 'bad_request', 'Request body is not JSON');
+        }
+        const key = this.authenticate(req, capability);
+        sendJson(res, 200, await this[handler](params, key, req));
+      } else {
+        throw createApiError(404, 'not_found', `Unknown path: ${url.pathname}`);
+      }
+
+      await this.save();
+    } catch (error) {
+      // Rejected uploads are read to the end, so the client sees the error
+      // instead of a connection reset
+      if (!req.complete) {
+        req.resume();
+        await finished(req).catch(() => {});
+      }
+
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      const status = error.status || 500;
+      sendJson(
+        res,
+        status,
+        {
+          status,
+          code: error.code || 'internal_error',
+          message: error.message,
+        },
+        error.headers
+      );
+    }
+  }
+
+  /**
+   * Save the state. Saves are chained, so concurrent requests never write
+   * it at the same time.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const saving = this.saveQueue.then(() =>
+      this.storage.saveState(this.state)
+    );
+    this.saveQueue = saving.catch(() => {});
+    return saving;
+  }
+
+  /**
+   * Throw unless the request uses the given method
+   * @param {http.IncomingMessage} req - Request
+   * @param {...string} methods - Allowed methods
+   */
+  requireMethod(req, ...methods) {
+    if (!methods.includes(req.method)) {
+      throw createApiError(
+        405,
+        'method_not_allowed',
+        `Method ${req.method} is not allowed, use ${methods.join(' or ')}`
+      );
+    }
+  }
+
+  /**
+   * Get the base URL clients reached the emulator at, so returned URLs work
+   * from wherever the client is
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string} Base URL
+   */
+  getBaseUrl(req) {
+    return req.headers.host ? `http://${req.headers.host}` : this.url;
+  }
+
+  // ===== AUTHORIZATION =====
+
+  /**
+   * Get an application key by ID, including the master key
+   * @param {string} applicationKeyId - Application key ID
+   * @returns {Object|null} Key, or null if there is none
+   */
+  getKey(applicationKeyId) {
+    if (applicationKeyId === this.applicationKeyId) {
+      return {
+        applicationKeyId: this.applicationKeyId,
+        applicationKey: this.applicationKey,
+        capabilities: MASTER_CAPABILITIES,
+        bucketId: null,
+        namePrefix: null,
+        expirationTimestamp: null,
+      };
+    }
+    return (
+      this.state.keys.find(
+        (key) => key.applicationKeyId === applicationKeyId
+      ) || null
+    );
+  }
+
+  /**
+   * Issue a token
+   * @param {Object} entry - What the token grants: { type, ... }
+   * @param {number} [lifetime] - Milliseconds the token is valid
+   * @returns {string} Token
+   */
+  createToken(entry, lifetime = TOKEN_LIFETIME) {
+    const now = Date.now();
+    // Tokens long expired are forgotten, recently expired ones still get
+    // expired_auth_token errors
+    for (const [token, { expiresAt }] of Object.entries(this.state.tokens)) {
+      if (expiresAt < now - TOKEN_LIFETIME) {
+        delete this.state.tokens[token];
+      }
+    }
+
+    const token = `4_${randomBytes(24).toString('hex')}`;
+    this.state.tokens[token] = { ...entry, expiresAt: now + lifetime };
+    return token;
+  }
+
+  /**
+   * Look up a token
+   * @param {string|null|undefined} token - Token from the request
+   * @param {string[]} types - Token types accepted
+   * @returns {Object} Token entry
+   * @throws {Error} If the token is unknown or expired
+   */
+  getToken(token, types) {
+    const entry = token ? this.state.tokens[token] : undefined;
+    if (!entry || !types.includes(entry.type)) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.BAD_AUTH_TOKEN,
+        'Invalid authorization token'
+      );
+    }
+    if (entry.expiresAt <= Date.now()) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.EXPIRED_AUTH_TOKEN,
+        'Authorization token has expired'
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Get the key of the auth token of a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} capability - Capability the key needs
+   * @returns {Object} Application key
+   * @throws {Error} If the token is invalid or the key lacks the capability
+   */
+  authenticate(req, capability) {
+    const entry = this.getToken(req.headers.authorization, ['account']);
+    const key = this.getKey(entry.applicationKeyId);
+    if (!key) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.BAD_AUTH_TOKEN,
+        'The application key of this token was deleted'
+      );
+    }
+    if (!key.capabilities.includes(capability)) {
+      throw createApiError(
+        401,
+        'unauthorized',
+        `Application key is missing the ${capability} capability`
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Handle b2_authorize_account
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object} Authorization in the v4 format
+   */
+  authorizeAccount(req) {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const credentials =
+      scheme === 'Basic' && encoded
+        ? Buffer.from(encoded, 'base64').toString('utf8')
+        : '';
+    const colon = credentials.indexOf(':');
+    const key = colon === -1 ? null : this.getKey(credentials.slice(0, colon));
+
+    if (
+      !key ||
+      key.applicationKey !== credentials.slice(colon + 1) ||
+      (key.expirationTimestamp !== null &&
+        key.expirationTimestamp <= Date.now())
+    ) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.BAD_AUTH_TOKEN,
+        'Invalid application key ID or application key'
+      );
+    }
+
+    const baseUrl = this.getBaseUrl(req);
+    const bucket = key.bucketId
+      ? this.state.buckets.find((b) => b.bucketId === key.bucketId)
+      : null;
+
+    return {
+      accountId: this.state.accountId,
+      authorizationToken: this.createToken({
+        type: 'account',
+        applicationKeyId: key.applicationKeyId,
+      }),
+      applicationKeyExpirationTimestamp: key.expirationTimestamp,
+      apiInfo: {
+        storageApi: {
+          apiUrl: baseUrl,
+          downloadUrl: baseUrl,
+          recommendedPartSize: this.recommendedPartSize,
+          absoluteMinimumPartSize: this.absoluteMinimumPartSize,
+          allowed: {
+            buckets: key.bucketId
+              ? [{ id: key.bucketId, name: bucket?.bucketName ?? null }]
+              : null,
+            capabilities: key.capabilities,
+            namePrefix: key.namePrefix,
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Throw unless the account ID of a request is the emulated account's
+   * @param {Object} params - Request parameters
+   */
+  checkAccount(params) {
+    requireString(params.accountId, 'accountId');
+    if (params.accountId !== this.state.accountId) {
+      throw createApiError(
+        401,
+        'unauthorized',
+        `Account ${params.accountId} does not match the authorization token`
+      );
+    }
+  }
+
+  // ===== BUCKETS =====
+
+  /**
+   * Get a bucket the key has access to
+   * @param {string} bucketId - Bucket ID
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Bucket
+   * @throws {Error} If the bucket doesn't exist or the key is restricted to another bucket
+   */
+  getBucket(bucketId, key) {
+    requireString(bucketId, 'bucketId');
+    if (key.bucketId && key.bucketId !== bucketId) {
+      throw createApiError(
+        401,
+        'unauthorized',
+        `Application key is restricted to bucket ${key.bucketId}`
+      );
+    }
+
+    const bucket = this.state.buckets.find((b) => b.bucketId === bucketId);
+    if (!bucket) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.INVALID_BUCKET_ID,
+        `Invalid bucketId: ${bucketId}`
+      );
+    }
+    return bucket;
+  }
+
+  /**
+   * Throw unless a bucket type is one clients can set
+   * @param {*} bucketType - Bucket type
+   */
+  validateBucketType(bucketType) {
+    if (!Object.values(BUCKET_TYPES).includes(bucketType)) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Invalid bucketType: ${bucketType}`
+      );
+    }
+  }
+
+  /**
+   * Handle b2_create_bucket
+   * @param {Object} params - Request parameters
+   * @returns {Object} Bucket
+   */
+  createBucket(params) {
+    this.checkAccount(params);
+    const { bucketName } = params;
+    requireString(bucketName, 'bucketName');
+    this.validateBucketType(params.bucketType);
+
+    if (
+      !/^[A-Za-z0-9-]{6,63}$/.test(bucketName) ||
+      bucketName.toLowerCase().startsWith('b2-')
+    ) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.INVALID_BUCKET_NAME,
+        `Invalid bucket name: ${bucketName}`
+      );
+    }
+
+    if (this.state.buckets.some((b) => b.bucketName === bucketName)) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.DUPLICATE_BUCKET_NAME,
+        `Bucket name is already in use: ${bucketName}`
+      );
+    }
+
+    const bucket = {
+      accountId: this.state.accountId,
+      bucketId: randomBytes(12).toString('hex'),
+      bucketName,
+      bucketType: params.bucketType,
+      bucketInfo: params.bucketInfo || {},
+      corsRules: params.corsRules || [],
+      lifecycleRules: params.lifecycleRules || [],
+      defaultServerSideEncryption: readable(
+        params.defaultServerSideEncryption || { mode: null }
+      ),
+      fileLockConfiguration: readable({
+        defaultRetention: { mode: null, period: null },
+        isFileLockEnabled: !!params.fileLockEnabled,
+      }),
+      replicationConfiguration: readable(
+        params.replicationConfiguration || null
+      ),
+      options: [],
+      revision: 1,
+    };
+    this.state.buckets.push(bucket);
+    return bucket;
+  }
+
+  /**
+   * Handle b2_delete_bucket
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Deleted bucket
+   */
+  deleteBucket(params, key) {
+    this.checkAccount(params);
+    const bucket = this.getBucket(params.bucketId, key);
+
+    if (this.state.files.some((file) => file.bucketId === bucket.bucketId)) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.BUCKET_NOT_EMPTY,
+        `Bucket is not empty: ${bucket.bucketName}`
+      );
+    }
+
+    this.state.buckets = this.state.buckets.filter((b) => b !== bucket);
+    delete this.state.notificationRules[bucket.bucketId];
+    return bucket;
+  }
+
+  /**
+   * Handle b2_list_buckets
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { buckets }
+   */
+  listBuckets(params, key) {
+    this.checkAccount(params);
+    const { bucketId, bucketName, bucketTypes } = params;
+
+    const buckets = this.state.buckets
+      .filter(
+        (bucket) =>
+          (!key.bucketId || bucket.bucketId === key.bucketId) &&
+          (!bucketId || bucket.bucketId === bucketId) &&
+          (!bucketName || bucket.bucketName === bucketName) &&
+          (!Array.isArray(bucketTypes) ||
+            bucketTypes.includes('all') ||
+            bucketTypes.includes(bucket.bucketType))
+      )
+      .sort((a, b) => (a.bucketName < b.bucketName ? -1 : 1));
+
+    return { buckets };
+  }
+
+  /**
+   * Handle b2_update_bucket
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Updated bucket
+   */
+  updateBucket(params, key) {
+    this.checkAccount(params);
+    const bucket = this.getBucket(params.bucketId, key);
+
+    if (
+      params.ifRevisionMatch !== undefined &&
+      params.ifRevisionMatch !== bucket.revision
+    ) {
+      throw createApiError(
+        409,
+        B2_ERROR_CODES.CONFLICT,
+        `Bucket revision is ${bucket.revision}, not ${params.ifRevisionMatch}`
+      );
+    }
+
+    if (params.bucketType !== undefined) {
+      this.validateBucketType(params.bucketType);
+      bucket.bucketType = params.bucketType;
+    }
+    for (const field of ['bucketInfo', 'corsRules', 'lifecycleRules']) {
+      if (params[field] !== undefined) {
+        bucket[field] = params[field];
+      }
+    }
+    if (params.defaultServerSideEncryption !== undefined) {
+      bucket.defaultServerSideEncryption = readable(
+        params.defaultServerSideEncryption
+      );
+    }
+    if (params.replicationConfiguration !== undefined) {
+      bucket.replicationConfiguration = readable(
+        params.replicationConfiguration
+      );
+    }
+    if (params.fileLockEnabled) {
+      bucket.fileLockConfiguration.value.isFileLockEnabled = true;
+    }
+    if (params.defaultRetention !== undefined) {
+      if (!bucket.fileLockConfiguration.value.isFileLockEnabled) {
+        throw createApiError(
+          400,
+          'bad_request',
+          `File lock is not enabled on bucket: ${bucket.bucketName}`
+        );
+      }
+      bucket.fileLockConfiguration.value.defaultRetention =
+        params.defaultRetention;
+    }
+
+    bucket.revision++;
+    return bucket;
+  }
+
+  /**
+   * Handle b2_get_bucket_notification_rules
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { bucketId, eventNotificationRules }
+   */
+  getBucketNotificationRules(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    return {
+      bucketId: bucket.bucketId,
+      eventNotificationRules:
+        this.state.notificationRules[bucket.bucketId] || [],
+    };
+  }
+
+  /**
+   * Handle b2_set_bucket_notification_rules
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { bucketId, eventNotificationRules }
+   */
+  setBucketNotificationRules(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    if (!Array.isArray(params.eventNotificationRules)) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'eventNotificationRules is required'
+      );
+    }
+
+    this.state.notificationRules[bucket.bucketId] =
+      params.eventNotificationRules;
+    return this.getBucketNotificationRules(params, key);
+  }
+
+  // ===== FILES =====
+
+  /**
+   * Get a file version, if the key has access to its bucket
+   * @param {string} fileId - File ID
+   * @param {Object} key - Application key of the request
+   * @returns {Object|null} File version, or null if there is none
+   */
+  getFileVersion(fileId, key) {
+    requireString(fileId, 'fileId');
+    const file = this.state.files.find((f) => f.fileId === fileId);
+    if (file && key.bucketId && key.bucketId !== file.bucketId) {
+      throw createApiError(
+        401,
+        'unauthorized',
+        `Application key is restricted to bucket ${key.bucketId}`
+      );
+    }
+    return file || null;
+  }
+
+  /**
+   * Get the latest version of a file, ignoring unfinished large files
+   * @param {string} bucketId - Bucket ID
+   * @param {string} fileName - File name
+   * @returns {Object|null} Upload or hide marker, or null if there is none
+   */
+  getLatestVersion(bucketId, fileName) {
+    return (
+      this.state.files.find(
+        (file) =>
+          file.bucketId === bucketId &&
+          file.fileName === fileName &&
+          file.action !== 'start'
+      ) || null
+    );
+  }
+
+  /**
+   * Add a file version. Versions are kept sorted by name and newest first,
+   * the order B2 lists them in.
+   * @param {Object} bucket - Bucket of the file
+   * @param {Object} fields - Fields of the version; fileRetention and legalHold are plain values
+   * @returns {Object} File version
+   */
+  addFileVersion(bucket, fields) {
+    const {
+      fileRetention = { mode: null, retainUntilTimestamp: null },
+      legalHold = null,
+      ...rest
+    } = fields;
+
+    const file = {
+      accountId: this.state.accountId,
+      action: 'upload',
+      bucketId: bucket.bucketId,
+      contentLength: 0,
+      contentMd5: null,
+      contentSha1: CONTENT_SHA1_VALUES.NONE,
+      contentType: CONTENT_TYPES.OCTET_STREAM,
+      fileId: `4_z${bucket.bucketId}_f${randomBytes(12).toString('hex')}`,
+      fileInfo: {},
+      fileName: '',
+      fileRetention: readable(fileRetention),
+      legalHold: readable(legalHold),
+      replicationStatus: null,
+      serverSideEncryption: { algorithm: null, mode: null },
+      uploadTimestamp: Date.now(),
+      ...rest,
+    };
+
+    const index = this.state.files.findIndex(
+      (f) => f.fileName >= file.fileName
+    );
+    if (index === -1) {
+      this.state.files.push(file);
+    } else {
+      this.state.files.splice(index, 0, file);
+    }
+    return file;
+  }
+
+  /**
+   * Throw if file lock settings are given for a bucket without file lock
+   * @param {Object} bucket - Bucket
+   * @param {Object|undefined} fileRetention - Requested retention
+   * @param {string|undefined} legalHold - Requested legal hold
+   */
+  validateFileLock(bucket, fileRetention, legalHold) {
+    if (
+      (fileRetention || legalHold) &&
+      !bucket.fileLockConfiguration.value.isFileLockEnabled
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `File lock is not enabled on bucket: ${bucket.bucketName}`
+      );
+    }
+  }
+
+  /**
+   * Read and check the body of an upload
+   * @param {http.IncomingMessage} req - Upload request
+   * @returns {Promise<Object>} { data, sha1, sha1AtEnd }
+   * @throws {Error} If headers are missing or the SHA1 doesn't match
+   */
+  async readUpload(req) {
+    if (req.headers['content-length'] === undefined) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'Missing header: Content-Length'
+      );
+    }
+
+    const expected = req.headers['x-bz-content-sha1'];
+    if (!expected) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'Missing header: X-Bz-Content-Sha1'
+      );
+    }
+
+    const body = await readBody(req);
+    const sha1AtEnd = expected === CONTENT_SHA1_VALUES.HEX_DIGITS_AT_END;
+    let data = body;
+    let expectedSha1 = expected;
+    if (sha1AtEnd) {
+      if (body.length < 40) {
+        throw createApiError(
+          400,
+          'bad_request',
+          'Body is too short to end with a SHA1'
+        );
+      }
+      data = body.subarray(0, body.length - 40);
+      expectedSha1 = body.subarray(body.length - 40).toString('latin1');
+    }
+
+    const sha1 = sha1Hex(data);
+    if (sha1 !== expectedSha1.toLowerCase()) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Checksum did not match data received: expected ${expectedSha1}, got ${sha1}`
+      );
+    }
+
+    return { data, sha1, sha1AtEnd };
+  }
+
+  /**
+   * Get the SSE-C customer key sent in the headers of a request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|undefined} { algorithm, mode, customerKey, customerKeyMd5 }, undefined if none was sent
+   */
+  getRequestCustomerKey(req) {
+    const algorithm =
+      req.headers['x-bz-server-side-encryption-customer-algorithm'];
+    if (!algorithm) {
+      return undefined;
+    }
+    return {
+      algorithm,
+      mode: 'SSE-C',
+      customerKey: req.headers['x-bz-server-side-encryption-customer-key'],
+      customerKeyMd5:
+        req.headers['x-bz-server-side-encryption-customer-key-md5'],
+    };
+  }
+
+  /**
+   * Get the encryption a new file version asks for, the bucket default if
+   * none
+   * @param {Object|undefined} encryption - Requested encryption with mode, algorithm and, for SSE-C, customerKey and customerKeyMd5
+   * @param {Object} bucket - Bucket of the file
+   * @returns {Object} { algorithm, mode }, and customerKeyMd5 for SSE-C
+   */
+  getEncryption(encryption, bucket) {
+    if (encryption?.mode === 'SSE-C') {
+      return {
+        algorithm: encryption.algorithm,
+        mode: 'SSE-C',
+        customerKeyMd5: getCustomerKeyMd5(encryption),
+      };
+    }
+    if (encryption?.mode) {
+      return { algorithm: encryption.algorithm, mode: encryption.mode };
+    }
+    const { mode, algorithm = null } = bucket.defaultServerSideEncryption.value;
+    return { algorithm: mode ? algorithm : null, mode: mode || null };
+  }
+
+  /**
+   * Get the encryption an upload asks for
+   * @param {http.IncomingMessage} req - Upload request
+   * @param {Object} bucket - Bucket uploaded to
+   * @returns {Object} { algorithm, mode }, and customerKeyMd5 for SSE-C
+   */
+  getUploadEncryption(req, bucket) {
+    const sseB2 = req.headers['x-bz-server-side-encryption'];
+    if (sseB2) {
+      return { algorithm: sseB2, mode: 'SSE-B2' };
+    }
+    return this.getEncryption(this.getRequestCustomerKey(req), bucket);
+  }
+
+  /**
+   * Add a file version with its encryption. The MD5 of an SSE-C customer key
+   * is kept apart from the version, which is returned to clients.
+   * @param {Object} bucket - Bucket of the file
+   * @param {Object} fields - Fields of the version
+   * @param {Object} encryption - Encryption from getEncryption
+   * @returns {Object} File version
+   */
+  addEncryptedFileVersion(bucket, fields, encryption) {
+    const { customerKeyMd5, ...serverSideEncryption } = encryption;
+    const file = this.addFileVersion(bucket, {
+      ...fields,
+      serverSideEncryption,
+    });
+    if (customerKeyMd5) {
+      this.state.customerKeyMd5s[file.fileId] = customerKeyMd5;
+    }
+    return file;
+  }
+
+  /**
+   * Throw unless a request sends the customer key of an SSE-C file
+   * @param {Object} file - File version
+   * @param {Object|undefined} encryption - Sent encryption with customerKey and customerKeyMd5
+   */
+  checkCustomerKey(file, encryption) {
+    if (file.serverSideEncryption.mode !== 'SSE-C') {
+      return;
+    }
+    if (encryption?.mode !== 'SSE-C') {
+      throw createApiError(
+        400,
+        'bad_request',
+        `File ${file.fileId} is encrypted with SSE-C, its customer key is required`
+      );
+    }
+    if (
+      getCustomerKeyMd5(encryption) !== this.state.customerKeyMd5s[file.fileId]
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Customer key does not match the key of file ${file.fileId}`
+      );
+    }
+  }
+
+  /**
+   * Handle b2_upload_file
+   * @param {http.IncomingMessage} req - Upload request
+   * @param {string} bucketId - Bucket ID from the upload URL
+   * @returns {Promise<Object>} Uploaded file version
+   */
+  async uploadFile(req, bucketId) {
+    this.requireMethod(req, 'POST');
+    const token = this.getToken(req.headers.authorization, ['upload']);
+    const bucket = this.state.buckets.find((b) => b.bucketId === bucketId);
+    if (token.bucketId !== bucketId || !bucket) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.BAD_AUTH_TOKEN,
+        'Invalid upload authorization token'
+      );
+    }
+
+    let fileName;
+    try {
+      fileName = decodeURIComponent(req.headers['x-bz-file-name'] || '');
+    } catch {
+      throw createApiError(
+        400,
+        'bad_request',
+        'X-Bz-File-Name is not percent-encoded'
+      );
+    }
+    requireString(fileName, 'X-Bz-File-Name');
+
+    let contentType = req.headers['content-type'];
+    requireString(contentType, 'Content-Type');
+    if (contentType === CONTENT_TYPES.AUTO) {
+      const extension = fileName.split('.').pop().toLowerCase();
+      contentType = AUTO_CONTENT_TYPES[extension] || CONTENT_TYPES.OCTET_STREAM;
+    }
+
+    const fileInfo = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (name.startsWith('x-bz-info-')) {
+        try {
+          fileInfo[name.slice('x-bz-info-'.length)] = decodeURIComponent(value);
+        } catch {
+          throw createApiError(
+            400,
+            'bad_request',
+            `${name} is not percent-encoded`
+          );
+        }
+      }
+    }
+
+    const retentionMode = req.headers['x-bz-file-retention-mode'];
+    const fileRetention = retentionMode
+      ? {
+          mode: retentionMode,
+          retainUntilTimestamp: Number(
+            req.headers['x-bz-file-retention-retain-until-timestamp']
+          ),
+        }
+      : undefined;
+    const legalHold = req.headers['x-bz-file-legal-hold'];
+    this.validateFileLock(bucket, fileRetention, legalHold);
+
+    const encryption = this.getUploadEncryption(req, bucket);
+    const { data, sha1, sha1AtEnd } = await this.readUpload(req);
+
+    const file = this.addEncryptedFileVersion(
+      bucket,
+      {
+        fileName,
+        contentType,
+        contentLength: data.length,
+        // B2 marks SHA1s sent after the data as unverified
+        contentSha1: sha1AtEnd
+          ? `${CONTENT_SHA1_VALUES.UNVERIFIED_PREFIX}${sha1}`
+          : sha1,
+        fileInfo,
+        fileRetention,
+        legalHold,
+      },
+      encryption
+    );
+    await this.storage.writeBlob(file.fileId, data);
+    return file;
+  }
+
+  /**
+   * Handle b2_list_file_names
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { files, nextFileName }
+   */
+  listFileNames(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    const maxFileCount = parseMaxCount(
+      params.maxFileCount,
+      'maxFileCount',
+      100,
+      10000
+    );
+    const prefix = params.prefix || '';
+    const startFileName = params.startFileName || '';
+
+    // Versions of a name are next to each other, newest first
+    const files = [];
+    let lastName = null;
+    for (const file of this.state.files) {
+      if (
+        file.bucketId !== bucket.bucketId ||
+        file.action === 'start' ||
+        file.fileName === lastName
+      ) {
+        continue;
+      }
+      lastName = file.fileName;
+      if (
+        file.action === 'upload' &&
+        file.fileName.startsWith(prefix) &&
+        file.fileName >= startFileName
+      ) {
+        files.push(file);
+      }
+    }
+
+    const entries = collapseFolders(files, prefix, params.delimiter);
+    return {
+      files: entries.slice(0, maxFileCount),
+      nextFileName: entries[maxFileCount]?.fileName ?? null,
+    };
+  }
+
+  /**
+   * Handle b2_list_file_versions
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { files, nextFileName, nextFileId }
+   */
+  listFileVersions(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    const maxFileCount = parseMaxCount(
+      params.maxFileCount,
+      'maxFileCount',
+      100,
+      10000
+    );
+    const prefix = params.prefix || '';
+    const { startFileName = '', startFileId } = params;
+
+    if (startFileId && !startFileName) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'startFileId requires startFileName'
+      );
+    }
+
+    const versions = this.state.files.filter(
+      (file) =>
+        file.bucketId === bucket.bucketId && file.fileName.startsWith(prefix)
+    );
+    let start = versions.findIndex((file) => file.fileName >= startFileName);
+    if (startFileId) {
+      const index = versions.findIndex(
+        (file) => file.fileName === startFileName && file.fileId === startFileId
+      );
+      start = index === -1 ? start : index;
+    }
+
+    const entries = collapseFolders(
+      start === -1 ? [] : versions.slice(start),
+      prefix,
+      params.delimiter
+    );
+    const next = entries[maxFileCount];
+    return {
+      files: entries.slice(0, maxFileCount),
+      nextFileName: next?.fileName ?? null,
+      nextFileId: next?.fileId ?? null,
+    };
+  }
+
+  /**
+   * Handle b2_get_file_info
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} File version
+   */
+  getFileInfo(params, key) {
+    const file = this.getFileVersion(params.fileId, key);
+    if (!file || file.action !== 'upload') {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.fileId}`
+      );
+    }
+    return file;
+  }
+
+  /**
+   * Throw if Object Lock protects a file version from deletion
+   * @param {Object} file - File version
+   * @param {boolean} bypassGovernance - Whether governance retention may be bypassed
+   */
+  checkFileLock(file, bypassGovernance) {
+    const { mode, retainUntilTimestamp } = file.fileRetention.value;
+    const retained =
+      mode &&
+      retainUntilTimestamp > Date.now() &&
+      !(mode === RETENTION_MODES.GOVERNANCE && bypassGovernance);
+
+    if (retained || file.legalHold.value === 'on') {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.ACCESS_DENIED,
+        `File is protected by Object Lock: ${file.fileName}`
+      );
+    }
+  }
+
+  /**
+   * Handle b2_delete_file_version
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} { fileId, fileName }
+   */
+  async deleteFileVersion(params, key) {
+    requireString(params.fileName, 'fileName');
+    const file = this.getFileVersion(params.fileId, key);
+    if (!file || file.fileName !== params.fileName) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.fileName} ${params.fileId}`
+      );
+    }
+
+    this.checkFileLock(
+      file,
+      !!params.bypassGovernance && key.capabilities.includes('bypassGovernance')
+    );
+
+    await this.removeFileVersion(file);
+    return { fileId: file.fileId, fileName: file.fileName };
+  }
+
+  /**
+   * Remove a file version with its content, or parts for unfinished large
+   * files
+   * @param {Object} file - File version
+   * @returns {Promise<void>}
+   */
+  async removeFileVersion(file) {
+    this.state.files = this.state.files.filter((f) => f !== file);
+    for (const part of this.state.parts[file.fileId] || []) {
+      await this.storage.deleteBlob(`${file.fileId}.${part.partNumber}`);
+    }
+    delete this.state.parts[file.fileId];
+    delete this.state.customerKeyMd5s[file.fileId];
+    await this.storage.deleteBlob(file.fileId);
+  }
+
+  /**
+   * Handle b2_hide_file
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Hide marker
+   */
+  hideFile(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    requireString(params.fileName, 'fileName');
+
+    const latest = this.getLatestVersion(bucket.bucketId, params.fileName);
+    if (!latest || latest.action !== 'upload') {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.fileName}`
+      );
+    }
+
+    return this.addFileVersion(bucket, {
+      action: 'hide',
+      fileName: params.fileName,
+      contentType: 'application/x-bz-hide-marker',
+    });
+  }
+
+  /**
+   * Read the data of a copy source
+   * @param {Object} params - Request parameters with sourceFileId, range and sourceServerSideEncryption
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} { source, data }
+   */
+  async readCopySource(params, key) {
+    const source = this.getFileVersion(params.sourceFileId, key);
+    if (!source || source.action !== 'upload') {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.sourceFileId}`
+      );
+    }
+    this.checkCustomerKey(source, params.sourceServerSideEncryption);
+
+    let data = await this.storage.readBlob(source.fileId);
+    if (params.range !== undefined) {
+      const range = parseRange(params.range, data.length);
+      if (!range) {
+        throw createApiError(
+          400,
+          'bad_request',
+          `Invalid range: ${params.range}`
+        );
+      }
+      data = data.subarray(range.start, range.end + 1);
+    }
+    return { source, data };
+  }
+
+  /**
+   * Handle b2_copy_file
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} New file version
+   */
+  async copyFile(params, key) {
+    requireString(params.fileName, 'fileName');
+    const { source, data } = await this.readCopySource(params, key);
+    const bucket = this.getBucket(
+      params.destinationBucketId || source.bucketId,
+      key
+    );
+
+    const directive = params.metadataDirective || METADATA_DIRECTIVES.COPY;
+    if (directive === METADATA_DIRECTIVES.COPY) {
+      if (params.contentType !== undefined || params.fileInfo !== undefined) {
+        throw createApiError(
+          400,
+          'bad_request',
+          'contentType and fileInfo must not be set with metadataDirective COPY'
+        );
+      }
+    } else if (directive === METADATA_DIRECTIVES.REPLACE) {
+      requireString(params.contentType, 'contentType');
+    } else {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Invalid metadataDirective: ${directive}`
+      );
+    }
+    this.validateFileLock(bucket, params.fileRetention, params.legalHold);
+
+    const replace = directive === METADATA_DIRECTIVES.REPLACE;
+    const file = this.addEncryptedFileVersion(
+      bucket,
+      {
+        fileName: params.fileName,
+        contentType: replace ? params.contentType : source.contentType,
+        contentLength: data.length,
+        contentSha1: sha1Hex(data),
+        fileInfo: replace ? params.fileInfo || {} : { ...source.fileInfo },
+        fileRetention: params.fileRetention,
+        legalHold: params.legalHold,
+      },
+      this.getEncryption(params.destinationServerSideEncryption, bucket)
+    );
+    await this.storage.writeBlob(file.fileId, data);
+    return file;
+  }
+
+  /**
+   * Handle b2_update_file_retention
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { fileId, fileName, fileRetention }
+   */
+  updateFileRetention(params, key) {
+    const file = this.getFileVersion(params.fileId, key);
+    if (!file || file.fileName !== params.fileName) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.fileName} ${params.fileId}`
+      );
+    }
+    const bucket = this.getBucket(file.bucketId, key);
+    if (!params.fileRetention || typeof params.fileRetention !== 'object') {
+      throw createApiError(400, 'bad_request', 'fileRetention is required');
+    }
+    this.validateFileLock(bucket, params.fileRetention);
+
+    // Compliance retention can only be extended
+    const current = file.fileRetention.value;
+    if (
+      current.mode === RETENTION_MODES.COMPLIANCE &&
+      current.retainUntilTimestamp > Date.now() &&
+      (params.fileRetention.mode !== RETENTION_MODES.COMPLIANCE ||
+        params.fileRetention.retainUntilTimestamp <
+          current.retainUntilTimestamp)
+    ) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.ACCESS_DENIED,
+        `Compliance retention can't be shortened: ${file.fileName}`
+      );
+    }
+
+    file.fileRetention = readable(params.fileRetention);
+    return {
+      fileId: file.fileId,
+      fileName: file.fileName,
+      fileRetention: params.fileRetention,
+    };
+  }
+
+  /**
+   * Handle b2_update_file_legal_hold
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { fileId, fileName, legalHold }
+   */
+  updateFileLegalHold(params, key) {
+    const file = this.getFileVersion(params.fileId, key);
+    if (!file || file.fileName !== params.fileName) {
+      throw createApiError(
+        400,
+        B2_ERROR_CODES.FILE_NOT_PRESENT,
+        `File not present: ${params.fileName} ${params.fileId}`
+      );
+    }
+    const bucket = this.getBucket(file.bucketId, key);
+    if (params.legalHold !== 'on' && params.legalHold !== 'off') {
+      throw createApiError(400, 'bad_request', 'legalHold must be on or off');
+    }
+    this.validateFileLock(bucket, undefined, params.legalHold);
+
+    file.legalHold = readable(params.legalHold);
+    return {
+      fileId: file.fileId,
+      fileName: file.fileName,
+      legalHold: params.legalHold,
+    };
+  }
+
+  // ===== LARGE FILES =====
+
+  /**
+   * Get an unfinished large file
+   * @param {string} fileId - Large file ID
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Large file version
+   * @throws {Error} If there is no unfinished large file with the ID
+   */
+  getLargeFile(fileId, key) {
+    const file = this.getFileVersion(fileId, key);
+    if (!file || file.action !== 'start') {
+      throw createApiError(
+        400,
+        'bad_request',
+        `No active large file upload for: ${fileId}`
+      );
+    }
+    return file;
+  }
+
+  /**
+   * Store a part of a large file
+   * @param {Object} largeFile - Large file version
+   * @param {number} partNumber - Part number
+   * @param {Buffer} data - Part data
+   * @param {string} sha1 - SHA1 of the data
+   * @returns {Promise<Object>} Part
+   */
+  async addPart(largeFile, partNumber, data, sha1) {
+    await this.storage.writeBlob(`${largeFile.fileId}.${partNumber}`, data);
+
+    const part = {
+      fileId: largeFile.fileId,
+      partNumber,
+      contentLength: data.length,
+      contentSha1: sha1,
+      contentMd5: null,
+      serverSideEncryption: largeFile.serverSideEncryption,
+      uploadTimestamp: Date.now(),
+    };
+    const parts = (this.state.parts[largeFile.fileId] || []).filter(
+      (p) => p.partNumber !== partNumber
+    );
+    parts.push(part);
+    parts.sort((a, b) => a.partNumber - b.partNumber);
+    this.state.parts[largeFile.fileId] = parts;
+    return part;
+  }
+
+  /**
+   * Throw unless a part number is valid
+   * @param {*} partNumber - Part number
+   */
+  validatePartNumber(partNumber) {
+    if (
+      !Number.isInteger(partNumber) ||
+      partNumber < 1 ||
+      partNumber > DEFAULT_CONFIG.MAX_PARTS_COUNT
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Part number must be between 1 and ${DEFAULT_CONFIG.MAX_PARTS_COUNT}`
+      );
+    }
+  }
+
+  /**
+   * Handle b2_start_large_file
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Large file version
+   */
+  startLargeFile(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    requireString(params.fileName, 'fileName');
+    requireString(params.contentType, 'contentType');
+    this.validateFileLock(bucket, params.fileRetention, params.legalHold);
+
+    return this.addEncryptedFileVersion(
+      bucket,
+      {
+        action: 'start',
+        fileName: params.fileName,
+        contentType: params.contentType,
+        fileInfo: params.fileInfo || {},
+        fileRetention: params.fileRetention,
+        legalHold: params.legalHold,
+      },
+      this.getEncryption(params.serverSideEncryption, bucket)
+    );
+  }
+
+  /**
+   * Handle b2_get_upload_url
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object} { bucketId, uploadUrl, authorizationToken }
+   */
+  getUploadUrl(params, key, req) {
+    const bucket = this.getBucket(params.bucketId, key);
+    return {
+      bucketId: bucket.bucketId,
+      uploadUrl: `${this.getBaseUrl(req)}/b2api/v2/b2_upload_file/${bucket.bucketId}`,
+      authorizationToken: this.createToken({
+        type: 'upload',
+        bucketId: bucket.bucketId,
+      }),
+    };
+  }
+
+  /**
+   * Handle b2_get_upload_part_url
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object} { fileId, uploadUrl, authorizationToken }
+   */
+  getUploadPartUrl(params, key, req) {
+    const largeFile = this.getLargeFile(params.fileId, key);
+    return {
+      fileId: largeFile.fileId,
+      uploadUrl: `${this.getBaseUrl(req)}/b2api/v2/b2_upload_part/${largeFile.fileId}`,
+      authorizationToken: this.createToken({
+        type: 'upload',
+        fileId: largeFile.fileId,
+      }),
+    };
+  }
+
+  /**
+   * Handle b2_upload_part
+   * @param {http.IncomingMessage} req - Upload request
+   * @param {string} fileId - Large file ID from the upload URL
+   * @returns {Promise<Object>} Part
+   */
+  async uploadPart(req, fileId) {
+    this.requireMethod(req, 'POST');
+    const token = this.getToken(req.headers.authorization, ['upload']);
+    if (token.fileId !== fileId) {
+      throw createApiError(
+        401,
+        B2_ERROR_CODES.BAD_AUTH_TOKEN,
+        'Invalid upload authorization token'
+      );
+    }
+    const largeFile = this.getLargeFile(fileId, { bucketId: null });
+
+    const partNumber = Number(req.headers['x-bz-part-number']);
+    this.validatePartNumber(partNumber);
+    this.checkCustomerKey(largeFile, this.getRequestCustomerKey(req));
+
+    const { data, sha1 } = await this.readUpload(req);
+    return this.addPart(largeFile, partNumber, data, sha1);
+  }
+
+  /**
+   * Handle b2_copy_part
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} Part
+   */
+  async copyPart(params, key) {
+    const largeFile = this.getLargeFile(params.largeFileId, key);
+    this.validatePartNumber(params.partNumber);
+    this.checkCustomerKey(largeFile, params.destinationServerSideEncryption);
+    const { data } = await this.readCopySource(params, key);
+    return this.addPart(largeFile, params.partNumber, data, sha1Hex(data));
+  }
+
+  /**
+   * Handle b2_finish_large_file
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} Finished file version
+   */
+  async finishLargeFile(params, key) {
+    const largeFile = this.getLargeFile(params.fileId, key);
+    const { partSha1Array } = params;
+    if (!Array.isArray(partSha1Array) || partSha1Array.length === 0) {
+      throw createApiError(400, 'bad_request', 'partSha1Array is required');
+    }
+
+    const parts = this.state.parts[largeFile.fileId] || [];
+    if (parts.length > partSha1Array.length) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `${parts.length} parts were uploaded, but partSha1Array lists ${partSha1Array.length}`
+      );
+    }
+
+    partSha1Array.forEach((sha1, index) => {
+      const part = parts[index];
+      if (!part || part.partNumber !== index + 1) {
+        throw createApiError(
+          400,
+          'bad_request',
+          `Part ${index + 1} has not been uploaded`
+        );
+      }
+      if (part.contentSha1 !== sha1) {
+        throw createApiError(
+          400,
+          'bad_request',
+          `Part ${index + 1} has SHA1 ${part.contentSha1}, not ${sha1}`
+        );
+      }
+      if (
+        index < parts.length - 1 &&
+        part.contentLength < this.absoluteMinimumPartSize
+      ) {
+        throw createApiError(
+          400,
+          'bad_request',
+          `Part ${index + 1} is smaller than the minimum part size of ${this.absoluteMinimumPartSize} bytes`
+        );
+      }
+    });
+
+    const data = Buffer.concat(
+      await Promise.all(
+        parts.map((part) =>
+          this.storage.readBlob(`${largeFile.fileId}.${part.partNumber}`)
+        )
+      )
+    );
+    await this.storage.writeBlob(largeFile.fileId, data);
+    for (const part of parts) {
+      await this.storage.deleteBlob(`${largeFile.fileId}.${part.partNumber}`);
+    }
+    delete this.state.parts[largeFile.fileId];
+
+    largeFile.action = 'upload';
+    largeFile.contentLength = data.length;
+    return largeFile;
+  }
+
+  /**
+   * Handle b2_cancel_large_file
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Promise<Object>} { accountId, bucketId, fileId, fileName }
+   */
+  async cancelLargeFile(params, key) {
+    const largeFile = this.getLargeFile(params.fileId, key);
+    await this.removeFileVersion(largeFile);
+
+    const { accountId, bucketId, fileId, fileName } = largeFile;
+    return { accountId, bucketId, fileId, fileName };
+  }
+
+  /**
+   * Handle b2_list_parts
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { parts, nextPartNumber }
+   */
+  listParts(params, key) {
+    const largeFile = this.getLargeFile(params.fileId, key);
+    const maxPartCount = parseMaxCount(
+      params.maxPartCount,
+      'maxPartCount',
+      100,
+      1000
+    );
+    const startPartNumber = params.startPartNumber || 1;
+
+    const parts = (this.state.parts[largeFile.fileId] || []).filter(
+      (part) => part.partNumber >= startPartNumber
+    );
+    return {
+      parts: parts.slice(0, maxPartCount),
+      nextPartNumber: parts[maxPartCount]?.partNumber ?? null,
+    };
+  }
+
+  /**
+   * Handle b2_list_unfinished_large_files
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { files, nextFileId }
+   */
+  listUnfinishedLargeFiles(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    const maxFileCount = parseMaxCount(
+      params.maxFileCount,
+      'maxFileCount',
+      100,
+      100
+    );
+    const namePrefix = params.namePrefix || '';
+
+    const files = this.state.files
+      .filter(
+        (file) =>
+          file.bucketId === bucket.bucketId &&
+          file.action === 'start' &&
+          file.fileName.startsWith(namePrefix)
+      )
+      .sort((a, b) => a.uploadTimestamp - b.uploadTimestamp);
+    const start = params.startFileId
+      ? files.findIndex((file) => file.fileId === params.startFileId)
+      : 0;
+    const page = start === -1 ? [] : files.slice(start);
+
+    return {
+      files: page.slice(0, maxFileCount),
+      nextFileId: page[maxFileCount]?.fileId ?? null,
+    };
+  }
+
+  // ===== DOWNLOADS =====
+
+  /**
+   * Throw unless a download request may read a file. Files in public
+   * buckets need no authorization.
+   * @param {http.IncomingMessage} req - Download request
+   * @param {URL} url - Request URL, which may carry the token in ?Authorization=
+   * @param {Object} bucket - Bucket of the file
+   * @param {string} fileName - File name
+   */
+  authorizeDownload(req, url, bucket, fileName) {
+    if (bucket.bucketType === BUCKET_TYPES.ALL_PUBLIC) {
+      return;
+    }
+
+    const entry = this.getToken(
+      req.headers.authorization || url.searchParams.get('Authorization'),
+      ['account', 'download']
+    );
+
+    if (entry.type === 'download') {
+      if (
+        entry.bucketId !== bucket.bucketId ||
+        !fileName.startsWith(entry.fileNamePrefix)
+      ) {
+        throw createApiError(
+          401,
+          'unauthorized',
+          `Download authorization does not cover: ${fileName}`
+        );
+      }
+      return;
+    }
+
+    const key = this.getKey(entry.applicationKeyId);
+    if (
+      !key ||
+      !key.capabilities.includes(KEY_CAPABILITIES.READ_FILES) ||
+      (key.bucketId && key.bucketId !== bucket.bucketId)
+    ) {
+      throw createApiError(
+        401,
+        'unauthorized',
+        `Application key may not read: ${fileName}`
+      );
+    }
+  }
+
+  /**
+   * Handle downloads by name: /file/bucketName/fileName
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   * @returns {Promise<void>}
+   */
+  async downloadFileByName(req, res, url) {
+    this.requireMethod(req, 'GET', 'HEAD');
+
+    const path = url.pathname.slice('/file/'.length);
+    const slash = path.indexOf('/');
+    let bucketName;
+    let fileName;
+    try {
+      bucketName = decodeURIComponent(path.slice(0, slash));
+      fileName = decodeURIComponent(path.slice(slash + 1));
+    } catch {
+      throw createApiError(400, 'bad_request', 'Invalid percent-encoding');
+    }
+
+    const bucket =
+      slash === -1
+        ? null
+        : this.state.buckets.find((b) => b.bucketName === bucketName);
+    if (!bucket) {
+      throw createApiError(404, 'not_found', `Bucket not found: ${bucketName}`);
+    }
+    this.authorizeDownload(req, url, bucket, fileName);
+
+    const file = this.getLatestVersion(bucket.bucketId, fileName);
+    if (!file || file.action !== 'upload') {
+      throw createApiError(404, 'not_found', `File not present: ${fileName}`);
+    }
+    await this.sendFile(req, res, url, file);
+  }
+
+  /**
+   * Handle b2_download_file_by_id
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   * @returns {Promise<void>}
+   */
+  async downloadFileById(req, res, url) {
+    this.requireMethod(req, 'GET', 'HEAD');
+
+    const fileId = url.searchParams.get('fileId');
+    requireString(fileId, 'fileId');
+    const file = this.state.files.find(
+      (f) => f.fileId === fileId && f.action === 'upload'
+    );
+    if (!file) {
+      throw createApiError(404, 'not_found', `File not present: ${fileId}`);
+    }
+
+    const bucket = this.state.buckets.find((b) => b.bucketId === file.bucketId);
+    this.authorizeDownload(req, url, bucket, file.fileName);
+    await this.sendFile(req, res, url, file);
+  }
+
+  /**
+   * Send the content of a file with the headers B2 downloads have,
+   * honouring Range headers and header overrides like b2CacheControl
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   * @param {Object} file - File version
+   * @returns {Promise<void>}
+   */
+  async sendFile(req, res, url, file) {
+    this.checkCustomerKey(file, this.getRequestCustomerKey(req));
+    const data = await this.storage.readBlob(file.fileId);
+
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      [HEADERS.CONTENT_TYPE]: file.contentType,
+      [HEADERS.FILE_ID]: file.fileId,
+      [HEADERS.FILE_NAME]: encodeURIComponent(file.fileName),
+      [HEADERS.CONTENT_SHA1]: file.contentSha1,
+      [HEADERS.UPLOAD_TIMESTAMP]: String(file.uploadTimestamp),
+    };
+    for (const [name, value] of Object.entries(file.fileInfo)) {
+      headers[`X-Bz-Info-${name}`] = encodeURIComponent(value);
+    }
+    if (file.serverSideEncryption.mode === 'SSE-B2') {
+      headers[HEADERS.SERVER_SIDE_ENCRYPTION] =
+        file.serverSideEncryption.algorithm;
+    } else if (file.serverSideEncryption.mode === 'SSE-C') {
+      headers[HEADERS.SSE_CUSTOMER_ALGORITHM] =
+        file.serverSideEncryption.algorithm;
+      headers[HEADERS.SSE_CUSTOMER_KEY_MD5] =
+        this.state.customerKeyMd5s[file.fileId];
+    }
+    for (const param of DOWNLOAD_OVERRIDE_PARAMS) {
+      const value = url.searchParams.get(param);
+      if (value !== null) {
+        // b2CacheControl overrides Cache-Control and so on
+        headers[param.slice(2).replace(/(?!^)([A-Z])/g, '-$1')] = value;
+      }
+    }
+
+    let status = 200;
+    let body = data;
+    const range = parseRange(req.headers.range, data.length);
+    if (range) {
+      status = 206;
+      body = data.subarray(range.start, range.end + 1);
+      headers[HEADERS.CONTENT_RANGE] =
+        `bytes ${range.start}-${range.end}/${data.length}`;
+    }
+    headers[HEADERS.CONTENT_LENGTH] = String(body.length);
+
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  // ===== KEYS =====
+
+  /**
+   * Get a key in the form B2 lists keys, without its secret
+   * @param {Object} key - Application key
+   * @returns {Object} Key without applicationKey
+   */
+  formatKey(key) {
+    const listed = { ...key };
+    delete listed.applicationKey;
+    return listed;
+  }
+
+  /**
+   * Handle b2_create_key
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} Key, with its applicationKey
+   */
+  createKey(params, key) {
+    this.checkAccount(params);
+    const { capabilities, keyName, validDurationInSeconds } = params;
+
+    if (
+      !Array.isArray(capabilities) ||
+      capabilities.length === 0 ||
+      capabilities.some((capability) => typeof capability !== 'string')
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'capabilities must be a non-empty array of strings'
+      );
+    }
+    requireString(keyName, 'keyName');
+    if (!/^[A-Za-z0-9-]{1,100}$/.test(keyName)) {
+      throw createApiError(400, 'bad_request', `Invalid keyName: ${keyName}`);
+    }
+    if (
+      validDurationInSeconds !== undefined &&
+      (!Number.isInteger(validDurationInSeconds) ||
+        validDurationInSeconds < 1 ||
+        validDurationInSeconds > 1000 * 24 * 60 * 60)
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'validDurationInSeconds must be between 1 and 86400000'
+      );
+    }
+    if (params.namePrefix !== undefined && !params.bucketId) {
+      throw createApiError(400, 'bad_request', 'namePrefix requires bucketId');
+    }
+    const bucket = params.bucketId
+      ? this.getBucket(params.bucketId, key)
+      : null;
+
+    const newKey = {
+      accountId: this.state.accountId,
+      applicationKey: randomBytes(24).toString('base64url'),
+      applicationKeyId: `${this.state.accountId}${randomBytes(6).toString('hex')}`,
+      bucketId: bucket ? bucket.bucketId : null,
+      capabilities,
+      expirationTimestamp:
+        validDurationInSeconds === undefined
+          ? null
+          : Date.now() + validDurationInSeconds * 1000,
+      keyName,
+      namePrefix: params.namePrefix ?? null,
+      options: [],
+    };
+    this.state.keys.push(newKey);
+    return newKey;
+  }
+
+  /**
+   * Handle b2_delete_key
+   * @param {Object} params - Request parameters
+   * @returns {Object} Deleted key, without its applicationKey
+   */
+  deleteKey(params) {
+    requireString(params.applicationKeyId, 'applicationKeyId');
+    const key = this.state.keys.find(
+      (k) => k.applicationKeyId === params.applicationKeyId
+    );
+    if (!key) {
+      throw createApiError(
+        400,
+        'bad_request',
+        `Application key not found: ${params.applicationKeyId}`
+      );
+    }
+
+    this.state.keys = this.state.keys.filter((k) => k !== key);
+    return this.formatKey(key);
+  }
+
+  /**
+   * Handle b2_list_keys. The master key isn't listed, like on B2.
+   * @param {Object} params - Request parameters
+   * @returns {Object} { keys, nextApplicationKeyId }
+   */
+  listKeys(params) {
+    this.checkAccount(params);
+    const maxKeyCount = parseMaxCount(
+      params.maxKeyCount,
+      'maxKeyCount',
+      100,
+      10000
+    );
+    const start = params.startApplicationKeyId || '';
+
+    const keys = this.state.keys
+      .filter((key) => key.applicationKeyId >= start)
+      .sort((a, b) => (a.applicationKeyId < b.applicationKeyId ? -1 : 1));
+    return {
+      keys: keys.slice(0, maxKeyCount).map((key) => this.formatKey(key)),
+      nextApplicationKeyId: keys[maxKeyCount]?.applicationKeyId ?? null,
+    };
+  }
+
+  /**
+   * Handle b2_get_download_authorization
+   * @param {Object} params - Request parameters
+   * @param {Object} key - Application key of the request
+   * @returns {Object} { bucketId, fileNamePrefix, authorizationToken }
+   */
+  getDownloadAuthorization(params, key) {
+    const bucket = this.getBucket(params.bucketId, key);
+    const { fileNamePrefix, validDurationInSeconds } = params;
+    if (typeof fileNamePrefix !== 'string') {
+      throw createApiError(400, 'bad_request', 'fileNamePrefix is required');
+    }
+    if (
+      !Number.isInteger(validDurationInSeconds) ||
+      validDurationInSeconds < 1 ||
+      validDurationInSeconds > 7 * 24 * 60 * 60
+    ) {
+      throw createApiError(
+        400,
+        'bad_request',
+        'validDurationInSeconds must be between 1 and 604800'
+      );
+    }
+
+    return {
+      bucketId: bucket.bucketId,
+      fileNamePrefix,
+      authorizationToken: this.createToken(
+        { type: 'download', bucketId: bucket.bucketId, fileNamePrefix },
+        validDurationInSeconds * 1000
+      ),
+    };
+  }
+}
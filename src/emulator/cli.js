@@ -0,0 +1,114 @@
+/**
+ * better-b2-emulator command: run a B2 emulator until interrupted (Node.js
+ * only)
+ */
+
+import {
+  createUsageError,
+  parseArgs,
+  parseIntegerOption,
+} from '../cli/args.js';
+import { B2Emulator } from './b2-emulator.js';
+
+const DEFAULT_PORT = 8787;
+
+const OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  'data-dir': { type: 'string' },
+  'min-part-size': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: better-b2-emulator [options]
+
+Run a local B2 API server for tests. Point clients at it with the baseUrl
+option of B2Client.
+
+Options:
+  -p, --port port        Port to listen on (default: ${DEFAULT_PORT}, 0 for any free port)
+  --host host            Host to listen on (default: 127.0.0.1)
+  --data-dir path        Keep buckets and files in this directory instead of memory
+  --min-part-size bytes  Smallest part of a large file but the last (default: 5MB)
+  -h, --help             Show this help
+
+The master key is B2_APPLICATION_KEY_ID and B2_APPLICATION_KEY if set.
+`;
+
+/**
+ * Wait for SIGINT or SIGTERM
+ * @returns {Promise<void>}
+ */
+function waitForSignal() {
+  return new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+}
+
+/**
+ * Run the emulator command
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Environment of the run, replaceable for testing
+ * @param {Object} [io.env] - Environment variables (default: process.env)
+ * @param {Object} [io.stdout] - Output stream (default: process.stdout)
+ * @param {Object} [io.stderr] - Error stream (default: process.stderr)
+ * @param {Function} [io.waitForExit] - Called with the running emulator, which is stopped when the returned promise resolves (default: wait for SIGINT or SIGTERM)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on errors, 2 on invalid usage
+ */
+export async function runEmulator(argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    waitForExit = waitForSignal,
+  } = io;
+
+  let emulator;
+  try {
+    const { positionals, options } = parseArgs(argv, OPTIONS);
+    if (options.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (positionals.length > 0) {
+      throw createUsageError(`Unexpected argument: ${positionals[0]}`);
+    }
+
+    emulator = new B2Emulator({
+      applicationKeyId: env.B2_APPLICATION_KEY_ID,
+      applicationKey: env.B2_APPLICATION_KEY,
+      port: parseIntegerOption(options.port, 'port') ?? DEFAULT_PORT,
+      host: options.host,
+      dataDir: options['data-dir'],
+      absoluteMinimumPartSize: parseIntegerOption(
+        options['min-part-size'],
+        'min-part-size'
+      ),
+    });
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  let url;
+  try {
+    url = await emulator.start();
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+
+  stdout.write(
+    [
+      `B2 emulator listening on ${url}`,
+      `Application key ID: ${emulator.applicationKeyId}`,
+      `Application key: ${emulator.applicationKey}`,
+      '',
+    ].join('\n')
+  );
+
+  await waitForExit(emulator);
+  await emulator.stop();
+  return 0;
+}
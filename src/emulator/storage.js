@@ -0,0 +1,145 @@
+/**
+ * Storage of the B2 emulator: the contents of files and parts, and the state
+ * of the account (buckets, file versions, keys and tokens), kept in memory or
+ * in a directory that survives restarts
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+/**
+ * Storage keeping everything in memory, lost when the process exits
+ */
+export class MemoryStorage {
+  constructor() {
+    this.blobs = new Map();
+    this.state = null;
+  }
+
+  /**
+   * Load the saved state
+   * @returns {Promise<Object|null>} State, or null if none was saved
+   */
+  async loadState() {
+    return this.state;
+  }
+
+  /**
+   * Save the state
+   * @param {Object} state - Emulator state
+   * @returns {Promise<void>}
+   */
+  async saveState(state) {
+    this.state = state;
+  }
+
+  /**
+   * Read stored content
+   * @param {string} id - Content ID
+   * @returns {Promise<Buffer>} Content
+   */
+  async readBlob(id) {
+    const blob = this.blobs.get(id);
+    if (!blob) {
+      throw new Error(`Content not found: ${id}`);
+    }
+    return blob;
+  }
+
+  /**
+   * Store content
+   * @param {string} id - Content ID
+   * @param {Buffer} data - Content
+   * @returns {Promise<void>}
+   */
+  async writeBlob(id, data) {
+    this.blobs.set(id, data);
+  }
+
+  /**
+   * Remove stored content, if any
+   * @param {string} id - Content ID
+   * @returns {Promise<void>}
+   */
+  async deleteBlob(id) {
+    this.blobs.delete(id);
+  }
+}
+
+/**
+ * Storage keeping the state in state.json and contents in blobs/ under a
+ * directory
+ */
+export class DiskStorage {
+  /**
+   * @param {string} dataDir - Directory to store into, created if missing
+   */
+  constructor(dataDir) {
+    if (!dataDir || typeof dataDir !== 'string') {
+      throw new Error('dataDir is required and must be a string');
+    }
+
+    this.dataDir = dataDir;
+    this.statePath = join(dataDir, 'state.json');
+    this.blobDir = join(dataDir, 'blobs');
+  }
+
+  /**
+   * Load the saved state
+   * @returns {Promise<Object|null>} State, or null if none was saved
+   */
+  async loadState() {
+    let content;
+    try {
+      content = await fs.readFile(this.statePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Save the state. It is written next to state.json and renamed, so a
+   * crash never leaves it half written.
+   * @param {Object} state - Emulator state
+   * @returns {Promise<void>}
+   */
+  async saveState(state) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state));
+    await fs.rename(tempPath, this.statePath);
+  }
+
+  /**
+   * Read stored content
+   * @param {string} id - Content ID
+   * @returns {Promise<Buffer>} Content
+   */
+  async readBlob(id) {
+    return fs.readFile(join(this.blobDir, id));
+  }
+
+  /**
+   * Store content
+   * @param {string} id - Content ID
+   * @param {Buffer} data - Content
+   * @returns {Promise<void>}
+   */
+  async writeBlob(id, data) {
+    await fs.mkdir(this.blobDir, { recursive: true });
+    await fs.writeFile(join(this.blobDir, id), data);
+  }
+
+  /**
+   * Remove stored content, if any
+   * @param {string} id - Content ID
+   * @returns {Promise<void>}
+   */
+  async deleteBlob(id) {
+    await fs.rm(join(this.blobDir, id), { force: true });
+  }
+}
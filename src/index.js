@@ -15,6 +15,7 @@ export { HttpClient } from './core/http-client.js';
 export { RetryHandler } from './core/retry-handler.js';
 export { ErrorHandler, B2Error } from './core/error-handler.js';
 export { ProgressHandler } from './core/progress-handler.js';
+export { MemoryTokenStore, FileTokenStore } from './core/token-store.js';
 
 // Manager classes (for advanced usage - tree-shakeable)
 export { AuthManager } from './managers/auth-manager.js';
@@ -25,6 +25,7 @@ export class AuthManager {
       recommendedPartSize: null,
       absoluteMinimumPartSize: null,
       allowed: null,
+      authorizedAt: null,
       isAuthenticated: false,
     };
   }
@@ -83,8 +84,9 @@ export class AuthManager {
   /**
    * Save authentication context from API response
    * @param {Object} authResponse - Authentication response from B2 API
+   * @param {number} [authorizedAt] - When the token was issued, in milliseconds since the epoch (default: now)
    */
-  saveAuthContext(authResponse) {
+  saveAuthContext(authResponse, authorizedAt = Date.now()) {
     if (!authResponse || typeof authResponse !== 'object') {
       throw new Error('Invalid authentication response');
     }
@@ -132,6 +134,7 @@ export class AuthManager {
       recommendedPartSize: recommendedPartSize || null,
       absoluteMinimumPartSize: absoluteMinimumPartSize || null,
       allowed: allowed || null,
+      authorizedAt,
       isAuthenticated: true,
     };
   }
@@ -186,6 +189,17 @@ export class AuthManager {
     return this.authContext.accountId;
   }
 
+  /**
+   * Get the age of the authorization token
+   * @returns {number|null} Milliseconds since the token was issued, or null if not authenticated
+   */
+  getAuthAge() {
+    if (!this.isAuthenticated() || this.authContext.authorizedAt === null) {
+      return null;
+    }
+    return Date.now() - this.authContext.authorizedAt;
+  }
+
   /**
    * Get recommended part size for large file uploads
    * @returns {number|null} Recommended part size or null if not available
@@ -206,6 +220,7 @@ export class AuthManager {
       recommendedPartSize: null,
       absoluteMinimumPartSize: null,
       allowed: null,
+      authorizedAt: null,
       isAuthenticated: false,
     };
   }
@@ -228,10 +243,15 @@ export class AuthManager {
       credentials.applicationKey
     );
 
+    // B2 issues the token after the request starts, so it is no older than this
+    const requestedAt = Date.now();
+
     try {
-      // Make authorization request
+      // Make authorization request, to B2 unless a baseUrl such as an
+      // emulator's is configured
+      const baseUrl = this.config.baseUrl || B2_API_BASE_URL;
       const response = await this.httpClient.get(
-        `${B2_API_BASE_URL}${API_ENDPOINTS.AUTHORIZE_ACCOUNT}`,
+        `${baseUrl}${API_ENDPOINTS.AUTHORIZE_ACCOUNT}`,
         {
           headers: authHeaders,
           timeout: options.timeout,
@@ -239,7 +259,7 @@ export class AuthManager {
       );
 
       // Save auth context from response
-      this.saveAuthContext(response.data);
+      this.saveAuthContext(response.data, requestedAt);
 
       return response;
     } catch (error) {
@@ -3,7 +3,13 @@
  * Handles bucket CRUD operations and upload URL generation
  */
 
-import { BUCKET_TYPES, B2_ERROR_CODES } from '../constants.js';
+import {
+  BUCKET_TYPES,
+  B2_ERROR_CODES,
+  CORS_OPERATIONS,
+  ENCRYPTION_ALGORITHMS,
+  ENCRYPTION_MODES,
+} from '../constants.js';
 import { Validator } from '../utils/validation.js';
 import { EndpointBuilder } from '../utils/endpoints.js';
 
@@ -76,6 +82,77 @@ export class BucketManager {
     }
   }
 
+  /**
+   * Validate optional bucket settings and add them to a create or update request
+   * @param {Object} requestData - Request body to add the settings to
+   * @param {Object} options - Bucket options
+   * @param {Array<Object>} [options.lifecycleRules] - Lifecycle rules
+   * @param {Array<Object>} [options.corsRules] - CORS rules
+   * @param {Object} [options.defaultServerSideEncryption] - Default encryption of new files: { mode: 'SSE-B2' } or { mode: null } for none
+   * @param {boolean} [options.fileLockEnabled] - Enable Object Lock (cannot be disabled again)
+   * @param {Object} [options.defaultRetention] - Default retention of new files: { mode, period: { duration, unit } } or { mode: null } for none
+   * @param {Object} [options.replicationConfiguration] - Replication rules: { asReplicationSource, asReplicationDestination }
+   * @returns {boolean} True if any setting was added
+   */
+  applyBucketSettings(requestData, options) {
+    let applied = false;
+
+    if (options.corsRules !== undefined) {
+      Validator.validateCorsRules(options.corsRules);
+      requestData.corsRules = options.corsRules;
+      applied = true;
+    }
+
+    if (options.lifecycleRules !== undefined) {
+      Validator.validateLifecycleRules(options.lifecycleRules);
+      requestData.lifecycleRules = options.lifecycleRules;
+      applied = true;
+    }
+
+    if (options.defaultServerSideEncryption !== undefined) {
+      // Buckets can only default to B2-managed keys
+      Validator.validateServerSideEncryption(
+        options.defaultServerSideEncryption,
+        'defaultServerSideEncryption',
+        [ENCRYPTION_MODES.SSE_B2, null]
+      );
+      const { mode, algorithm } = options.defaultServerSideEncryption;
+      requestData.defaultServerSideEncryption =
+        mode === null
+          ? { mode: null }
+          : { mode, algorithm: algorithm || ENCRYPTION_ALGORITHMS.AES256 };
+      applied = true;
+    }
+
+    if (options.fileLockEnabled !== undefined) {
+      if (typeof options.fileLockEnabled !== 'boolean') {
+        throw new Error('fileLockEnabled must be a boolean');
+      }
+      requestData.fileLockEnabled = options.fileLockEnabled;
+      applied = true;
+    }
+
+    if (options.defaultRetention !== undefined) {
+      Validator.validateDefaultRetention(options.defaultRetention);
+      const { mode, period } = options.defaultRetention;
+      requestData.defaultRetention =
+        mode === null
+          ? { mode: null }
+          : { mode, period: { duration: period.duration, unit: period.unit } };
+      applied = true;
+    }
+
+    if (options.replicationConfiguration !== undefined) {
+      Validator.validateReplicationConfiguration(
+        options.replicationConfiguration
+      );
+      requestData.replicationConfiguration = options.replicationConfiguration;
+      applied = true;
+    }
+
+    return applied;
+  }
+
   /**
    * Ensure authentication before making requests
    * @throws {Error} If not authenticated
@@ -94,6 +171,11 @@ export class BucketManager {
    * @param {Object|string} options - Bucket creation options or bucket name (for backward compatibility)
    * @param {string} options.bucketName - Name of the bucket to create
    * @param {string} options.bucketType - Type of bucket (allPublic or allPrivate)
+   * @param {Array<Object>} [options.lifecycleRules] - Lifecycle rules, each with fileNamePrefix, daysFromUploadingToHiding and daysFromHidingToDeleting
+   * @param {Array<Object>} [options.corsRules] - CORS rules
+   * @param {Object} [options.defaultServerSideEncryption] - Default encryption of new files, e.g. { mode: 'SSE-B2' }
+   * @param {boolean} [options.fileLockEnabled] - Enable Object Lock, needed for file retention and legal holds
+   * @param {Object} [options.replicationConfiguration] - Replication rules: { asReplicationSource, asReplicationDestination }
    * @param {string} [bucketType] - Bucket type (for backward compatibility when first param is string)
    * @returns {Promise<Object>} Bucket creation response
    */
@@ -124,6 +206,16 @@ export class BucketManager {
       bucketType: type,
     };
 
+    if (typeof options === 'object') {
+      // B2 only accepts a default retention for existing buckets
+      if (options.defaultRetention !== undefined) {
+        throw new Error(
+          'defaultRetention can only be set by updating the bucket after it is created with fileLockEnabled'
+        );
+      }
+      this.applyBucketSettings(requestData, options);
+    }
+
     try {
       const response = await this.httpClient.post(
         this.endpointBuilder.getCreateBucketUrl(),
@@ -301,10 +393,51 @@ export class BucketManager {
   }
 
   /**
-   * Update bucket type
+   * Get the replication configuration of a bucket
+   * @param {Object|string} options - Options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket
+   * @returns {Promise<Object|null>} Configuration with asReplicationSource and asReplicationDestination, or null if the bucket has none
+   */
+  async getReplicationConfiguration(options) {
+    const bucketId = typeof options === 'string' ? options : options?.bucketId;
+
+    this.validateBucketId(bucketId);
+
+    const response = await this.get({ bucketId });
+    const bucket = response.data.buckets?.[0];
+    if (!bucket) {
+      const b2Error = new Error(`Invalid bucket ID: ${bucketId}`);
+      b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_ID;
+      b2Error.status = 400;
+      throw b2Error;
+    }
+
+    // B2 only returns the configuration to keys with the readBucketReplications capability
+    const { replicationConfiguration } = bucket;
+    if (replicationConfiguration?.isClientAuthorizedToRead === false) {
+      const b2Error = new Error(
+        `Not allowed to read replication configuration of bucket: ${bucketId}`
+      );
+      b2Error.code = B2_ERROR_CODES.ACCESS_DENIED;
+      b2Error.status = 401;
+      throw b2Error;
+    }
+
+    return replicationConfiguration?.value ?? null;
+  }
+
+  /**
+   * Update bucket type and settings
    * @param {Object|string} options - Bucket update options or bucket ID (for backward compatibility)
    * @param {string} options.bucketId - ID of the bucket to update
-   * @param {string} options.bucketType - New bucket type
+   * @param {string} [options.bucketType] - New bucket type (required unless a setting is changed)
+   * @param {Array<Object>} [options.lifecycleRules] - New lifecycle rules, replacing all existing rules
+   * @param {Array<Object>} [options.corsRules] - New CORS rules, replacing all existing rules
+   * @param {Object} [options.defaultServerSideEncryption] - New default encryption of new files: { mode: 'SSE-B2' } or { mode: null } for none
+   * @param {boolean} [options.fileLockEnabled] - Enable Object Lock on an existing bucket (cannot be disabled again)
+   * @param {Object} [options.defaultRetention] - Default retention of new files: { mode: 'governance' | 'compliance', period: { duration, unit: 'days' | 'years' } } or { mode: null } for none
+   * @param {Object} [options.replicationConfiguration] - New replication configuration, replacing the existing one
+   * @param {number} [options.ifRevisionMatch] - Only update if the bucket still has this revision
    * @param {string} [bucketType] - New bucket type (for backward compatibility when first param is string)
    * @returns {Promise<Object>} Bucket update response
    */
@@ -327,14 +460,32 @@ export class BucketManager {
 
     // Validate inputs
     this.validateBucketId(bucketId);
-    this.validateBucketType(type);
 
     const requestData = {
       accountId: this.authManager.getAccountId(),
       bucketId: bucketId,
-      bucketType: type,
     };
 
+    const hasSettings =
+      typeof options === 'object' &&
+      this.applyBucketSettings(requestData, options);
+
+    // The bucket type may be left out when only settings change
+    if (type !== undefined || !hasSettings) {
+      this.validateBucketType(type);
+      requestData.bucketType = type;
+    }
+
+    if (typeof options === 'object' && options.ifRevisionMatch !== undefined) {
+      if (
+        !Number.isInteger(options.ifRevisionMatch) ||
+        options.ifRevisionMatch < 1
+      ) {
+        throw new Error('ifRevisionMatch must be a positive integer');
+      }
+      requestData.ifRevisionMatch = options.ifRevisionMatch;
+    }
+
     try {
       const response = await this.httpClient.post(
         this.endpointBuilder.getUpdateBucketUrl(),
@@ -358,10 +509,251 @@ export class BucketManager {
         throw b2Error;
       }
 
+      if (error.code === B2_ERROR_CODES.CONFLICT) {
+        const b2Error = new Error(
+          `Bucket ${bucketId} was changed since revision ${requestData.ifRevisionMatch}`
+        );
+        b2Error.code = B2_ERROR_CODES.CONFLICT;
+        b2Error.status = error.status;
+        throw b2Error;
+      }
+
       throw error;
     }
   }
 
+  /**
+   * Get the manager of single bucket setting changes, loaded on first use
+   * @returns {Promise<BucketSettingsManager>} Bucket settings manager
+   */
+  async getBucketSettingsManager() {
+    if (!this.bucketSettingsManager) {
+      const { BucketSettingsManager } = await import(
+        './bucket-settings-manager.js'
+      );
+      this.bucketSettingsManager = new BucketSettingsManager(this);
+    }
+    return this.bucketSettingsManager;
+  }
+
+  /**
+   * Change bucket settings based on their current values, see
+   * BucketSettingsManager.modifyBucket
+   * @param {string} bucketId - ID of the bucket to change
+   * @param {Function} modify - Called with the current bucket, returns the update options to apply
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async modifyBucket(bucketId, modify) {
+    const settingsManager = await this.getBucketSettingsManager();
+    return settingsManager.modifyBucket(bucketId, modify);
+  }
+
+  /**
+   * Add a lifecycle rule to a bucket, keeping its other rules, see
+   * BucketSettingsManager.addLifecycleRule
+   * @param {Object} options - Lifecycle rule options
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async addLifecycleRule(options) {
+    const settingsManager = await this.getBucketSettingsManager();
+    return settingsManager.addLifecycleRule(options);
+  }
+
+  /**
+   * Remove a lifecycle rule from a bucket, keeping its other rules, see
+   * BucketSettingsManager.removeLifecycleRule
+   * @param {Object} options - Lifecycle rule options
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async removeLifecycleRule(options) {
+    const settingsManager = await this.getBucketSettingsManager();
+    return settingsManager.removeLifecycleRule(options);
+  }
+
+  /**
+   * Get the event notification rules of a bucket
+   * @param {Object|string} options - Options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket
+   * @returns {Promise<Object>} Response with bucketId and eventNotificationRules
+   */
+  async getNotificationRules(options) {
+    this.ensureAuthenticated();
+
+    const bucketId = typeof options === 'string' ? options : options?.bucketId;
+
+    this.validateBucketId(bucketId);
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getGetBucketNotificationRulesUrl(),
+        { bucketId },
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      if (error.code === B2_ERROR_CODES.INVALID_BUCKET_ID) {
+        const b2Error = new Error(`Invalid bucket ID: ${bucketId}`);
+        b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_ID;
+        b2Error.status = 400;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all event notification rules of a bucket. Rules returned by
+   * getNotificationRules can be passed back as they are.
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Array<Object>} options.eventNotificationRules - Rules with name, eventTypes, objectNamePrefix, isEnabled and targetConfiguration
+   * @returns {Promise<Object>} Response with bucketId and the new eventNotificationRules
+   */
+  async setNotificationRules(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketId, eventNotificationRules } = options;
+
+    this.validateBucketId(bucketId);
+    Validator.validateEventNotificationRules(eventNotificationRules);
+
+    const requestData = {
+      bucketId: bucketId,
+      eventNotificationRules: eventNotificationRules.map((rule) => {
+        // isSuspended and suspensionReason are set by B2 only
+        const settings = { ...rule };
+        delete settings.isSuspended;
+        delete settings.suspensionReason;
+        return settings;
+      }),
+    };
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getSetBucketNotificationRulesUrl(),
+        requestData,
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      if (error.code === B2_ERROR_CODES.INVALID_BUCKET_ID) {
+        const b2Error = new Error(`Invalid bucket ID: ${bucketId}`);
+        b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_ID;
+        b2Error.status = 400;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add an event notification rule to a bucket, keeping its other rules, see
+   * BucketSettingsManager.addNotificationRule
+   * @param {Object} options - Notification rule options
+   * @returns {Promise<Object>} Response with bucketId and the new eventNotificationRules
+   */
+  async addNotificationRule(options) {
+    const settingsManager = await this.getBucketSettingsManager();
+    return settingsManager.addNotificationRule(options);
+  }
+
+  /**
+   * Remove an event notification rule from a bucket, keeping its other
+   * rules, see BucketSettingsManager.removeNotificationRule
+   * @param {Object} options - Notification rule options
+   * @returns {Promise<Object>} Response with bucketId and the remaining eventNotificationRules
+   */
+  async removeNotificationRule(options) {
+    const settingsManager = await this.getBucketSettingsManager();
+    return settingsManager.removeNotificationRule(options);
+  }
+
+  /**
+   * Build CORS rules that let web pages on the given origins use the
+   * native B2 API from the browser
+   * @param {Object} options - Rule options
+   * @param {Array<string>} options.allowedOrigins - Origins allowed to access the bucket, e.g. 'https://app.example.com'
+   * @param {boolean} [options.download=true] - Allow downloads by name and by ID
+   * @param {boolean} [options.upload=true] - Allow uploads of files and large file parts
+   * @param {number} [options.maxAgeSeconds=3600] - How long browsers may cache the preflight response
+   * @returns {Array<Object>} CORS rules for create or update
+   */
+  createBrowserCorsRules(options) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      allowedOrigins,
+      download = true,
+      upload = true,
+      maxAgeSeconds = 3600,
+    } = options;
+
+    if (!download && !upload) {
+      throw new Error('At least one of download or upload must be enabled');
+    }
+
+    const rules = [];
+
+    if (download) {
+      rules.push({
+        corsRuleName: 'downloadFromBrowser',
+        allowedOrigins,
+        allowedOperations: [
+          CORS_OPERATIONS.DOWNLOAD_FILE_BY_NAME,
+          CORS_OPERATIONS.DOWNLOAD_FILE_BY_ID,
+        ],
+        allowedHeaders: ['authorization', 'range'],
+        exposeHeaders: [
+          'x-bz-content-sha1',
+          'x-bz-file-id',
+          'x-bz-file-name',
+          'x-bz-upload-timestamp',
+        ],
+        maxAgeSeconds,
+      });
+    }
+
+    if (upload) {
+      rules.push({
+        corsRuleName: 'uploadFromBrowser',
+        allowedOrigins,
+        allowedOperations: [
+          CORS_OPERATIONS.UPLOAD_FILE,
+          CORS_OPERATIONS.UPLOAD_PART,
+        ],
+        allowedHeaders: [
+          'authorization',
+          'content-type',
+          'x-bz-file-name',
+          'x-bz-content-sha1',
+          'x-bz-part-number',
+          'x-bz-info-*',
+        ],
+        exposeHeaders: ['x-bz-content-sha1'],
+        maxAgeSeconds,
+      });
+    }
+
+    Validator.validateCorsRules(rules);
+    return rules;
+  }
+
   /**
    * Get upload URL for a bucket
    * @param {Object|string} options - Upload URL options or bucket ID (for backward compatibility)
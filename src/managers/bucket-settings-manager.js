@@ -0,0 +1,189 @@
+/**
+ * Bucket Settings Manager for B2 API
+ * Changes single lifecycle and event notification rules of a bucket while
+ * keeping its other settings. Loaded by BucketManager on first use, so the
+ * main bundle does not carry it.
+ */
+
+import { B2_ERROR_CODES, DEFAULT_CONFIG } from '../constants.js';
+import { Validator } from '../utils/validation.js';
+
+export class BucketSettingsManager {
+  /**
+   * @param {BucketManager} bucketManager - Bucket manager making the requests
+   */
+  constructor(bucketManager) {
+    this.bucketManager = bucketManager;
+  }
+
+  /**
+   * Change bucket settings based on their current values. The update only
+   * applies if nobody changed the bucket since it was read, otherwise it is
+   * repeated on the new revision, so concurrent changes aren't lost.
+   * @param {string} bucketId - ID of the bucket to change
+   * @param {Function} modify - Called with the current bucket, returns the update options to apply
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async modifyBucket(bucketId, modify) {
+    this.bucketManager.validateBucketId(bucketId);
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.bucketManager.get({ bucketId });
+      const bucket = response.data.buckets?.[0];
+      if (!bucket) {
+        const b2Error = new Error(`Invalid bucket ID: ${bucketId}`);
+        b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_ID;
+        b2Error.status = 400;
+        throw b2Error;
+      }
+
+      try {
+        return await this.bucketManager.update({
+          ...modify(bucket),
+          bucketId,
+          ifRevisionMatch: bucket.revision,
+        });
+      } catch (error) {
+        if (
+          error.code !== B2_ERROR_CODES.CONFLICT ||
+          attempt >= DEFAULT_CONFIG.BUCKET_UPDATE_ATTEMPTS
+        ) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Add a lifecycle rule to a bucket, keeping its other rules. A rule with
+   * the same fileNamePrefix is replaced.
+   * @param {Object} options - Lifecycle rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Object} options.rule - Rule with fileNamePrefix, daysFromUploadingToHiding and daysFromHidingToDeleting
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async addLifecycleRule(options) {
+    this.bucketManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketId, rule } = options;
+
+    this.bucketManager.validateBucketId(bucketId);
+    Validator.validateLifecycleRules([rule]);
+
+    return this.modifyBucket(bucketId, (bucket) => ({
+      lifecycleRules: [
+        ...(bucket.lifecycleRules || []).filter(
+          (existing) => existing.fileNamePrefix !== rule.fileNamePrefix
+        ),
+        rule,
+      ],
+    }));
+  }
+
+  /**
+   * Remove the lifecycle rule with the given fileNamePrefix from a bucket,
+   * keeping its other rules
+   * @param {Object} options - Lifecycle rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {string} options.fileNamePrefix - fileNamePrefix of the rule to remove
+   * @returns {Promise<Object>} Bucket update response
+   */
+  async removeLifecycleRule(options) {
+    this.bucketManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketId, fileNamePrefix } = options;
+
+    this.bucketManager.validateBucketId(bucketId);
+
+    if (typeof fileNamePrefix !== 'string') {
+      throw new Error('fileNamePrefix is required and must be a string');
+    }
+
+    return this.modifyBucket(bucketId, (bucket) => ({
+      lifecycleRules: (bucket.lifecycleRules || []).filter(
+        (existing) => existing.fileNamePrefix !== fileNamePrefix
+      ),
+    }));
+  }
+
+  /**
+   * Add an event notification rule to a bucket, keeping its other rules.
+   * A rule with the same name is replaced. B2 cannot make setting the rules
+   * conditional on the ones read, so a change made by someone else between
+   * the two is lost; don't change the rules of a bucket concurrently.
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {Object} options.rule - Rule with name, eventTypes, objectNamePrefix, isEnabled and targetConfiguration
+   * @returns {Promise<Object>} Response with bucketId and the new eventNotificationRules
+   */
+  async addNotificationRule(options) {
+    this.bucketManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketId, rule } = options;
+
+    this.bucketManager.validateBucketId(bucketId);
+    Validator.validateEventNotificationRules([rule]);
+
+    const response = await this.bucketManager.getNotificationRules({
+      bucketId,
+    });
+    const rules = response.data.eventNotificationRules || [];
+
+    return this.bucketManager.setNotificationRules({
+      bucketId,
+      eventNotificationRules: [
+        ...rules.filter((existing) => existing.name !== rule.name),
+        rule,
+      ],
+    });
+  }
+
+  /**
+   * Remove the event notification rule with the given name from a bucket,
+   * keeping its other rules. Like addNotificationRule, not safe when the
+   * rules of the bucket are changed concurrently.
+   * @param {Object} options - Notification rule options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {string} options.name - Name of the rule to remove
+   * @returns {Promise<Object>} Response with bucketId and the remaining eventNotificationRules
+   */
+  async removeNotificationRule(options) {
+    this.bucketManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketId, name } = options;
+
+    this.bucketManager.validateBucketId(bucketId);
+
+    if (typeof name !== 'string') {
+      throw new Error('name is required and must be a string');
+    }
+
+    const response = await this.bucketManager.getNotificationRules({
+      bucketId,
+    });
+    const rules = response.data.eventNotificationRules || [];
+
+    return this.bucketManager.setNotificationRules({
+      bucketId,
+      eventNotificationRules: rules.filter(
+        (existing) => existing.name !== name
+      ),
+    });
+  }
+}
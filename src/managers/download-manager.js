@@ -0,0 +1,544 @@
+/**
+ * Download Manager for B2 API
+ * Handles downloads in concurrent byte ranges and resumable downloads to
+ * local files. Loaded by FileManager on first use, so the main bundle does
+ * not carry them.
+ */
+
+import { B2_ERROR_CODES, DEFAULT_CONFIG, HEADERS } from '../constants.js';
+import { Validator } from '../utils/validation.js';
+import { HeaderUtils } from '../utils/headers.js';
+import { Sha1Hasher, Sha1Stream } from '../utils/crypto.js';
+import { createUploadStream } from '../utils/data-source.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { RetryHandler } from '../core/retry-handler.js';
+import { ProgressHandler } from '../core/progress-handler.js';
+
+// Check if we're in Node.js or browser environment
+const isNode =
+  typeof process !== 'undefined' && process.versions && process.versions.node;
+
+export class DownloadManager {
+  /**
+   * @param {FileManager} fileManager - File manager making the requests
+   */
+  constructor(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Download a file in byte ranges fetched concurrently, reassembled in order
+   * into an ArrayBuffer, a web ReadableStream or a local file. The first
+   * range reveals the file size and ID; the other ranges are fetched by that
+   * ID, so a file uploaded under the same name meanwhile is not mixed in.
+   * Failed ranges are retried on their own.
+   * @param {Object} options - Download options
+   * @param {string} [options.bucketName] - Name of the bucket containing the file (with fileName)
+   * @param {string} [options.fileName] - Name of the file to download (with bucketName)
+   * @param {string} [options.fileId] - ID of the file to download, instead of bucketName and fileName
+   * @param {string} [options.responseType] - 'arraybuffer' or 'stream' (default: 'arraybuffer'); ignored with filePath
+   * @param {string} [options.filePath] - Write the file to this local path instead of returning its data (Node.js only)
+   * @param {number} [options.partSize] - Size of each range in bytes (default: 100MB)
+   * @param {number} [options.concurrency] - Maximum number of ranges downloaded in parallel (default: 4)
+   * @param {Function} [options.onDownloadProgress] - Progress callback for the whole download
+   * @param {Object} [options.headers] - Additional headers for every request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the whole file once it is downloaded (while reading for streams)
+   * @returns {Promise<Object>} Response with status, headers of the first range, fileId, contentLength and data (or filePath)
+   */
+  async downloadFileParallel(options) {
+    this.fileManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      bucketName,
+      fileName,
+      filePath,
+      responseType = 'arraybuffer',
+      partSize = DEFAULT_CONFIG.DOWNLOAD_PART_SIZE,
+      concurrency = DEFAULT_CONFIG.DOWNLOAD_CONCURRENCY,
+      onDownloadProgress,
+      headers,
+      verifyChecksum,
+    } = options;
+
+    if (options.fileId !== undefined) {
+      this.fileManager.validateFileId(options.fileId);
+    } else {
+      if (typeof bucketName !== 'string') {
+        throw new Error('bucketName is required and must be a string');
+      }
+      this.fileManager.validateFileName(fileName);
+    }
+
+    if (!['arraybuffer', 'stream'].includes(responseType)) {
+      throw new Error(
+        'Invalid responseType. Must be one of: arraybuffer, stream'
+      );
+    }
+
+    if (filePath !== undefined && typeof filePath !== 'string') {
+      throw new Error('filePath must be a string');
+    }
+
+    Validator.validateNumber(partSize, 'partSize', { min: 1, integer: true });
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+
+    if (
+      onDownloadProgress !== undefined &&
+      typeof onDownloadProgress !== 'function'
+    ) {
+      throw new Error('Progress callback must be a function');
+    }
+
+    const encryption = await this.fileManager.resolveEncryption(
+      options.encryption
+    );
+
+    // Aggregate per-range progress into progress for the whole file
+    const progressHandler = new ProgressHandler();
+    const rangeProgress = new Map();
+    let loaded = 0;
+    let totalSize = 0;
+    const reportRangeProgress = (range, rangeLoaded) => {
+      loaded += rangeLoaded - (rangeProgress.get(range) || 0);
+      rangeProgress.set(range, rangeLoaded);
+      onDownloadProgress(
+        progressHandler.createProgressEvent(loaded, totalSize, totalSize > 0)
+      );
+    };
+
+    const downloadRange = async (target, range) => {
+      const request = {
+        ...target,
+        range,
+        headers,
+        encryption,
+        responseType: 'arraybuffer',
+        onDownloadProgress: onDownloadProgress
+          ? (event) => reportRangeProgress(range, event.loaded)
+          : undefined,
+      };
+
+      return this.fileManager.retryHandler.executeWithRetry(() =>
+        target.fileId
+          ? this.fileManager.downloadFileById(request)
+          : this.fileManager.downloadFileByName(request)
+      );
+    };
+
+    let first;
+    try {
+      first = await downloadRange(
+        options.fileId !== undefined
+          ? { fileId: options.fileId }
+          : { bucketName, fileName },
+        `bytes=0-${partSize - 1}`
+      );
+    } catch (error) {
+      // Empty files have no byte ranges
+      if (error.code !== B2_ERROR_CODES.RANGE_NOT_SATISFIABLE) {
+        throw error;
+      }
+      first = await this.fileManager.retryHandler.executeWithRetry(() =>
+        options.fileId !== undefined
+          ? this.fileManager.downloadFileById({
+              fileId: options.fileId,
+              headers,
+              encryption,
+            })
+          : this.fileManager.downloadFileByName({
+              bucketName,
+              fileName,
+              headers,
+              encryption,
+            })
+      );
+    }
+
+    const firstData = new Uint8Array(first.data);
+    const fileId =
+      HeaderUtils.getResponseHeader(first.headers, HEADERS.FILE_ID) ||
+      options.fileId;
+    totalSize = first.contentRange?.size ?? firstData.length;
+    const file = options.fileId ?? fileName;
+    const expectedSha1 = verifyChecksum
+      ? await this.fileManager.getExpectedSha1(first, file)
+      : null;
+
+    const ranges = [];
+    for (let start = firstData.length; start < totalSize; start += partSize) {
+      ranges.push({ start, end: Math.min(start + partSize, totalSize) - 1 });
+    }
+
+    const fetchRange = async ({ start, end }) => {
+      const response = await downloadRange({ fileId }, `bytes=${start}-${end}`);
+      const data = new Uint8Array(response.data);
+      if (data.length !== end - start + 1) {
+        throw new Error(
+          `Download of bytes ${start}-${end} of file ${fileId} returned ${data.length} bytes`
+        );
+      }
+      return data;
+    };
+
+    const result = {
+      status: 200,
+      headers: first.headers,
+      fileId,
+      contentLength: totalSize,
+    };
+
+    if (filePath !== undefined) {
+      if (!isNode) {
+        throw new Error(
+          'File downloads are only available in Node.js environment'
+        );
+      }
+
+      const fs = await import('fs');
+      const handle = await fs.promises.open(filePath, 'w');
+      try {
+        await handle.write(firstData, 0, firstData.length, 0);
+        await mapConcurrent(ranges, concurrency, async (range) => {
+          const data = await fetchRange(range);
+          await handle.write(data, 0, data.length, range.start);
+        });
+      } finally {
+        await handle.close();
+      }
+
+      if (verifyChecksum) {
+        // Ranges are written out of order, so hash the file once complete
+        this.fileManager.assertChecksum(
+          await Sha1Hasher.hashFile(filePath),
+          expectedSha1,
+          file
+        );
+      }
+
+      return { ...result, filePath };
+    }
+
+    if (responseType === 'stream') {
+      const stream = createUploadStream(
+        this.prefetchRanges(firstData, ranges, concurrency, fetchRange)
+      );
+
+      return {
+        ...result,
+        data: verifyChecksum
+          ? stream.pipeThrough(
+              this.fileManager.createChecksumStream(expectedSha1, file)
+            )
+          : stream,
+      };
+    }
+
+    const data = new Uint8Array(totalSize);
+    data.set(firstData, 0);
+    await mapConcurrent(ranges, concurrency, async (range) => {
+      data.set(await fetchRange(range), range.start);
+    });
+
+    if (verifyChecksum) {
+      this.fileManager.assertChecksum(
+        await Sha1Hasher.hash(data),
+        expectedSha1,
+        file
+      );
+    }
+
+    return { ...result, data: data.buffer };
+  }
+
+  /**
+   * Yield downloaded ranges in order while keeping up to `concurrency`
+   * ranges in flight ahead of the consumer
+   * @param {Uint8Array} firstData - Data of the first range
+   * @param {Array<Object>} ranges - Remaining ranges in order
+   * @param {number} concurrency - Maximum number of ranges in flight
+   * @param {Function} fetchRange - Async function downloading one range
+   * @returns {AsyncGenerator<Uint8Array>} Range data in order
+   */
+  async *prefetchRanges(firstData, ranges, concurrency, fetchRange) {
+    const pending = [];
+    let next = 0;
+    const fill = () => {
+      while (pending.length < concurrency && next < ranges.length) {
+        const download = fetchRange(ranges[next++]);
+        // Failures are rethrown when the range is reached
+        download.catch(() => {});
+        pending.push(download);
+      }
+    };
+
+    fill();
+    yield firstData;
+
+    while (pending.length > 0) {
+      const data = await pending.shift();
+      fill();
+      yield data;
+    }
+  }
+
+  /**
+   * Download a file to a local path (Node.js only). The file is written to
+   * `<filePath>.b2download` and renamed to filePath once complete. When the
+   * transfer fails midway the download resumes from the last written byte
+   * with a Range request, as long as the file ID has not changed and the
+   * server answers with that range. An expired auth token is re-authorized
+   * through the client's retry handler.
+   * @param {Object} options - Download options
+   * @param {string} [options.bucketName] - Name of the bucket containing the file (with fileName)
+   * @param {string} [options.fileName] - Name of the file to download (with bucketName)
+   * @param {string} [options.fileId] - ID of the file to download, instead of bucketName and fileName
+   * @param {string} options.filePath - Local path to write the file to
+   * @param {number} [options.retries] - Attempts to resume after failures without progress (default: the client's retries)
+   * @param {Function} [options.onDownloadProgress] - Progress callback for the whole download
+   * @param {Object} [options.headers] - Additional headers for every request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file before it replaces filePath
+   * @returns {Promise<Object>} Response with status, headers of the first request, fileId, contentLength, filePath and resumeCount
+   */
+  async downloadToFile(options) {
+    this.fileManager.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      bucketName,
+      fileName,
+      filePath,
+      retries = this.fileManager.retryHandler.retries,
+      onDownloadProgress,
+      headers,
+      verifyChecksum,
+    } = options;
+
+    if (options.fileId !== undefined) {
+      this.fileManager.validateFileId(options.fileId);
+    } else {
+      if (typeof bucketName !== 'string') {
+        throw new Error('bucketName is required and must be a string');
+      }
+      this.fileManager.validateFileName(fileName);
+    }
+
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new Error('filePath is required and must be a string');
+    }
+
+    Validator.validateNumber(retries, 'retries', { min: 0, integer: true });
+
+    if (
+      onDownloadProgress !== undefined &&
+      typeof onDownloadProgress !== 'function'
+    ) {
+      throw new Error('Progress callback must be a function');
+    }
+
+    if (!isNode) {
+      throw new Error(
+        'File downloads are only available in Node.js environment'
+      );
+    }
+
+    const encryption = await this.fileManager.resolveEncryption(
+      options.encryption
+    );
+    const progressHandler = new ProgressHandler();
+    const retryHandler = new RetryHandler({
+      retries,
+      retryDelay: this.fileManager.retryHandler.retryDelay,
+      retryDelayMultiplier: this.fileManager.retryHandler.retryDelayMultiplier,
+      maxRetryDelay: this.fileManager.retryHandler.maxRetryDelay,
+    });
+    const fs = await import('fs');
+    const tempPath = `${filePath}.b2download`;
+    const handle = await fs.promises.open(tempPath, 'w');
+
+    const file = options.fileId ?? fileName;
+    // Chunks arrive in order across resumes and are hashed as written
+    const hasher = verifyChecksum ? new Sha1Stream() : null;
+    let expectedSha1;
+    let fileId = options.fileId;
+    let firstHeaders;
+    let contentLength = null;
+    let offset = 0;
+    let failures = 0;
+    let resumeCount = 0;
+    let reauthorized = false;
+
+    try {
+      for (;;) {
+        const startOffset = offset;
+        let response;
+        let reading = false;
+
+        try {
+          const request = {
+            headers,
+            encryption,
+            responseType: 'stream',
+            range:
+              offset > 0 ? `bytes=${offset}-${contentLength - 1}` : undefined,
+          };
+          response =
+            options.fileId !== undefined || offset > 0
+              ? await this.fileManager.downloadFileById({ ...request, fileId })
+              : await this.fileManager.downloadFileByName({
+                  ...request,
+                  bucketName,
+                  fileName,
+                });
+
+          const responseFileId = HeaderUtils.getResponseHeader(
+            response.headers,
+            HEADERS.FILE_ID
+          );
+
+          if (offset === 0) {
+            fileId = responseFileId || fileId;
+            firstHeaders = response.headers;
+            const length = HeaderUtils.getResponseHeader(
+              response.headers,
+              HEADERS.CONTENT_LENGTH
+            );
+            contentLength = length === null ? null : Number(length);
+            if (verifyChecksum) {
+              expectedSha1 = await this.fileManager.getExpectedSha1(
+                response,
+                file
+              );
+            }
+          } else if (responseFileId && responseFileId !== fileId) {
+            await response.data.cancel();
+            const b2Error = new Error(
+              `File ${fileId} changed during the download`
+            );
+            b2Error.isNotResumable = true;
+            throw b2Error;
+          } else if (
+            response.status !== 206 ||
+            response.contentRange?.start !== offset ||
+            response.contentRange.size !== contentLength
+          ) {
+            // Writing a full or shifted body at offset would corrupt the file
+            await response.data.cancel();
+            const b2Error = new Error(
+              `Resumed download of file ${fileId} did not return bytes ${offset}-${contentLength - 1}`
+            );
+            b2Error.isNotResumable = true;
+            throw b2Error;
+          }
+
+          reading = true;
+          const reader = response.data.getReader();
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
+            }
+            if (
+              contentLength !== null &&
+              offset + value.length > contentLength
+            ) {
+              await reader.cancel();
+              const b2Error = new Error(
+                `Download of file ${fileId} returned more than ${contentLength} bytes`
+              );
+              b2Error.isNotResumable = true;
+              throw b2Error;
+            }
+            await handle.write(value, 0, value.length, offset);
+            await hasher?.update(value);
+            offset += value.length;
+            onDownloadProgress?.(
+              progressHandler.createProgressEvent(
+                offset,
+                contentLength ?? 0,
+                contentLength !== null
+              )
+            );
+          }
+
+          if (contentLength !== null && offset < contentLength) {
+            throw new Error(
+              `Download of file ${fileId} ended after ${offset} of ${contentLength} bytes`
+            );
+          }
+          break;
+        } catch (error) {
+          // Only attempts that made no progress count towards the retries
+          if (offset > startOffset) {
+            failures = 0;
+            reauthorized = false;
+          }
+
+          // Replay the request once after re-authorizing an expired token,
+          // without counting it as a failure
+          if (
+            !reading &&
+            !reauthorized &&
+            this.fileManager.retryHandler.onAuthExpired &&
+            (await this.fileManager.retryHandler.onAuthExpired(error))
+          ) {
+            reauthorized = true;
+            continue;
+          }
+
+          // The stream breaking mid-transfer is always worth resuming,
+          // request errors only when they are transient. Resuming needs
+          // the ID and size of the file for the Range request.
+          const resumable =
+            !error.isNotResumable &&
+            failures < retries &&
+            (offset === 0 || (fileId && contentLength !== null)) &&
+            (reading || retryHandler.retryCondition(error, failures));
+
+          if (!resumable) {
+            throw error;
+          }
+
+          await retryHandler.sleep(retryHandler.calculateDelay(failures));
+          failures++;
+          resumeCount++;
+        }
+      }
+
+      if (verifyChecksum) {
+        this.fileManager.assertChecksum(
+          await hasher.digest(),
+          expectedSha1,
+          file
+        );
+      }
+
+      await handle.close();
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await handle.close().catch(() => {});
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return {
+      status: 200,
+      headers: firstHeaders,
+      fileId,
+      contentLength: offset,
+      filePath,
+      resumeCount,
+    };
+  }
+}
@@ -3,11 +3,36 @@
  * Handles file upload, download, listing, and management operations
  */
 
-import { B2_ERROR_CODES, CONTENT_TYPES, DEFAULT_CONFIG } from '../constants.js';
+import {
+  B2_ERROR_CODES,
+  CONTENT_SHA1_VALUES,
+  CONTENT_TYPES,
+  DEFAULT_CONFIG,
+  DOWNLOAD_OVERRIDE_PARAMS,
+  ENCRYPTION_ALGORITHMS,
+  ENCRYPTION_MODES,
+  FILE_INFO_KEYS,
+  HEADERS,
+  HTTP_STATUS,
+  METADATA_DIRECTIVES,
+  RETENTION_MODES,
+} from '../constants.js';
 import { Validator } from '../utils/validation.js';
 import { EndpointBuilder } from '../utils/endpoints.js';
-import { HeaderUtils } from '../utils/headers.js';
-import { Sha1Hasher } from '../utils/crypto.js';
+import { HeaderUtils, InfoHeaders } from '../utils/headers.js';
+import { Md5Hasher, Sha1Hasher, Sha1Stream } from '../utils/crypto.js';
+import {
+  createDataSource,
+  createUploadStream,
+  isNodeStream,
+  isWebStream,
+} from '../utils/data-source.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { paginate } from '../utils/pagination.js';
+import { RetryHandler } from '../core/retry-handler.js';
+import { ProgressHandler } from '../core/progress-handler.js';
+import { UploadUrlPool } from '../core/upload-url-pool.js';
+import { DownloadAuthorizationCache } from '../core/download-authorization-cache.js';
 
 export class FileManager {
   constructor(httpClient, authManager, config = {}) {
@@ -15,6 +40,39 @@ export class FileManager {
     this.authManager = authManager;
     this.config = config;
     this.endpointBuilder = new EndpointBuilder();
+
+    // Used by multi-request operations that retry individual steps
+    this.retryHandler = new RetryHandler({
+      retries: config.retries,
+      retryDelay: config.retryDelay,
+      retryDelayMultiplier: config.retryDelayMultiplier,
+      maxRetryDelay: config.maxRetryDelay,
+    });
+
+    // Upload URLs for uploads that only name a bucket, shared between
+    // concurrent uploads
+    this.uploadUrlPool = new UploadUrlPool(
+      async (bucketId) => {
+        const response = await this.httpClient.post(
+          this.endpointBuilder.getUploadUrl(),
+          { bucketId },
+          {
+            headers: this.authManager.getAuthHeaders(),
+            timeout: this.config.timeout,
+          }
+        );
+        return response.data;
+      },
+      { maxAge: config.uploadUrlMaxAge }
+    );
+
+    // Download authorizations shared by signed URLs under the same prefix
+    this.downloadAuthorizationCache = new DownloadAuthorizationCache(
+      async (request) => (await this.getDownloadAuthorization(request)).data
+    );
+
+    // Bucket IDs by name, for calls that only name a bucket
+    this.bucketIds = new Map();
   }
 
   /**
@@ -70,16 +128,127 @@ export class FileManager {
     }
   }
 
+  /**
+   * Validate the metadata options of a server-side copy
+   * @param {string} metadataDirective - 'COPY' or 'REPLACE'
+   * @param {string} [contentType] - Content type of the new file
+   * @param {Object} [fileInfo] - File info of the new file
+   * @throws {Error} If the combination of options is invalid
+   */
+  validateCopyMetadata(metadataDirective, contentType, fileInfo) {
+    if (!Object.values(METADATA_DIRECTIVES).includes(metadataDirective)) {
+      throw new Error(
+        `metadataDirective must be one of: ${Object.values(METADATA_DIRECTIVES).join(', ')}`
+      );
+    }
+
+    if (metadataDirective === METADATA_DIRECTIVES.REPLACE) {
+      if (typeof contentType !== 'string' || contentType.length === 0) {
+        throw new Error(
+          'contentType is required when metadataDirective is REPLACE'
+        );
+      }
+      if (
+        fileInfo !== undefined &&
+        (typeof fileInfo !== 'object' || fileInfo === null)
+      ) {
+        throw new Error('fileInfo must be an object');
+      }
+    } else if (contentType !== undefined || fileInfo !== undefined) {
+      throw new Error(
+        'contentType and fileInfo can only be set when metadataDirective is REPLACE'
+      );
+    }
+  }
+
+  /**
+   * Validate a byte range in B2 format ("bytes=start-end", inclusive)
+   * @param {string} range - Range to validate
+   * @throws {Error} If range is invalid
+   */
+  validateRange(range) {
+    const match =
+      typeof range === 'string' ? /^bytes=(\d+)-(\d+)$/.exec(range) : null;
+
+    if (!match) {
+      throw new Error('range must be a string in the form "bytes=start-end"');
+    }
+
+    if (Number(match[1]) > Number(match[2])) {
+      throw new Error('range start cannot be greater than range end');
+    }
+  }
+
+  /**
+   * Validate the Object Lock options of an upload
+   * @param {Object} options - Upload options
+   * @param {Object} [options.retention] - Retention with mode and retainUntilTimestamp
+   * @param {string} [options.legalHold] - Legal hold ('on' or 'off')
+   * @throws {Error} If an option is invalid
+   */
+  validateFileLock({ retention, legalHold }) {
+    if (retention !== undefined) {
+      Validator.validateFileRetention(retention);
+    }
+
+    if (legalHold !== undefined) {
+      Validator.validateLegalHold(legalHold);
+    }
+  }
+
+  /**
+   * Validate server-side encryption settings and bring them into the form
+   * B2 expects: SSE-C keys as base64 with their base64 MD5 digest
+   * @param {Object} [encryption] - Encryption with mode, algorithm and, for SSE-C, customerKey and customerKeyMd5
+   * @returns {Promise<Object|undefined>} Encryption settings, or undefined if none were given
+   * @throws {Error} If the settings are invalid
+   */
+  async resolveEncryption(encryption) {
+    if (encryption === undefined) {
+      return undefined;
+    }
+
+    Validator.validateServerSideEncryption(encryption);
+
+    const resolved = {
+      mode: encryption.mode,
+      algorithm: encryption.algorithm || ENCRYPTION_ALGORITHMS.AES256,
+    };
+
+    if (encryption.mode === ENCRYPTION_MODES.SSE_C) {
+      const { customerKey } = encryption;
+      const keyBytes =
+        typeof customerKey === 'string'
+          ? Uint8Array.from(atob(customerKey), (char) => char.charCodeAt(0))
+          : customerKey;
+
+      resolved.customerKey =
+        typeof customerKey === 'string'
+          ? customerKey
+          : btoa(String.fromCharCode(...customerKey));
+      resolved.customerKeyMd5 =
+        encryption.customerKeyMd5 || (await Md5Hasher.hashBase64(keyBytes));
+    }
+
+    return resolved;
+  }
+
   /**
    * Upload a file to B2
    * @param {Object} options - Upload options
-   * @param {string} options.uploadUrl - Upload URL from getUploadUrl
-   * @param {string} options.uploadAuthToken - Upload authorization token
+   * @param {string} [options.uploadUrl] - Upload URL from getUploadUrl
+   * @param {string} [options.uploadAuthToken] - Upload authorization token
+   * @param {string} [options.bucketId] - ID of the bucket to upload to, instead of uploadUrl and uploadAuthToken
    * @param {string} options.fileName - Name of the file
-   * @param {Buffer|Uint8Array|string} options.data - File data to upload
+   * @param {Buffer|Uint8Array|string|ReadableStream|Object} [options.data] - File data to upload, or a Node.js Readable / web ReadableStream
+   * @param {string} [options.filePath] - Path of a local file to stream instead of data (Node.js only)
+   * @param {number} [options.contentLength] - Length of stream data (required for streams)
    * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
-   * @param {string} [options.contentSha1] - SHA1 hash of content (will be calculated if not provided)
+   * @param {string} [options.contentSha1] - SHA1 hash of content (will be calculated if not provided; streamed uploads append it to the body)
    * @param {Object} [options.info] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
    * @param {Function} [options.onUploadProgress] - Progress callback function
    * @returns {Promise<Object>} Upload response
    */
@@ -90,14 +259,22 @@ export class FileManager {
       throw new Error('options object is required');
     }
 
+    // Uploads that only name a bucket take an upload URL from the pool
+    if (options.uploadUrl === undefined && options.bucketId !== undefined) {
+      return this.uploadFileToBucket(options);
+    }
+
     const {
       uploadUrl,
       uploadAuthToken,
       fileName,
       data,
+      filePath,
       contentType = CONTENT_TYPES.OCTET_STREAM,
       contentSha1,
       info,
+      retention,
+      legalHold,
       onUploadProgress,
     } = options;
 
@@ -112,22 +289,58 @@ export class FileManager {
 
     this.validateFileName(fileName);
 
-    if (!data) {
+    if (!data && filePath === undefined) {
       throw new Error('data is required');
     }
 
-    // Calculate content length
+    this.validateFileLock(options);
+
+    const encryption = await this.resolveEncryption(options.encryption);
+
+    let body = data;
     let contentLength;
-    if (typeof data === 'string') {
-      contentLength = new TextEncoder().encode(data).length;
+    let sha1Hash = contentSha1;
+    let requestProgress = onUploadProgress;
+    let source = null;
+
+    if (filePath !== undefined || isWebStream(data) || isNodeStream(data)) {
+      // Stream the data instead of buffering it, with the SHA1 computed
+      // on the fly and sent after the data unless it is already known
+      source = await createDataSource(options);
+      if (source.size === null) {
+        await source.close();
+        throw new Error('contentLength is required when uploading a stream');
+      }
+
+      const progressHandler = new ProgressHandler();
+      let loaded = 0;
+      body = createUploadStream(source.chunks(), {
+        appendSha1: !sha1Hash,
+        onChunk: onUploadProgress
+          ? (length) => {
+              loaded += length;
+              onUploadProgress(
+                progressHandler.createProgressEvent(loaded, source.size, true)
+              );
+            }
+          : undefined,
+      });
+      requestProgress = undefined;
+
+      contentLength = sha1Hash ? source.size : source.size + 40;
+      sha1Hash = sha1Hash || CONTENT_SHA1_VALUES.HEX_DIGITS_AT_END;
     } else {
-      contentLength = data.length;
-    }
+      // Calculate content length
+      if (typeof data === 'string') {
+        contentLength = new TextEncoder().encode(data).length;
+      } else {
+        contentLength = data.length;
+      }
 
-    // Calculate SHA1 if not provided
-    let sha1Hash = contentSha1;
-    if (!sha1Hash) {
-      sha1Hash = await Sha1Hasher.hash(data);
+      // Calculate SHA1 if not provided
+      if (!sha1Hash) {
+        sha1Hash = await Sha1Hasher.hash(data);
+      }
     }
 
     // Create upload headers
@@ -138,13 +351,16 @@ export class FileManager {
       contentSha1: sha1Hash,
       contentLength,
       info,
+      encryption,
+      retention,
+      legalHold,
     });
 
     try {
-      const response = await this.httpClient.post(uploadUrl, data, {
+      const response = await this.httpClient.post(uploadUrl, body, {
         headers,
         timeout: this.config.uploadTimeout || this.config.timeout,
-        onUploadProgress,
+        onUploadProgress: requestProgress,
       });
 
       return response;
@@ -160,9 +376,74 @@ export class FileManager {
       }
 
       throw error;
+    } finally {
+      if (source) {
+        await source.close();
+      }
     }
   }
 
+  /**
+   * Upload a file with an upload URL from the pool. B2 asks for a new upload
+   * URL after timeouts, server errors and expired upload tokens, so failed
+   * uploads are retried on a fresh one unless the data is a stream that can
+   * only be read once.
+   * @param {Object} options - uploadFile options with bucketId instead of uploadUrl and uploadAuthToken
+   * @returns {Promise<Object>} Upload response
+   */
+  async uploadFileToBucket(options) {
+    const { bucketId, ...uploadOptions } = options;
+
+    if (typeof bucketId !== 'string') {
+      throw new Error('bucketId is required and must be a string');
+    }
+
+    if (bucketId.trim().length === 0) {
+      throw new Error('bucketId cannot be empty');
+    }
+
+    this.validateFileName(uploadOptions.fileName);
+
+    // Resolve SSE-C key digests once instead of on every attempt
+    uploadOptions.encryption = await this.resolveEncryption(
+      uploadOptions.encryption
+    );
+
+    const upload = async () => {
+      const target = await this.uploadUrlPool.acquire(bucketId);
+
+      try {
+        const response = await this.uploadFile({
+          ...uploadOptions,
+          uploadUrl: target.uploadUrl,
+          uploadAuthToken: target.authorizationToken,
+        });
+        this.uploadUrlPool.release(target);
+        return response;
+      } catch (error) {
+        if (!this.uploadUrlPool.isUploadUrlError(error)) {
+          // The upload URL is still good, the request itself was rejected
+          this.uploadUrlPool.release(target);
+        } else if (error.status === HTTP_STATUS.UNAUTHORIZED) {
+          // Only the upload token was rejected, a new upload URL comes with
+          // a new one
+          error.isUploadAuthError = true;
+        }
+        throw error;
+      }
+    };
+
+    if (isWebStream(options.data) || isNodeStream(options.data)) {
+      return upload();
+    }
+
+    return this.retryHandler.executeWithRetry(upload, {
+      retryCondition: (error, attempt) =>
+        !!error.isUploadAuthError ||
+        this.retryHandler.retryCondition(error, attempt),
+    });
+  }
+
   /**
    * Get file information
    * @param {Object|string} options - File info options or file ID (for backward compatibility)
@@ -218,6 +499,122 @@ export class FileManager {
     }
   }
 
+  /**
+   * Get information about the latest version of a file by name, from the
+   * headers of a HEAD request to its download URL
+   * @param {Object} options - Stat options
+   * @param {string} options.bucketName - Name of the bucket containing the file
+   * @param {string} options.fileName - Name of the file
+   * @param {Object} [options.headers] - Additional headers for the request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @returns {Promise<Object>} File information with fileId, fileName, contentLength, contentSha1, contentType, uploadTimestamp and fileInfo
+   */
+  async statFileByName(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { bucketName, fileName, headers = {} } = options;
+
+    if (typeof bucketName !== 'string' || bucketName.trim().length === 0) {
+      throw new Error('bucketName is required and must be a string');
+    }
+
+    this.validateFileName(fileName);
+
+    const encryptionHeaders = HeaderUtils.createCustomerKeyHeaders(
+      await this.resolveEncryption(options.encryption)
+    );
+
+    try {
+      const response = await this.httpClient.head(
+        this.endpointBuilder.getDownloadFileByNameUrl(bucketName, fileName),
+        {
+          headers: {
+            ...this.authManager.getAuthHeaders(),
+            ...encryptionHeaders,
+            ...headers,
+          },
+          timeout: this.config.timeout,
+        }
+      );
+
+      return this.parseFileHeaders(response.headers);
+    } catch (error) {
+      // HEAD responses have no body, so there is no B2 error code
+      if (error.status === 404) {
+        const b2Error = new Error(
+          `File not found: ${fileName} in bucket ${bucketName}`
+        );
+        b2Error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+        b2Error.status = 404;
+        throw b2Error;
+      }
+
+      if (error.status === 401) {
+        const b2Error = new Error(`Unauthorized access to file: ${fileName}`);
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.status = 401;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a file exists, i.e. its latest version is not hidden
+   * @param {Object} options - statFileByName options
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async exists(options) {
+    try {
+      await this.statFileByName(options);
+      return true;
+    } catch (error) {
+      if (error.code === B2_ERROR_CODES.FILE_NOT_PRESENT) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the headers B2 sends with a file into file information
+   * @param {Headers|Object} headers - Response headers
+   * @returns {Object} File information in the shape of b2_get_file_info
+   */
+  parseFileHeaders(headers) {
+    const header = (name) => HeaderUtils.getResponseHeader(headers, name);
+    const fileName = header(HEADERS.FILE_NAME);
+    const contentLength = header(HEADERS.CONTENT_LENGTH);
+    const uploadTimestamp = header(HEADERS.UPLOAD_TIMESTAMP);
+
+    let decodedFileName = fileName;
+    try {
+      decodedFileName = fileName && decodeURIComponent(fileName);
+    } catch {
+      // Keep names that are not percent-encoded as they are
+    }
+
+    return {
+      fileId: header(HEADERS.FILE_ID),
+      fileName: decodedFileName,
+      contentLength: contentLength === null ? null : Number(contentLength),
+      contentSha1: header(HEADERS.CONTENT_SHA1),
+      contentType: header(HEADERS.CONTENT_TYPE),
+      uploadTimestamp:
+        uploadTimestamp === null ? null : Number(uploadTimestamp),
+      fileInfo: InfoHeaders.extractInfoHeaders(
+        typeof headers?.entries === 'function'
+          ? Object.fromEntries(headers.entries())
+          : headers
+      ),
+    };
+  }
+
   /**
    * Delete a file version
    * @param {Object} options - Delete options
@@ -478,6 +875,135 @@ export class FileManager {
     }
   }
 
+  /**
+   * List a virtual directory of a bucket, splitting the entries into
+   * sub-folders and files. Folders only exist as shared name prefixes in B2,
+   * so they are derived from the delimiter. Pages are followed automatically.
+   * @param {Object|string} options - Directory options or bucket ID
+   * @param {string} options.bucketId - ID of the bucket to list
+   * @param {string} [options.path] - Directory to list, e.g. 'photos/2024' (default: bucket root)
+   * @param {string} [options.delimiter] - Folder delimiter (default: '/')
+   * @param {boolean} [options.recursive=false] - Also list the contents of sub-folders
+   * @param {number} [options.maxDepth] - Number of sub-folder levels to descend into when recursive (default: no limit)
+   * @param {string|Object} [path] - Directory to list when the first argument is a bucket ID, or the remaining options
+   * @param {Object} [directoryOptions] - Remaining options when bucket ID and path are passed separately
+   * @returns {Promise<Object>} Directory with path, folders and files; folders of a recursive listing have the same shape
+   */
+  async listDirectory(options, path, directoryOptions = {}) {
+    this.ensureAuthenticated();
+
+    // Support both listDirectory(bucketId, path, options) and listDirectory(options)
+    if (typeof options === 'string') {
+      options =
+        path && typeof path === 'object'
+          ? { ...path, bucketId: options }
+          : { ...directoryOptions, bucketId: options, path };
+    } else if (!options || typeof options !== 'object') {
+      throw new Error(
+        'Invalid arguments. Expected object with bucketId or bucketId as string'
+      );
+    }
+
+    const {
+      bucketId,
+      path: directoryPath = '',
+      delimiter = '/',
+      recursive = false,
+      maxDepth = Infinity,
+    } = options;
+
+    // Validate required parameters
+    if (typeof bucketId !== 'string') {
+      throw new Error('bucketId is required and must be a string');
+    }
+
+    if (bucketId.trim().length === 0) {
+      throw new Error('bucketId cannot be empty');
+    }
+
+    // Validate optional parameters
+    if (typeof directoryPath !== 'string') {
+      throw new Error('path must be a string');
+    }
+
+    if (typeof delimiter !== 'string' || delimiter.length === 0) {
+      throw new Error('delimiter must be a non-empty string');
+    }
+
+    if (
+      maxDepth !== Infinity &&
+      (!Number.isInteger(maxDepth) || maxDepth < 0)
+    ) {
+      throw new Error('maxDepth must be a non-negative integer');
+    }
+
+    // B2 file names don't start with the delimiter, and a directory prefix
+    // has to end with it so only entries inside the directory match
+    let prefix = directoryPath;
+    while (prefix.startsWith(delimiter)) {
+      prefix = prefix.slice(delimiter.length);
+    }
+    if (prefix.length > 0 && !prefix.endsWith(delimiter)) {
+      prefix += delimiter;
+    }
+
+    return this.listDirectoryLevel(
+      bucketId,
+      prefix,
+      delimiter,
+      recursive ? maxDepth : 0
+    );
+  }
+
+  /**
+   * List one directory level and, while depth remains, its sub-folders
+   * @param {string} bucketId - ID of the bucket to list
+   * @param {string} prefix - Directory prefix ending with the delimiter, or '' for the root
+   * @param {string} delimiter - Folder delimiter
+   * @param {number} depth - Number of sub-folder levels still to descend into
+   * @returns {Promise<Object>} Directory with path, folders and files
+   */
+  async listDirectoryLevel(bucketId, prefix, delimiter, depth) {
+    const directory = { path: prefix, folders: [], files: [] };
+    const entries = paginate(
+      (page) =>
+        this.retryHandler.executeWithRetry(() => this.listFileNames(page)),
+      {
+        params: { bucketId, prefix, delimiter },
+        items: 'files',
+        cursors: { nextFileName: 'startFileName' },
+        pageSize: 'maxFileCount',
+        defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      }
+    );
+
+    for await (const entry of entries) {
+      if (entry.action === 'folder') {
+        directory.folders.push({
+          name: entry.fileName.slice(prefix.length, -delimiter.length),
+          path: entry.fileName,
+        });
+      } else {
+        directory.files.push(entry);
+      }
+    }
+
+    if (depth > 0) {
+      for (let i = 0; i < directory.folders.length; i++) {
+        const folder = directory.folders[i];
+        const contents = await this.listDirectoryLevel(
+          bucketId,
+          folder.path,
+          delimiter,
+          depth - 1
+        );
+        directory.folders[i] = { name: folder.name, ...contents };
+      }
+    }
+
+    return directory;
+  }
+
   /**
    * Hide a file (make it invisible in file listings)
    * @param {Object} options - Hide file options
@@ -542,6 +1068,254 @@ export class FileManager {
     }
   }
 
+  /**
+   * Set or change the Object Lock retention of a file version. Governance
+   * retention can only be shortened or removed with bypassGovernance,
+   * compliance retention can only be extended.
+   * @param {Object} options - Update file retention options
+   * @param {string} options.fileName - Name of the file
+   * @param {string} options.fileId - ID of the file version
+   * @param {Object} options.retention - New retention: { mode: 'governance' | 'compliance', retainUntilTimestamp } or { mode: null } to remove it
+   * @param {boolean} [options.bypassGovernance=false] - Allow shortening or removing governance retention (requires the bypassGovernance capability)
+   * @returns {Promise<Object>} Update file retention response
+   */
+  async updateFileRetention(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { fileName, fileId, retention, bypassGovernance = false } = options;
+
+    // Validate required parameters
+    this.validateFileName(fileName);
+    this.validateFileId(fileId);
+    Validator.validateFileRetention(retention, 'retention', [
+      ...Object.values(RETENTION_MODES),
+      null,
+    ]);
+
+    if (typeof bypassGovernance !== 'boolean') {
+      throw new Error('bypassGovernance must be a boolean');
+    }
+
+    const requestData = {
+      fileName: fileName,
+      fileId: fileId,
+      fileRetention: {
+        mode: retention.mode,
+        retainUntilTimestamp: retention.retainUntilTimestamp ?? null,
+      },
+    };
+
+    if (bypassGovernance) {
+      requestData.bypassGovernance = true;
+    }
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getUpdateFileRetentionUrl(),
+        requestData,
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      // Handle specific B2 file lock errors
+      if (error.code === B2_ERROR_CODES.FILE_NOT_PRESENT) {
+        const b2Error = new Error(`File not found: ${fileName} (${fileId})`);
+        b2Error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+        b2Error.status = error.status;
+        throw b2Error;
+      }
+
+      if (error.code === B2_ERROR_CODES.ACCESS_DENIED) {
+        const b2Error = new Error(
+          `Not allowed to update retention of file: ${fileName}`
+        );
+        b2Error.code = B2_ERROR_CODES.ACCESS_DENIED;
+        b2Error.status = error.status;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Place or remove an Object Lock legal hold on a file version. A file
+   * under legal hold cannot be deleted, regardless of its retention.
+   * @param {Object} options - Update file legal hold options
+   * @param {string} options.fileName - Name of the file
+   * @param {string} options.fileId - ID of the file version
+   * @param {string} options.legalHold - 'on' or 'off'
+   * @returns {Promise<Object>} Update file legal hold response
+   */
+  async updateFileLegalHold(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { fileName, fileId, legalHold } = options;
+
+    // Validate required parameters
+    this.validateFileName(fileName);
+    this.validateFileId(fileId);
+    Validator.validateLegalHold(legalHold);
+
+    const requestData = {
+      fileName: fileName,
+      fileId: fileId,
+      legalHold: legalHold,
+    };
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getUpdateFileLegalHoldUrl(),
+        requestData,
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      // Handle specific B2 file lock errors
+      if (error.code === B2_ERROR_CODES.FILE_NOT_PRESENT) {
+        const b2Error = new Error(`File not found: ${fileName} (${fileId})`);
+        b2Error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+        b2Error.status = error.status;
+        throw b2Error;
+      }
+
+      if (error.code === B2_ERROR_CODES.ACCESS_DENIED) {
+        const b2Error = new Error(
+          `Not allowed to update legal hold of file: ${fileName}`
+        );
+        b2Error.code = B2_ERROR_CODES.ACCESS_DENIED;
+        b2Error.status = error.status;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a file server-side, without downloading and uploading it again
+   * @param {Object} options - Copy file options
+   * @param {string} options.sourceFileId - ID of the file to copy
+   * @param {string} options.fileName - Name of the new file
+   * @param {string} [options.destinationBucketId] - ID of the bucket to copy to (defaults to the source bucket)
+   * @param {string} [options.range] - Part of the source to copy, as "bytes=start-end" (defaults to the whole file)
+   * @param {string} [options.metadataDirective] - 'COPY' to keep the source metadata or 'REPLACE' to set new metadata (default: 'COPY')
+   * @param {string} [options.contentType] - Content type of the new file (required with 'REPLACE')
+   * @param {Object} [options.fileInfo] - File info of the new file (only with 'REPLACE')
+   * @returns {Promise<Object>} Copy file response with the new file's info
+   */
+  async copyFile(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      sourceFileId,
+      fileName,
+      destinationBucketId,
+      range,
+      metadataDirective = METADATA_DIRECTIVES.COPY,
+      contentType,
+      fileInfo,
+    } = options;
+
+    // Validate required parameters
+    if (typeof sourceFileId !== 'string') {
+      throw new Error('sourceFileId is required and must be a string');
+    }
+
+    if (sourceFileId.trim().length === 0) {
+      throw new Error('sourceFileId cannot be empty');
+    }
+
+    this.validateFileName(fileName);
+
+    // Validate optional parameters
+    if (destinationBucketId !== undefined) {
+      if (typeof destinationBucketId !== 'string') {
+        throw new Error('destinationBucketId must be a string');
+      }
+      if (destinationBucketId.trim().length === 0) {
+        throw new Error('destinationBucketId cannot be empty');
+      }
+    }
+
+    if (range !== undefined) {
+      this.validateRange(range);
+    }
+
+    this.validateCopyMetadata(metadataDirective, contentType, fileInfo);
+
+    const requestData = {
+      sourceFileId: sourceFileId,
+      fileName: fileName,
+      metadataDirective: metadataDirective,
+    };
+
+    // Add optional parameters
+    if (destinationBucketId !== undefined) {
+      requestData.destinationBucketId = destinationBucketId;
+    }
+    if (range !== undefined) {
+      requestData.range = range;
+    }
+    if (metadataDirective === METADATA_DIRECTIVES.REPLACE) {
+      requestData.contentType = contentType;
+      requestData.fileInfo = fileInfo || {};
+    }
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getCopyFileUrl(),
+        requestData,
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      // Handle specific B2 copy file errors
+      if (error.status === 400) {
+        if (error.code === B2_ERROR_CODES.FILE_NOT_PRESENT) {
+          const b2Error = new Error(`Source file not found: ${sourceFileId}`);
+          b2Error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+          b2Error.status = 400;
+          throw b2Error;
+        }
+        if (error.code === B2_ERROR_CODES.INVALID_BUCKET_ID) {
+          const b2Error = new Error(
+            `Invalid bucket ID: ${destinationBucketId}`
+          );
+          b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_ID;
+          b2Error.status = 400;
+          throw b2Error;
+        }
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Download a file by name
    * @param {Object|string} options - Download options or bucket name (for backward compatibility)
@@ -550,14 +1324,18 @@ export class FileManager {
    * @param {string} [options.responseType] - Response type: 'json', 'text', 'arraybuffer', 'blob', 'stream' (default: 'arraybuffer')
    * @param {Function} [options.onDownloadProgress] - Progress callback function
    * @param {Object} [options.headers] - Additional headers for the request
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {string} [options.range] - Only download this byte range: "bytes=start-end" (inclusive)
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file (arraybuffer and stream responses, not with range)
    * @param {string} [fileName] - File name (for backward compatibility when first param is bucket name)
-   * @returns {Promise<Object>} Download response with file data
+   * @returns {Promise<Object>} Download response with file data, and contentRange ({ start, end, size }) for ranged downloads
    */
   async downloadFileByName(options, fileName) {
     this.ensureAuthenticated();
 
     // Handle backward compatibility: downloadFileByName(bucketName, fileName)
     let bucketName, actualFileName, responseType, onDownloadProgress, headers;
+    let encryption, range, verifyChecksum;
 
     if (typeof options === 'string') {
       // Legacy format: downloadFileByName(bucketName, fileName)
@@ -573,6 +1351,9 @@ export class FileManager {
       responseType = options.responseType || 'arraybuffer';
       onDownloadProgress = options.onDownloadProgress;
       headers = options.headers || {};
+      encryption = options.encryption;
+      range = options.range;
+      verifyChecksum = options.verifyChecksum;
     } else {
       throw new Error(
         'Invalid arguments. Expected object with bucketName and fileName, or bucketName and fileName as separate strings'
@@ -604,6 +1385,19 @@ export class FileManager {
       );
     }
 
+    if (range !== undefined) {
+      this.validateRange(range);
+    }
+
+    if (verifyChecksum) {
+      this.validateChecksumOptions(responseType, range);
+    }
+
+    const encryptionHeaders = HeaderUtils.createCustomerKeyHeaders(
+      await this.resolveEncryption(encryption)
+    );
+    const rangeHeaders = range ? { [HEADERS.RANGE]: range } : {};
+
     try {
       const downloadUrl = this.endpointBuilder.getDownloadFileByNameUrl(
         bucketName,
@@ -613,6 +1407,8 @@ export class FileManager {
       const response = await this.httpClient.get(downloadUrl, {
         headers: {
           ...this.authManager.getAuthHeaders(),
+          ...encryptionHeaders,
+          ...rangeHeaders,
           ...headers,
         },
         responseType,
@@ -620,6 +1416,26 @@ export class FileManager {
         timeout: this.config.downloadTimeout || this.config.timeout,
       });
 
+      if (range) {
+        return {
+          ...response,
+          contentRange: HeaderUtils.parseContentRange(
+            HeaderUtils.getResponseHeader(
+              response.headers,
+              HEADERS.CONTENT_RANGE
+            )
+          ),
+        };
+      }
+
+      if (verifyChecksum) {
+        return this.verifyDownloadChecksum(
+          response,
+          responseType,
+          actualFileName
+        );
+      }
+
       return response;
     } catch (error) {
       // Handle specific B2 download errors
@@ -632,11 +1448,20 @@ export class FileManager {
         throw b2Error;
       }
 
+      if (error.status === 416) {
+        const b2Error = new Error(
+          `Range not satisfiable for file: ${actualFileName}`
+        );
+        b2Error.code = B2_ERROR_CODES.RANGE_NOT_SATISFIABLE;
+        b2Error.status = 416;
+        throw b2Error;
+      }
+
       if (error.status === 401) {
         const b2Error = new Error(
           `Unauthorized access to file: ${actualFileName}`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -652,13 +1477,17 @@ export class FileManager {
    * @param {string} [options.responseType] - Response type: 'json', 'text', 'arraybuffer', 'blob', 'stream' (default: 'arraybuffer')
    * @param {Function} [options.onDownloadProgress] - Progress callback function
    * @param {Object} [options.headers] - Additional headers for the request
-   * @returns {Promise<Object>} Download response with file data
+   * @param {Object} [options.encryption] - SSE-C encryption the file was uploaded with: { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {string} [options.range] - Only download this byte range: "bytes=start-end" (inclusive)
+   * @param {boolean} [options.verifyChecksum] - Verify the SHA1 of the file (arraybuffer and stream responses, not with range)
+   * @returns {Promise<Object>} Download response with file data, and contentRange ({ start, end, size }) for ranged downloads
    */
   async downloadFileById(options) {
     this.ensureAuthenticated();
 
     // Handle backward compatibility: downloadFileById(fileId)
-    let fileId, responseType, onDownloadProgress, headers;
+    let fileId, responseType, onDownloadProgress, headers, encryption, range;
+    let verifyChecksum;
 
     if (typeof options === 'string') {
       // Legacy format: downloadFileById(fileId)
@@ -672,6 +1501,9 @@ export class FileManager {
       responseType = options.responseType || 'arraybuffer';
       onDownloadProgress = options.onDownloadProgress;
       headers = options.headers || {};
+      encryption = options.encryption;
+      range = options.range;
+      verifyChecksum = options.verifyChecksum;
     } else {
       throw new Error(
         'Invalid arguments. Expected object with fileId or fileId as string'
@@ -695,12 +1527,27 @@ export class FileManager {
       );
     }
 
+    if (range !== undefined) {
+      this.validateRange(range);
+    }
+
+    if (verifyChecksum) {
+      this.validateChecksumOptions(responseType, range);
+    }
+
+    const encryptionHeaders = HeaderUtils.createCustomerKeyHeaders(
+      await this.resolveEncryption(encryption)
+    );
+    const rangeHeaders = range ? { [HEADERS.RANGE]: range } : {};
+
     try {
       const downloadUrl = this.endpointBuilder.getDownloadFileByIdUrl(fileId);
 
       const response = await this.httpClient.get(downloadUrl, {
         headers: {
           ...this.authManager.getAuthHeaders(),
+          ...encryptionHeaders,
+          ...rangeHeaders,
           ...headers,
         },
         responseType,
@@ -708,6 +1555,22 @@ export class FileManager {
         timeout: this.config.downloadTimeout || this.config.timeout,
       });
 
+      if (range) {
+        return {
+          ...response,
+          contentRange: HeaderUtils.parseContentRange(
+            HeaderUtils.getResponseHeader(
+              response.headers,
+              HEADERS.CONTENT_RANGE
+            )
+          ),
+        };
+      }
+
+      if (verifyChecksum) {
+        return this.verifyDownloadChecksum(response, responseType, fileId);
+      }
+
       return response;
     } catch (error) {
       // Handle specific B2 download errors
@@ -718,9 +1581,16 @@ export class FileManager {
         throw b2Error;
       }
 
+      if (error.status === 416) {
+        const b2Error = new Error(`Range not satisfiable for file: ${fileId}`);
+        b2Error.code = B2_ERROR_CODES.RANGE_NOT_SATISFIABLE;
+        b2Error.status = 416;
+        throw b2Error;
+      }
+
       if (error.status === 401) {
         const b2Error = new Error(`Unauthorized access to file: ${fileId}`);
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -729,6 +1599,148 @@ export class FileManager {
     }
   }
 
+  /**
+   * Validate that a download can verify the SHA1 of the file
+   * @param {string} responseType - Response type of the download
+   * @param {string} [range] - Byte range of the download
+   */
+  validateChecksumOptions(responseType, range) {
+    if (!['arraybuffer', 'stream'].includes(responseType)) {
+      throw new Error(
+        'verifyChecksum is only supported with responseType arraybuffer or stream'
+      );
+    }
+
+    if (range !== undefined) {
+      throw new Error('verifyChecksum cannot be used with range');
+    }
+  }
+
+  /**
+   * Get the SHA1 a download is verified against, cancelling stream bodies
+   * of files without one
+   * @param {Object} response - Download response
+   * @param {string} file - File name or ID for error messages
+   * @returns {Promise<string>} Lowercase hex SHA1
+   */
+  async getExpectedSha1(response, file) {
+    const expectedSha1 = HeaderUtils.getContentSha1(response.headers);
+
+    if (expectedSha1 === null) {
+      if (response.data instanceof ReadableStream) {
+        await response.data.cancel();
+      }
+
+      const b2Error = new Error(`No SHA1 checksum available for file: ${file}`);
+      b2Error.code = 'CHECKSUM_UNAVAILABLE';
+      throw b2Error;
+    }
+
+    return expectedSha1;
+  }
+
+  /**
+   * Throw if the SHA1 of downloaded data does not match the file's SHA1
+   * @param {string} actualSha1 - SHA1 of the downloaded data
+   * @param {string} expectedSha1 - SHA1 of the file
+   * @param {string} file - File name or ID for error messages
+   */
+  assertChecksum(actualSha1, expectedSha1, file) {
+    if (actualSha1 !== expectedSha1) {
+      const b2Error = new Error(
+        `SHA1 checksum mismatch for file: ${file} (expected ${expectedSha1}, got ${actualSha1})`
+      );
+      b2Error.code = 'CHECKSUM_MISMATCH';
+      b2Error.expectedSha1 = expectedSha1;
+      b2Error.actualSha1 = actualSha1;
+      throw b2Error;
+    }
+  }
+
+  /**
+   * Create a stream that hashes the data passing through it and errors at
+   * the end if the SHA1 does not match
+   * @param {string} expectedSha1 - SHA1 of the file
+   * @param {string} file - File name or ID for error messages
+   * @returns {TransformStream} Verifying stream
+   */
+  createChecksumStream(expectedSha1, file) {
+    const hasher = new Sha1Stream();
+
+    return new TransformStream({
+      async transform(chunk, controller) {
+        await hasher.update(chunk);
+        controller.enqueue(chunk);
+      },
+      flush: async () => {
+        this.assertChecksum(await hasher.digest(), expectedSha1, file);
+      },
+    });
+  }
+
+  /**
+   * Verify a download against the SHA1 from its headers. ArrayBuffer bodies
+   * are checked right away, streams are hashed while they are read and
+   * error at the end on a mismatch.
+   * @param {Object} response - Download response
+   * @param {string} responseType - 'arraybuffer' or 'stream'
+   * @param {string} file - File name or ID for error messages
+   * @returns {Promise<Object>} The response, with a verifying stream as data for streams
+   */
+  async verifyDownloadChecksum(response, responseType, file) {
+    const expectedSha1 = await this.getExpectedSha1(response, file);
+
+    if (responseType === 'stream') {
+      return {
+        ...response,
+        data: response.data.pipeThrough(
+          this.createChecksumStream(expectedSha1, file)
+        ),
+      };
+    }
+
+    this.assertChecksum(
+      await Sha1Hasher.hash(new Uint8Array(response.data)),
+      expectedSha1,
+      file
+    );
+    return response;
+  }
+
+  /**
+   * Get the manager of parallel and resumable downloads, loaded on first use
+   * @returns {Promise<DownloadManager>} Download manager
+   */
+  async getDownloadManager() {
+    if (!this.downloadManager) {
+      const { DownloadManager } = await import('./download-manager.js');
+      this.downloadManager = new DownloadManager(this);
+    }
+    return this.downloadManager;
+  }
+
+  /**
+   * Download a file in byte ranges fetched concurrently, see
+   * DownloadManager.downloadFileParallel
+   * @param {Object} options - Download options
+   * @returns {Promise<Object>} Response with status, headers of the first range, fileId, contentLength and data (or filePath)
+   */
+  async downloadFileParallel(options) {
+    const downloadManager = await this.getDownloadManager();
+    return downloadManager.downloadFileParallel(options);
+  }
+
+  /**
+   * Download a file to a local path, resuming after failures, see
+   * DownloadManager.downloadToFile (Node.js only)
+   * @param {Object} options - Download options
+   * @returns {Promise<Object>} Response with status, headers of the first request, fileId, contentLength, filePath and resumeCount
+   */
+  async downloadToFile(options) {
+    const downloadManager = await this.getDownloadManager();
+    return downloadManager.downloadToFile(options);
+  }
+
   /**
    * Get download authorization for private files
    * @param {Object} options - Download authorization options
@@ -832,13 +1844,156 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for download authorization`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
 
-      throw error;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a URL that downloads a file from a private bucket without further
+   * authorization. With cachePrefix, the authorization is made for that
+   * prefix and shared by every URL signed under it while it stays valid
+   * for at least expiresIn, so the URL may stay valid for up to twice as long.
+   * @param {Object} options - Signed URL options
+   * @param {string} options.bucketName - Name of the bucket containing the file
+   * @param {string} options.fileName - Name of the file
+   * @param {string} [options.bucketId] - ID of the bucket, saves looking it up by name
+   * @param {number} [options.expiresIn] - Seconds the URL stays valid (default: 3600, max: 604800)
+   * @param {Object} [options.overrides] - Response headers to override: b2ContentDisposition, b2ContentLanguage, b2Expires, b2CacheControl, b2ContentEncoding, b2ContentType
+   * @param {string} [options.cachePrefix] - Prefix of fileName to share a cached authorization with
+   * @returns {Promise<Object>} Signed URL with url, authorizationToken and expiresAt (milliseconds since the epoch)
+   */
+  async getSignedDownloadUrl(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      bucketName,
+      fileName,
+      expiresIn = DEFAULT_CONFIG.SIGNED_URL_EXPIRES_IN,
+      overrides = {},
+      cachePrefix,
+    } = options;
+
+    if (typeof bucketName !== 'string' || bucketName.trim().length === 0) {
+      throw new Error('bucketName is required and must be a string');
+    }
+
+    this.validateFileName(fileName);
+
+    if (options.bucketId !== undefined) {
+      if (typeof options.bucketId !== 'string' || !options.bucketId.trim()) {
+        throw new Error('bucketId must be a non-empty string');
+      }
+    }
+
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > 604800) {
+      throw new Error(
+        'expiresIn must be an integer between 1 and 604800 (7 days)'
+      );
+    }
+
+    if (!overrides || typeof overrides !== 'object') {
+      throw new Error('overrides must be an object');
+    }
+
+    for (const [name, value] of Object.entries(overrides)) {
+      if (!DOWNLOAD_OVERRIDE_PARAMS.includes(name)) {
+        throw new Error(
+          `Invalid override: ${name}. Must be one of: ${DOWNLOAD_OVERRIDE_PARAMS.join(', ')}`
+        );
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`overrides.${name} must be a string`);
+      }
+    }
+
+    if (cachePrefix !== undefined) {
+      if (typeof cachePrefix !== 'string') {
+        throw new Error('cachePrefix must be a string');
+      }
+      if (!fileName.startsWith(cachePrefix)) {
+        throw new Error(`fileName must start with cachePrefix: ${cachePrefix}`);
+      }
+    }
+
+    const bucketId =
+      options.bucketId ?? (await this.resolveBucketId(bucketName));
+
+    // Overrides are left out of the authorization, so one authorization
+    // works for URLs with any overrides
+    let authorization;
+    if (cachePrefix !== undefined) {
+      authorization = await this.downloadAuthorizationCache.get(
+        bucketId,
+        cachePrefix,
+        expiresIn
+      );
+    } else {
+      const expiresAt = Date.now() + expiresIn * 1000;
+      const response = await this.getDownloadAuthorization({
+        bucketId,
+        fileNamePrefix: fileName,
+        validDurationInSeconds: expiresIn,
+      });
+      authorization = {
+        authorizationToken: response.data.authorizationToken,
+        expiresAt,
+      };
+    }
+
+    const url = new URL(
+      this.endpointBuilder.getDownloadFileByNameUrl(bucketName, fileName)
+    );
+    url.searchParams.set('Authorization', authorization.authorizationToken);
+    for (const [name, value] of Object.entries(overrides)) {
+      url.searchParams.set(name, value);
+    }
+
+    return {
+      url: url.toString(),
+      authorizationToken: authorization.authorizationToken,
+      expiresAt: authorization.expiresAt,
+    };
+  }
+
+  /**
+   * Look up the ID of a bucket by name. IDs are cached, as a bucket name
+   * keeps its ID until the bucket is deleted.
+   * @param {string} bucketName - Name of the bucket
+   * @returns {Promise<string>} Bucket ID
+   */
+  async resolveBucketId(bucketName) {
+    if (this.bucketIds.has(bucketName)) {
+      return this.bucketIds.get(bucketName);
+    }
+
+    const response = await this.httpClient.post(
+      this.endpointBuilder.getListBucketsUrl(),
+      { accountId: this.authManager.getAccountId(), bucketName },
+      {
+        headers: this.authManager.getAuthHeaders(),
+        timeout: this.config.timeout,
+      }
+    );
+
+    const bucket = response.data.buckets?.[0];
+    if (!bucket) {
+      const b2Error = new Error(`Bucket not found: ${bucketName}`);
+      b2Error.code = B2_ERROR_CODES.INVALID_BUCKET_NAME;
+      b2Error.status = 400;
+      throw b2Error;
     }
+
+    this.bucketIds.set(bucketName, bucket.bucketId);
+    return bucket.bucketId;
   }
 
   // ===== LARGE FILE OPERATIONS =====
@@ -850,6 +2005,9 @@ export class FileManager {
    * @param {string} options.fileName - Name of the file to upload
    * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
    * @param {Object} [options.fileInfo] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption of the whole file: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
    * @returns {Promise<Object>} Start large file response containing fileId
    */
   async startLargeFile(options) {
@@ -889,6 +2047,10 @@ export class FileManager {
       throw new Error('fileInfo must be an object');
     }
 
+    this.validateFileLock(options);
+
+    const encryption = await this.resolveEncryption(options.encryption);
+
     const requestData = {
       bucketId: bucketId,
       fileName: fileName,
@@ -900,6 +2062,18 @@ export class FileManager {
       requestData.fileInfo = fileInfo;
     }
 
+    if (encryption) {
+      requestData.serverSideEncryption = encryption;
+    }
+
+    if (options.retention) {
+      requestData.fileRetention = options.retention;
+    }
+
+    if (options.legalHold) {
+      requestData.legalHold = options.legalHold;
+    }
+
     try {
       const response = await this.httpClient.post(
         this.endpointBuilder.getStartLargeFileUrl(),
@@ -934,7 +2108,7 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for large file upload`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -991,7 +2165,7 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for upload part URL`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -1008,6 +2182,7 @@ export class FileManager {
    * @param {number} options.partNumber - Part number (1-based, must be between 1 and 10000)
    * @param {Buffer|Uint8Array|string} options.data - Part data to upload
    * @param {string} [options.contentSha1] - SHA1 hash of part content (will be calculated if not provided)
+   * @param {Object} [options.encryption] - Encryption the large file was started with; SSE-C keys must be sent with every part
    * @param {Function} [options.onUploadProgress] - Progress callback function
    * @returns {Promise<Object>} Upload part response
    */
@@ -1064,6 +2239,8 @@ export class FileManager {
       throw new Error(`Part size cannot exceed ${MAX_PART_SIZE} bytes (5GB)`);
     }
 
+    const encryption = await this.resolveEncryption(options.encryption);
+
     // Calculate SHA1 if not provided
     let sha1Hash = contentSha1;
     if (!sha1Hash) {
@@ -1077,6 +2254,7 @@ export class FileManager {
       'Content-Length': contentLength.toString(),
       'X-Bz-Content-Sha1': sha1Hash,
       'X-Bz-Part-Number': partNumber.toString(),
+      ...HeaderUtils.createCustomerKeyHeaders(encryption),
     };
 
     try {
@@ -1185,7 +2363,7 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for finishing large file`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -1242,7 +2420,7 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for canceling large file`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -1332,7 +2510,7 @@ export class FileManager {
         const b2Error = new Error(
           `Unauthorized: Invalid credentials for listing parts`
         );
-        b2Error.code = B2_ERROR_CODES.BAD_AUTH_TOKEN;
+        b2Error.code = error.code || B2_ERROR_CODES.BAD_AUTH_TOKEN;
         b2Error.status = 401;
         throw b2Error;
       }
@@ -1345,6 +2523,7 @@ export class FileManager {
    * List unfinished large file uploads
    * @param {Object} options - List unfinished large files options
    * @param {string} options.bucketId - ID of the bucket to list unfinished files from
+   * @param {string} [options.namePrefix] - Only return files whose names start with this prefix
    * @param {string} [options.startFileId] - File ID to start listing from
    * @param {number} [options.maxFileCount] - Maximum number of files to return (default: 100, max: 10000)
    * @returns {Promise<Object>} List unfinished large files response
@@ -1356,7 +2535,7 @@ export class FileManager {
       throw new Error('options object is required');
     }
 
-    const { bucketId, startFileId, maxFileCount } = options;
+    const { bucketId, namePrefix, startFileId, maxFileCount } = options;
 
     // Validate required parameters
     if (typeof bucketId !== 'string') {
@@ -1382,11 +2561,18 @@ export class FileManager {
       throw new Error('startFileId must be a string');
     }
 
+    if (namePrefix !== undefined && typeof namePrefix !== 'string') {
+      throw new Error('namePrefix must be a string');
+    }
+
     const requestData = {
       bucketId: bucketId,
     };
 
     // Add optional parameters
+    if (namePrefix !== undefined) {
+      requestData.namePrefix = namePrefix;
+    }
     if (startFileId !== undefined) {
       requestData.startFileId = startFileId;
     }
@@ -1420,6 +2606,636 @@ export class FileManager {
       throw error;
     }
   }
+
+  /**
+   * Copy a range of an existing file into a part of a large file, server-side
+   * @param {Object} options - Copy part options
+   * @param {string} options.sourceFileId - ID of the file to copy from
+   * @param {string} options.largeFileId - ID of the large file from startLargeFile
+   * @param {number} options.partNumber - Part number (1-based, must be between 1 and 10000)
+   * @param {string} [options.range] - Part of the source to copy, as "bytes=start-end" (defaults to the whole file)
+   * @returns {Promise<Object>} Copy part response
+   */
+  async copyPart(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const { sourceFileId, largeFileId, partNumber, range } = options;
+
+    // Validate required parameters
+    if (typeof sourceFileId !== 'string') {
+      throw new Error('sourceFileId is required and must be a string');
+    }
+
+    if (sourceFileId.trim().length === 0) {
+      throw new Error('sourceFileId cannot be empty');
+    }
+
+    if (typeof largeFileId !== 'string') {
+      throw new Error('largeFileId is required and must be a string');
+    }
+
+    if (largeFileId.trim().length === 0) {
+      throw new Error('largeFileId cannot be empty');
+    }
+
+    if (
+      typeof partNumber !== 'number' ||
+      partNumber < 1 ||
+      partNumber > DEFAULT_CONFIG.MAX_PARTS_COUNT
+    ) {
+      throw new Error(
+        `partNumber must be a number between 1 and ${DEFAULT_CONFIG.MAX_PARTS_COUNT}`
+      );
+    }
+
+    if (range !== undefined) {
+      this.validateRange(range);
+    }
+
+    const requestData = {
+      sourceFileId: sourceFileId,
+      largeFileId: largeFileId,
+      partNumber: partNumber,
+    };
+
+    if (range !== undefined) {
+      requestData.range = range;
+    }
+
+    try {
+      const response = await this.httpClient.post(
+        this.endpointBuilder.getCopyPartUrl(),
+        requestData,
+        {
+          headers: this.authManager.getAuthHeaders(),
+          timeout: this.config.timeout,
+        }
+      );
+
+      return response;
+    } catch (error) {
+      // Handle specific B2 copy part errors
+      if (
+        error.status === 400 &&
+        error.code === B2_ERROR_CODES.FILE_NOT_PRESENT
+      ) {
+        const b2Error = new Error(
+          `Source file or large file not found: ${sourceFileId}, ${largeFileId}`
+        );
+        b2Error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+        b2Error.status = 400;
+        throw b2Error;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate the part size for a large file upload
+   * @param {number|null} totalSize - Total size of the data, or null if unknown
+   * @param {number} [requestedPartSize] - Part size requested by the caller
+   * @returns {number} Part size in bytes
+   * @throws {Error} If the part size is invalid or the data is too small for a large file
+   */
+  calculatePartSize(totalSize, requestedPartSize) {
+    const authContext = this.authManager.getAuthContext();
+    const minPartSize =
+      authContext.absoluteMinimumPartSize || DEFAULT_CONFIG.MIN_PART_SIZE;
+    let partSize =
+      requestedPartSize ||
+      authContext.recommendedPartSize ||
+      DEFAULT_CONFIG.RECOMMENDED_PART_SIZE;
+
+    if (
+      !Number.isInteger(partSize) ||
+      partSize < minPartSize ||
+      partSize > DEFAULT_CONFIG.MAX_PART_SIZE
+    ) {
+      throw new Error(
+        `partSize must be an integer between ${minPartSize} and ${DEFAULT_CONFIG.MAX_PART_SIZE} bytes`
+      );
+    }
+
+    if (totalSize === null || totalSize === undefined) {
+      return partSize;
+    }
+
+    // Large files need at least two parts, and all but the last part must
+    // be at least the minimum part size
+    if (totalSize <= minPartSize) {
+      throw new Error(
+        `Data is too small for a large file upload (${totalSize} bytes). Use uploadFile instead.`
+      );
+    }
+
+    if (totalSize <= partSize) {
+      partSize = Math.max(minPartSize, Math.ceil(totalSize / 2));
+    }
+
+    // Grow the part size if the data would not fit in the maximum part count
+    if (Math.ceil(totalSize / partSize) > DEFAULT_CONFIG.MAX_PARTS_COUNT) {
+      partSize = Math.ceil(totalSize / DEFAULT_CONFIG.MAX_PARTS_COUNT);
+      if (partSize > DEFAULT_CONFIG.MAX_PART_SIZE) {
+        throw new Error('Data exceeds the maximum large file size');
+      }
+    }
+
+    return partSize;
+  }
+
+  /**
+   * Upload a large file in one call: starts the large file, splits the data
+   * into parts, uploads the parts concurrently and finishes the file.
+   * Failed parts are retried on fresh upload URLs; if the upload cannot be
+   * completed the large file is cancelled.
+   * @param {Object} options - Upload options
+   * @param {string} options.bucketId - ID of the bucket to upload to
+   * @param {string} options.fileName - Name of the file to upload
+   * @param {Buffer|Uint8Array|ArrayBuffer|Blob|ReadableStream|Object} [options.data] - Data to upload (in-memory data, Blob, web ReadableStream or Node.js Readable)
+   * @param {string} [options.filePath] - Path of a local file to upload (Node.js only)
+   * @param {number} [options.contentLength] - Total length of stream data, used to size parts
+   * @param {string} [options.contentType] - Content type (defaults to application/octet-stream)
+   * @param {Object} [options.fileInfo] - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption: { mode: 'SSE-B2' } or { mode: 'SSE-C', customerKey, customerKeyMd5? }
+   * @param {Object} [options.retention] - Object Lock retention: { mode: 'governance' | 'compliance', retainUntilTimestamp }
+   * @param {string} [options.legalHold] - Object Lock legal hold: 'on' or 'off'
+   * @param {number} [options.partSize] - Part size in bytes (defaults to recommendedPartSize from authorization)
+   * @param {number} [options.concurrency] - Maximum number of parts uploaded in parallel (default: 4)
+   * @param {Function} [options.onUploadProgress] - Progress callback for the whole upload
+   * @param {boolean} [options.resume=false] - Continue a matching unfinished large file instead of starting a new one
+   * @param {string} [options.fingerprint] - Identifier of the local source, stored in fileInfo and required to match when resuming; streams are only resumed with one
+   * @returns {Promise<Object>} Finish large file response
+   */
+  async uploadLargeFile(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      bucketId,
+      fileName,
+      contentType,
+      fileInfo,
+      partSize: requestedPartSize,
+      concurrency = DEFAULT_CONFIG.UPLOAD_CONCURRENCY,
+      onUploadProgress,
+      resume = false,
+      fingerprint,
+      retention,
+      legalHold,
+    } = options;
+
+    // Validate required parameters
+    if (typeof bucketId !== 'string') {
+      throw new Error('bucketId is required and must be a string');
+    }
+
+    if (bucketId.trim().length === 0) {
+      throw new Error('bucketId cannot be empty');
+    }
+
+    this.validateFileName(fileName);
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+
+    if (
+      onUploadProgress !== undefined &&
+      typeof onUploadProgress !== 'function'
+    ) {
+      throw new Error('Progress callback must be a function');
+    }
+
+    if (
+      fingerprint !== undefined &&
+      (typeof fingerprint !== 'string' || fingerprint.length === 0)
+    ) {
+      throw new Error('fingerprint must be a non-empty string');
+    }
+
+    this.validateFileLock(options);
+
+    const encryption = await this.resolveEncryption(options.encryption);
+
+    const source = await createDataSource(options);
+
+    try {
+      let partSize = this.calculatePartSize(source.size, requestedPartSize);
+      let fileId = null;
+      let existingParts = new Map();
+
+      if (resume) {
+        const resumable = await this.findResumableLargeFile({
+          bucketId,
+          fileName,
+          fingerprint,
+          source,
+          partSize,
+        });
+        if (resumable) {
+          fileId = resumable.file.fileId;
+          existingParts = resumable.parts;
+          partSize = resumable.partSize;
+        }
+      }
+
+      if (!fileId) {
+        const startFileInfo = fingerprint
+          ? { ...fileInfo, [FILE_INFO_KEYS.UPLOAD_FINGERPRINT]: fingerprint }
+          : fileInfo;
+        const startResponse = await this.retryHandler.executeWithRetry(() =>
+          this.startLargeFile({
+            bucketId,
+            fileName,
+            contentType,
+            fileInfo: startFileInfo,
+            encryption,
+            retention,
+            legalHold,
+          })
+        );
+        fileId = startResponse.data.fileId;
+      }
+
+      try {
+        const partSha1Array = await this.uploadLargeFileParts(
+          fileId,
+          source.parts(partSize),
+          {
+            concurrency,
+            totalSize: source.size,
+            onUploadProgress,
+            existingParts,
+            encryption,
+          }
+        );
+
+        if (partSha1Array.length < 2) {
+          throw new Error(
+            'Data is too small for a large file upload. Use uploadFile instead.'
+          );
+        }
+
+        return await this.retryHandler.executeWithRetry(() =>
+          this.finishLargeFile({ fileId, partSha1Array })
+        );
+      } catch (error) {
+        // Don't leave an unfinished large file behind, unless the caller
+        // wants to resume it later
+        if (!resume) {
+          try {
+            await this.cancelLargeFile({ fileId });
+          } catch (cancelError) {
+            error.cancelError = cancelError;
+          }
+        }
+        error.fileId = fileId;
+        throw error;
+      }
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Upload the parts of a started large file concurrently
+   * @param {string} fileId - ID of the large file from startLargeFile
+   * @param {AsyncIterable<Uint8Array>} parts - Part data in order
+   * @param {Object} [options] - Upload options
+   * @param {number} [options.concurrency] - Maximum number of parts uploaded in parallel
+   * @param {number|null} [options.totalSize] - Total upload size for progress reporting
+   * @param {Function} [options.onUploadProgress] - Progress callback for all parts
+   * @param {Map<number, Object>} [options.existingParts] - Parts already stored in B2 by part number; matching parts are not uploaded again
+   * @param {Object} [options.encryption] - Encryption the large file was started with
+   * @returns {Promise<Array<string>>} SHA1 of every part, ordered by part number
+   */
+  async uploadLargeFileParts(fileId, parts, options = {}) {
+    const {
+      concurrency = DEFAULT_CONFIG.UPLOAD_CONCURRENCY,
+      totalSize = null,
+      onUploadProgress,
+      existingParts = new Map(),
+      encryption,
+    } = options;
+
+    // Upload URLs are reused by later parts until a request using them fails
+    const idleUploadTargets = [];
+
+    // Aggregate per-part progress into progress for the whole file
+    const progressHandler = new ProgressHandler();
+    const partProgress = new Map();
+    let loaded = 0;
+    const reportPartProgress = (partNumber, partLoaded) => {
+      loaded += partLoaded - (partProgress.get(partNumber) || 0);
+      partProgress.set(partNumber, partLoaded);
+      onUploadProgress(
+        progressHandler.createProgressEvent(loaded, totalSize || 0, !!totalSize)
+      );
+    };
+
+    return mapConcurrent(parts, concurrency, async (data, index) => {
+      const partNumber = index + 1;
+      if (partNumber > DEFAULT_CONFIG.MAX_PARTS_COUNT) {
+        throw new Error(
+          `Large file cannot have more than ${DEFAULT_CONFIG.MAX_PARTS_COUNT} parts`
+        );
+      }
+
+      const contentSha1 = await Sha1Hasher.hash(data);
+
+      const existingPart = existingParts.get(partNumber);
+      if (existingPart) {
+        if (
+          existingPart.contentSha1 !== contentSha1 ||
+          existingPart.contentLength !== data.length
+        ) {
+          throw new Error(
+            `Part ${partNumber} of large file ${fileId} does not match the local data`
+          );
+        }
+        if (onUploadProgress) {
+          reportPartProgress(partNumber, data.length);
+        }
+        return contentSha1;
+      }
+
+      await this.retryHandler.executeWithRetry(async () => {
+        const target =
+          idleUploadTargets.pop() ||
+          (await this.getUploadPartUrl({ fileId })).data;
+
+        const response = await this.uploadPart({
+          uploadUrl: target.uploadUrl,
+          authorizationToken: target.authorizationToken,
+          partNumber,
+          data,
+          contentSha1,
+          encryption,
+          onUploadProgress: onUploadProgress
+            ? (event) => reportPartProgress(partNumber, event.loaded)
+            : undefined,
+        });
+
+        // B2 requires a new upload URL after a failure, so only URLs
+        // from successful uploads go back into rotation
+        idleUploadTargets.push(target);
+        return response;
+      });
+
+      return contentSha1;
+    });
+  }
+
+  /**
+   * List every uploaded part of a large file, following pagination
+   * @param {string} fileId - ID of the large file from startLargeFile
+   * @returns {Promise<Map<number, Object>>} Parts by part number
+   */
+  async listAllParts(fileId) {
+    const parts = new Map();
+    const pages = paginate(
+      (page) => this.retryHandler.executeWithRetry(() => this.listParts(page)),
+      {
+        params: { fileId },
+        items: 'parts',
+        cursors: { nextPartNumber: 'startPartNumber' },
+        pageSize: 'maxPartCount',
+        defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      }
+    );
+
+    for await (const part of pages) {
+      parts.set(part.partNumber, part);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Check whether already uploaded parts match a local data source
+   * @param {Map<number, Object>} parts - Uploaded parts by part number
+   * @param {Object} source - Random access data source
+   * @param {number} partSize - Part size used for the upload
+   * @returns {Promise<boolean>} True if every uploaded part matches the local data
+   */
+  async partsMatchSource(parts, source, partSize) {
+    for (const [partNumber, part] of parts) {
+      const start = (partNumber - 1) * partSize;
+      const expectedLength = Math.min(partSize, source.size - start);
+      if (expectedLength <= 0 || part.contentLength !== expectedLength) {
+        return false;
+      }
+
+      const data = await source.read(start, start + partSize);
+      if ((await Sha1Hasher.hash(data)) !== part.contentSha1) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Find an unfinished large file that an upload can be resumed into.
+   * Candidates must have the same name (and fingerprint, if given); for
+   * sources that support random access every uploaded part is verified
+   * against the local data. Stream sources can only be verified while
+   * uploading, when a mismatch fails the upload, so they only resume a file
+   * started with the same fingerprint.
+   * @param {Object} options - Search options
+   * @param {string} options.bucketId - ID of the bucket being uploaded to
+   * @param {string} options.fileName - Name of the file being uploaded
+   * @param {string} [options.fingerprint] - Fingerprint stored when the upload was started
+   * @param {Object} options.source - Data source from createDataSource
+   * @param {number} options.partSize - Part size for a new upload of the source
+   * @returns {Promise<Object|null>} The unfinished file, its uploaded parts and part size, or null
+   */
+  async findResumableLargeFile({
+    bucketId,
+    fileName,
+    fingerprint,
+    source,
+    partSize,
+  }) {
+    const isStream = typeof source.read !== 'function';
+    if (isStream && fingerprint === undefined) {
+      return null;
+    }
+
+    const candidates = [];
+    let startFileId;
+
+    do {
+      const response = await this.retryHandler.executeWithRetry(() =>
+        this.listUnfinishedLargeFiles({
+          bucketId,
+          namePrefix: fileName,
+          startFileId,
+          maxFileCount: 100,
+        })
+      );
+      for (const file of response.data.files) {
+        const fileFingerprint =
+          file.fileInfo?.[FILE_INFO_KEYS.UPLOAD_FINGERPRINT];
+        if (
+          file.fileName === fileName &&
+          (fingerprint === undefined || fileFingerprint === fingerprint)
+        ) {
+          candidates.push(file);
+        }
+      }
+      startFileId = response.data.nextFileId ?? undefined;
+    } while (startFileId !== undefined);
+
+    // Prefer the most recently started upload
+    candidates.sort((a, b) => b.uploadTimestamp - a.uploadTimestamp);
+
+    for (const file of candidates) {
+      const parts = await this.listAllParts(file.fileId);
+
+      // Every part except the last has the part size of the original
+      // upload, so the largest uploaded part is the best guess for it
+      let largestPartSize = 0;
+      for (const part of parts.values()) {
+        largestPartSize = Math.max(largestPartSize, part.contentLength);
+      }
+
+      if (isStream) {
+        return { file, parts, partSize: largestPartSize || partSize };
+      }
+
+      const partSizes = new Set([largestPartSize || partSize, partSize]);
+      for (const candidatePartSize of partSizes) {
+        if (await this.partsMatchSource(parts, source, candidatePartSize)) {
+          return { file, parts, partSize: candidatePartSize };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Copy a file server-side, of any size. Files up to 5GB are copied with
+   * copyFile; larger files are copied in parts with startLargeFile and
+   * copyPart, and cancelled again if the copy cannot be completed.
+   * @param {Object} options - Copy options
+   * @param {string} options.sourceFileId - ID of the file to copy
+   * @param {string} options.fileName - Name of the new file
+   * @param {string} [options.destinationBucketId] - ID of the bucket to copy to (defaults to the source bucket)
+   * @param {string} [options.metadataDirective] - 'COPY' to keep the source metadata or 'REPLACE' to set new metadata (default: 'COPY')
+   * @param {string} [options.contentType] - Content type of the new file (required with 'REPLACE')
+   * @param {Object} [options.fileInfo] - File info of the new file (only with 'REPLACE')
+   * @param {number} [options.partSize] - Part size in bytes for multi-part copies (defaults to recommendedPartSize from authorization)
+   * @param {number} [options.concurrency] - Maximum number of parts copied in parallel (default: 4)
+   * @returns {Promise<Object>} Copy file or finish large file response
+   */
+  async copy(options) {
+    this.ensureAuthenticated();
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      sourceFileId,
+      fileName,
+      destinationBucketId,
+      metadataDirective = METADATA_DIRECTIVES.COPY,
+      contentType,
+      fileInfo,
+      partSize: requestedPartSize,
+      concurrency = DEFAULT_CONFIG.UPLOAD_CONCURRENCY,
+    } = options;
+
+    // Validate required parameters
+    this.validateFileId(sourceFileId);
+    this.validateFileName(fileName);
+    this.validateCopyMetadata(metadataDirective, contentType, fileInfo);
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+
+    const source = (
+      await this.retryHandler.executeWithRetry(() =>
+        this.getFileInfo({ fileId: sourceFileId })
+      )
+    ).data;
+
+    if (source.contentLength <= DEFAULT_CONFIG.MAX_COPY_FILE_SIZE) {
+      return this.retryHandler.executeWithRetry(() =>
+        this.copyFile({
+          sourceFileId,
+          fileName,
+          destinationBucketId,
+          metadataDirective,
+          contentType,
+          fileInfo,
+        })
+      );
+    }
+
+    const partSize = this.calculatePartSize(
+      source.contentLength,
+      requestedPartSize
+    );
+    const replace = metadataDirective === METADATA_DIRECTIVES.REPLACE;
+
+    const startResponse = await this.retryHandler.executeWithRetry(() =>
+      this.startLargeFile({
+        bucketId: destinationBucketId || source.bucketId,
+        fileName,
+        contentType: replace ? contentType : source.contentType,
+        fileInfo: replace ? fileInfo : source.fileInfo,
+      })
+    );
+    const largeFileId = startResponse.data.fileId;
+
+    const ranges = [];
+    for (let start = 0; start < source.contentLength; start += partSize) {
+      const end = Math.min(start + partSize, source.contentLength) - 1;
+      ranges.push(`bytes=${start}-${end}`);
+    }
+
+    try {
+      const partSha1Array = await mapConcurrent(
+        ranges,
+        concurrency,
+        async (range, index) => {
+          const response = await this.retryHandler.executeWithRetry(() =>
+            this.copyPart({
+              sourceFileId,
+              largeFileId,
+              partNumber: index + 1,
+              range,
+            })
+          );
+          return response.data.contentSha1;
+        }
+      );
+
+      return await this.retryHandler.executeWithRetry(() =>
+        this.finishLargeFile({ fileId: largeFileId, partSha1Array })
+      );
+    } catch (error) {
+      // Don't leave an unfinished large file behind
+      try {
+        await this.cancelLargeFile({ fileId: largeFileId });
+      } catch (cancelError) {
+        error.cancelError = cancelError;
+      }
+      throw error;
+    }
+  }
 }
 
 export default FileManager;
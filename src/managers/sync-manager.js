@@ -0,0 +1,1024 @@
+/**
+ * Sync Manager for B2 API
+ * Handles syncing local directories with buckets and buckets with each other
+ */
+
+import {
+  CONTENT_SHA1_VALUES,
+  CONTENT_TYPES,
+  DEFAULT_CONFIG,
+  FILE_INFO_KEYS,
+  SYNC_ACTIONS,
+  SYNC_COMPARE_MODES,
+  SYNC_DELETE_MODES,
+} from '../constants.js';
+import { Validator } from '../utils/validation.js';
+import { Sha1Hasher } from '../utils/crypto.js';
+import { createPathFilter } from '../utils/glob.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+import { paginate } from '../utils/pagination.js';
+
+// Check if we're in Node.js or browser environment
+const isNode =
+  typeof process !== 'undefined' && process.versions && process.versions.node;
+
+/**
+ * Get the SHA1 of a listed file, taking large_file_sha1 for large files
+ * @param {Object} file - File from a list call
+ * @returns {string|null} Lowercase SHA1, or null if B2 has none
+ */
+function getListedSha1(file) {
+  let sha1 = file.contentSha1;
+  if (!sha1 || sha1 === CONTENT_SHA1_VALUES.NONE) {
+    sha1 = file.fileInfo?.[FILE_INFO_KEYS.LARGE_FILE_SHA1];
+  }
+  if (typeof sha1 !== 'string') {
+    return null;
+  }
+  if (sha1.startsWith(CONTENT_SHA1_VALUES.UNVERIFIED_PREFIX)) {
+    sha1 = sha1.slice(CONTENT_SHA1_VALUES.UNVERIFIED_PREFIX.length);
+  }
+  return sha1.toLowerCase();
+}
+
+/**
+ * Get the modification time of a listed file, falling back to its upload
+ * time for files not uploaded by a sync
+ * @param {Object} file - File from a list call
+ * @returns {number} Milliseconds since the epoch
+ */
+function getListedModTime(file) {
+  const modTime = Number(
+    file.fileInfo?.[FILE_INFO_KEYS.SRC_LAST_MODIFIED_MILLIS]
+  );
+  return Number.isFinite(modTime) ? modTime : file.uploadTimestamp;
+}
+
+/**
+ * Turn a prefix into a folder name, so syncs cover a folder of the bucket
+ * rather than every name starting with the prefix
+ * @param {string} prefix - Prefix from the sync options
+ * @returns {string} Empty string or a prefix ending with '/'
+ */
+function toFolder(prefix) {
+  return prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+}
+
+/**
+ * Map a bucket file name relative to the synced folder to a local path
+ * @param {Object} path - Node.js path module
+ * @param {string} rootPath - Local directory being synced
+ * @param {string} relativePath - '/'-separated path relative to the folder
+ * @returns {string} Local path of the file
+ * @throws {Error} If the path would end up outside of rootPath
+ */
+function toLocalPath(path, rootPath, relativePath) {
+  const filePath = path.join(rootPath, ...relativePath.split('/'));
+  const fromRoot = path.relative(rootPath, filePath);
+
+  // B2 file names may contain ".." segments
+  if (
+    !fromRoot ||
+    fromRoot === '..' ||
+    fromRoot.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(fromRoot)
+  ) {
+    throw new Error(
+      `File name maps to a path outside of localPath: ${relativePath}`
+    );
+  }
+
+  return filePath;
+}
+
+/**
+ * Decide whether a source file has to be copied to the destination bucket.
+ * Both listings carry SHA1s, so comparing them costs nothing; files without
+ * one (large files without large_file_sha1) are compared by modification
+ * time instead.
+ * @param {Object} sourceFile - File from the source listing
+ * @param {Object} [destinationFile] - File from the destination listing
+ * @param {string} compareBy - Compare mode
+ * @returns {Object} Whether the file changed and the reason
+ */
+function compareBucketFiles(sourceFile, destinationFile, compareBy) {
+  if (!destinationFile) {
+    return { changed: true, reason: 'new' };
+  }
+
+  if (sourceFile.contentLength !== destinationFile.contentLength) {
+    return { changed: true, reason: 'size changed' };
+  }
+
+  if (compareBy === SYNC_COMPARE_MODES.SHA1) {
+    const sourceSha1 = getListedSha1(sourceFile);
+    const destinationSha1 = getListedSha1(destinationFile);
+    if (sourceSha1 && destinationSha1) {
+      const changed = sourceSha1 !== destinationSha1;
+      return { changed, reason: changed ? 'checksum changed' : 'unchanged' };
+    }
+  }
+
+  const sourceModTime = getListedModTime(sourceFile);
+  const destinationModTime = getListedModTime(destinationFile);
+  if (sourceModTime > destinationModTime) {
+    return { changed: true, reason: 'modified' };
+  }
+
+  return {
+    changed: false,
+    reason:
+      sourceModTime < destinationModTime ? 'destination is newer' : 'unchanged',
+  };
+}
+
+// Summary fields counting each action and its bytes
+const ACTION_COUNTERS = {
+  [SYNC_ACTIONS.UPLOAD]: ['uploaded', 'bytesUploaded'],
+  [SYNC_ACTIONS.DOWNLOAD]: ['downloaded', 'bytesDownloaded'],
+  [SYNC_ACTIONS.COPY]: ['copied', 'bytesCopied'],
+  [SYNC_ACTIONS.SKIP]: ['skipped'],
+  [SYNC_ACTIONS.HIDE]: ['hidden'],
+  [SYNC_ACTIONS.DELETE]: ['deleted'],
+};
+
+/**
+ * Create the summary of a sync along with functions recording its actions
+ * and failures
+ * @param {string[]} actions - Actions the sync can take
+ * @param {boolean} dryRun - Whether the actions are only planned
+ * @param {Function} [onAction] - Called with every recorded action
+ * @returns {Object} summary, record(action) and fail(fileName, error)
+ */
+function createReport(actions, dryRun, onAction) {
+  const summary = { dryRun };
+  for (const action of actions) {
+    for (const counter of ACTION_COUNTERS[action]) {
+      summary[counter] = 0;
+    }
+  }
+  summary.failed = 0;
+  summary.actions = [];
+  summary.errors = [];
+
+  return {
+    summary,
+    record(action) {
+      const [count, bytes] = ACTION_COUNTERS[action.action];
+      summary.actions.push(action);
+      summary[count]++;
+      if (bytes) {
+        summary[bytes] += action.size;
+      }
+      if (onAction) {
+        onAction(action);
+      }
+    },
+    fail(fileName, error) {
+      summary.failed++;
+      summary.errors.push({ fileName, error });
+    },
+  };
+}
+
+export class SyncManager {
+  /**
+   * @param {FileManager} fileManager - File manager doing the transfers
+   * @param {Object} [config] - Client configuration
+   */
+  constructor(fileManager, config = {}) {
+    this.fileManager = fileManager;
+    this.config = config;
+  }
+
+  /**
+   * Sync a local directory to a bucket. Local files missing from the bucket
+   * or differing from the bucket's latest version are uploaded, files at
+   * least largeFileThreshold in size as large files. Failures of single
+   * files are collected in the summary instead of stopping the sync.
+   * @param {Object} options - Sync options
+   * @param {string} options.localPath - Local directory to sync
+   * @param {string} [options.bucketId] - ID of the bucket to sync to
+   * @param {string} [options.bucketName] - Name of the bucket to sync to, instead of bucketId
+   * @param {string} [options.prefix] - Folder in the bucket to sync to
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync; patterns without '/' match any path segment
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone, on both sides
+   * @param {string} [options.compareBy='modTime'] - Compare size and modification time ('modTime') or size and SHA1 ('sha1')
+   * @param {string} [options.deleteMode] - Hide ('hide') or delete ('delete') bucket files missing locally; kept by default
+   * @param {boolean} [options.dryRun=false] - Report the actions without uploading, hiding or deleting anything
+   * @param {number} [options.concurrency] - Maximum number of files transferred in parallel (default: 4)
+   * @param {number} [options.largeFileThreshold] - Size in bytes from which files are uploaded as large files (default: 200MB)
+   * @param {Object} [options.encryption] - Server-side encryption of uploaded files
+   * @param {Function} [options.onAction] - Called with every action once it is done (or planned, in a dry run)
+   * @returns {Promise<Object>} Summary with the counts of each action, bytesUploaded, actions and errors
+   */
+  async syncToBucket(options) {
+    if (!isNode) {
+      throw new Error('Sync is only available in Node.js environment');
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      localPath,
+      bucketName,
+      prefix = '',
+      include,
+      exclude,
+      compareBy = SYNC_COMPARE_MODES.MOD_TIME,
+      deleteMode,
+      dryRun = false,
+      concurrency = DEFAULT_CONFIG.SYNC_CONCURRENCY,
+      largeFileThreshold = DEFAULT_CONFIG.LARGE_FILE_THRESHOLD,
+      encryption,
+      onAction,
+    } = options;
+    let { bucketId } = options;
+
+    this.validateSyncLocation({ localPath, bucketId, bucketName, prefix });
+    this.validateSyncOptions(
+      { compareBy, deleteMode, concurrency, onAction },
+      Object.values(SYNC_DELETE_MODES)
+    );
+
+    Validator.validateNumber(largeFileThreshold, 'largeFileThreshold', {
+      min: DEFAULT_CONFIG.MIN_PART_SIZE + 1,
+      integer: true,
+    });
+
+    const filter = createPathFilter({ include, exclude });
+
+    const fs = await import('fs');
+    const stats = await fs.promises.stat(localPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`localPath is not a directory: ${localPath}`);
+    }
+
+    if (bucketId === undefined) {
+      bucketId = await this.fileManager.resolveBucketId(bucketName);
+    }
+
+    const folder = toFolder(prefix);
+
+    const localFiles = await this.listLocalFiles(localPath, filter);
+    const remoteFiles = await this.listBucketFiles(bucketId, folder, filter);
+
+    const { summary, record, fail } = createReport(
+      [
+        SYNC_ACTIONS.UPLOAD,
+        SYNC_ACTIONS.SKIP,
+        SYNC_ACTIONS.HIDE,
+        SYNC_ACTIONS.DELETE,
+      ],
+      dryRun,
+      onAction
+    );
+
+    await mapConcurrent(localFiles, concurrency, async (localFile) => {
+      const fileName = folder + localFile.relativePath;
+
+      try {
+        const { changed, reason, contentSha1 } = await this.compareFiles(
+          localFile,
+          remoteFiles.get(localFile.relativePath),
+          compareBy,
+          true
+        );
+
+        if (changed && !dryRun) {
+          await this.uploadLocalFile({
+            bucketId,
+            fileName,
+            localFile,
+            contentSha1,
+            largeFileThreshold,
+            encryption,
+          });
+        }
+
+        record({
+          action: changed ? SYNC_ACTIONS.UPLOAD : SYNC_ACTIONS.SKIP,
+          fileName,
+          localPath: localFile.path,
+          size: localFile.size,
+          reason,
+        });
+      } catch (error) {
+        fail(fileName, error);
+      }
+    });
+
+    if (deleteMode) {
+      const localNames = new Set(localFiles.map((file) => file.relativePath));
+      const missing = [...remoteFiles.values()].filter(
+        (file) => !localNames.has(file.fileName.slice(folder.length))
+      );
+
+      await mapConcurrent(missing, concurrency, async (file) => {
+        try {
+          if (!dryRun) {
+            await this.removeBucketFile(bucketId, file.fileName, deleteMode);
+          }
+
+          record({
+            action:
+              deleteMode === SYNC_DELETE_MODES.HIDE
+                ? SYNC_ACTIONS.HIDE
+                : SYNC_ACTIONS.DELETE,
+            fileName: file.fileName,
+            size: file.contentLength,
+            reason: 'missing locally',
+          });
+        } catch (error) {
+          fail(file.fileName, error);
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sync a bucket folder to a local directory, e.g. to restore a backup.
+   * Bucket files missing locally or differing from the local file are
+   * downloaded, with their modification time set from
+   * src_last_modified_millis. With asOf, the folder is restored as it was
+   * at that moment: later uploads are ignored and files hidden by then are
+   * left out.
+   * @param {Object} options - Sync options
+   * @param {string} options.localPath - Local directory to sync to, created if missing
+   * @param {string} [options.bucketId] - ID of the bucket to sync from
+   * @param {string} [options.bucketName] - Name of the bucket to sync from, instead of bucketId
+   * @param {string} [options.prefix] - Folder in the bucket to sync from
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync; patterns without '/' match any path segment
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone, on both sides
+   * @param {string} [options.compareBy='sha1'] - Compare size and SHA1 ('sha1') or size and modification time ('modTime')
+   * @param {Date|number} [options.asOf] - Sync the versions that were current at this time (milliseconds since the epoch)
+   * @param {string} [options.deleteMode] - Delete ('delete') local files missing from the bucket; kept by default
+   * @param {boolean} [options.dryRun=false] - Report the actions without downloading or deleting anything
+   * @param {number} [options.concurrency] - Maximum number of files transferred in parallel (default: 4)
+   * @param {Object} [options.encryption] - SSE-C encryption the files were uploaded with
+   * @param {Function} [options.onAction] - Called with every action once it is done (or planned, in a dry run)
+   * @returns {Promise<Object>} Summary with the counts of each action, bytesDownloaded, actions and errors
+   */
+  async syncToLocal(options) {
+    if (!isNode) {
+      throw new Error('Sync is only available in Node.js environment');
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      localPath,
+      bucketName,
+      prefix = '',
+      include,
+      exclude,
+      compareBy = SYNC_COMPARE_MODES.SHA1,
+      asOf,
+      deleteMode,
+      dryRun = false,
+      concurrency = DEFAULT_CONFIG.SYNC_CONCURRENCY,
+      encryption,
+      onAction,
+    } = options;
+    let { bucketId } = options;
+
+    this.validateSyncLocation({ localPath, bucketId, bucketName, prefix });
+    this.validateSyncOptions({ compareBy, deleteMode, concurrency, onAction }, [
+      SYNC_DELETE_MODES.DELETE,
+    ]);
+
+    const asOfTime = asOf instanceof Date ? asOf.getTime() : asOf;
+    if (asOf !== undefined && !Number.isFinite(asOfTime)) {
+      throw new Error('asOf must be a Date or a timestamp in milliseconds');
+    }
+
+    const filter = createPathFilter({ include, exclude });
+
+    const fs = await import('fs');
+    const path = await import('path');
+
+    let localExists = true;
+    try {
+      const stats = await fs.promises.stat(localPath);
+      if (!stats.isDirectory()) {
+        throw new Error(`localPath is not a directory: ${localPath}`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      localExists = false;
+    }
+
+    if (bucketId === undefined) {
+      bucketId = await this.fileManager.resolveBucketId(bucketName);
+    }
+
+    const folder = toFolder(prefix);
+
+    const remoteFiles = await this.listBucketFiles(
+      bucketId,
+      folder,
+      filter,
+      asOfTime
+    );
+    const localFiles = localExists
+      ? await this.listLocalFiles(localPath, filter)
+      : [];
+    const localFilesByPath = new Map(
+      localFiles.map((file) => [file.relativePath, file])
+    );
+
+    const { summary, record, fail } = createReport(
+      [SYNC_ACTIONS.DOWNLOAD, SYNC_ACTIONS.SKIP, SYNC_ACTIONS.DELETE],
+      dryRun,
+      onAction
+    );
+
+    await mapConcurrent(
+      remoteFiles,
+      concurrency,
+      async ([relativePath, file]) => {
+        try {
+          const filePath = toLocalPath(path, localPath, relativePath);
+          const { changed, reason } = await this.compareFiles(
+            localFilesByPath.get(relativePath),
+            file,
+            compareBy,
+            false
+          );
+
+          if (changed && !dryRun) {
+            await this.downloadBucketFile(file, filePath, encryption);
+          }
+
+          record({
+            action: changed ? SYNC_ACTIONS.DOWNLOAD : SYNC_ACTIONS.SKIP,
+            fileName: file.fileName,
+            localPath: filePath,
+            size: file.contentLength,
+            reason,
+          });
+        } catch (error) {
+          fail(file.fileName, error);
+        }
+      }
+    );
+
+    if (deleteMode) {
+      const extra = localFiles.filter(
+        (file) => !remoteFiles.has(file.relativePath)
+      );
+
+      await mapConcurrent(extra, concurrency, async (localFile) => {
+        const fileName = folder + localFile.relativePath;
+
+        try {
+          if (!dryRun) {
+            await fs.promises.rm(localFile.path);
+          }
+
+          record({
+            action: SYNC_ACTIONS.DELETE,
+            fileName,
+            localPath: localFile.path,
+            size: localFile.size,
+            reason: 'missing in bucket',
+          });
+        } catch (error) {
+          fail(fileName, error);
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sync a bucket folder to a folder of another (or the same) bucket with
+   * server-side copies, so no data passes through this process. Source
+   * files missing from the destination or differing from its latest
+   * version are copied along with their content type and file info.
+   * @param {Object} options - Sync options
+   * @param {string} [options.sourceBucketId] - ID of the bucket to sync from
+   * @param {string} [options.sourceBucketName] - Name of the bucket to sync from, instead of sourceBucketId
+   * @param {string} [options.sourcePrefix] - Folder in the source bucket to sync from
+   * @param {string} [options.destinationBucketId] - ID of the bucket to sync to
+   * @param {string} [options.destinationBucketName] - Name of the bucket to sync to, instead of destinationBucketId
+   * @param {string} [options.destinationPrefix] - Folder in the destination bucket to sync to
+   * @param {string|string[]} [options.include] - Globs of relative paths to sync; patterns without '/' match any path segment
+   * @param {string|string[]} [options.exclude] - Globs of relative paths to leave alone, on both sides
+   * @param {string} [options.compareBy='sha1'] - Compare size and SHA1 ('sha1', falling back to modification times for files without one) or size and modification time ('modTime')
+   * @param {string} [options.deleteMode] - Hide ('hide') or delete ('delete') destination files missing from the source; kept by default
+   * @param {boolean} [options.dryRun=false] - Report the actions without copying, hiding or deleting anything
+   * @param {number} [options.concurrency] - Maximum number of files copied in parallel (default: 4)
+   * @param {Function} [options.onAction] - Called with every action once it is done (or planned, in a dry run)
+   * @returns {Promise<Object>} Summary with the counts of each action, bytesCopied, actions and errors
+   */
+  async syncBuckets(options) {
+    if (!options || typeof options !== 'object') {
+      throw new Error('options object is required');
+    }
+
+    const {
+      sourceBucketName,
+      sourcePrefix = '',
+      destinationBucketName,
+      destinationPrefix = '',
+      include,
+      exclude,
+      compareBy = SYNC_COMPARE_MODES.SHA1,
+      deleteMode,
+      dryRun = false,
+      concurrency = DEFAULT_CONFIG.SYNC_CONCURRENCY,
+      onAction,
+    } = options;
+    let { sourceBucketId, destinationBucketId } = options;
+
+    if (sourceBucketId === undefined && typeof sourceBucketName !== 'string') {
+      throw new Error('sourceBucketId or sourceBucketName is required');
+    }
+
+    if (
+      destinationBucketId === undefined &&
+      typeof destinationBucketName !== 'string'
+    ) {
+      throw new Error(
+        'destinationBucketId or destinationBucketName is required'
+      );
+    }
+
+    if (typeof sourcePrefix !== 'string') {
+      throw new Error('sourcePrefix must be a string');
+    }
+
+    if (typeof destinationPrefix !== 'string') {
+      throw new Error('destinationPrefix must be a string');
+    }
+
+    this.validateSyncOptions(
+      { compareBy, deleteMode, concurrency, onAction },
+      Object.values(SYNC_DELETE_MODES)
+    );
+
+    const filter = createPathFilter({ include, exclude });
+
+    if (sourceBucketId === undefined) {
+      sourceBucketId = await this.fileManager.resolveBucketId(sourceBucketName);
+    }
+    if (destinationBucketId === undefined) {
+      destinationBucketId = await this.fileManager.resolveBucketId(
+        destinationBucketName
+      );
+    }
+
+    const sourceFolder = toFolder(sourcePrefix);
+    const destinationFolder = toFolder(destinationPrefix);
+
+    // Copies into the source folder would show up as source files next time
+    if (
+      sourceBucketId === destinationBucketId &&
+      (sourceFolder.startsWith(destinationFolder) ||
+        destinationFolder.startsWith(sourceFolder))
+    ) {
+      throw new Error('Source and destination folders must not overlap');
+    }
+
+    const sourceFiles = await this.listBucketFiles(
+      sourceBucketId,
+      sourceFolder,
+      filter
+    );
+    const destinationFiles = await this.listBucketFiles(
+      destinationBucketId,
+      destinationFolder,
+      filter
+    );
+
+    const { summary, record, fail } = createReport(
+      [
+        SYNC_ACTIONS.COPY,
+        SYNC_ACTIONS.SKIP,
+        SYNC_ACTIONS.HIDE,
+        SYNC_ACTIONS.DELETE,
+      ],
+      dryRun,
+      onAction
+    );
+
+    await mapConcurrent(
+      sourceFiles,
+      concurrency,
+      async ([relativePath, file]) => {
+        const fileName = destinationFolder + relativePath;
+
+        try {
+          const { changed, reason } = compareBucketFiles(
+            file,
+            destinationFiles.get(relativePath),
+            compareBy
+          );
+
+          if (changed && !dryRun) {
+            // Copies keep the content type and file info of the source
+            await this.fileManager.copy({
+              sourceFileId: file.fileId,
+              fileName,
+              destinationBucketId,
+            });
+          }
+
+          record({
+            action: changed ? SYNC_ACTIONS.COPY : SYNC_ACTIONS.SKIP,
+            fileName,
+            sourceFileName: file.fileName,
+            size: file.contentLength,
+            reason,
+          });
+        } catch (error) {
+          fail(fileName, error);
+        }
+      }
+    );
+
+    if (deleteMode) {
+      const extra = [...destinationFiles].filter(
+        ([relativePath]) => !sourceFiles.has(relativePath)
+      );
+
+      await mapConcurrent(extra, concurrency, async ([, file]) => {
+        try {
+          if (!dryRun) {
+            await this.removeBucketFile(
+              destinationBucketId,
+              file.fileName,
+              deleteMode
+            );
+          }
+
+          record({
+            action:
+              deleteMode === SYNC_DELETE_MODES.HIDE
+                ? SYNC_ACTIONS.HIDE
+                : SYNC_ACTIONS.DELETE,
+            fileName: file.fileName,
+            size: file.contentLength,
+            reason: 'missing in source',
+          });
+        } catch (error) {
+          fail(file.fileName, error);
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Validate the local directory and bucket folder of a sync
+   * @param {Object} options - Sync options with defaults applied
+   * @throws {Error} If an option is invalid
+   */
+  validateSyncLocation({ localPath, bucketId, bucketName, prefix }) {
+    if (!localPath || typeof localPath !== 'string') {
+      throw new Error('localPath is required and must be a string');
+    }
+
+    if (bucketId === undefined && typeof bucketName !== 'string') {
+      throw new Error('bucketId or bucketName is required');
+    }
+
+    if (typeof prefix !== 'string') {
+      throw new Error('prefix must be a string');
+    }
+  }
+
+  /**
+   * Validate the options shared by all syncs
+   * @param {Object} options - Sync options with defaults applied
+   * @param {string[]} deleteModes - Delete modes supported by the sync
+   * @throws {Error} If an option is invalid
+   */
+  validateSyncOptions(
+    { compareBy, deleteMode, concurrency, onAction },
+    deleteModes
+  ) {
+    const compareModes = Object.values(SYNC_COMPARE_MODES);
+    if (!compareModes.includes(compareBy)) {
+      throw new Error(
+        `Invalid compareBy: ${compareBy}. Must be one of: ${compareModes.join(', ')}`
+      );
+    }
+
+    if (deleteMode !== undefined && !deleteModes.includes(deleteMode)) {
+      throw new Error(
+        `Invalid deleteMode: ${deleteMode}. Must be one of: ${deleteModes.join(', ')}`
+      );
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+
+    if (onAction !== undefined && typeof onAction !== 'function') {
+      throw new Error('onAction must be a function');
+    }
+  }
+
+  /**
+   * List the files below a local directory that pass the filter. Symbolic
+   * links to files are followed, links to directories are not.
+   * @param {string} rootPath - Local directory
+   * @param {Object} filter - Path filter from createPathFilter
+   * @returns {Promise<Array<Object>>} Files with relativePath ('/'-separated), path, size and modTime, sorted by relativePath
+   */
+  async listLocalFiles(rootPath, filter) {
+    const fs = await import('fs');
+    const path = await import('path');
+    const files = [];
+
+    const walk = async (directory, relativeDirectory) => {
+      const entries = await fs.promises.readdir(directory, {
+        withFileTypes: true,
+      });
+
+      for (const entry of entries) {
+        const relativePath = relativeDirectory
+          ? `${relativeDirectory}/${entry.name}`
+          : entry.name;
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          if (!filter.excludesDirectory(relativePath)) {
+            await walk(entryPath, relativePath);
+          }
+          continue;
+        }
+
+        if (!filter.includes(relativePath)) {
+          continue;
+        }
+
+        const stats = await fs.promises.stat(entryPath);
+        if (stats.isFile()) {
+          files.push({
+            relativePath,
+            path: entryPath,
+            size: stats.size,
+            // B2 stores whole milliseconds
+            modTime: Math.floor(stats.mtimeMs),
+          });
+        }
+      }
+    };
+
+    await walk(rootPath, '');
+
+    // readdir order depends on the file system, report in name order
+    return files.sort((a, b) => {
+      if (a.relativePath === b.relativePath) {
+        return 0;
+      }
+      return a.relativePath < b.relativePath ? -1 : 1;
+    });
+  }
+
+  /**
+   * List the files of a bucket folder that pass the filter, as they are now
+   * or as they were at a past moment
+   * @param {string} bucketId - ID of the bucket
+   * @param {string} folder - Folder to list, empty or ending with '/'
+   * @param {Object} filter - Path filter from createPathFilter
+   * @param {number} [asOf] - List the versions current at this time instead of the latest ones
+   * @returns {Promise<Map<string, Object>>} Files by their path relative to the folder
+   */
+  async listBucketFiles(bucketId, folder, filter, asOf) {
+    const files = new Map();
+    const listVersions = asOf !== undefined;
+    const pages = paginate(
+      (page) =>
+        this.fileManager.retryHandler.executeWithRetry(() =>
+          listVersions
+            ? this.fileManager.listFileVersions(page)
+            : this.fileManager.listFileNames(page)
+        ),
+      {
+        params: folder ? { bucketId, prefix: folder } : { bucketId },
+        items: 'files',
+        cursors: listVersions
+          ? { nextFileName: 'startFileName', nextFileId: 'startFileId' }
+          : { nextFileName: 'startFileName' },
+        pageSize: 'maxFileCount',
+        defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      }
+    );
+
+    // Versions of a name are listed newest first, the first one made by
+    // asOf is the one that was current then (hide markers included)
+    let decidedName = null;
+
+    for await (const file of pages) {
+      if (listVersions) {
+        if (
+          file.fileName === decidedName ||
+          file.action === 'start' ||
+          file.action === 'folder' ||
+          file.uploadTimestamp > asOf
+        ) {
+          continue;
+        }
+        decidedName = file.fileName;
+      }
+
+      const relativePath = file.fileName.slice(folder.length);
+      // Skip folder placeholders like "photos/"
+      if (
+        file.action === 'upload' &&
+        relativePath &&
+        !relativePath.endsWith('/') &&
+        filter.includes(relativePath)
+      ) {
+        files.set(relativePath, file);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Decide whether a file has to be transferred. Like in compareBucketFiles,
+   * bucket files without a SHA1 (large files without large_file_sha1) are
+   * compared by modification time even with compareBy sha1.
+   * @param {Object} [localFile] - File from listLocalFiles
+   * @param {Object} [remoteFile] - Version of the file in the bucket
+   * @param {string} compareBy - Compare mode
+   * @param {boolean} toBucket - Whether the local file is the source
+   * @returns {Promise<Object>} Whether the file changed, the reason, and the local SHA1 if it was computed
+   */
+  async compareFiles(localFile, remoteFile, compareBy, toBucket) {
+    if (!localFile || !remoteFile) {
+      return { changed: true, reason: 'new' };
+    }
+
+    if (remoteFile.contentLength !== localFile.size) {
+      return { changed: true, reason: 'size changed' };
+    }
+
+    const remoteSha1 = getListedSha1(remoteFile);
+    if (compareBy === SYNC_COMPARE_MODES.SHA1 && remoteSha1) {
+      const contentSha1 = await Sha1Hasher.hashFile(localFile.path);
+      const changed = remoteSha1 !== contentSha1;
+      return {
+        changed,
+        reason: changed ? 'checksum changed' : 'unchanged',
+        contentSha1,
+      };
+    }
+
+    const remoteModTime = getListedModTime(remoteFile);
+    if (localFile.modTime === remoteModTime) {
+      return { changed: false, reason: 'unchanged' };
+    }
+
+    const localIsNewer = localFile.modTime > remoteModTime;
+    if (localIsNewer === toBucket) {
+      return { changed: true, reason: 'modified' };
+    }
+
+    return {
+      changed: false,
+      reason: localIsNewer ? 'local is newer' : 'remote is newer',
+    };
+  }
+
+  /**
+   * Upload a local file, recording its modification time in the file info
+   * @param {Object} options - Upload options
+   * @param {string} options.bucketId - ID of the bucket
+   * @param {string} options.fileName - Name of the file in the bucket
+   * @param {Object} options.localFile - File from listLocalFiles
+   * @param {string} [options.contentSha1] - SHA1 of the file, if already known
+   * @param {number} options.largeFileThreshold - Size from which the file is uploaded as a large file
+   * @param {Object} [options.encryption] - Server-side encryption
+   * @returns {Promise<Object>} Upload response
+   */
+  async uploadLocalFile({
+    bucketId,
+    fileName,
+    localFile,
+    contentSha1,
+    largeFileThreshold,
+    encryption,
+  }) {
+    const info = {
+      [FILE_INFO_KEYS.SRC_LAST_MODIFIED_MILLIS]: String(localFile.modTime),
+    };
+
+    if (localFile.size < largeFileThreshold) {
+      return this.fileManager.uploadFile({
+        bucketId,
+        fileName,
+        filePath: localFile.path,
+        contentType: CONTENT_TYPES.AUTO,
+        contentSha1,
+        info,
+        encryption,
+      });
+    }
+
+    // Large files have no SHA1 of their own, store it so later syncs can
+    // compare checksums
+    const sha1 = contentSha1 || (await Sha1Hasher.hashFile(localFile.path));
+
+    return this.fileManager.uploadLargeFile({
+      bucketId,
+      fileName,
+      filePath: localFile.path,
+      contentType: CONTENT_TYPES.AUTO,
+      fileInfo: { ...info, [FILE_INFO_KEYS.LARGE_FILE_SHA1]: sha1 },
+      encryption,
+    });
+  }
+
+  /**
+   * Download a bucket file to a local path, creating its directory and
+   * setting its modification time from src_last_modified_millis
+   * @param {Object} file - File from listBucketFiles
+   * @param {string} filePath - Local path to write the file to
+   * @param {Object} [encryption] - SSE-C encryption the file was uploaded with
+   */
+  async downloadBucketFile(file, filePath, encryption) {
+    const fs = await import('fs');
+    const path = await import('path');
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Not wrapped in the retry handler: the download resumes where it failed
+    await this.fileManager.downloadToFile({
+      fileId: file.fileId,
+      filePath,
+      encryption,
+      verifyChecksum: getListedSha1(file) !== null,
+    });
+
+    const modTime = new Date(getListedModTime(file));
+    await fs.promises.utimes(filePath, modTime, modTime);
+  }
+
+  /**
+   * Hide a bucket file, or delete all of its versions
+   * @param {string} bucketId - ID of the bucket
+   * @param {string} fileName - Name of the file
+   * @param {string} deleteMode - 'hide' or 'delete'
+   */
+  async removeBucketFile(bucketId, fileName, deleteMode) {
+    const { retryHandler } = this.fileManager;
+
+    if (deleteMode === SYNC_DELETE_MODES.HIDE) {
+      await retryHandler.executeWithRetry(() =>
+        this.fileManager.hideFile({ bucketId, fileName })
+      );
+      return;
+    }
+
+    const versions = paginate(
+      (page) =>
+        retryHandler.executeWithRetry(() =>
+          this.fileManager.listFileVersions(page)
+        ),
+      {
+        params: { bucketId, prefix: fileName, startFileName: fileName },
+        items: 'files',
+        cursors: { nextFileName: 'startFileName', nextFileId: 'startFileId' },
+        pageSize: 'maxFileCount',
+        defaultPageSize: DEFAULT_CONFIG.LIST_PAGE_SIZE,
+      }
+    );
+
+    // Versions of the name itself come before longer names with it as prefix
+    const fileIds = [];
+    for await (const version of versions) {
+      if (version.fileName !== fileName) {
+        break;
+      }
+      // Unfinished large files are not versions and can't be deleted here
+      if (version.action !== 'start') {
+        fileIds.push(version.fileId);
+      }
+    }
+
+    for (const fileId of fileIds) {
+      await retryHandler.executeWithRetry(() =>
+        this.fileManager.deleteFileVersion({ fileId, fileName })
+      );
+    }
+  }
+}
+
+export default SyncManager;
@@ -0,0 +1,26 @@
+/**
+ * TypeScript definitions for the B2 emulator (better-b2/emulator)
+ */
+
+import type { IncomingMessage, ServerResponse } from 'http';
+
+export interface B2EmulatorOptions {
+  applicationKeyId?: string;
+  applicationKey?: string;
+  dataDir?: string;
+  port?: number;
+  host?: string;
+  recommendedPartSize?: number;
+  absoluteMinimumPartSize?: number;
+}
+
+export class B2Emulator {
+  constructor(options?: B2EmulatorOptions);
+  readonly applicationKeyId: string;
+  readonly applicationKey: string;
+  readonly url: string | null;
+  start(): Promise<string>;
+  stop(): Promise<void>;
+  expireTokens(): Promise<void>;
+  handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+}
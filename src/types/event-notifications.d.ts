@@ -0,0 +1,50 @@
+/**
+ * TypeScript definitions for the webhook verifier (better-b2/event-notifications)
+ */
+
+import type { EventType } from './index';
+
+export interface EventNotification {
+  accountId: string;
+  bucketId: string;
+  bucketName: string;
+  eventId: string;
+  /** Milliseconds since the epoch */
+  eventTimestamp: number;
+  eventType: EventType;
+  eventVersion: number;
+  matchedRuleName: string;
+  objectName: string;
+  objectSize?: number;
+  objectVersionId: string;
+  /** e.g. "ObjectCreated" */
+  category: string;
+  /** e.g. "Upload" */
+  action: string;
+  [key: string]: any;
+}
+
+export interface EventNotificationPayload {
+  events: EventNotification[];
+}
+
+export interface VerifyEventNotificationOptions {
+  /** Raw request body */
+  body: string | Uint8Array | ArrayBuffer;
+  /** Value of the X-Bz-Event-Notification-Signature header */
+  signature: string | null | undefined;
+  secret: string;
+}
+
+export declare const EventNotifications: {
+  readonly SIGNATURE_HEADER: 'X-Bz-Event-Notification-Signature';
+  verifySignature(options: VerifyEventNotificationOptions): Promise<boolean>;
+  parse(
+    body: string | Uint8Array | ArrayBuffer | object
+  ): EventNotificationPayload;
+  verifyAndParse(
+    options: VerifyEventNotificationOptions
+  ): Promise<EventNotificationPayload>;
+};
+
+export default EventNotifications;
@@ -26,10 +26,12 @@ export interface RetryOptions {
   maxRetryDelay?: number;
   retryCondition?: (error: Error, attempt: number) => boolean;
   onRetry?: (error: Error, attempt: number, delay: number) => void;
+  onAuthExpired?: (error: Error) => boolean | Promise<boolean>;
 }
 
 export interface B2ClientOptions {
   apiUrl?: string;
+  baseUrl?: string;
   applicationKeyId?: string;
   accountId?: string;
   applicationKey?: string;
@@ -41,6 +43,9 @@ export interface B2ClientOptions {
   timeout?: number;
   uploadTimeout?: number;
   downloadTimeout?: number;
+  uploadUrlMaxAge?: number;
+  tokenStore?: TokenStore;
+  tokenMaxAge?: number;
   headers?: Record<string, string>;
   debug?: boolean;
 }
@@ -149,9 +154,29 @@ export interface AuthResponse {
 }
 
 export interface AuthContext extends AuthResponse {
+  authorizedAt: number | null;
   isAuthenticated: boolean;
 }
 
+export interface AuthorizeResponse extends B2Response<AuthResponse> {
+  fromTokenStore?: boolean;
+}
+
+export interface TokenStoreEntry {
+  authResponse: AuthResponse;
+  authorizedAt: number;
+}
+
+export interface TokenStore {
+  get(key: string): Promise<TokenStoreEntry | null>;
+  set(key: string, entry: TokenStoreEntry): Promise<void>;
+  delete?(key: string): Promise<void>;
+}
+
+export interface FileTokenStoreOptions {
+  path: string;
+}
+
 // ===== BUCKET TYPES =====
 
 export interface BucketInfo {
@@ -161,13 +186,169 @@ export interface BucketInfo {
   accountId: string;
   revision: number;
   bucketInfo?: Record<string, any>;
-  corsRules?: any[];
-  lifecycleRules?: any[];
+  corsRules?: CorsRule[];
+  lifecycleRules?: LifecycleRule[];
+  defaultServerSideEncryption?: BucketEncryption;
+  fileLockConfiguration?: {
+    isClientAuthorizedToRead: boolean;
+    value: {
+      isFileLockEnabled: boolean;
+      defaultRetention: DefaultRetention;
+    } | null;
+  };
+  replicationConfiguration?: {
+    isClientAuthorizedToRead: boolean;
+    value: ReplicationConfiguration | null;
+  };
+}
+
+export interface ReplicationRule {
+  replicationRuleName: string;
+  destinationBucketId: string;
+  fileNamePrefix: string;
+  includeExistingFiles: boolean;
+  isEnabled: boolean;
+  /** Rules with a higher priority win when prefixes overlap */
+  priority: number;
+}
+
+export interface ReplicationConfiguration {
+  asReplicationSource?: {
+    replicationRules: ReplicationRule[];
+    sourceApplicationKeyId: string;
+  } | null;
+  asReplicationDestination?: {
+    sourceToDestinationKeyMapping: Record<string, string>;
+  } | null;
+}
+
+export type ReplicationStatus = 'pending' | 'completed' | 'failed' | 'replica';
+
+export type RetentionMode = 'governance' | 'compliance';
+
+export type LegalHold = 'on' | 'off';
+
+export interface FileRetention {
+  mode: RetentionMode;
+  /** Milliseconds since the epoch */
+  retainUntilTimestamp: number;
+}
+
+export type DefaultRetention =
+  | {
+      mode: RetentionMode;
+      period: { duration: number; unit: 'days' | 'years' };
+    }
+  | { mode: null; period?: null };
+
+export type ServerSideEncryption =
+  | { mode: 'SSE-B2'; algorithm?: 'AES256' }
+  | {
+      mode: 'SSE-C';
+      algorithm?: 'AES256';
+      customerKey: string | Uint8Array;
+      customerKeyMd5?: string;
+    };
+
+export type BucketEncryption =
+  | { mode: 'SSE-B2'; algorithm?: 'AES256' }
+  | { mode: null };
+
+export interface LifecycleRule {
+  fileNamePrefix: string;
+  daysFromUploadingToHiding?: number | null;
+  daysFromHidingToDeleting?: number | null;
+}
+
+export type CorsOperation =
+  | 'b2_download_file_by_name'
+  | 'b2_download_file_by_id'
+  | 'b2_upload_file'
+  | 'b2_upload_part'
+  | 's3_delete'
+  | 's3_get'
+  | 's3_head'
+  | 's3_post'
+  | 's3_put';
+
+export interface CorsRule {
+  corsRuleName: string;
+  allowedOrigins: string[];
+  allowedOperations: CorsOperation[];
+  allowedHeaders?: string[];
+  exposeHeaders?: string[];
+  maxAgeSeconds: number;
+}
+
+export interface BrowserCorsRulesOptions {
+  allowedOrigins: string[];
+  download?: boolean;
+  upload?: boolean;
+  maxAgeSeconds?: number;
+}
+
+export type EventType =
+  | 'b2:ObjectCreated:*'
+  | 'b2:ObjectCreated:Upload'
+  | 'b2:ObjectCreated:MultipartUpload'
+  | 'b2:ObjectCreated:Copy'
+  | 'b2:ObjectCreated:Replica'
+  | 'b2:ObjectCreated:MultipartReplica'
+  | 'b2:ObjectDeleted:*'
+  | 'b2:ObjectDeleted:Delete'
+  | 'b2:ObjectDeleted:LifecycleRule'
+  | 'b2:HideMarkerCreated:*'
+  | 'b2:HideMarkerCreated:Hide'
+  | 'b2:HideMarkerCreated:LifecycleRule';
+
+export interface EventNotificationRule {
+  name: string;
+  eventTypes: EventType[];
+  objectNamePrefix: string;
+  isEnabled: boolean;
+  targetConfiguration: {
+    targetType: 'webhook';
+    url: string;
+    customHeaders?: Array<{ name: string; value: string }> | null;
+    hmacSha256SigningSecret?: string | null;
+  };
+  /** Set by B2 when it stops sending notifications for the rule */
+  readonly isSuspended?: boolean;
+  readonly suspensionReason?: string;
+}
+
+export interface EventNotificationRulesResponse {
+  bucketId: string;
+  eventNotificationRules: EventNotificationRule[];
+}
+
+export interface GetNotificationRulesOptions {
+  bucketId: string;
+}
+
+export interface SetNotificationRulesOptions {
+  bucketId: string;
+  eventNotificationRules: EventNotificationRule[];
+}
+
+export interface AddNotificationRuleOptions {
+  bucketId: string;
+  rule: EventNotificationRule;
+}
+
+export interface RemoveNotificationRuleOptions {
+  bucketId: string;
+  name: string;
 }
 
 export interface CreateBucketOptions {
   bucketName: string;
   bucketType: string;
+  lifecycleRules?: LifecycleRule[];
+  corsRules?: CorsRule[];
+  defaultServerSideEncryption?: BucketEncryption;
+  fileLockEnabled?: boolean;
+  replicationConfiguration?: ReplicationConfiguration;
 }
 
 export interface DeleteBucketOptions {
@@ -181,7 +362,24 @@ export interface GetBucketOptions {
 
 export interface UpdateBucketOptions {
   bucketId: string;
-  bucketType: string;
+  bucketType?: string;
+  lifecycleRules?: LifecycleRule[];
+  corsRules?: CorsRule[];
+  defaultServerSideEncryption?: BucketEncryption;
+  fileLockEnabled?: boolean;
+  defaultRetention?: DefaultRetention;
+  ifRevisionMatch?: number;
+  replicationConfiguration?: ReplicationConfiguration;
+}
+
+export interface AddLifecycleRuleOptions {
+  bucketId: string;
+  rule: LifecycleRule;
+}
+
+export interface RemoveLifecycleRuleOptions {
+  bucketId: string;
+  fileNamePrefix: string;
 }
 
 export interface GetUploadUrlOptions {
@@ -209,16 +407,36 @@ export interface FileInfo {
   uploadTimestamp: number;
   fileInfo?: Record<string, any>;
   action?: string;
+  serverSideEncryption?: {
+    mode: 'SSE-B2' | 'SSE-C' | null;
+    algorithm?: string;
+  };
+  fileRetention?: {
+    isClientAuthorizedToRead: boolean;
+    value: {
+      mode: RetentionMode | null;
+      retainUntilTimestamp: number | null;
+    } | null;
+  };
+  legalHold?: { isClientAuthorizedToRead: boolean; value: LegalHold | null };
+  /** Set for files in buckets that replicate or receive replicas */
+  replicationStatus?: ReplicationStatus | null;
 }
 
 export interface UploadFileOptions {
-  uploadUrl: string;
-  uploadAuthToken: string;
+  uploadUrl?: string;
+  uploadAuthToken?: string;
+  bucketId?: string;
   fileName: string;
-  data: Buffer | Uint8Array | string;
+  data?: Buffer | Uint8Array | string | ReadableStream | NodeJS.ReadableStream;
+  filePath?: string;
+  contentLength?: number;
   contentType?: string;
   contentSha1?: string;
   info?: Record<string, any>;
+  encryption?: ServerSideEncryption;
+  retention?: FileRetention;
+  legalHold?: LegalHold;
   onUploadProgress?: ProgressCallback;
 }
 
@@ -228,6 +446,11 @@ export interface DownloadFileByNameOptions {
   responseType?: ResponseType;
   onDownloadProgress?: ProgressCallback;
   headers?: Record<string, string>;
+  encryption?: ServerSideEncryption;
+  /** "bytes=start-end", inclusive */
+  range?: string;
+  /** Verify the SHA1 of the file; arraybuffer and stream responses only, not with range */
+  verifyChecksum?: boolean;
 }
 
 export interface DownloadFileByIdOptions {
@@ -235,12 +458,98 @@ export interface DownloadFileByIdOptions {
   responseType?: ResponseType;
   onDownloadProgress?: ProgressCallback;
   headers?: Record<string, string>;
+  encryption?: ServerSideEncryption;
+  /** "bytes=start-end", inclusive */
+  range?: string;
+  /** Verify the SHA1 of the file; arraybuffer and stream responses only, not with range */
+  verifyChecksum?: boolean;
+}
+
+export interface ContentRange {
+  start: number;
+  /** Inclusive */
+  end: number;
+  /** Size of the whole file, null if unknown */
+  size: number | null;
+}
+
+export interface DownloadResponse<T = any> extends B2Response<T> {
+  /** Set for ranged downloads */
+  contentRange?: ContentRange | null;
+}
+
+export type DownloadFileParallelOptions = (
+  | { bucketName: string; fileName: string; fileId?: never }
+  | { fileId: string; bucketName?: never; fileName?: never }
+) & {
+  responseType?: 'arraybuffer' | 'stream';
+  filePath?: string;
+  partSize?: number;
+  concurrency?: number;
+  onDownloadProgress?: ProgressCallback;
+  headers?: Record<string, string>;
+  encryption?: ServerSideEncryption;
+  verifyChecksum?: boolean;
+};
+
+export interface DownloadFileParallelResponse {
+  status: number;
+  /** Headers of the first range */
+  headers: Headers;
+  fileId: string;
+  contentLength: number;
+  /** ArrayBuffer or ReadableStream, unset when written to filePath */
+  data?: ArrayBuffer | ReadableStream<Uint8Array>;
+  filePath?: string;
+}
+
+export type DownloadToFileOptions = (
+  | { bucketName: string; fileName: string; fileId?: never }
+  | { fileId: string; bucketName?: never; fileName?: never }
+) & {
+  filePath: string;
+  /** Attempts to resume after failures without progress */
+  retries?: number;
+  onDownloadProgress?: ProgressCallback;
+  headers?: Record<string, string>;
+  encryption?: ServerSideEncryption;
+  verifyChecksum?: boolean;
+};
+
+export interface DownloadToFileResponse {
+  status: number;
+  /** Headers of the first request */
+  headers: Headers;
+  fileId: string;
+  contentLength: number;
+  filePath: string;
+  /** Number of times the download was resumed */
+  resumeCount: number;
 }
 
 export interface GetFileInfoOptions {
   fileId: string;
 }
 
+export interface StatFileByNameOptions {
+  bucketName: string;
+  fileName: string;
+  headers?: Record<string, string>;
+  encryption?: ServerSideEncryption;
+}
+
+/** File information from the headers of a HEAD request */
+export interface FileStat {
+  fileId: string;
+  fileName: string;
+  contentLength: number;
+  /** "none" for large files */
+  contentSha1: string | null;
+  contentType: string;
+  uploadTimestamp: number;
+  fileInfo: Record<string, string>;
+}
+
 export interface DeleteFileVersionOptions {
   fileId: string;
   fileName: string;
@@ -268,6 +577,36 @@ export interface HideFileOptions {
   fileName: string;
 }
 
+export interface UpdateFileRetentionOptions {
+  fileName: string;
+  fileId: string;
+  retention: FileRetention | { mode: null; retainUntilTimestamp?: null };
+  bypassGovernance?: boolean;
+}
+
+export interface UpdateFileLegalHoldOptions {
+  fileName: string;
+  fileId: string;
+  legalHold: LegalHold;
+}
+
+export type MetadataDirective = 'COPY' | 'REPLACE';
+
+export interface CopyFileOptions {
+  sourceFileId: string;
+  fileName: string;
+  destinationBucketId?: string;
+  range?: string;
+  metadataDirective?: MetadataDirective;
+  contentType?: string;
+  fileInfo?: Record<string, any>;
+}
+
+export interface CopyOptions extends Omit<CopyFileOptions, 'range'> {
+  partSize?: number;
+  concurrency?: number;
+}
+
 export interface GetDownloadAuthorizationOptions {
   bucketId: string;
   fileNamePrefix: string;
@@ -275,11 +614,65 @@ export interface GetDownloadAuthorizationOptions {
   b2ContentDisposition?: string;
 }
 
+export interface DownloadOverrides {
+  b2ContentDisposition?: string;
+  b2ContentLanguage?: string;
+  b2Expires?: string;
+  b2CacheControl?: string;
+  b2ContentEncoding?: string;
+  b2ContentType?: string;
+}
+
+export interface GetSignedDownloadUrlOptions {
+  bucketName: string;
+  fileName: string;
+  /** Saves looking the bucket up by name */
+  bucketId?: string;
+  /** Seconds, 1 to 604800 */
+  expiresIn?: number;
+  overrides?: DownloadOverrides;
+  /** Prefix of fileName whose cached authorization is shared */
+  cachePrefix?: string;
+}
+
+export interface SignedDownloadUrl {
+  url: string;
+  authorizationToken: string;
+  /** Milliseconds since the epoch */
+  expiresAt: number;
+}
+
 export interface ListFileNamesResponse {
   files: FileInfo[];
   nextFileName?: string;
 }
 
+export interface IterateOptions {
+  limit?: number;
+  signal?: AbortSignal;
+}
+
+export interface ListDirectoryOptions {
+  bucketId: string;
+  path?: string;
+  delimiter?: string;
+  recursive?: boolean;
+  maxDepth?: number;
+}
+
+export interface DirectoryFolder {
+  name: string;
+  path: string;
+  folders?: DirectoryFolder[];
+  files?: FileInfo[];
+}
+
+export interface DirectoryListing {
+  path: string;
+  folders: DirectoryFolder[];
+  files: FileInfo[];
+}
+
 export interface ListFileVersionsResponse {
   files: FileInfo[];
   nextFileName?: string;
@@ -299,6 +692,9 @@ export interface StartLargeFileOptions {
   fileName: string;
   contentType?: string;
   fileInfo?: Record<string, any>;
+  encryption?: ServerSideEncryption;
+  retention?: FileRetention;
+  legalHold?: LegalHold;
 }
 
 export interface GetUploadPartUrlOptions {
@@ -311,6 +707,7 @@ export interface UploadPartOptions {
   partNumber: number;
   data: Buffer | Uint8Array | string;
   contentSha1?: string;
+  encryption?: ServerSideEncryption;
   onUploadProgress?: ProgressCallback;
 }
 
@@ -331,10 +728,35 @@ export interface ListPartsOptions {
 
 export interface ListUnfinishedLargeFilesOptions {
   bucketId: string;
+  namePrefix?: string;
   startFileId?: string;
   maxFileCount?: number;
 }
 
+export interface UploadLargeFileOptions {
+  bucketId: string;
+  fileName: string;
+  data?:
+    | Buffer
+    | Uint8Array
+    | ArrayBuffer
+    | Blob
+    | ReadableStream
+    | NodeJS.ReadableStream;
+  filePath?: string;
+  contentLength?: number;
+  contentType?: string;
+  fileInfo?: Record<string, any>;
+  encryption?: ServerSideEncryption;
+  retention?: FileRetention;
+  legalHold?: LegalHold;
+  partSize?: number;
+  concurrency?: number;
+  onUploadProgress?: ProgressCallback;
+  resume?: boolean;
+  fingerprint?: string;
+}
+
 export interface StartLargeFileResponse {
   fileId: string;
   fileName: string;
@@ -357,6 +779,13 @@ export interface UploadPartResponse {
   contentSha1: string;
 }
 
+export interface CopyPartOptions {
+  sourceFileId: string;
+  largeFileId: string;
+  partNumber: number;
+  range?: string;
+}
+
 export interface PartInfo {
   fileId: string;
   partNumber: number;
@@ -387,6 +816,98 @@ export interface ListUnfinishedLargeFilesResponse {
 
 // ===== KEY MANAGEMENT TYPES =====
 
+export type SyncCompareMode = 'modTime' | 'sha1';
+
+export type SyncDeleteMode = 'hide' | 'delete';
+
+export type SyncToBucketOptions = (
+  | { bucketId: string; bucketName?: never }
+  | { bucketName: string; bucketId?: never }
+) & {
+  localPath: string;
+  prefix?: string;
+  include?: string | string[];
+  exclude?: string | string[];
+  compareBy?: SyncCompareMode;
+  deleteMode?: SyncDeleteMode;
+  dryRun?: boolean;
+  concurrency?: number;
+  largeFileThreshold?: number;
+  encryption?: ServerSideEncryption;
+  onAction?: (action: SyncAction) => void;
+};
+
+export type SyncToLocalOptions = (
+  | { bucketId: string; bucketName?: never }
+  | { bucketName: string; bucketId?: never }
+) & {
+  localPath: string;
+  prefix?: string;
+  include?: string | string[];
+  exclude?: string | string[];
+  compareBy?: SyncCompareMode;
+  asOf?: Date | number;
+  deleteMode?: 'delete';
+  dryRun?: boolean;
+  concurrency?: number;
+  encryption?: ServerSideEncryption;
+  onAction?: (action: SyncAction) => void;
+};
+
+export type SyncBucketsOptions = (
+  | { sourceBucketId: string; sourceBucketName?: never }
+  | { sourceBucketName: string; sourceBucketId?: never }
+) &
+  (
+    | { destinationBucketId: string; destinationBucketName?: never }
+    | { destinationBucketName: string; destinationBucketId?: never }
+  ) & {
+    sourcePrefix?: string;
+    destinationPrefix?: string;
+    include?: string | string[];
+    exclude?: string | string[];
+    compareBy?: SyncCompareMode;
+    deleteMode?: SyncDeleteMode;
+    dryRun?: boolean;
+    concurrency?: number;
+    onAction?: (action: SyncAction) => void;
+  };
+
+export interface SyncAction {
+  action: 'upload' | 'download' | 'copy' | 'skip' | 'hide' | 'delete';
+  fileName: string;
+  localPath?: string;
+  sourceFileName?: string;
+  size: number;
+  reason: string;
+}
+
+export interface SyncReport {
+  dryRun: boolean;
+  skipped: number;
+  deleted: number;
+  failed: number;
+  actions: SyncAction[];
+  errors: Array<{ fileName: string; error: Error }>;
+}
+
+export interface SyncSummary extends SyncReport {
+  uploaded: number;
+  hidden: number;
+  bytesUploaded: number;
+}
+
+export interface SyncToLocalSummary extends SyncReport {
+  downloaded: number;
+  bytesDownloaded: number;
+}
+
+export interface SyncBucketsSummary extends SyncReport {
+  copied: number;
+  hidden: number;
+  bytesCopied: number;
+}
+
 export interface CreateKeyOptions {
   keyName: string;
   capabilities: string[];
@@ -437,6 +958,8 @@ export declare const KEY_CAPABILITIES: {
   readonly LIST_BUCKETS: 'listBuckets';
   readonly WRITE_BUCKETS: 'writeBuckets';
   readonly DELETE_BUCKETS: 'deleteBuckets';
+  readonly READ_BUCKET_REPLICATIONS: 'readBucketReplications';
+  readonly WRITE_BUCKET_REPLICATIONS: 'writeBucketReplications';
   readonly LIST_FILES: 'listFiles';
   readonly READ_FILES: 'readFiles';
   readonly SHARE_FILES: 'shareFiles';
@@ -454,6 +977,11 @@ export class HttpClient {
     url: string,
     options?: Omit<RequestOptions, 'method' | 'url'>
   ): Promise<B2Response>;
+  /** Resolves with null data */
+  head(
+    url: string,
+    options?: Omit<RequestOptions, 'method' | 'url'>
+  ): Promise<B2Response<null>>;
   post(
     url: string,
     data?: any,
@@ -482,7 +1010,9 @@ export class RetryHandler {
     options?: RetryOptions
   ): T;
   isRetryable(error: Error): boolean;
-  getConfig(): Required<Omit<RetryOptions, 'retryCondition' | 'onRetry'>>;
+  getConfig(): Required<
+    Omit<RetryOptions, 'retryCondition' | 'onRetry' | 'onAuthExpired'>
+  >;
   updateConfig(options: RetryOptions): void;
 }
 
@@ -536,6 +1066,21 @@ export class ProgressHandler {
   ): ProgressCallback | null;
 }
 
+export class MemoryTokenStore implements TokenStore {
+  constructor();
+  get(key: string): Promise<TokenStoreEntry | null>;
+  set(key: string, entry: TokenStoreEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export class FileTokenStore implements TokenStore {
+  constructor(options: FileTokenStoreOptions);
+  readonly path: string;
+  get(key: string): Promise<TokenStoreEntry | null>;
+  set(key: string, entry: TokenStoreEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
 // ===== MANAGER CLASSES =====
 
 export class AuthManager {
@@ -545,9 +1090,10 @@ export class AuthManager {
     credentials: AuthCredentials,
     options?: any
   ): Promise<B2Response<AuthResponse>>;
-  saveAuthContext(authResponse: AuthResponse): void;
+  saveAuthContext(authResponse: AuthResponse, authorizedAt?: number): void;
   getAuthContext(): AuthContext;
   isAuthenticated(): boolean;
+  getAuthAge(): number | null;
   getAuthToken(): string | null;
   getApiUrl(): string | null;
   getDownloadUrl(): string | null;
@@ -579,6 +1125,33 @@ export class BucketManager {
 
   update(options: UpdateBucketOptions): Promise<B2Response<BucketInfo>>;
   update(bucketId: string, bucketType: string): Promise<B2Response<BucketInfo>>;
+  modifyBucket(
+    bucketId: string,
+    modify: (bucket: BucketInfo) => Omit<UpdateBucketOptions, 'bucketId'>
+  ): Promise<B2Response<BucketInfo>>;
+  addLifecycleRule(
+    options: AddLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  removeLifecycleRule(
+    options: RemoveLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  getBucketSettingsManager(): Promise<BucketSettingsManager>;
+  getReplicationConfiguration(
+    options: { bucketId: string } | string
+  ): Promise<ReplicationConfiguration | null>;
+  createBrowserCorsRules(options: BrowserCorsRulesOptions): CorsRule[];
+  getNotificationRules(
+    options: GetNotificationRulesOptions | string
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  setNotificationRules(
+    options: SetNotificationRulesOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  addNotificationRule(
+    options: AddNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  removeNotificationRule(
+    options: RemoveNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
 
   getUploadUrl(
     options: GetUploadUrlOptions
@@ -586,24 +1159,57 @@ export class BucketManager {
   getUploadUrl(bucketId: string): Promise<B2Response<UploadUrlResponse>>;
 }
 
+export class BucketSettingsManager {
+  constructor(bucketManager: BucketManager);
+
+  modifyBucket(
+    bucketId: string,
+    modify: (bucket: BucketInfo) => Omit<UpdateBucketOptions, 'bucketId'>
+  ): Promise<B2Response<BucketInfo>>;
+  addLifecycleRule(
+    options: AddLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  removeLifecycleRule(
+    options: RemoveLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  addNotificationRule(
+    options: AddNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  removeNotificationRule(
+    options: RemoveNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+}
+
 export class FileManager {
   constructor(httpClient: HttpClient, authManager: AuthManager, config?: any);
 
   uploadFile(options: UploadFileOptions): Promise<B2Response<FileInfo>>;
+  uploadFileToBucket(
+    options: UploadFileOptions & { bucketId: string }
+  ): Promise<B2Response<FileInfo>>;
 
   downloadFileByName(
     options: DownloadFileByNameOptions
-  ): Promise<B2Response<any>>;
+  ): Promise<DownloadResponse>;
   downloadFileByName(
     bucketName: string,
     fileName: string
   ): Promise<B2Response<any>>;
 
-  downloadFileById(options: DownloadFileByIdOptions): Promise<B2Response<any>>;
+  downloadFileById(options: DownloadFileByIdOptions): Promise<DownloadResponse>;
   downloadFileById(fileId: string): Promise<B2Response<any>>;
+  downloadFileParallel(
+    options: DownloadFileParallelOptions
+  ): Promise<DownloadFileParallelResponse>;
+  downloadToFile(
+    options: DownloadToFileOptions
+  ): Promise<DownloadToFileResponse>;
+  getDownloadManager(): Promise<DownloadManager>;
 
   getFileInfo(options: GetFileInfoOptions): Promise<B2Response<FileInfo>>;
   getFileInfo(fileId: string): Promise<B2Response<FileInfo>>;
+  statFileByName(options: StatFileByNameOptions): Promise<FileStat>;
+  exists(options: StatFileByNameOptions): Promise<boolean>;
 
   deleteFileVersion(
     options: DeleteFileVersionOptions
@@ -615,10 +1221,27 @@ export class FileManager {
   listFileVersions(
     options: ListFileVersionsOptions
   ): Promise<B2Response<ListFileVersionsResponse>>;
+  listDirectory(options: ListDirectoryOptions): Promise<DirectoryListing>;
+  listDirectory(
+    bucketId: string,
+    path?: string,
+    options?: Omit<ListDirectoryOptions, 'bucketId' | 'path'>
+  ): Promise<DirectoryListing>;
   hideFile(options: HideFileOptions): Promise<B2Response<FileInfo>>;
+  updateFileRetention(
+    options: UpdateFileRetentionOptions
+  ): Promise<B2Response<any>>;
+  updateFileLegalHold(
+    options: UpdateFileLegalHoldOptions
+  ): Promise<B2Response<any>>;
+  copyFile(options: CopyFileOptions): Promise<B2Response<FileInfo>>;
+  copy(options: CopyOptions): Promise<B2Response<FileInfo>>;
   getDownloadAuthorization(
     options: GetDownloadAuthorizationOptions
   ): Promise<B2Response<DownloadAuthorizationResponse>>;
+  getSignedDownloadUrl(
+    options: GetSignedDownloadUrlOptions
+  ): Promise<SignedDownloadUrl>;
 
   // Large file operations
   startLargeFile(
@@ -630,6 +1253,7 @@ export class FileManager {
   uploadPart(
     options: UploadPartOptions
   ): Promise<B2Response<UploadPartResponse>>;
+  copyPart(options: CopyPartOptions): Promise<B2Response<UploadPartResponse>>;
   finishLargeFile(
     options: FinishLargeFileOptions
   ): Promise<B2Response<FileInfo>>;
@@ -640,6 +1264,28 @@ export class FileManager {
   listUnfinishedLargeFiles(
     options: ListUnfinishedLargeFilesOptions
   ): Promise<B2Response<ListUnfinishedLargeFilesResponse>>;
+  uploadLargeFile(
+    options: UploadLargeFileOptions
+  ): Promise<B2Response<FileInfo>>;
+}
+
+export class SyncManager {
+  constructor(fileManager: FileManager, config?: any);
+
+  syncToBucket(options: SyncToBucketOptions): Promise<SyncSummary>;
+  syncToLocal(options: SyncToLocalOptions): Promise<SyncToLocalSummary>;
+  syncBuckets(options: SyncBucketsOptions): Promise<SyncBucketsSummary>;
+}
+
+export class DownloadManager {
+  constructor(fileManager: FileManager);
+
+  downloadFileParallel(
+    options: DownloadFileParallelOptions
+  ): Promise<DownloadFileParallelResponse>;
+  downloadToFile(
+    options: DownloadToFileOptions
+  ): Promise<DownloadToFileResponse>;
 }
 
 export class KeyManager {
@@ -667,6 +1313,53 @@ export class B2Client {
   // Constants for backward compatibility
   readonly BUCKET_TYPES: typeof BUCKET_TYPES;
   readonly KEY_CAPABILITIES: typeof KEY_CAPABILITIES;
+  readonly METADATA_DIRECTIVES: {
+    readonly COPY: 'COPY';
+    readonly REPLACE: 'REPLACE';
+  };
+  readonly CORS_OPERATIONS: {
+    readonly DOWNLOAD_FILE_BY_NAME: 'b2_download_file_by_name';
+    readonly DOWNLOAD_FILE_BY_ID: 'b2_download_file_by_id';
+    readonly UPLOAD_FILE: 'b2_upload_file';
+    readonly UPLOAD_PART: 'b2_upload_part';
+    readonly S3_DELETE: 's3_delete';
+    readonly S3_GET: 's3_get';
+    readonly S3_HEAD: 's3_head';
+    readonly S3_POST: 's3_post';
+    readonly S3_PUT: 's3_put';
+  };
+  readonly ENCRYPTION_MODES: {
+    readonly SSE_B2: 'SSE-B2';
+    readonly SSE_C: 'SSE-C';
+  };
+  readonly RETENTION_MODES: {
+    readonly GOVERNANCE: 'governance';
+    readonly COMPLIANCE: 'compliance';
+  };
+  readonly LEGAL_HOLD: {
+    readonly ON: 'on';
+    readonly OFF: 'off';
+  };
+  readonly EVENT_TYPES: {
+    readonly OBJECT_CREATED_ALL: 'b2:ObjectCreated:*';
+    readonly OBJECT_CREATED_UPLOAD: 'b2:ObjectCreated:Upload';
+    readonly OBJECT_CREATED_MULTIPART_UPLOAD: 'b2:ObjectCreated:MultipartUpload';
+    readonly OBJECT_CREATED_COPY: 'b2:ObjectCreated:Copy';
+    readonly OBJECT_CREATED_REPLICA: 'b2:ObjectCreated:Replica';
+    readonly OBJECT_CREATED_MULTIPART_REPLICA: 'b2:ObjectCreated:MultipartReplica';
+    readonly OBJECT_DELETED_ALL: 'b2:ObjectDeleted:*';
+    readonly OBJECT_DELETED_DELETE: 'b2:ObjectDeleted:Delete';
+    readonly OBJECT_DELETED_LIFECYCLE_RULE: 'b2:ObjectDeleted:LifecycleRule';
+    readonly HIDE_MARKER_CREATED_ALL: 'b2:HideMarkerCreated:*';
+    readonly HIDE_MARKER_CREATED_HIDE: 'b2:HideMarkerCreated:Hide';
+    readonly HIDE_MARKER_CREATED_LIFECYCLE_RULE: 'b2:HideMarkerCreated:LifecycleRule';
+  };
+  readonly REPLICATION_STATUS: {
+    readonly PENDING: 'pending';
+    readonly COMPLETED: 'completed';
+    readonly FAILED: 'failed';
+    readonly REPLICA: 'replica';
+  };
 
   constructor(options?: B2ClientOptions);
 
@@ -674,12 +1367,17 @@ export class B2Client {
   authorize(
     options: AuthCredentials,
     applicationKey?: never
-  ): Promise<B2Response<AuthResponse>>;
+  ): Promise<AuthorizeResponse>;
   authorize(
     applicationKeyId: string,
     applicationKey: string
+  ): Promise<AuthorizeResponse>;
+  authorize(): Promise<AuthorizeResponse>;
+  authorizeAccount(
+    credentials: AuthCredentials
   ): Promise<B2Response<AuthResponse>>;
-  authorize(): Promise<B2Response<AuthResponse>>;
+  getTokenStoreKey(credentials: AuthCredentials): string;
+  restoreAuth(credentials: AuthCredentials): Promise<AuthorizeResponse | null>;
 
   // Bucket methods
   createBucket(options: CreateBucketOptions): Promise<B2Response<BucketInfo>>;
@@ -701,6 +1399,28 @@ export class B2Client {
     bucketId: string,
     bucketType: string
   ): Promise<B2Response<BucketInfo>>;
+  addLifecycleRule(
+    options: AddLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  removeLifecycleRule(
+    options: RemoveLifecycleRuleOptions
+  ): Promise<B2Response<BucketInfo>>;
+  getReplicationConfiguration(
+    options: { bucketId: string } | string
+  ): Promise<ReplicationConfiguration | null>;
+  createBrowserCorsRules(options: BrowserCorsRulesOptions): CorsRule[];
+  getNotificationRules(
+    options: GetNotificationRulesOptions | string
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  setNotificationRules(
+    options: SetNotificationRulesOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  addNotificationRule(
+    options: AddNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
+  removeNotificationRule(
+    options: RemoveNotificationRuleOptions
+  ): Promise<B2Response<EventNotificationRulesResponse>>;
 
   getUploadUrl(
     options: GetUploadUrlOptions
@@ -712,14 +1432,20 @@ export class B2Client {
 
   downloadFileByName(
     options: DownloadFileByNameOptions
-  ): Promise<B2Response<any>>;
+  ): Promise<DownloadResponse>;
   downloadFileByName(
     bucketName: string,
     fileName: string
   ): Promise<B2Response<any>>;
 
-  downloadFileById(options: DownloadFileByIdOptions): Promise<B2Response<any>>;
+  downloadFileById(options: DownloadFileByIdOptions): Promise<DownloadResponse>;
   downloadFileById(fileId: string): Promise<B2Response<any>>;
+  downloadFileParallel(
+    options: DownloadFileParallelOptions
+  ): Promise<DownloadFileParallelResponse>;
+  downloadToFile(
+    options: DownloadToFileOptions
+  ): Promise<DownloadToFileResponse>;
 
   listFileNames(
     options: ListFileNamesOptions
@@ -727,17 +1453,42 @@ export class B2Client {
   listFileVersions(
     options: ListFileVersionsOptions
   ): Promise<B2Response<ListFileVersionsResponse>>;
+  iterateFileNames(
+    options: ListFileNamesOptions & IterateOptions
+  ): AsyncGenerator<FileInfo, void, undefined>;
+  iterateFileVersions(
+    options: ListFileVersionsOptions & IterateOptions
+  ): AsyncGenerator<FileInfo, void, undefined>;
+  listDirectory(options: ListDirectoryOptions): Promise<DirectoryListing>;
+  listDirectory(
+    bucketId: string,
+    path?: string,
+    options?: Omit<ListDirectoryOptions, 'bucketId' | 'path'>
+  ): Promise<DirectoryListing>;
 
   getFileInfo(options: GetFileInfoOptions): Promise<B2Response<FileInfo>>;
   getFileInfo(fileId: string): Promise<B2Response<FileInfo>>;
+  statFileByName(options: StatFileByNameOptions): Promise<FileStat>;
+  fileExists(options: StatFileByNameOptions): Promise<boolean>;
 
   deleteFileVersion(
     options: DeleteFileVersionOptions
   ): Promise<B2Response<FileInfo>>;
   hideFile(options: HideFileOptions): Promise<B2Response<FileInfo>>;
+  updateFileRetention(
+    options: UpdateFileRetentionOptions
+  ): Promise<B2Response<any>>;
+  updateFileLegalHold(
+    options: UpdateFileLegalHoldOptions
+  ): Promise<B2Response<any>>;
+  copyFile(options: CopyFileOptions): Promise<B2Response<FileInfo>>;
+  copy(options: CopyOptions): Promise<B2Response<FileInfo>>;
   getDownloadAuthorization(
     options: GetDownloadAuthorizationOptions
   ): Promise<B2Response<DownloadAuthorizationResponse>>;
+  getSignedDownloadUrl(
+    options: GetSignedDownloadUrlOptions
+  ): Promise<SignedDownloadUrl>;
 
   // Large file methods
   startLargeFile(
@@ -749,6 +1500,7 @@ export class B2Client {
   uploadPart(
     options: UploadPartOptions
   ): Promise<B2Response<UploadPartResponse>>;
+  copyPart(options: CopyPartOptions): Promise<B2Response<UploadPartResponse>>;
   finishLargeFile(
     options: FinishLargeFileOptions
   ): Promise<B2Response<FileInfo>>;
@@ -759,6 +1511,21 @@ export class B2Client {
   listUnfinishedLargeFiles(
     options: ListUnfinishedLargeFilesOptions
   ): Promise<B2Response<ListUnfinishedLargeFilesResponse>>;
+  iterateParts(
+    options: ListPartsOptions & IterateOptions
+  ): AsyncGenerator<PartInfo, void, undefined>;
+  iterateUnfinishedLargeFiles(
+    options: ListUnfinishedLargeFilesOptions & IterateOptions
+  ): AsyncGenerator<UnfinishedLargeFile, void, undefined>;
+  uploadLargeFile(
+    options: UploadLargeFileOptions
+  ): Promise<B2Response<FileInfo>>;
+
+  // Sync methods
+  syncToBucket(options: SyncToBucketOptions): Promise<SyncSummary>;
+  syncToLocal(options: SyncToLocalOptions): Promise<SyncToLocalSummary>;
+  syncBuckets(options: SyncBucketsOptions): Promise<SyncBucketsSummary>;
+  getSyncManager(): Promise<SyncManager>;
 
   // Key management methods
   createKey(options: CreateKeyOptions): Promise<B2Response<CreateKeyResponse>>;
@@ -767,12 +1534,16 @@ export class B2Client {
   deleteKey(applicationKeyId: string): Promise<B2Response<KeyInfo>>;
 
   listKeys(options?: ListKeysOptions): Promise<B2Response<ListKeysResponse>>;
+  iterateKeys(
+    options?: ListKeysOptions & IterateOptions
+  ): AsyncGenerator<KeyInfo, void, undefined>;
 
   // Utility methods
   isAuthenticated(): boolean;
   getAuthContext(): AuthContext;
   clearAuth(): void;
   refreshAuth(): Promise<B2Response<AuthResponse>>;
+  handleAuthExpired(error: Error): Promise<boolean>;
   saveAuthContext(authResponse: AuthResponse): void;
 }
 
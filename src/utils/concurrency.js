@@ -0,0 +1,77 @@
+/**
+ * Concurrency utilities for running bounded parallel operations
+ */
+
+/**
+ * Run a worker over every item of a (possibly async) iterable with a
+ * bounded number of workers in flight. Items are pulled lazily, so at most
+ * `concurrency` items are held in memory at a time. The first failure stops
+ * further items from being pulled; in-flight workers are allowed to settle
+ * before the error is rethrown.
+ * @param {Iterable|AsyncIterable} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in item order
+ */
+export async function mapConcurrent(items, concurrency, worker) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+
+  const iterator = items[Symbol.asyncIterator]
+    ? items[Symbol.asyncIterator]()
+    : items[Symbol.iterator]();
+  const results = [];
+  let nextIndex = 0;
+  let failed = false;
+  let firstError;
+
+  const runWorker = async () => {
+    while (!failed) {
+      let next;
+      try {
+        next = await iterator.next();
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          firstError = error;
+        }
+        return;
+      }
+
+      if (next.done || failed) {
+        return;
+      }
+
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(next.value, index);
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          firstError = error;
+        }
+        return;
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < concurrency; i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+
+  if (failed) {
+    if (typeof iterator.return === 'function') {
+      try {
+        await iterator.return();
+      } catch {
+        // Ignore cleanup errors, the original failure is more useful
+      }
+    }
+    throw firstError;
+  }
+
+  return results;
+}
@@ -192,6 +192,65 @@ export class Sha1Stream {
   }
 }
 
+/**
+ * MD5 hashing, used for the key digests B2 requires with SSE-C
+ */
+export class Md5Hasher {
+  /**
+   * Calculate MD5 hash of data (Node.js only, Web Crypto has no MD5)
+   * @param {Buffer|Uint8Array|string} data - Data to hash
+   * @returns {Promise<string>} MD5 hash as base64 string
+   */
+  static async hashBase64(data) {
+    if (!isNode) {
+      throw new Error('MD5 hashing is only available in Node.js environment');
+    }
+
+    const cryptoModule = await getCrypto();
+    return cryptoModule.createHash('md5').update(data).digest('base64');
+  }
+}
+
+/**
+ * HMAC-SHA256 signing, used for the signatures of B2 event notifications
+ */
+export class HmacSha256 {
+  /**
+   * Calculate HMAC-SHA256 of data
+   * @param {string} secret - Signing secret
+   * @param {Buffer|Uint8Array|string} data - Data to sign
+   * @returns {Promise<string>} HMAC as hex string
+   */
+  static async hashHex(secret, data) {
+    const cryptoModule = await getCrypto();
+
+    if (isNode) {
+      return cryptoModule
+        .createHmac('sha256', secret)
+        .update(data)
+        .digest('hex');
+    }
+
+    const encoder = new TextEncoder();
+    const key = await cryptoModule.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await cryptoModule.subtle.sign(
+      'HMAC',
+      key,
+      typeof data === 'string' ? encoder.encode(data) : data
+    );
+
+    return Array.from(new Uint8Array(signature))
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+
 /**
  * Utility functions for working with hashes and checksums
  */
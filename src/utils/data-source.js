@@ -0,0 +1,375 @@
+/**
+ * Data source utilities for upload operations
+ * Normalizes buffers, blobs, file paths and streams into a common
+ * interface that can be read in fixed-size parts
+ */
+
+import { Sha1Stream } from './crypto.js';
+
+// Check if we're in Node.js or browser environment
+const isNode =
+  typeof process !== 'undefined' && process.versions && process.versions.node;
+
+// Chunk size used when streaming random access sources
+const STREAM_CHUNK_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Concatenate byte chunks into a single Uint8Array
+ * @param {Uint8Array[]} chunks - Chunks to concatenate
+ * @param {number} totalLength - Combined length of all chunks
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function concatChunks(chunks, totalLength) {
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+
+  const combined = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    combined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return combined;
+}
+
+/**
+ * Convert a stream chunk to a Uint8Array
+ * @param {any} chunk - Chunk emitted by a stream
+ * @returns {Uint8Array} Chunk bytes
+ */
+function toBytes(chunk) {
+  if (typeof chunk === 'string') {
+    return new TextEncoder().encode(chunk);
+  }
+  if (chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new Error('Stream chunks must be strings, buffers or typed arrays');
+}
+
+/**
+ * Check if a value is a web ReadableStream
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is a web ReadableStream
+ */
+export function isWebStream(value) {
+  return (
+    typeof ReadableStream !== 'undefined' && value instanceof ReadableStream
+  );
+}
+
+/**
+ * Check if a value is a Node.js Readable stream
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value looks like a Node.js Readable
+ */
+export function isNodeStream(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.pipe === 'function' &&
+    typeof value.on === 'function' &&
+    typeof value[Symbol.asyncIterator] === 'function'
+  );
+}
+
+/**
+ * In-memory data source backed by a string, Buffer or typed array
+ */
+export class BufferSource {
+  constructor(data) {
+    this.data = toBytes(data);
+    this.size = this.data.length;
+  }
+
+  /**
+   * Read a byte range from the source
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {Promise<Uint8Array>} Bytes in the range
+   */
+  async read(start, end) {
+    return this.data.subarray(start, Math.min(end, this.size));
+  }
+
+  /**
+   * Iterate over the source in parts of a fixed size
+   * @param {number} partSize - Size of each part in bytes
+   * @returns {AsyncGenerator<Uint8Array>} Part data in order
+   */
+  async *parts(partSize) {
+    for (let offset = 0; offset < this.size; offset += partSize) {
+      yield this.read(offset, offset + partSize);
+    }
+  }
+
+  /**
+   * Iterate over the source in chunks suitable for streaming
+   * @returns {AsyncGenerator<Uint8Array>} Source data in order
+   */
+  async *chunks() {
+    yield* this.parts(STREAM_CHUNK_SIZE);
+  }
+
+  async close() {}
+}
+
+/**
+ * Data source backed by a Blob (or File)
+ */
+export class BlobSource {
+  constructor(blob) {
+    this.blob = blob;
+    this.size = blob.size;
+  }
+
+  async read(start, end) {
+    const slice = this.blob.slice(start, Math.min(end, this.size));
+    return new Uint8Array(await slice.arrayBuffer());
+  }
+
+  async *parts(partSize) {
+    for (let offset = 0; offset < this.size; offset += partSize) {
+      yield this.read(offset, offset + partSize);
+    }
+  }
+
+  async *chunks() {
+    yield* this.parts(STREAM_CHUNK_SIZE);
+  }
+
+  async close() {}
+}
+
+/**
+ * Data source backed by a file on disk (Node.js only)
+ * Parts are read on demand so the file is never fully buffered
+ */
+export class FileSource {
+  constructor(filePath) {
+    if (!isNode) {
+      throw new Error('File uploads are only available in Node.js environment');
+    }
+    this.filePath = filePath;
+    this.size = null;
+    this.handle = null;
+  }
+
+  /**
+   * Open the file and determine its size
+   * @returns {Promise<FileSource>} This instance
+   */
+  async open() {
+    if (!this.handle) {
+      const fs = await import('fs');
+      this.handle = await fs.promises.open(this.filePath, 'r');
+      const stats = await this.handle.stat();
+      this.size = stats.size;
+    }
+    return this;
+  }
+
+  async read(start, end) {
+    await this.open();
+    const length = Math.max(0, Math.min(end, this.size) - start);
+    const buffer = new Uint8Array(length);
+    let bytesRead = 0;
+
+    while (bytesRead < length) {
+      const result = await this.handle.read(
+        buffer,
+        bytesRead,
+        length - bytesRead,
+        start + bytesRead
+      );
+      if (result.bytesRead === 0) {
+        break;
+      }
+      bytesRead += result.bytesRead;
+    }
+
+    return bytesRead === length ? buffer : buffer.subarray(0, bytesRead);
+  }
+
+  async *parts(partSize) {
+    await this.open();
+    for (let offset = 0; offset < this.size; offset += partSize) {
+      yield this.read(offset, offset + partSize);
+    }
+  }
+
+  async *chunks() {
+    yield* this.parts(STREAM_CHUNK_SIZE);
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+/**
+ * Data source backed by a Node.js Readable or web ReadableStream
+ * Streams can only be consumed once and sequentially
+ */
+export class StreamSource {
+  constructor(stream, size = null) {
+    this.stream = stream;
+    this.size = size;
+    this.consumed = false;
+  }
+
+  /**
+   * Iterate over raw stream chunks as Uint8Arrays
+   * @returns {AsyncGenerator<Uint8Array>} Stream chunks
+   */
+  async *chunks() {
+    if (this.consumed) {
+      throw new Error('Stream has already been consumed');
+    }
+    this.consumed = true;
+
+    if (isWebStream(this.stream)) {
+      const reader = this.stream.getReader();
+      try {
+        let result = await reader.read();
+        while (!result.done) {
+          yield toBytes(result.value);
+          result = await reader.read();
+        }
+      } finally {
+        reader.releaseLock();
+      }
+      return;
+    }
+
+    for await (const chunk of this.stream) {
+      yield toBytes(chunk);
+    }
+  }
+
+  async *parts(partSize) {
+    let pending = [];
+    let pendingLength = 0;
+
+    for await (let chunk of this.chunks()) {
+      while (pendingLength + chunk.length >= partSize) {
+        const needed = partSize - pendingLength;
+        pending.push(chunk.subarray(0, needed));
+        yield concatChunks(pending, partSize);
+        chunk = chunk.subarray(needed);
+        pending = [];
+        pendingLength = 0;
+      }
+
+      if (chunk.length > 0) {
+        pending.push(chunk);
+        pendingLength += chunk.length;
+      }
+    }
+
+    if (pendingLength > 0) {
+      yield concatChunks(pending, pendingLength);
+    }
+  }
+
+  async close() {
+    if (typeof this.stream.destroy === 'function') {
+      this.stream.destroy();
+    }
+  }
+}
+
+/**
+ * Create a data source from upload options
+ * @param {Object} options - Source options
+ * @param {Buffer|Uint8Array|ArrayBuffer|Blob|string|ReadableStream|Object} [options.data] - In-memory data, Blob or stream
+ * @param {string} [options.filePath] - Path to a local file (Node.js only)
+ * @param {number} [options.contentLength] - Known length of stream data
+ * @returns {Promise<BufferSource|BlobSource|FileSource|StreamSource>} Data source
+ * @throws {Error} If no usable source is provided
+ */
+export async function createDataSource({ data, filePath, contentLength } = {}) {
+  if (filePath !== undefined) {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new Error('filePath must be a non-empty string');
+    }
+    return new FileSource(filePath).open();
+  }
+
+  if (data === undefined || data === null) {
+    throw new Error('Either data or filePath is required');
+  }
+
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new BlobSource(data);
+  }
+
+  if (isWebStream(data) || isNodeStream(data)) {
+    return new StreamSource(data, contentLength ?? null);
+  }
+
+  if (
+    typeof data === 'string' ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data)
+  ) {
+    return new BufferSource(data);
+  }
+
+  throw new Error(
+    'data must be a string, Buffer, Uint8Array, ArrayBuffer, Blob or stream'
+  );
+}
+
+/**
+ * Create a web ReadableStream that pulls from byte chunks on demand,
+ * optionally followed by the hex SHA1 digest of all chunks as used by
+ * B2's hex_digits_at_end upload mode
+ * @param {AsyncIterable<Uint8Array>} chunks - Data to stream
+ * @param {Object} [options] - Stream options
+ * @param {boolean} [options.appendSha1=false] - Append the 40 hex digit SHA1 of the data
+ * @param {Function} [options.onChunk] - Called with the length of each data chunk as it is sent
+ * @returns {ReadableStream} Upload body stream
+ */
+export function createUploadStream(
+  chunks,
+  { appendSha1 = false, onChunk } = {}
+) {
+  const iterator = chunks[Symbol.asyncIterator]();
+  const hasher = appendSha1 ? new Sha1Stream() : null;
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+
+      if (done) {
+        if (hasher) {
+          controller.enqueue(new TextEncoder().encode(await hasher.digest()));
+        }
+        controller.close();
+        return;
+      }
+
+      if (hasher) {
+        await hasher.update(value);
+      }
+      if (onChunk) {
+        onChunk(value.length);
+      }
+      controller.enqueue(value);
+    },
+
+    async cancel(reason) {
+      if (typeof iterator.return === 'function') {
+        await iterator.return(reason);
+      }
+    },
+  });
+}
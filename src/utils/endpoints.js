@@ -97,6 +97,14 @@ export class EndpointBuilder {
     return this.buildApiUrl(API_ENDPOINTS.UPDATE_BUCKET);
   }
 
+  getGetBucketNotificationRulesUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.GET_BUCKET_NOTIFICATION_RULES);
+  }
+
+  getSetBucketNotificationRulesUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.SET_BUCKET_NOTIFICATION_RULES);
+  }
+
   getUploadUrl() {
     return this.buildApiUrl(API_ENDPOINTS.GET_UPLOAD_URL);
   }
@@ -122,6 +130,18 @@ export class EndpointBuilder {
     return this.buildApiUrl(API_ENDPOINTS.HIDE_FILE);
   }
 
+  getCopyFileUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.COPY_FILE);
+  }
+
+  getUpdateFileRetentionUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.UPDATE_FILE_RETENTION);
+  }
+
+  getUpdateFileLegalHoldUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.UPDATE_FILE_LEGAL_HOLD);
+  }
+
   /**
    * Get download file by name URL
    * @param {string} bucketName - The bucket name
@@ -168,6 +188,10 @@ export class EndpointBuilder {
     return this.buildApiUrl(API_ENDPOINTS.LIST_UNFINISHED_LARGE_FILES);
   }
 
+  getCopyPartUrl() {
+    return this.buildApiUrl(API_ENDPOINTS.COPY_PART);
+  }
+
   // Key management endpoints
   getCreateKeyUrl() {
     return this.buildApiUrl(API_ENDPOINTS.CREATE_KEY);
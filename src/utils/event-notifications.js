@@ -0,0 +1,152 @@
+/**
+ * Utilities for receiving B2 event notifications on a webhook, published as
+ * better-b2/event-notifications rather than from the main entry
+ */
+
+import { HEADERS } from '../constants.js';
+import { HmacSha256 } from './crypto.js';
+
+/**
+ * Compare two strings without stopping at the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Check whether a value is a raw request body
+ * @param {*} body - Value to check
+ * @returns {boolean} True for strings, Uint8Arrays and ArrayBuffers
+ */
+function isRawBody(body) {
+  return (
+    typeof body === 'string' ||
+    body instanceof Uint8Array ||
+    body instanceof ArrayBuffer
+  );
+}
+
+export const EventNotifications = {
+  /**
+   * Name of the header holding the signature of a notification
+   */
+  SIGNATURE_HEADER: HEADERS.EVENT_NOTIFICATION_SIGNATURE,
+
+  /**
+   * Verify the HMAC-SHA256 signature B2 sends with a notification. The body
+   * must be the raw request body, as re-serialized JSON will not match.
+   * @param {Object} options - Verification options
+   * @param {string|Uint8Array|ArrayBuffer} options.body - Raw request body
+   * @param {string} options.signature - Value of the X-Bz-Event-Notification-Signature header
+   * @param {string} options.secret - hmacSha256SigningSecret of the notification rule
+   * @returns {Promise<boolean>} True if the signature matches the body
+   */
+  async verifySignature({ body, signature, secret } = {}) {
+    if (typeof secret !== 'string' || secret.length === 0) {
+      throw new Error('secret is required and must be a string');
+    }
+
+    if (!isRawBody(body)) {
+      throw new Error('body must be a string, Uint8Array or ArrayBuffer');
+    }
+
+    // Sign the raw bytes, decoding them first could change the body
+    const data = body instanceof ArrayBuffer ? new Uint8Array(body) : body;
+
+    if (typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = await HmacSha256.hashHex(secret, data);
+
+    // The header holds comma-separated "<version>=<signature>" entries
+    return signature.split(',').some((entry) => {
+      const [version, value] = entry.trim().split('=');
+      return (
+        version === 'v1' &&
+        typeof value === 'string' &&
+        timingSafeEqual(value.toLowerCase(), expected)
+      );
+    });
+  },
+
+  /**
+   * Parse the body of a notification into its events
+   * @param {string|Uint8Array|ArrayBuffer|Object} body - Raw request body or parsed JSON
+   * @returns {Object} Notification with an events array, each event gaining category and action from its eventType
+   */
+  parse(body) {
+    let payload = body;
+
+    if (isRawBody(body)) {
+      try {
+        payload = JSON.parse(
+          typeof body === 'string' ? body : new TextDecoder().decode(body)
+        );
+      } catch {
+        throw new Error('Event notification body is not valid JSON');
+      }
+    }
+
+    if (
+      !payload ||
+      typeof payload !== 'object' ||
+      !Array.isArray(payload.events)
+    ) {
+      throw new Error('Event notification body must contain an events array');
+    }
+
+    const events = payload.events.map((event, index) => {
+      if (!event || typeof event !== 'object') {
+        throw new Error(`events[${index}] must be an object`);
+      }
+      if (
+        typeof event.eventType !== 'string' ||
+        !event.eventType.startsWith('b2:')
+      ) {
+        throw new Error(`events[${index}].eventType is invalid`);
+      }
+      if (typeof event.eventTimestamp !== 'number') {
+        throw new Error(`events[${index}].eventTimestamp must be a number`);
+      }
+
+      // e.g. "b2:ObjectCreated:Upload"
+      const [, category, action] = event.eventType.split(':');
+
+      return { ...event, category, action };
+    });
+
+    return { ...payload, events };
+  },
+
+  /**
+   * Verify the signature of a notification and parse its events
+   * @param {Object} options - Verification options
+   * @param {string|Uint8Array|ArrayBuffer} options.body - Raw request body
+   * @param {string} options.signature - Value of the X-Bz-Event-Notification-Signature header
+   * @param {string} options.secret - hmacSha256SigningSecret of the notification rule
+   * @returns {Promise<Object>} Parsed notification
+   */
+  async verifyAndParse({ body, signature, secret } = {}) {
+    const valid = await this.verifySignature({ body, signature, secret });
+
+    if (!valid) {
+      throw new Error('Invalid event notification signature');
+    }
+
+    return this.parse(body);
+  },
+};
+
+export default EventNotifications;
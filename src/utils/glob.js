@@ -0,0 +1,158 @@
+/**
+ * Glob utilities for selecting files by their relative path
+ */
+
+const REGEXP_SPECIAL_CHARACTERS = /[.*+?^${}()|[\]\\]/;
+
+/**
+ * Convert a glob pattern into a regular expression matching whole paths.
+ * Supports `*` and `?` within a path segment, `**` across segments,
+ * character classes like `[a-z]` or `[!.]` and alternatives like `{js,ts}`.
+ * A backslash matches the next character literally.
+ * @param {string} pattern - Glob pattern using '/' as separator
+ * @returns {RegExp} Regular expression matching the pattern
+ */
+export function globToRegExp(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('Glob pattern must be a non-empty string');
+  }
+
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      source += escapeRegExp(pattern[i]);
+    } else if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          // "**/" also matches no directory at all
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let characterClass = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (characterClass.startsWith('!')) {
+        characterClass = `^${characterClass.slice(1)}`;
+      }
+      source += `[${characterClass}]`;
+      i = end;
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  if (braceDepth > 0) {
+    throw new Error(`Unclosed brace in glob pattern: ${pattern}`);
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Character to escape
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return REGEXP_SPECIAL_CHARACTERS.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Compile include or exclude patterns. Patterns without a '/' (ignoring a
+ * trailing one) match any single path segment, other patterns match paths
+ * from the root.
+ * @param {string|string[]} [patterns] - Glob patterns
+ * @param {string} name - Option name for error messages
+ * @returns {Array<Object>} Compiled patterns
+ */
+function compilePatterns(patterns, name) {
+  if (patterns === undefined) {
+    return [];
+  }
+
+  const list = typeof patterns === 'string' ? [patterns] : patterns;
+  if (!Array.isArray(list) || list.some((p) => typeof p !== 'string')) {
+    throw new Error(`${name} must be a string or an array of strings`);
+  }
+
+  return list.map((pattern) => {
+    const trimmed = pattern.replace(/^\/+|\/+$/g, '');
+    return {
+      anchored: pattern.startsWith('/') || trimmed.includes('/'),
+      regExp: globToRegExp(trimmed),
+    };
+  });
+}
+
+/**
+ * Check whether a path or one of its parent directories matches a pattern
+ * @param {string} path - Relative path using '/' as separator
+ * @param {Array<Object>} patterns - Compiled patterns
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(path, patterns) {
+  if (patterns.length === 0) {
+    return false;
+  }
+
+  const segments = path.split('/');
+
+  return patterns.some(({ anchored, regExp }) => {
+    if (!anchored) {
+      return segments.some((segment) => regExp.test(segment));
+    }
+    for (let i = 1; i <= segments.length; i++) {
+      if (regExp.test(segments.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Create a filter for relative paths from include and exclude globs.
+ * A path is selected when it matches an include pattern (or none are given)
+ * and no exclude pattern. Patterns matching a directory select everything
+ * below it, so `node_modules` or `logs/archive` exclude whole trees.
+ * @param {Object} [options] - Filter options
+ * @param {string|string[]} [options.include] - Globs of paths to select
+ * @param {string|string[]} [options.exclude] - Globs of paths to skip
+ * @returns {Object} Filter with includes(path) for files and excludesDirectory(path) for directories that can be skipped entirely
+ */
+export function createPathFilter({ include, exclude } = {}) {
+  const includePatterns = compilePatterns(include, 'include');
+  const excludePatterns = compilePatterns(exclude, 'exclude');
+
+  return {
+    includes: (path) =>
+      (includePatterns.length === 0 || matchesAny(path, includePatterns)) &&
+      !matchesAny(path, excludePatterns),
+    excludesDirectory: (path) => matchesAny(path, excludePatterns),
+  };
+}
@@ -1,4 +1,11 @@
-import { HEADERS, CONTENT_TYPES } from '../constants.js';
+import {
+  HEADERS,
+  CONTENT_TYPES,
+  CONTENT_SHA1_VALUES,
+  FILE_INFO_KEYS,
+  ENCRYPTION_ALGORITHMS,
+  ENCRYPTION_MODES,
+} from '../constants.js';
 
 /**
  * Utility class for constructing HTTP headers for B2 API requests
@@ -310,6 +317,9 @@ export const HeaderUtils = {
    * @param {string} options.contentSha1 - SHA1 hash
    * @param {number} options.contentLength - Content length
    * @param {Object} options.info - File info metadata
+   * @param {Object} [options.encryption] - Server-side encryption with a base64 customerKey and customerKeyMd5 for SSE-C
+   * @param {Object} [options.retention] - Object Lock retention with mode and retainUntilTimestamp
+   * @param {string} [options.legalHold] - Object Lock legal hold ('on' or 'off')
    * @returns {Object} Headers object
    */
   createUploadHeaders({
@@ -319,6 +329,9 @@ export const HeaderUtils = {
     contentSha1,
     contentLength,
     info,
+    encryption,
+    retention,
+    legalHold,
   }) {
     let headers = {};
 
@@ -347,6 +360,15 @@ export const HeaderUtils = {
       headers = InfoHeaders.addInfoHeaders(headers, info);
     }
 
+    if (encryption) {
+      Object.assign(headers, this.createEncryptionHeaders(encryption));
+    }
+
+    Object.assign(
+      headers,
+      this.createFileLockHeaders({ retention, legalHold })
+    );
+
     return headers;
   },
 
@@ -357,6 +379,7 @@ export const HeaderUtils = {
    * @param {number} options.partNumber - Part number
    * @param {string} options.contentSha1 - SHA1 hash of part
    * @param {number} options.contentLength - Content length
+   * @param {Object} [options.encryption] - Server-side encryption of the large file; only SSE-C adds headers
    * @returns {Object} Headers object
    */
   createPartUploadHeaders({
@@ -364,6 +387,7 @@ export const HeaderUtils = {
     partNumber,
     contentSha1,
     contentLength,
+    encryption,
   }) {
     const headers = {};
 
@@ -383,9 +407,133 @@ export const HeaderUtils = {
       headers[HEADERS.CONTENT_LENGTH] = String(contentLength);
     }
 
+    // Parts are encrypted like the large file, only SSE-C keys are resent
+    Object.assign(headers, this.createCustomerKeyHeaders(encryption));
+
+    return headers;
+  },
+
+  /**
+   * Create headers that encrypt an uploaded file
+   * @param {Object} encryption - Encryption with mode, algorithm and, for SSE-C, a base64 customerKey and customerKeyMd5
+   * @returns {Object} Headers object
+   */
+  createEncryptionHeaders(encryption) {
+    if (encryption.mode === ENCRYPTION_MODES.SSE_B2) {
+      return {
+        [HEADERS.SERVER_SIDE_ENCRYPTION]:
+          encryption.algorithm || ENCRYPTION_ALGORITHMS.AES256,
+      };
+    }
+
+    return this.createCustomerKeyHeaders(encryption);
+  },
+
+  /**
+   * Create the SSE-C headers B2 needs to encrypt or decrypt with a customer
+   * key. Other encryption modes need no headers after the upload.
+   * @param {Object} [encryption] - Encryption with mode, algorithm and, for SSE-C, a base64 customerKey and customerKeyMd5
+   * @returns {Object} Headers object
+   */
+  createCustomerKeyHeaders(encryption) {
+    if (encryption?.mode !== ENCRYPTION_MODES.SSE_C) {
+      return {};
+    }
+
+    return {
+      [HEADERS.SSE_CUSTOMER_ALGORITHM]:
+        encryption.algorithm || ENCRYPTION_ALGORITHMS.AES256,
+      [HEADERS.SSE_CUSTOMER_KEY]: encryption.customerKey,
+      [HEADERS.SSE_CUSTOMER_KEY_MD5]: encryption.customerKeyMd5,
+    };
+  },
+
+  /**
+   * Create headers that put an uploaded file under Object Lock
+   * @param {Object} options - File lock options
+   * @param {Object} [options.retention] - Retention with mode and retainUntilTimestamp
+   * @param {string} [options.legalHold] - Legal hold ('on' or 'off')
+   * @returns {Object} Headers object
+   */
+  createFileLockHeaders({ retention, legalHold }) {
+    const headers = {};
+
+    if (retention) {
+      headers[HEADERS.FILE_RETENTION_MODE] = retention.mode;
+      headers[HEADERS.FILE_RETENTION_RETAIN_UNTIL_TIMESTAMP] = String(
+        retention.retainUntilTimestamp
+      );
+    }
+
+    if (legalHold) {
+      headers[HEADERS.FILE_LEGAL_HOLD] = legalHold;
+    }
+
     return headers;
   },
 
+  /**
+   * Parse a Content-Range header such as "bytes 0-99/1000"
+   * @param {string|null|undefined} value - Header value
+   * @returns {Object|null} Range with start, inclusive end and size (null if unknown), or null if value is not a byte range
+   */
+  parseContentRange(value) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(value?.trim() || '');
+    if (!match) {
+      return null;
+    }
+
+    return {
+      start: Number(match[1]),
+      end: Number(match[2]),
+      size: match[3] === '*' ? null : Number(match[3]),
+    };
+  },
+
+  /**
+   * Read a header from response headers, which are a fetch Headers object
+   * or a plain object
+   * @param {Headers|Object} headers - Response headers
+   * @param {string} name - Header name (case-insensitive)
+   * @returns {string|null} Header value or null if missing
+   */
+  getResponseHeader(headers, name) {
+    if (!headers) {
+      return null;
+    }
+    if (typeof headers.get === 'function') {
+      return headers.get(name);
+    }
+
+    const key = Object.keys(headers).find(
+      (header) => header.toLowerCase() === name.toLowerCase()
+    );
+    return key === undefined ? null : headers[key];
+  },
+
+  /**
+   * Get the SHA1 of a downloaded file from its response headers. Large files
+   * have no X-Bz-Content-Sha1 of their own, for them the large_file_sha1
+   * file info is used if it was set when the file was started.
+   * @param {Headers|Object} headers - Response headers
+   * @returns {string|null} Lowercase hex SHA1, or null if the file has none
+   */
+  getContentSha1(headers) {
+    let sha1 = this.getResponseHeader(headers, HEADERS.CONTENT_SHA1);
+    if (sha1 === null || sha1 === CONTENT_SHA1_VALUES.NONE) {
+      sha1 = this.getResponseHeader(
+        headers,
+        `X-Bz-Info-${FILE_INFO_KEYS.LARGE_FILE_SHA1}`
+      );
+    }
+
+    if (sha1?.startsWith(CONTENT_SHA1_VALUES.UNVERIFIED_PREFIX)) {
+      sha1 = sha1.slice(CONTENT_SHA1_VALUES.UNVERIFIED_PREFIX.length);
+    }
+
+    return /^[0-9a-f]{40}$/i.test(sha1 || '') ? sha1.toLowerCase() : null;
+  },
+
   /**
    * Normalize header names to lowercase
    * @param {Object} headers - Headers object
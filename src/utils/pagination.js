@@ -0,0 +1,82 @@
+/**
+ * Pagination utilities for B2 list calls
+ */
+
+/**
+ * Iterate over the entries of a paginated B2 list call, following the
+ * `next*` cursors of each response until the listing is complete.
+ * Options are validated when called, pages are only requested while the
+ * returned iterator is consumed.
+ * @param {Function} listPage - Async function called with the request options of a page, resolving to a B2 response
+ * @param {Object} options - Pagination options
+ * @param {Object} [options.params] - Request options of the first page
+ * @param {string} options.items - Response field holding the entries of a page
+ * @param {Object<string, string>} options.cursors - Response cursor fields mapped to the request options they set; the first one ends the listing when empty
+ * @param {string} options.pageSize - Request option holding the page size
+ * @param {number} options.defaultPageSize - Page size used when params does not set one
+ * @param {number} [options.limit] - Maximum total number of entries to yield
+ * @param {AbortSignal} [options.signal] - Signal that stops the iteration with its abort reason
+ * @returns {AsyncGenerator<Object>} Entries of every page
+ */
+export function paginate(listPage, options) {
+  const {
+    params = {},
+    items,
+    cursors,
+    pageSize,
+    defaultPageSize,
+    limit,
+    signal,
+  } = options;
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('limit must be a positive integer');
+  }
+
+  if (
+    signal !== undefined &&
+    (typeof signal !== 'object' ||
+      signal === null ||
+      typeof signal.aborted !== 'boolean')
+  ) {
+    throw new Error('signal must be an AbortSignal');
+  }
+
+  const [endCursor] = Object.keys(cursors);
+
+  async function* pages() {
+    const request = { ...params };
+    let remaining = limit ?? Infinity;
+
+    while (remaining > 0) {
+      signal?.throwIfAborted();
+
+      // Don't ask for more entries than are still wanted
+      request[pageSize] = Math.min(
+        params[pageSize] ?? defaultPageSize,
+        remaining
+      );
+
+      const response = await listPage({ ...request });
+      const { data } = response;
+
+      for (const entry of data[items]) {
+        signal?.throwIfAborted();
+        yield entry;
+        if (--remaining === 0) {
+          return;
+        }
+      }
+
+      if (data[endCursor] === null || data[endCursor] === undefined) {
+        return;
+      }
+
+      for (const [cursor, option] of Object.entries(cursors)) {
+        request[option] = data[cursor] ?? undefined;
+      }
+    }
+  }
+
+  return pages();
+}
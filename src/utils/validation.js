@@ -1,4 +1,14 @@
-import { BUCKET_TYPES, KEY_CAPABILITIES } from '../constants.js';
+import {
+  BUCKET_TYPES,
+  CORS_OPERATIONS,
+  ENCRYPTION_ALGORITHMS,
+  ENCRYPTION_MODES,
+  EVENT_TYPES,
+  KEY_CAPABILITIES,
+  LEGAL_HOLD,
+  RETENTION_MODES,
+  RETENTION_PERIOD_UNITS,
+} from '../constants.js';
 
 /**
  * Input validation utilities for B2 API parameters
@@ -150,6 +160,504 @@ export class Validator {
     }
   }
 
+  /**
+   * Validate bucket lifecycle rules
+   * @param {Array<Object>} lifecycleRules - Lifecycle rules to validate
+   * @throws {Error} If a rule is invalid or rule prefixes overlap
+   */
+  static validateLifecycleRules(lifecycleRules) {
+    this.validateArray(lifecycleRules, 'lifecycleRules', { maxLength: 100 });
+
+    lifecycleRules.forEach((rule, index) => {
+      const name = `lifecycleRules[${index}]`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${name} must be an object`);
+      }
+
+      this.validateString(rule.fileNamePrefix, `${name}.fileNamePrefix`);
+
+      for (const field of [
+        'daysFromUploadingToHiding',
+        'daysFromHidingToDeleting',
+      ]) {
+        if (rule[field] !== undefined && rule[field] !== null) {
+          this.validateNumber(rule[field], `${name}.${field}`, {
+            min: 1,
+            integer: true,
+          });
+        }
+      }
+
+      if (
+        rule.daysFromUploadingToHiding == null &&
+        rule.daysFromHidingToDeleting == null
+      ) {
+        throw new Error(
+          `${name} must set daysFromUploadingToHiding or daysFromHidingToDeleting`
+        );
+      }
+    });
+
+    // B2 rejects rules whose prefixes overlap, as a file could then match
+    // more than one rule
+    const prefixes = lifecycleRules.map((rule) => rule.fileNamePrefix).sort();
+    for (let i = 1; i < prefixes.length; i++) {
+      if (prefixes[i].startsWith(prefixes[i - 1])) {
+        throw new Error(
+          `lifecycleRules fileNamePrefix values must not overlap: "${prefixes[i - 1]}" and "${prefixes[i]}"`
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate bucket CORS rules
+   * @param {Array<Object>} corsRules - CORS rules to validate
+   * @throws {Error} If a rule is invalid or rule names are not unique
+   */
+  static validateCorsRules(corsRules) {
+    this.validateArray(corsRules, 'corsRules', { maxLength: 100 });
+
+    const names = new Set();
+    const validOperations = Object.values(CORS_OPERATIONS);
+
+    corsRules.forEach((rule, index) => {
+      const name = `corsRules[${index}]`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${name} must be an object`);
+      }
+
+      this.validateString(rule.corsRuleName, `${name}.corsRuleName`, {
+        minLength: 6,
+        maxLength: 50,
+        pattern: /^[a-zA-Z0-9-]+$/,
+      });
+
+      if (rule.corsRuleName.startsWith('b2-')) {
+        throw new Error(`${name}.corsRuleName cannot start with "b2-"`);
+      }
+
+      if (names.has(rule.corsRuleName)) {
+        throw new Error(
+          `corsRules names must be unique: "${rule.corsRuleName}"`
+        );
+      }
+      names.add(rule.corsRuleName);
+
+      this.validateArray(rule.allowedOrigins, `${name}.allowedOrigins`, {
+        minLength: 1,
+      });
+      for (const origin of rule.allowedOrigins) {
+        this.validateString(origin, `${name}.allowedOrigins`, {
+          minLength: 1,
+        });
+        if ((origin.match(/\*/g) || []).length > 1) {
+          throw new Error(
+            `${name}.allowedOrigins entries can contain at most one "*"`
+          );
+        }
+      }
+
+      this.validateArray(rule.allowedOperations, `${name}.allowedOperations`, {
+        minLength: 1,
+      });
+      for (const operation of rule.allowedOperations) {
+        if (!validOperations.includes(operation)) {
+          throw new Error(
+            `${name}.allowedOperations must only contain: ${validOperations.join(', ')}`
+          );
+        }
+      }
+
+      for (const field of ['allowedHeaders', 'exposeHeaders']) {
+        if (rule[field] !== undefined) {
+          this.validateArray(rule[field], `${name}.${field}`);
+          for (const header of rule[field]) {
+            this.validateString(header, `${name}.${field}`, { minLength: 1 });
+          }
+        }
+      }
+
+      this.validateNumber(rule.maxAgeSeconds, `${name}.maxAgeSeconds`, {
+        min: 0,
+        max: 86400,
+        integer: true,
+      });
+    });
+  }
+
+  /**
+   * Validate bucket event notification rules
+   * @param {Array<Object>} eventNotificationRules - Notification rules to validate
+   * @throws {Error} If a rule is invalid or rule names are not unique
+   */
+  static validateEventNotificationRules(eventNotificationRules) {
+    this.validateArray(eventNotificationRules, 'eventNotificationRules');
+
+    const names = new Set();
+    const validEventTypes = Object.values(EVENT_TYPES);
+
+    eventNotificationRules.forEach((rule, index) => {
+      const name = `eventNotificationRules[${index}]`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${name} must be an object`);
+      }
+
+      this.validateString(rule.name, `${name}.name`, {
+        minLength: 1,
+        maxLength: 63,
+        pattern: /^[a-zA-Z0-9_-]+$/,
+      });
+
+      if (names.has(rule.name)) {
+        throw new Error(
+          `eventNotificationRules names must be unique: "${rule.name}"`
+        );
+      }
+      names.add(rule.name);
+
+      this.validateArray(rule.eventTypes, `${name}.eventTypes`, {
+        minLength: 1,
+      });
+      for (const eventType of rule.eventTypes) {
+        if (!validEventTypes.includes(eventType)) {
+          throw new Error(
+            `${name}.eventTypes must only contain: ${validEventTypes.join(', ')}`
+          );
+        }
+      }
+
+      if (typeof rule.objectNamePrefix !== 'string') {
+        throw new Error(`${name}.objectNamePrefix must be a string`);
+      }
+
+      if (typeof rule.isEnabled !== 'boolean') {
+        throw new Error(`${name}.isEnabled must be a boolean`);
+      }
+
+      const target = rule.targetConfiguration;
+      if (!target || typeof target !== 'object' || Array.isArray(target)) {
+        throw new Error(`${name}.targetConfiguration must be an object`);
+      }
+
+      if (target.targetType !== 'webhook') {
+        throw new Error(
+          `${name}.targetConfiguration.targetType must be webhook`
+        );
+      }
+
+      this.validateString(target.url, `${name}.targetConfiguration.url`, {
+        pattern: /^https:\/\/\S+$/,
+      });
+
+      if (target.customHeaders !== undefined && target.customHeaders !== null) {
+        this.validateArray(
+          target.customHeaders,
+          `${name}.targetConfiguration.customHeaders`,
+          { maxLength: 10 }
+        );
+        target.customHeaders.forEach((header, headerIndex) => {
+          const headerName = `${name}.targetConfiguration.customHeaders[${headerIndex}]`;
+          this.validateString(header?.name, `${headerName}.name`, {
+            minLength: 1,
+          });
+          this.validateString(header.value, `${headerName}.value`);
+        });
+      }
+
+      if (
+        target.hmacSha256SigningSecret !== undefined &&
+        target.hmacSha256SigningSecret !== null
+      ) {
+        this.validateString(
+          target.hmacSha256SigningSecret,
+          `${name}.targetConfiguration.hmacSha256SigningSecret`,
+          { pattern: /^[a-zA-Z0-9]{32}$/ }
+        );
+      }
+    });
+  }
+
+  /**
+   * Validate a bucket replication configuration
+   * @param {Object} replicationConfiguration - Configuration with asReplicationSource and/or asReplicationDestination
+   * @throws {Error} If the configuration is invalid
+   */
+  static validateReplicationConfiguration(replicationConfiguration) {
+    const isObject = (value) =>
+      !!value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(replicationConfiguration)) {
+      throw new Error('replicationConfiguration must be an object');
+    }
+
+    const { asReplicationSource, asReplicationDestination } =
+      replicationConfiguration;
+
+    if (asReplicationSource !== undefined && asReplicationSource !== null) {
+      const name = 'replicationConfiguration.asReplicationSource';
+
+      if (!isObject(asReplicationSource)) {
+        throw new Error(`${name} must be an object`);
+      }
+
+      this.validateString(
+        asReplicationSource.sourceApplicationKeyId,
+        `${name}.sourceApplicationKeyId`,
+        { minLength: 1 }
+      );
+      this.validateArray(
+        asReplicationSource.replicationRules,
+        `${name}.replicationRules`,
+        { minLength: 1 }
+      );
+
+      const names = new Set();
+
+      asReplicationSource.replicationRules.forEach((rule, index) => {
+        const ruleName = `${name}.replicationRules[${index}]`;
+
+        if (!isObject(rule)) {
+          throw new Error(`${ruleName} must be an object`);
+        }
+
+        this.validateString(
+          rule.replicationRuleName,
+          `${ruleName}.replicationRuleName`,
+          { minLength: 1, maxLength: 64, pattern: /^[a-zA-Z0-9-]+$/ }
+        );
+
+        if (names.has(rule.replicationRuleName)) {
+          throw new Error(
+            `replicationRules names must be unique: "${rule.replicationRuleName}"`
+          );
+        }
+        names.add(rule.replicationRuleName);
+
+        this.validateString(
+          rule.destinationBucketId,
+          `${ruleName}.destinationBucketId`,
+          { minLength: 1 }
+        );
+        this.validateString(rule.fileNamePrefix, `${ruleName}.fileNamePrefix`);
+        this.validateNumber(rule.priority, `${ruleName}.priority`, {
+          min: 1,
+          max: 2147483647,
+          integer: true,
+        });
+
+        for (const field of ['includeExistingFiles', 'isEnabled']) {
+          if (typeof rule[field] !== 'boolean') {
+            throw new Error(`${ruleName}.${field} must be a boolean`);
+          }
+        }
+      });
+    }
+
+    if (
+      asReplicationDestination !== undefined &&
+      asReplicationDestination !== null
+    ) {
+      const name =
+        'replicationConfiguration.asReplicationDestination.sourceToDestinationKeyMapping';
+
+      if (!isObject(asReplicationDestination)) {
+        throw new Error(
+          'replicationConfiguration.asReplicationDestination must be an object'
+        );
+      }
+
+      const mapping = asReplicationDestination.sourceToDestinationKeyMapping;
+      if (!isObject(mapping) || Object.keys(mapping).length === 0) {
+        throw new Error(`${name} must map at least one source key ID`);
+      }
+
+      for (const [sourceKeyId, destinationKeyId] of Object.entries(mapping)) {
+        this.validateString(destinationKeyId, `${name}.${sourceKeyId}`, {
+          minLength: 1,
+        });
+      }
+    }
+  }
+
+  /**
+   * Validate server-side encryption settings
+   * @param {Object} encryption - Encryption settings with mode, algorithm and, for SSE-C, customerKey and customerKeyMd5
+   * @param {string} [name='encryption'] - Parameter name for error messages
+   * @param {Array<string|null>} [modes] - Allowed modes (defaults to all encryption modes)
+   * @throws {Error} If the settings are invalid
+   */
+  static validateServerSideEncryption(
+    encryption,
+    name = 'encryption',
+    modes = Object.values(ENCRYPTION_MODES)
+  ) {
+    if (
+      !encryption ||
+      typeof encryption !== 'object' ||
+      Array.isArray(encryption)
+    ) {
+      throw new Error(`${name} must be an object`);
+    }
+
+    const { mode, algorithm, customerKey, customerKeyMd5 } = encryption;
+
+    if (!modes.includes(mode)) {
+      throw new Error(
+        `${name}.mode must be one of: ${modes.map(String).join(', ')}`
+      );
+    }
+
+    if (mode === null) {
+      return;
+    }
+
+    if (
+      algorithm !== undefined &&
+      !Object.values(ENCRYPTION_ALGORITHMS).includes(algorithm)
+    ) {
+      throw new Error(
+        `${name}.algorithm must be one of: ${Object.values(ENCRYPTION_ALGORITHMS).join(', ')}`
+      );
+    }
+
+    if (mode !== ENCRYPTION_MODES.SSE_C) {
+      if (customerKey !== undefined || customerKeyMd5 !== undefined) {
+        throw new Error(
+          `${name}.customerKey and customerKeyMd5 are only allowed with ${ENCRYPTION_MODES.SSE_C}`
+        );
+      }
+      return;
+    }
+
+    // AES256 keys are 32 bytes, 44 characters in base64
+    const isKeyBytes =
+      customerKey instanceof Uint8Array && customerKey.length === 32;
+    const isKeyString =
+      typeof customerKey === 'string' &&
+      /^[A-Za-z0-9+/]{43}=$/.test(customerKey);
+    if (!isKeyBytes && !isKeyString) {
+      throw new Error(
+        `${name}.customerKey must be a 256-bit key as 32 bytes or a base64 string`
+      );
+    }
+
+    if (customerKeyMd5 !== undefined) {
+      this.validateString(customerKeyMd5, `${name}.customerKeyMd5`, {
+        pattern: /^[A-Za-z0-9+/]{22}==$/,
+      });
+    }
+  }
+
+  /**
+   * Validate Object Lock file retention settings
+   * @param {Object} retention - Retention with mode and retainUntilTimestamp (milliseconds since the epoch)
+   * @param {string} [name='retention'] - Parameter name for error messages
+   * @param {Array<string|null>} [modes] - Allowed modes (defaults to governance and compliance)
+   * @throws {Error} If the settings are invalid
+   */
+  static validateFileRetention(
+    retention,
+    name = 'retention',
+    modes = Object.values(RETENTION_MODES)
+  ) {
+    if (
+      !retention ||
+      typeof retention !== 'object' ||
+      Array.isArray(retention)
+    ) {
+      throw new Error(`${name} must be an object`);
+    }
+
+    if (!modes.includes(retention.mode)) {
+      throw new Error(
+        `${name}.mode must be one of: ${modes.map(String).join(', ')}`
+      );
+    }
+
+    if (retention.mode === null) {
+      if (
+        retention.retainUntilTimestamp !== undefined &&
+        retention.retainUntilTimestamp !== null
+      ) {
+        throw new Error(
+          `${name}.retainUntilTimestamp must be null when mode is null`
+        );
+      }
+      return;
+    }
+
+    this.validateNumber(
+      retention.retainUntilTimestamp,
+      `${name}.retainUntilTimestamp`,
+      { min: 1, integer: true }
+    );
+  }
+
+  /**
+   * Validate an Object Lock legal hold state
+   * @param {string} legalHold - Legal hold state ('on' or 'off')
+   * @throws {Error} If the state is invalid
+   */
+  static validateLegalHold(legalHold) {
+    const states = Object.values(LEGAL_HOLD);
+    if (!states.includes(legalHold)) {
+      throw new Error(`legalHold must be one of: ${states.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a bucket's default Object Lock retention
+   * @param {Object} defaultRetention - Default retention with mode and period { duration, unit }
+   * @throws {Error} If the settings are invalid
+   */
+  static validateDefaultRetention(defaultRetention) {
+    const name = 'defaultRetention';
+
+    if (
+      !defaultRetention ||
+      typeof defaultRetention !== 'object' ||
+      Array.isArray(defaultRetention)
+    ) {
+      throw new Error(`${name} must be an object`);
+    }
+
+    const modes = [...Object.values(RETENTION_MODES), null];
+    if (!modes.includes(defaultRetention.mode)) {
+      throw new Error(
+        `${name}.mode must be one of: ${modes.map(String).join(', ')}`
+      );
+    }
+
+    const { period } = defaultRetention;
+
+    if (defaultRetention.mode === null) {
+      if (period !== undefined && period !== null) {
+        throw new Error(`${name}.period must be null when mode is null`);
+      }
+      return;
+    }
+
+    if (!period || typeof period !== 'object' || Array.isArray(period)) {
+      throw new Error(`${name}.period must be an object`);
+    }
+
+    this.validateNumber(period.duration, `${name}.period.duration`, {
+      min: 1,
+      integer: true,
+    });
+
+    const units = Object.values(RETENTION_PERIOD_UNITS);
+    if (!units.includes(period.unit)) {
+      throw new Error(
+        `${name}.period.unit must be one of: ${units.join(', ')}`
+      );
+    }
+  }
+
   /**
    * Validate file name
    * @param {string} fileName - File name to validate
@@ -366,12 +874,12 @@ export const B2Validators = {
       throw new Error('bucketInfo must be an object');
     }
 
-    if (params.corsRules && !Array.isArray(params.corsRules)) {
-      throw new Error('corsRules must be an array');
+    if (params.corsRules !== undefined) {
+      Validator.validateCorsRules(params.corsRules);
     }
 
-    if (params.lifecycleRules && !Array.isArray(params.lifecycleRules)) {
-      throw new Error('lifecycleRules must be an array');
+    if (params.lifecycleRules !== undefined) {
+      Validator.validateLifecycleRules(params.lifecycleRules);
     }
   },
 
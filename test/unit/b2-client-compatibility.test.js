@@ -63,7 +63,8 @@ describe('B2Client Backward Compatibility', () => {
       finishLargeFile: vi.fn(),
       cancelLargeFile: vi.fn(),
       listParts: vi.fn(),
-      listUnfinishedLargeFiles: vi.fn()
+      listUnfinishedLargeFiles: vi.fn(),
+      uploadUrlPool: { clear: vi.fn() }
     };
 
     mockKeyManager = {
@@ -10,6 +10,8 @@ import { AuthManager } from '../../src/managers/auth-manager.js';
 import { BucketManager } from '../../src/managers/bucket-manager.js';
 import { FileManager } from '../../src/managers/file-manager.js';
 import { KeyManager } from '../../src/managers/key-manager.js';
+import { SyncManager } from '../../src/managers/sync-manager.js';
+import { MemoryTokenStore } from '../../src/core/token-store.js';
 
 // Mock all manager classes
 vi.mock('../../src/core/http-client.js');
@@ -18,6 +20,7 @@ vi.mock('../../src/managers/auth-manager.js');
 vi.mock('../../src/managers/bucket-manager.js');
 vi.mock('../../src/managers/file-manager.js');
 vi.mock('../../src/managers/key-manager.js');
+vi.mock('../../src/managers/sync-manager.js');
 
 describe('B2Client', () => {
   let client;
@@ -27,6 +30,7 @@ describe('B2Client', () => {
   let mockBucketManager;
   let mockFileManager;
   let mockKeyManager;
+  let mockSyncManager;
 
   beforeEach(() => {
     // Reset all mocks
@@ -46,6 +50,8 @@ describe('B2Client', () => {
 
     mockAuthManager = {
       authorize: vi.fn(),
+      saveAuthContext: vi.fn(),
+      isAuthExpiredError: vi.fn((error) => error.status === 401),
       isAuthenticated: vi.fn(),
       getAuthContext: vi.fn(),
       clearAuthContext: vi.fn()
@@ -57,6 +63,14 @@ describe('B2Client', () => {
       list: vi.fn(),
       get: vi.fn(),
       update: vi.fn(),
+      addLifecycleRule: vi.fn(),
+      removeLifecycleRule: vi.fn(),
+      getReplicationConfiguration: vi.fn(),
+      getNotificationRules: vi.fn(),
+      setNotificationRules: vi.fn(),
+      addNotificationRule: vi.fn(),
+      removeNotificationRule: vi.fn(),
+      createBrowserCorsRules: vi.fn(),
       getUploadUrl: vi.fn()
     };
 
@@ -64,18 +78,31 @@ describe('B2Client', () => {
       uploadFile: vi.fn(),
       downloadFileByName: vi.fn(),
       downloadFileById: vi.fn(),
+      downloadFileParallel: vi.fn(),
+      downloadToFile: vi.fn(),
       listFileNames: vi.fn(),
       listFileVersions: vi.fn(),
+      listDirectory: vi.fn(),
       getFileInfo: vi.fn(),
+      statFileByName: vi.fn(),
+      exists: vi.fn(),
       deleteFileVersion: vi.fn(),
       hideFile: vi.fn(),
+      updateFileRetention: vi.fn(),
+      updateFileLegalHold: vi.fn(),
+      copyFile: vi.fn(),
+      copy: vi.fn(),
       getDownloadAuthorization: vi.fn(),
+      getSignedDownloadUrl: vi.fn(),
       startLargeFile: vi.fn(),
       getUploadPartUrl: vi.fn(),
       uploadPart: vi.fn(),
+      copyPart: vi.fn(),
       finishLargeFile: vi.fn(),
       cancelLargeFile: vi.fn(),
-      listParts: vi.fn()
+      listParts: vi.fn(),
+      uploadLargeFile: vi.fn(),
+      uploadUrlPool: { clear: vi.fn() }
     };
 
     mockKeyManager = {
@@ -84,6 +111,12 @@ describe('B2Client', () => {
       listKeys: vi.fn()
     };
 
+    mockSyncManager = {
+      syncToBucket: vi.fn(),
+      syncToLocal: vi.fn(),
+      syncBuckets: vi.fn()
+    };
+
     // Mock constructors
     HttpClient.mockImplementation(() => mockHttpClient);
     RetryHandler.mockImplementation(() => mockRetryHandler);
@@ -91,6 +124,7 @@ describe('B2Client', () => {
     BucketManager.mockImplementation(() => mockBucketManager);
     FileManager.mockImplementation(() => mockFileManager);
     KeyManager.mockImplementation(() => mockKeyManager);
+    SyncManager.mockImplementation(() => mockSyncManager);
 
     // Create client instance
     client = new B2Client();
@@ -184,6 +218,127 @@ describe('B2Client', () => {
       });
     });
 
+    describe('token store', () => {
+      const credentials = { applicationKeyId: 'testKeyId', applicationKey: 'testKey' };
+      const authResponse = {
+        accountId: 'account123',
+        authorizationToken: 'storedToken',
+        apiUrl: 'https://api.example',
+        downloadUrl: 'https://f.example'
+      };
+      let tokenStore;
+
+      beforeEach(() => {
+        vi.useFakeTimers({ now: 1700000000000 });
+        tokenStore = new MemoryTokenStore();
+        client = new B2Client({ tokenStore });
+        mockAuthManager.getAuthContext.mockReturnValue({ ...authResponse, authorizedAt: Date.now() });
+      });
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      it('should validate the token store', () => {
+        expect(() => new B2Client({ tokenStore: {} })).toThrow('tokenStore must have get and set methods');
+      });
+
+      it('should store new tokens with their authorization time', async () => {
+        mockAuthManager.authorize.mockResolvedValue({ data: authResponse });
+
+        await client.authorize(credentials);
+
+        await expect(tokenStore.get('testKeyId')).resolves.toEqual({ authResponse, authorizedAt: 1700000000000 });
+      });
+
+      it('should reuse a stored token instead of authorizing', async () => {
+        await tokenStore.set('testKeyId', { authResponse, authorizedAt: Date.now() - 60 * 60 * 1000 });
+
+        const result = await client.authorize(credentials);
+
+        expect(mockAuthManager.authorize).not.toHaveBeenCalled();
+        expect(mockAuthManager.saveAuthContext).toHaveBeenCalledWith(authResponse, Date.now() - 60 * 60 * 1000);
+        expect(result).toMatchObject({ status: 200, data: authResponse, fromTokenStore: true });
+        expect(client.authorizationToken).toBe('storedToken');
+        expect(client.credentials).toEqual(credentials);
+      });
+
+      it('should authorize again when the stored token is near its expiry', async () => {
+        await tokenStore.set('testKeyId', { authResponse, authorizedAt: Date.now() - 23 * 60 * 60 * 1000 });
+        mockAuthManager.authorize.mockResolvedValue({ data: { ...authResponse, authorizationToken: 'newToken' } });
+
+        await client.authorize(credentials);
+
+        expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+        expect((await tokenStore.get('testKeyId')).authResponse.authorizationToken).toBe('newToken');
+      });
+
+      it('should keep tokens of another baseUrl apart', async () => {
+        client = new B2Client({ tokenStore, baseUrl: 'http://127.0.0.1:8787' });
+        await tokenStore.set('testKeyId', { authResponse, authorizedAt: Date.now() });
+        mockAuthManager.authorize.mockResolvedValue({ data: authResponse });
+
+        await client.authorize(credentials);
+
+        expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+        await expect(tokenStore.get('testKeyId@http://127.0.0.1:8787')).resolves.toEqual({
+          authResponse,
+          authorizedAt: 1700000000000
+        });
+      });
+
+      it('should honor tokenMaxAge', async () => {
+        client = new B2Client({ tokenStore, tokenMaxAge: 60 * 1000 });
+        await tokenStore.set('testKeyId', { authResponse, authorizedAt: Date.now() - 2 * 60 * 1000 });
+        mockAuthManager.authorize.mockResolvedValue({ data: authResponse });
+
+        await client.authorize(credentials);
+
+        expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+      });
+
+      it('should skip the token store when refreshing an expired token', async () => {
+        await tokenStore.set('testKeyId', { authResponse, authorizedAt: Date.now() });
+        client.credentials = credentials;
+        mockAuthManager.authorize.mockResolvedValue({ data: { ...authResponse, authorizationToken: 'newToken' } });
+
+        await client.refreshAuth();
+
+        expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+        expect(client.authorizationToken).toBe('newToken');
+        expect((await tokenStore.get('testKeyId')).authResponse.authorizationToken).toBe('newToken');
+      });
+
+      it('should authorize as usual when the token store fails', async () => {
+        const failingStore = {
+          get: vi.fn(async () => {
+            throw new Error('Store unavailable');
+          }),
+          set: vi.fn(async () => {
+            throw new Error('Store unavailable');
+          })
+        };
+        client = new B2Client({ tokenStore: failingStore });
+        const mockResponse = { data: authResponse };
+        mockAuthManager.authorize.mockResolvedValue(mockResponse);
+
+        await expect(client.authorize(credentials)).resolves.toBe(mockResponse);
+        expect(failingStore.set).toHaveBeenCalled();
+      });
+
+      it('should authorize again when the stored response is invalid', async () => {
+        await tokenStore.set('testKeyId', { authResponse: { accountId: 'account123' }, authorizedAt: Date.now() });
+        mockAuthManager.saveAuthContext.mockImplementation(() => {
+          throw new Error('Missing required field in auth response: authorizationToken');
+        });
+        mockAuthManager.authorize.mockResolvedValue({ data: authResponse });
+
+        await client.authorize(credentials);
+
+        expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+      });
+    });
+
     it('should check authentication status', () => {
       mockAuthManager.isAuthenticated.mockReturnValue(true);
       expect(client.isAuthenticated()).toBe(true);
@@ -204,6 +359,7 @@ describe('B2Client', () => {
       client.clearAuth();
       
       expect(mockAuthManager.clearAuthContext).toHaveBeenCalled();
+      expect(mockFileManager.uploadUrlPool.clear).toHaveBeenCalled();
       expect(client.credentials).toBeNull();
     });
 
@@ -223,6 +379,58 @@ describe('B2Client', () => {
     it('should throw error when refreshing without stored credentials', async () => {
       await expect(client.refreshAuth()).rejects.toThrow('No credentials stored');
     });
+
+    it('should re-authorize once for concurrent expired token errors', async () => {
+      const credentials = { applicationKeyId: 'test', applicationKey: 'test' };
+      client.credentials = credentials;
+
+      let resolveAuthorize;
+      mockAuthManager.authorize.mockReturnValue(
+        new Promise((resolve) => {
+          resolveAuthorize = resolve;
+        })
+      );
+
+      const expiredError = Object.assign(new Error('Expired'), { status: 401, code: 'expired_auth_token' });
+      const results = Promise.all([
+        client.handleAuthExpired(expiredError),
+        client.handleAuthExpired(expiredError)
+      ]);
+      resolveAuthorize({ data: { authorizationToken: 'newToken' } });
+
+      expect(await results).toEqual([true, true]);
+      expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+      expect(mockAuthManager.authorize).toHaveBeenCalledWith(credentials, expect.any(Object));
+      expect(client.authorizationToken).toBe('newToken');
+    });
+
+    it('should not re-authorize for other errors or without credentials', async () => {
+      const expiredError = Object.assign(new Error('Expired'), { status: 401 });
+
+      expect(await client.handleAuthExpired(expiredError)).toBe(false);
+
+      client.credentials = { applicationKeyId: 'test', applicationKey: 'test' };
+      expect(await client.handleAuthExpired(Object.assign(new Error('Bad request'), { status: 400 }))).toBe(false);
+      expect(await client.handleAuthExpired(Object.assign(new Error('Invalid key'), { status: 401, isAuthError: true }))).toBe(false);
+      expect(await client.handleAuthExpired(Object.assign(new Error('Expired upload token'), { status: 401, isUploadAuthError: true }))).toBe(false);
+      expect(mockAuthManager.authorize).not.toHaveBeenCalled();
+    });
+
+    it('should not replay requests failing with unauthorized', async () => {
+      client.credentials = { applicationKeyId: 'test', applicationKey: 'test' };
+      const unauthorized = Object.assign(new Error('Key lacks capability'), { status: 401, code: 'unauthorized' });
+
+      expect(await client.handleAuthExpired(unauthorized)).toBe(false);
+      expect(await client.handleAuthExpired(Object.assign(new Error('Bad token'), { status: 401, code: 'bad_auth_token' }))).toBe(true);
+      expect(mockAuthManager.authorize).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-authorize from the retry handler and share it with the file manager', () => {
+      expect(RetryHandler).toHaveBeenCalledWith(expect.objectContaining({
+        onAuthExpired: expect.any(Function)
+      }));
+      expect(mockFileManager.retryHandler).toBe(mockRetryHandler);
+    });
   });
 
   describe('bucket methods', () => {
@@ -239,6 +447,60 @@ describe('B2Client', () => {
       expect(result).toBe(mockResponse);
     });
 
+    it('should add and remove lifecycle rules with retry', async () => {
+      const rule = { fileNamePrefix: 'logs/', daysFromHidingToDeleting: 1 };
+      const mockResponse = { data: { bucketId: 'bucket123' } };
+      mockBucketManager.addLifecycleRule.mockResolvedValue(mockResponse);
+      mockBucketManager.removeLifecycleRule.mockResolvedValue(mockResponse);
+
+      expect(await client.addLifecycleRule({ bucketId: 'bucket123', rule })).toBe(mockResponse);
+      expect(await client.removeLifecycleRule({ bucketId: 'bucket123', fileNamePrefix: 'logs/' })).toBe(mockResponse);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalledTimes(2);
+      expect(mockBucketManager.addLifecycleRule).toHaveBeenCalledWith({ bucketId: 'bucket123', rule });
+      expect(mockBucketManager.removeLifecycleRule).toHaveBeenCalledWith({ bucketId: 'bucket123', fileNamePrefix: 'logs/' });
+    });
+
+    it('should get the replication configuration with retry', async () => {
+      const configuration = { asReplicationDestination: { sourceToDestinationKeyMapping: { a: 'b' } } };
+      mockBucketManager.getReplicationConfiguration.mockResolvedValue(configuration);
+
+      expect(await client.getReplicationConfiguration('bucket123')).toBe(configuration);
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalledTimes(1);
+      expect(mockBucketManager.getReplicationConfiguration).toHaveBeenCalledWith('bucket123');
+      expect(client.REPLICATION_STATUS.REPLICA).toBe('replica');
+    });
+
+    it('should manage event notification rules with retry', async () => {
+      const rule = { name: 'uploads', eventTypes: [client.EVENT_TYPES.OBJECT_CREATED_ALL] };
+      const mockResponse = { data: { bucketId: 'bucket123', eventNotificationRules: [rule] } };
+      mockBucketManager.getNotificationRules.mockResolvedValue(mockResponse);
+      mockBucketManager.setNotificationRules.mockResolvedValue(mockResponse);
+      mockBucketManager.addNotificationRule.mockResolvedValue(mockResponse);
+      mockBucketManager.removeNotificationRule.mockResolvedValue(mockResponse);
+
+      expect(await client.getNotificationRules('bucket123')).toBe(mockResponse);
+      expect(await client.setNotificationRules({ bucketId: 'bucket123', eventNotificationRules: [rule] })).toBe(mockResponse);
+      expect(await client.addNotificationRule({ bucketId: 'bucket123', rule })).toBe(mockResponse);
+      expect(await client.removeNotificationRule({ bucketId: 'bucket123', name: 'uploads' })).toBe(mockResponse);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalledTimes(4);
+      expect(rule.eventTypes).toEqual(['b2:ObjectCreated:*']);
+      expect(mockBucketManager.getNotificationRules).toHaveBeenCalledWith('bucket123');
+      expect(mockBucketManager.setNotificationRules).toHaveBeenCalledWith({ bucketId: 'bucket123', eventNotificationRules: [rule] });
+      expect(mockBucketManager.addNotificationRule).toHaveBeenCalledWith({ bucketId: 'bucket123', rule });
+      expect(mockBucketManager.removeNotificationRule).toHaveBeenCalledWith({ bucketId: 'bucket123', name: 'uploads' });
+    });
+
+    it('should build browser CORS rules without a request', () => {
+      const rules = [{ corsRuleName: 'uploadFromBrowser' }];
+      mockBucketManager.createBrowserCorsRules.mockReturnValue(rules);
+
+      expect(client.createBrowserCorsRules({ allowedOrigins: ['*'] })).toBe(rules);
+      expect(mockBucketManager.createBrowserCorsRules).toHaveBeenCalledWith({ allowedOrigins: ['*'] });
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+    });
+
     it('should create bucket with string parameters (backward compatibility)', async () => {
       const mockResponse = { data: { bucketId: 'bucket123' } };
       mockBucketManager.create.mockResolvedValue(mockResponse);
@@ -332,6 +594,32 @@ describe('B2Client', () => {
       expect(result).toBe(mockResponse);
     });
 
+    it('should not retry stream uploads', async () => {
+      const options = { uploadUrl: 'url', uploadAuthToken: 'token', fileName: 'test.txt', data: new ReadableStream(), contentLength: 0 };
+      const mockResponse = { data: { fileId: 'file123' } };
+
+      mockFileManager.uploadFile.mockResolvedValue(mockResponse);
+
+      const result = await client.uploadFile(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.uploadFile).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should let pooled uploads retry on fresh upload URLs themselves', async () => {
+      const options = { bucketId: 'bucket123', fileName: 'test.txt', data: 'file content' };
+      const mockResponse = { data: { fileId: 'file123' } };
+
+      mockFileManager.uploadFile.mockResolvedValue(mockResponse);
+
+      const result = await client.uploadFile(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.uploadFile).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
     it('should download file by name with object parameters', async () => {
       const options = { bucketName: 'test-bucket', fileName: 'test.txt' };
       const mockResponse = { data: new ArrayBuffer(10) };
@@ -368,6 +656,30 @@ describe('B2Client', () => {
       expect(result).toBe(mockResponse);
     });
 
+    it('should download in parallel without wrapping the whole download in a retry', async () => {
+      const options = { fileId: 'file123', partSize: 1024, concurrency: 8 };
+      const mockResponse = { data: new ArrayBuffer(10), contentLength: 10 };
+      mockFileManager.downloadFileParallel.mockResolvedValue(mockResponse);
+
+      const result = await client.downloadFileParallel(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.downloadFileParallel).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should download to a file without wrapping the whole download in a retry', async () => {
+      const options = { fileId: 'file123', filePath: '/tmp/file.bin', retries: 10 };
+      const mockResponse = { fileId: 'file123', filePath: '/tmp/file.bin', resumeCount: 1 };
+      mockFileManager.downloadToFile.mockResolvedValue(mockResponse);
+
+      const result = await client.downloadToFile(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.downloadToFile).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
     it('should list file names', async () => {
       const options = { bucketId: 'bucket123' };
       const mockResponse = { data: { files: [] } };
@@ -433,6 +745,62 @@ describe('B2Client', () => {
       expect(result).toBe(mockResponse);
     });
 
+    it('should update file retention', async () => {
+      const options = {
+        fileName: 'backup.tar',
+        fileId: 'file123',
+        retention: { mode: client.RETENTION_MODES.GOVERNANCE, retainUntilTimestamp: 1893456000000 }
+      };
+      const mockResponse = { data: { fileId: 'file123' } };
+
+      mockFileManager.updateFileRetention.mockResolvedValue(mockResponse);
+
+      const result = await client.updateFileRetention(options);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalled();
+      expect(mockFileManager.updateFileRetention).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should update file legal hold', async () => {
+      const options = { fileName: 'backup.tar', fileId: 'file123', legalHold: client.LEGAL_HOLD.ON };
+      const mockResponse = { data: { fileId: 'file123', legalHold: 'on' } };
+
+      mockFileManager.updateFileLegalHold.mockResolvedValue(mockResponse);
+
+      const result = await client.updateFileLegalHold(options);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalled();
+      expect(mockFileManager.updateFileLegalHold).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should copy file', async () => {
+      const options = { sourceFileId: 'file123', fileName: 'copy.txt' };
+      const mockResponse = { data: { fileId: 'file456' } };
+
+      mockFileManager.copyFile.mockResolvedValue(mockResponse);
+
+      const result = await client.copyFile(options);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalled();
+      expect(mockFileManager.copyFile).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should copy file of any size without replaying the whole copy', async () => {
+      const options = { sourceFileId: 'file123', fileName: 'copy.txt' };
+      const mockResponse = { data: { fileId: 'file456' } };
+
+      mockFileManager.copy.mockResolvedValue(mockResponse);
+
+      const result = await client.copy(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.copy).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
     it('should get download authorization', async () => {
       const options = { bucketId: 'bucket123', fileNamePrefix: 'test' };
       const mockResponse = { data: { authorizationToken: 'token' } };
@@ -445,6 +813,33 @@ describe('B2Client', () => {
       expect(mockFileManager.getDownloadAuthorization).toHaveBeenCalledWith(options);
       expect(result).toBe(mockResponse);
     });
+
+    it('should get signed download URLs', async () => {
+      const options = { bucketName: 'bucket', fileName: 'test.txt', cachePrefix: '' };
+      const mockResponse = { url: 'https://download.test.com/file/bucket/test.txt?Authorization=token' };
+
+      mockFileManager.getSignedDownloadUrl.mockResolvedValue(mockResponse);
+
+      const result = await client.getSignedDownloadUrl(options);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalled();
+      expect(mockFileManager.getSignedDownloadUrl).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should stat files by name and check whether they exist', async () => {
+      const options = { bucketName: 'bucket', fileName: 'test.txt' };
+      const mockInfo = { fileId: 'file123', contentLength: 10 };
+
+      mockFileManager.statFileByName.mockResolvedValue(mockInfo);
+      mockFileManager.exists.mockResolvedValue(false);
+
+      expect(await client.statFileByName(options)).toBe(mockInfo);
+      expect(await client.fileExists(options)).toBe(false);
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalledTimes(2);
+      expect(mockFileManager.statFileByName).toHaveBeenCalledWith(options);
+      expect(mockFileManager.exists).toHaveBeenCalledWith(options);
+    });
   });
 
   describe('large file methods', () => {
@@ -530,6 +925,81 @@ describe('B2Client', () => {
       expect(mockFileManager.listParts).toHaveBeenCalledWith(options);
       expect(result).toBe(mockResponse);
     });
+
+    it('should copy part', async () => {
+      const options = { sourceFileId: 'file123', largeFileId: 'large123', partNumber: 1 };
+      const mockResponse = { data: { contentSha1: 'sha1' } };
+
+      mockFileManager.copyPart.mockResolvedValue(mockResponse);
+
+      const result = await client.copyPart(options);
+
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalled();
+      expect(mockFileManager.copyPart).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+
+    it('should upload large file without replaying the whole upload', async () => {
+      const options = { bucketId: 'bucket123', fileName: 'large-file.zip', filePath: '/tmp/large-file.zip' };
+      const mockResponse = { data: { fileId: 'file123' } };
+
+      mockFileManager.uploadLargeFile.mockResolvedValue(mockResponse);
+
+      const result = await client.uploadLargeFile(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.uploadLargeFile).toHaveBeenCalledWith(options);
+      expect(result).toBe(mockResponse);
+    });
+  });
+
+  describe('sync methods', () => {
+    it('should create the sync manager with the file manager on first use', async () => {
+      expect(SyncManager).not.toHaveBeenCalled();
+
+      await expect(client.getSyncManager()).resolves.toBe(mockSyncManager);
+      await expect(client.getSyncManager()).resolves.toBe(mockSyncManager);
+
+      expect(SyncManager).toHaveBeenCalledTimes(1);
+      expect(SyncManager).toHaveBeenCalledWith(mockFileManager, client.config);
+      expect(client.syncManager).toBe(mockSyncManager);
+    });
+
+    it('should sync to a bucket without wrapping the whole sync in a retry', async () => {
+      const options = { localPath: '/srv/data', bucketName: 'backups', deleteMode: 'hide' };
+      const summary = { uploaded: 2, skipped: 5, hidden: 1, deleted: 0, failed: 0 };
+      mockSyncManager.syncToBucket.mockResolvedValue(summary);
+
+      const result = await client.syncToBucket(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockSyncManager.syncToBucket).toHaveBeenCalledWith(options);
+      expect(result).toBe(summary);
+    });
+
+    it('should sync to a local directory without wrapping the whole sync in a retry', async () => {
+      const options = { bucketName: 'backups', localPath: '/srv/restore', asOf: 1717200000000 };
+      const summary = { downloaded: 7, skipped: 0, deleted: 0, failed: 0 };
+      mockSyncManager.syncToLocal.mockResolvedValue(summary);
+
+      const result = await client.syncToLocal(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockSyncManager.syncToLocal).toHaveBeenCalledWith(options);
+      expect(result).toBe(summary);
+    });
+
+    it('should sync between buckets without wrapping the whole sync in a retry', async () => {
+      const options = { sourceBucketName: 'tenants', sourcePrefix: 'acme', destinationBucketName: 'acme', dryRun: true };
+      const summary = { copied: 3, skipped: 0, hidden: 0, deleted: 0, failed: 0 };
+      mockSyncManager.syncBuckets.mockResolvedValue(summary);
+
+      const result = await client.syncBuckets(options);
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockSyncManager.syncBuckets).toHaveBeenCalledWith(options);
+      expect(result).toBe(summary);
+    });
   });
 
   describe('key management methods', () => {
@@ -576,6 +1046,102 @@ describe('B2Client', () => {
     });
   });
 
+  describe('iterator methods', () => {
+    it('should iterate file names across pages with retried list calls', async () => {
+      mockFileManager.listFileNames
+        .mockResolvedValueOnce({ data: { files: [{ fileName: 'a.txt' }, { fileName: 'b.txt' }], nextFileName: 'c.txt' } })
+        .mockResolvedValueOnce({ data: { files: [{ fileName: 'c.txt' }], nextFileName: null } });
+
+      const fileNames = [];
+      for await (const file of client.iterateFileNames({ bucketId: 'bucket123', prefix: 'docs/' })) {
+        fileNames.push(file.fileName);
+      }
+
+      expect(fileNames).toEqual(['a.txt', 'b.txt', 'c.txt']);
+      expect(mockRetryHandler.executeWithRetry).toHaveBeenCalledTimes(2);
+      expect(mockFileManager.listFileNames).toHaveBeenNthCalledWith(2, {
+        bucketId: 'bucket123',
+        prefix: 'docs/',
+        maxFileCount: 1000,
+        startFileName: 'c.txt'
+      });
+    });
+
+    it('should iterate file versions with both cursors', async () => {
+      mockFileManager.listFileVersions
+        .mockResolvedValueOnce({ data: { files: [{ fileId: 'v1' }], nextFileName: 'a.txt', nextFileId: 'v2' } })
+        .mockResolvedValueOnce({ data: { files: [{ fileId: 'v2' }], nextFileName: null, nextFileId: null } });
+
+      const versions = [];
+      for await (const file of client.iterateFileVersions({ bucketId: 'bucket123' })) {
+        versions.push(file.fileId);
+      }
+
+      expect(versions).toEqual(['v1', 'v2']);
+      expect(mockFileManager.listFileVersions.mock.calls[1][0]).toEqual(
+        expect.objectContaining({ startFileName: 'a.txt', startFileId: 'v2' })
+      );
+    });
+
+    it('should iterate parts, unfinished large files and keys', async () => {
+      mockFileManager.listParts.mockResolvedValue({ data: { parts: [{ partNumber: 1 }], nextPartNumber: null } });
+      mockFileManager.listUnfinishedLargeFiles = vi.fn().mockResolvedValue({ data: { files: [{ fileId: 'large1' }], nextFileId: null } });
+      mockKeyManager.listKeys.mockResolvedValue({ data: { keys: [{ applicationKeyId: 'key1' }], nextApplicationKeyId: null } });
+
+      const collect = async (iterator) => {
+        const entries = [];
+        for await (const entry of iterator) {
+          entries.push(entry);
+        }
+        return entries;
+      };
+
+      expect(await collect(client.iterateParts({ fileId: 'large1' }))).toEqual([{ partNumber: 1 }]);
+      expect(await collect(client.iterateUnfinishedLargeFiles({ bucketId: 'bucket123' }))).toEqual([{ fileId: 'large1' }]);
+      expect(await collect(client.iterateKeys())).toEqual([{ applicationKeyId: 'key1' }]);
+
+      expect(mockFileManager.listParts).toHaveBeenCalledWith({ fileId: 'large1', maxPartCount: 1000 });
+      expect(mockFileManager.listUnfinishedLargeFiles).toHaveBeenCalledWith({ bucketId: 'bucket123', maxFileCount: 100 });
+      expect(mockKeyManager.listKeys).toHaveBeenCalledWith({ maxKeyCount: 1000 });
+    });
+
+    it('should list directories without wrapping the whole walk in a retry', async () => {
+      const mockDirectory = { path: 'photos/', folders: [], files: [] };
+      mockFileManager.listDirectory.mockResolvedValue(mockDirectory);
+
+      const result = await client.listDirectory('bucket123', 'photos', { recursive: true });
+
+      expect(mockRetryHandler.executeWithRetry).not.toHaveBeenCalled();
+      expect(mockFileManager.listDirectory).toHaveBeenCalledWith('bucket123', 'photos', { recursive: true });
+      expect(result).toBe(mockDirectory);
+    });
+
+    it('should stop at the limit and pass it on as the page size', async () => {
+      mockFileManager.listFileNames.mockResolvedValue({
+        data: { files: [{ fileName: 'a.txt' }, { fileName: 'b.txt' }], nextFileName: 'c.txt' }
+      });
+
+      const fileNames = [];
+      for await (const file of client.iterateFileNames({ bucketId: 'bucket123', limit: 2 })) {
+        fileNames.push(file.fileName);
+      }
+
+      expect(fileNames).toEqual(['a.txt', 'b.txt']);
+      expect(mockFileManager.listFileNames).toHaveBeenCalledTimes(1);
+      expect(mockFileManager.listFileNames).toHaveBeenCalledWith({ bucketId: 'bucket123', maxFileCount: 2 });
+    });
+
+    it('should stop when the signal is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const iterator = client.iterateKeys({ signal: controller.signal });
+
+      await expect(iterator.next()).rejects.toThrow();
+      expect(mockKeyManager.listKeys).not.toHaveBeenCalled();
+    });
+  });
+
   describe('constants export', () => {
     it('should export BUCKET_TYPES', () => {
       expect(BUCKET_TYPES).toBeDefined();
@@ -588,5 +1154,14 @@ describe('B2Client', () => {
       expect(KEY_CAPABILITIES.LIST_FILES).toBe('listFiles');
       expect(KEY_CAPABILITIES.READ_FILES).toBe('readFiles');
     });
+
+    it('should expose CORS_OPERATIONS on the client', () => {
+      expect(client.CORS_OPERATIONS.UPLOAD_FILE).toBe('b2_upload_file');
+      expect(client.CORS_OPERATIONS.DOWNLOAD_FILE_BY_NAME).toBe('b2_download_file_by_name');
+    });
+
+    it('should expose ENCRYPTION_MODES on the client', () => {
+      expect(client.ENCRYPTION_MODES).toEqual({ SSE_B2: 'SSE-B2', SSE_C: 'SSE-C' });
+    });
   });
 });
\ No newline at end of file
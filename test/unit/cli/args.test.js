@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { parseArgs, parseB2Uri, parseIntegerOption } from '../../../src/cli/args.js';
+
+describe('parseArgs', () => {
+  const spec = {
+    recursive: { type: 'boolean', short: 'r' },
+    'content-type': { type: 'string' },
+    info: { type: 'string', multiple: true }
+  };
+
+  it('should separate positionals from options', () => {
+    expect(parseArgs(['ls', '-r', 'b2://bucket', '--content-type', 'text/plain'], spec)).toEqual({
+      positionals: ['ls', 'b2://bucket'],
+      options: { recursive: true, 'content-type': 'text/plain' }
+    });
+  });
+
+  it('should accept --name=value and collect repeated multiple options', () => {
+    const { options } = parseArgs(['--info=a=1', '--info', 'b=2', '--content-type=text/plain'], spec);
+
+    expect(options).toEqual({ info: ['a=1', 'b=2'], 'content-type': 'text/plain' });
+  });
+
+  it('should treat arguments after -- and a lone - as positionals', () => {
+    expect(parseArgs(['-', '--', '-r', '--info'], spec).positionals).toEqual(['-', '-r', '--info']);
+  });
+
+  it('should reject unknown options and missing or unexpected values', () => {
+    expect(() => parseArgs(['--force'], spec)).toThrow('Unknown option: --force');
+    expect(() => parseArgs(['-x'], spec)).toThrow('Unknown option: -x');
+    expect(() => parseArgs(['--content-type'], spec)).toThrow('Option --content-type requires a value');
+    expect(() => parseArgs(['--recursive=yes'], spec)).toThrow('Option --recursive does not take a value');
+
+    try {
+      parseArgs(['--force'], spec);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_USAGE');
+    }
+  });
+});
+
+describe('parseIntegerOption', () => {
+  it('should parse non-negative integers and pass on missing values', () => {
+    expect(parseIntegerOption('600', 'expires-in')).toBe(600);
+    expect(parseIntegerOption('0', 'port')).toBe(0);
+    expect(parseIntegerOption(undefined, 'port')).toBeUndefined();
+  });
+
+  it('should reject other values as invalid usage', () => {
+    for (const value of ['-1', '1.5', 'abc', '']) {
+      expect(() => parseIntegerOption(value, 'port')).toThrow('--port must be a non-negative integer');
+    }
+  });
+});
+
+describe('parseB2Uri', () => {
+  it('should parse bucket and file URIs', () => {
+    expect(parseB2Uri('b2://photos/2024/a.jpg')).toEqual({ bucketName: 'photos', fileName: '2024/a.jpg' });
+    expect(parseB2Uri('b2://photos')).toEqual({ bucketName: 'photos', fileName: '' });
+    expect(parseB2Uri('b2://photos/')).toEqual({ bucketName: 'photos', fileName: '' });
+  });
+
+  it('should parse file ID URIs', () => {
+    expect(parseB2Uri('b2id://4_z123')).toEqual({ fileId: '4_z123' });
+  });
+
+  it('should reject other URIs', () => {
+    for (const uri of ['photos/a.jpg', 'b2://', 'b2id://', 's3://photos/a.jpg']) {
+      expect(() => parseB2Uri(uri)).toThrow(`Invalid B2 URI: ${uri}`);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { getConfigPath, readConfig, writeConfig, loadCredentials } from '../../../src/cli/config.js';
+import { mkdtempSync, writeFileSync, statSync, rmSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { join } from 'path';
+
+describe('CLI config', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b2-cli-'));
+    configPath = join(dir, 'better-b2', 'config.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getConfigPath', () => {
+    it('should prefer BETTER_B2_CONFIG, then XDG_CONFIG_HOME, then ~/.config', () => {
+      expect(getConfigPath({ BETTER_B2_CONFIG: '/etc/b2.json', XDG_CONFIG_HOME: '/xdg' })).toBe('/etc/b2.json');
+      expect(getConfigPath({ XDG_CONFIG_HOME: '/xdg' })).toBe(join('/xdg', 'better-b2', 'config.json'));
+      expect(getConfigPath({})).toBe(join(homedir(), '.config', 'better-b2', 'config.json'));
+    });
+  });
+
+  describe('readConfig and writeConfig', () => {
+    it('should return an empty config when the file does not exist', async () => {
+      await expect(readConfig(configPath)).resolves.toEqual({});
+    });
+
+    it('should write the config readable by the current user only', async () => {
+      await writeConfig(configPath, { applicationKeyId: 'id', applicationKey: 'secret' });
+
+      await expect(readConfig(configPath)).resolves.toEqual({ applicationKeyId: 'id', applicationKey: 'secret' });
+      if (process.platform !== 'win32') {
+        expect(statSync(configPath).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    it('should reject invalid JSON', async () => {
+      const path = join(dir, 'config.json');
+      writeFileSync(path, '{ nope');
+
+      await expect(readConfig(path)).rejects.toThrow(`Config file is not valid JSON: ${path}`);
+    });
+  });
+
+  describe('loadCredentials', () => {
+    it('should prefer environment variables over the config file', async () => {
+      await writeConfig(configPath, { applicationKeyId: 'saved-id', applicationKey: 'saved-key' });
+
+      await expect(
+        loadCredentials({ B2_APPLICATION_KEY_ID: 'env-id', B2_APPLICATION_KEY: 'env-key' }, configPath)
+      ).resolves.toEqual({ applicationKeyId: 'env-id', applicationKey: 'env-key' });
+      await expect(loadCredentials({ B2_APPLICATION_KEY_ID: 'env-id' }, configPath)).resolves.toEqual({
+        applicationKeyId: 'saved-id',
+        applicationKey: 'saved-key'
+      });
+    });
+
+    it('should return null without credentials', async () => {
+      await expect(loadCredentials({}, configPath)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,328 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { run } from '../../../src/cli/index.js';
+import { mkdtempSync, writeFileSync, readFileSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Async generator over fixed items, like the iterate* methods
+async function* iterate(items) {
+  yield* items;
+}
+
+// Writable collecting everything written to it
+const createStream = () => {
+  const stream = {
+    output: '',
+    write: vi.fn((chunk) => {
+      stream.output += typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString();
+      return true;
+    })
+  };
+  return stream;
+};
+
+describe('CLI', () => {
+  let client;
+  let stdout;
+  let stderr;
+  let env;
+  let dir;
+
+  let clientOptions;
+  const runCli = (...argv) =>
+    run(argv, {
+      env,
+      stdout,
+      stderr,
+      createClient: (options) => {
+        clientOptions = options;
+        return client;
+      }
+    });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b2-cli-'));
+    env = {
+      B2_APPLICATION_KEY_ID: 'key-id',
+      B2_APPLICATION_KEY: 'key-secret',
+      BETTER_B2_CONFIG: join(dir, 'config.json')
+    };
+    stdout = createStream();
+    stderr = createStream();
+
+    const authorizeAccount = async () => ({
+      data: { accountId: 'account123', apiUrl: 'https://api.example', downloadUrl: 'https://f.example', allowed: {} }
+    });
+    client = {
+      authorize: vi.fn(authorizeAccount),
+      authorizeAccount: vi.fn(authorizeAccount),
+      getBucket: vi.fn(async ({ bucketName }) => ({
+        data: { buckets: bucketName === 'photos' ? [{ bucketId: 'bucket123', bucketName }] : [] }
+      })),
+      listBuckets: vi.fn(async () => ({
+        data: { buckets: [{ bucketId: 'bucket123', bucketType: 'allPrivate', bucketName: 'photos' }] }
+      })),
+      createBucket: vi.fn(async ({ bucketName, bucketType }) => ({ data: { bucketId: 'bucket456', bucketName, bucketType } })),
+      updateBucket: vi.fn(async ({ bucketId, bucketType }) => ({ data: { bucketId, bucketType } })),
+      deleteBucket: vi.fn(async ({ bucketId }) => ({ data: { bucketId } })),
+      iterateFileNames: vi.fn(() =>
+        iterate([
+          { action: 'folder', fileId: null, fileName: 'photos/2024/', contentLength: 0, uploadTimestamp: 0 },
+          { action: 'upload', fileId: 'file1', fileName: 'photos/a.jpg', contentLength: 42, uploadTimestamp: 1700000000000 }
+        ])
+      ),
+      iterateFileVersions: vi.fn(() =>
+        iterate([
+          { action: 'upload', fileId: 'v2', fileName: 'a.txt' },
+          { action: 'upload', fileId: 'v1', fileName: 'a.txt' },
+          { action: 'upload', fileId: 'b1', fileName: 'a.txt.bak' }
+        ])
+      ),
+      uploadFile: vi.fn(async ({ fileName }) => ({ data: { fileId: 'file1', fileName } })),
+      uploadLargeFile: vi.fn(async ({ fileName }) => ({ data: { fileId: 'file1', fileName } })),
+      downloadToFile: vi.fn(async ({ filePath }) => ({ fileId: 'file1', contentLength: 5, filePath, resumeCount: 0 })),
+      downloadFileByName: vi.fn(async () => ({ data: iterate([Buffer.from('hello '), Buffer.from('world')]) })),
+      downloadFileById: vi.fn(async () => ({ data: iterate([Buffer.from('by id')]) })),
+      getFileInfo: vi.fn(async ({ fileId }) => ({ data: { fileId, fileName: 'a.txt' } })),
+      deleteFileVersion: vi.fn(async ({ fileId, fileName }) => ({ data: { fileId, fileName } })),
+      hideFile: vi.fn(async ({ fileName }) => ({ data: { action: 'hide', fileName } })),
+      iterateKeys: vi.fn(() =>
+        iterate([{ applicationKeyId: 'key1', keyName: 'backup', capabilities: ['listFiles', 'readFiles'] }])
+      ),
+      createKey: vi.fn(async ({ keyName }) => ({ data: { applicationKeyId: 'key2', applicationKey: 'secret2', keyName } })),
+      deleteKey: vi.fn(async ({ applicationKeyId }) => ({ data: { applicationKeyId, keyName: 'backup' } })),
+      getSignedDownloadUrl: vi.fn(async () => ({ url: 'https://f.example/file/photos/a.jpg?Authorization=t', expiresAt: 1700003600000 }))
+    };
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('usage', () => {
+    it('should print help', async () => {
+      expect(await runCli('--help')).toBe(0);
+      expect(stdout.output).toContain('Usage: better-b2');
+      expect(stdout.output).toContain('bucket create bucketName allPrivate|allPublic');
+    });
+
+    it('should exit with 2 on unknown commands, options and wrong argument counts', async () => {
+      expect(await runCli('frobnicate')).toBe(2);
+      expect(stderr.output).toContain('Error: Unknown command: frobnicate');
+
+      stderr.output = '';
+      expect(await runCli('hide', '-r', 'b2://photos/a.jpg')).toBe(2);
+      expect(stderr.output).toContain('Error: Unknown option: -r');
+      expect(stderr.output).toContain('Usage: better-b2 hide b2://bucketName/fileName');
+
+      expect(await runCli('ls')).toBe(2);
+      expect(client.authorize).not.toHaveBeenCalled();
+
+      expect(await runCli('cat', 'b2://photos')).toBe(2);
+      expect(stderr.output).toContain('URI does not name a file: b2://photos');
+    });
+  });
+
+  describe('credentials', () => {
+    it('should authorize with credentials from the environment', async () => {
+      await runCli('bucket', 'list');
+
+      expect(client.authorize).toHaveBeenCalledWith({ applicationKeyId: 'key-id', applicationKey: 'key-secret' });
+    });
+
+    it('should keep auth tokens next to the config file', async () => {
+      await runCli('bucket', 'list');
+
+      expect(clientOptions.tokenStore.path).toBe(join(dir, 'tokens.json'));
+    });
+
+    it('should save credentials with authorize and use them later', async () => {
+      expect(await runCli('authorize', 'saved-id', 'saved-key')).toBe(0);
+      expect(client.authorizeAccount).toHaveBeenCalledWith({ applicationKeyId: 'saved-id', applicationKey: 'saved-key' });
+      expect(stdout.output).toContain('Authorized account account123');
+      expect(JSON.parse(readFileSync(env.BETTER_B2_CONFIG, 'utf8'))).toEqual({
+        applicationKeyId: 'saved-id',
+        applicationKey: 'saved-key'
+      });
+
+      delete env.B2_APPLICATION_KEY_ID;
+      delete env.B2_APPLICATION_KEY;
+      await runCli('bucket', 'list');
+
+      expect(client.authorize).toHaveBeenLastCalledWith({ applicationKeyId: 'saved-id', applicationKey: 'saved-key' });
+    });
+
+    it('should fail without credentials', async () => {
+      env = { BETTER_B2_CONFIG: join(dir, 'missing.json') };
+
+      expect(await runCli('bucket', 'list')).toBe(1);
+      expect(stderr.output).toContain('No credentials found');
+    });
+  });
+
+  describe('output', () => {
+    it('should print results as JSON with --json', async () => {
+      expect(await runCli('bucket', 'list', '--json')).toBe(0);
+
+      expect(JSON.parse(stdout.output)).toEqual([{ bucketId: 'bucket123', bucketType: 'allPrivate', bucketName: 'photos' }]);
+    });
+
+    it('should print errors as JSON with --json', async () => {
+      expect(await runCli('--json', 'hide', 'b2://missing/a.jpg')).toBe(1);
+
+      expect(JSON.parse(stderr.output)).toEqual({
+        error: { message: 'Bucket not found: missing', code: 'invalid_bucket_name', status: 400 }
+      });
+    });
+  });
+
+  describe('ls', () => {
+    it('should list a folder with a delimiter', async () => {
+      await runCli('ls', 'b2://photos/photos');
+
+      expect(client.iterateFileNames).toHaveBeenCalledWith({ bucketId: 'bucket123', prefix: 'photos/', delimiter: '/' });
+      expect(stdout.output).toBe('photos/2024/\nphotos/a.jpg\n');
+    });
+
+    it('should list recursively, all versions and in long format', async () => {
+      await runCli('ls', '-r', '-l', 'b2://photos');
+
+      expect(client.iterateFileNames).toHaveBeenCalledWith({ bucketId: 'bucket123', prefix: '', delimiter: undefined });
+      expect(stdout.output).toContain('file1  upload  2023-11-14T22:13:20.000Z');
+      expect(stdout.output).toMatch(/ {10}42 {2}photos\/a\.jpg/);
+
+      await runCli('ls', '--versions', 'b2://photos');
+      expect(client.iterateFileVersions).toHaveBeenCalled();
+    });
+  });
+
+  describe('upload', () => {
+    it('should upload a file with its modification time and file info', async () => {
+      const filePath = join(dir, 'a.txt');
+      writeFileSync(filePath, 'hello');
+      utimesSync(filePath, 1700000000, 1700000000);
+
+      expect(
+        await runCli('upload', '--content-type', 'text/plain', '--info', 'author=me', filePath, 'b2://photos/docs/a.txt')
+      ).toBe(0);
+
+      expect(client.uploadFile).toHaveBeenCalledWith({
+        bucketId: 'bucket123',
+        fileName: 'docs/a.txt',
+        filePath,
+        contentType: 'text/plain',
+        info: { author: 'me', src_last_modified_millis: '1700000000000' }
+      });
+      expect(stdout.output).toBe('Uploaded docs/a.txt (file1)\n');
+    });
+
+    it('should reject malformed file info', async () => {
+      writeFileSync(join(dir, 'a.txt'), 'hello');
+
+      expect(await runCli('upload', '--info', 'author', join(dir, 'a.txt'), 'b2://photos/a.txt')).toBe(2);
+      expect(stderr.output).toContain('--info must be key=value, got: author');
+    });
+  });
+
+  describe('download and cat', () => {
+    it('should download by name or ID', async () => {
+      const filePath = join(dir, 'a.txt');
+
+      await runCli('download', '--verify', 'b2://photos/a.txt', filePath);
+      await runCli('download', 'b2id://file1', filePath);
+
+      expect(client.downloadToFile).toHaveBeenNthCalledWith(1, {
+        bucketName: 'photos',
+        fileName: 'a.txt',
+        filePath,
+        verifyChecksum: true
+      });
+      expect(client.downloadToFile).toHaveBeenNthCalledWith(2, { fileId: 'file1', filePath, verifyChecksum: undefined });
+      expect(stdout.output).toContain(`Downloaded 5 bytes to ${filePath}`);
+    });
+
+    it('should stream a file to stdout', async () => {
+      await runCli('cat', 'b2://photos/a.txt');
+      await runCli('cat', 'b2id://file1');
+
+      expect(client.downloadFileByName).toHaveBeenCalledWith({ bucketName: 'photos', fileName: 'a.txt', responseType: 'stream' });
+      expect(stdout.output).toBe('hello worldby id');
+    });
+  });
+
+  describe('rm and hide', () => {
+    it('should delete the latest version of a file', async () => {
+      await runCli('rm', 'b2://photos/a.txt');
+
+      expect(client.iterateFileVersions).toHaveBeenCalledWith({ bucketId: 'bucket123', prefix: 'a.txt', startFileName: 'a.txt' });
+      expect(client.deleteFileVersion).toHaveBeenCalledTimes(1);
+      expect(client.deleteFileVersion).toHaveBeenCalledWith({ fileId: 'v2', fileName: 'a.txt' });
+    });
+
+    it('should delete all versions of a file with --versions', async () => {
+      await runCli('rm', '--versions', 'b2://photos/a.txt');
+
+      expect(client.deleteFileVersion.mock.calls.map(([{ fileId }]) => fileId)).toEqual(['v2', 'v1']);
+      expect(stdout.output).toBe('Deleted a.txt (v2)\nDeleted a.txt (v1)\n');
+    });
+
+    it('should delete a version by ID and fail for missing files', async () => {
+      await runCli('rm', 'b2id://v1');
+      expect(client.deleteFileVersion).toHaveBeenCalledWith({ fileId: 'v1', fileName: 'a.txt' });
+
+      expect(await runCli('rm', 'b2://photos/missing.txt')).toBe(1);
+      expect(stderr.output).toContain('File not found: missing.txt');
+    });
+
+    it('should hide a file', async () => {
+      await runCli('hide', 'b2://photos/a.txt');
+
+      expect(client.hideFile).toHaveBeenCalledWith({ bucketId: 'bucket123', fileName: 'a.txt' });
+    });
+  });
+
+  describe('bucket and key commands', () => {
+    it('should create, update and delete buckets', async () => {
+      await runCli('bucket', 'create', 'archive', 'allPrivate');
+      await runCli('bucket', 'update', 'photos', 'allPublic');
+      await runCli('bucket', 'delete', 'photos');
+
+      expect(client.createBucket).toHaveBeenCalledWith({ bucketName: 'archive', bucketType: 'allPrivate' });
+      expect(client.updateBucket).toHaveBeenCalledWith({ bucketId: 'bucket123', bucketType: 'allPublic' });
+      expect(client.deleteBucket).toHaveBeenCalledWith({ bucketId: 'bucket123' });
+    });
+
+    it('should list, create and delete keys', async () => {
+      await runCli('key', 'list');
+      expect(stdout.output).toBe('key1  backup  listFiles,readFiles\n');
+
+      stdout.output = '';
+      await runCli('key', 'create', '--bucket', 'photos', '--duration', '3600', 'uploader', 'listFiles,writeFiles');
+      expect(client.createKey).toHaveBeenCalledWith({
+        keyName: 'uploader',
+        capabilities: ['listFiles', 'writeFiles'],
+        bucketId: 'bucket123',
+        namePrefix: undefined,
+        validDurationInSeconds: 3600
+      });
+      expect(stdout.output).toBe('key2 secret2\n');
+
+      await runCli('key', 'delete', 'key1');
+      expect(client.deleteKey).toHaveBeenCalledWith({ applicationKeyId: 'key1' });
+    });
+  });
+
+  describe('get-download-url', () => {
+    it('should print a signed URL', async () => {
+      await runCli('get-download-url', '--expires-in', '600', 'b2://photos/a.jpg');
+
+      expect(client.getSignedDownloadUrl).toHaveBeenCalledWith({ bucketName: 'photos', fileName: 'a.jpg', expiresIn: 600 });
+      expect(stdout.output).toBe('https://f.example/file/photos/a.jpg?Authorization=t\n');
+    });
+
+    it('should reject invalid expiry times', async () => {
+      expect(await runCli('get-download-url', '--expires-in', 'soon', 'b2://photos/a.jpg')).toBe(2);
+      expect(stderr.output).toContain('--expires-in must be a non-negative integer');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DownloadAuthorizationCache } from '../../../src/core/download-authorization-cache.js';
+
+describe('DownloadAuthorizationCache', () => {
+  let cache;
+  let fetchAuthorization;
+  let fetchCount;
+
+  beforeEach(() => {
+    fetchCount = 0;
+    fetchAuthorization = vi.fn(async () => ({ authorizationToken: `download-token-${++fetchCount}` }));
+    cache = new DownloadAuthorizationCache(fetchAuthorization);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should require a fetch function', () => {
+    expect(() => new DownloadAuthorizationCache()).toThrow('fetchAuthorization must be a function');
+  });
+
+  it('should request authorizations valid for twice the minimum validity', async () => {
+    vi.useFakeTimers({ now: 1000000 });
+
+    const authorization = await cache.get('bucket-1', 'reports/', 300);
+
+    expect(fetchAuthorization).toHaveBeenCalledWith({
+      bucketId: 'bucket-1',
+      fileNamePrefix: 'reports/',
+      validDurationInSeconds: 600
+    });
+    expect(authorization).toEqual({ authorizationToken: 'download-token-1', expiresAt: 1000000 + 600 * 1000 });
+  });
+
+  it('should cap the validity at 7 days', async () => {
+    await cache.get('bucket-1', '', 400000);
+
+    expect(fetchAuthorization.mock.calls[0][0].validDurationInSeconds).toBe(604800);
+  });
+
+  it('should reuse authorizations per bucket and prefix while they stay valid long enough', async () => {
+    vi.useFakeTimers();
+
+    const first = await cache.get('bucket-1', 'reports/', 300);
+    expect(await cache.get('bucket-1', 'reports/', 300)).toBe(first);
+    expect((await cache.get('bucket-1', 'images/', 300)).authorizationToken).toBe('download-token-2');
+    expect((await cache.get('bucket-2', 'reports/', 300)).authorizationToken).toBe('download-token-3');
+
+    vi.advanceTimersByTime(301 * 1000);
+    expect((await cache.get('bucket-1', 'reports/', 300)).authorizationToken).toBe('download-token-4');
+  });
+
+  it('should share pending requests between concurrent callers', async () => {
+    const authorizations = await Promise.all([
+      cache.get('bucket-1', 'reports/', 60),
+      cache.get('bucket-1', 'reports/', 60)
+    ]);
+
+    expect(authorizations[0]).toBe(authorizations[1]);
+    expect(fetchAuthorization).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not cache failed requests', async () => {
+    fetchAuthorization.mockRejectedValueOnce(new Error('Invalid bucket ID: bucket-1'));
+
+    await expect(cache.get('bucket-1', '', 60)).rejects.toThrow('Invalid bucket ID: bucket-1');
+    expect(cache.getCount()).toBe(0);
+    expect((await cache.get('bucket-1', '', 60)).authorizationToken).toBe('download-token-1');
+  });
+
+  it('should drop expired authorizations and clear per bucket', async () => {
+    vi.useFakeTimers();
+
+    await cache.get('bucket-1', 'a/', 60);
+    await cache.get('bucket-2', 'b/', 3600);
+    vi.advanceTimersByTime(120 * 1000);
+    cache.prune();
+    expect(cache.getCount()).toBe(1);
+
+    await cache.get('bucket-1', 'c/', 60);
+    cache.clear('bucket-2');
+    expect(cache.getCount()).toBe(1);
+
+    cache.clear();
+    expect(cache.getCount()).toBe(0);
+  });
+});
@@ -278,6 +278,60 @@ describe('HttpClient', () => {
       );
     });
 
+    it('should send binary data as-is', async () => {
+      const data = Buffer.from('binary data');
+      await httpClient.post('/upload', data, { headers: { 'Content-Type': 'application/octet-stream' } });
+
+      const [, fetchOptions] = mockFetch.mock.calls[0];
+      expect(fetchOptions.body).toBe(data);
+      expect(fetchOptions.headers).toEqual({ 'Content-Type': 'application/octet-stream' });
+    });
+
+    it('should send stream bodies in half-duplex mode', async () => {
+      const stream = new ReadableStream();
+      await httpClient.post('/upload', stream);
+
+      const [, fetchOptions] = mockFetch.mock.calls[0];
+      expect(fetchOptions.body).toBe(stream);
+      expect(fetchOptions.duplex).toBe('half');
+    });
+
+    it('should make HEAD request without reading a body', async () => {
+      const response = {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Headers({ 'content-type': 'application/json', 'x-bz-file-id': 'file-1' }),
+        url: 'https://api.example.com/file',
+        json: vi.fn()
+      };
+      mockFetch.mockResolvedValue(response);
+
+      const result = await httpClient.head('/file', { headers: { 'Authorization': 'token' } });
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        'https://api.example.com/file',
+        expect.objectContaining({ method: 'HEAD', body: null })
+      );
+      expect(result.status).toBe(200);
+      expect(result.headers.get('x-bz-file-id')).toBe('file-1');
+      expect(result.data).toBeNull();
+      expect(response.json).not.toHaveBeenCalled();
+    });
+
+    it('should reject failed HEAD requests with their status', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        headers: new Headers({ 'content-type': 'application/json' }),
+        url: 'https://api.example.com/file',
+        json: vi.fn().mockRejectedValue(new SyntaxError('Unexpected end of JSON input'))
+      });
+
+      await expect(httpClient.head('/file')).rejects.toMatchObject({ status: 404, isHttpError: true });
+    });
+
     it('should make DELETE request', async () => {
       await httpClient.delete('/test');
 
@@ -245,6 +245,50 @@ describe('RetryHandler', () => {
       await expect(promise).rejects.toThrow();
       expect(mockFn).toHaveBeenCalledTimes(2); // 1 initial + 1 retry
     });
+
+    it('should replay once after re-authorizing without using a retry', async () => {
+      const expiredError = Object.assign(new Error('Expired'), { status: 401, code: 'expired_auth_token' });
+      const onAuthExpired = vi.fn().mockResolvedValue(true);
+      const handler = new RetryHandler({ retries: 0, onAuthExpired });
+      const mockFn = vi.fn().mockRejectedValueOnce(expiredError).mockResolvedValue('success');
+
+      await expect(handler.executeWithRetry(mockFn)).resolves.toBe('success');
+      expect(onAuthExpired).toHaveBeenCalledWith(expiredError);
+      expect(mockFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only re-authorize once per request', async () => {
+      const expiredError = Object.assign(new Error('Expired'), { status: 401 });
+      const onAuthExpired = vi.fn().mockResolvedValue(true);
+      const handler = new RetryHandler({ retries: 3, onAuthExpired });
+      const mockFn = vi.fn().mockRejectedValue(expiredError);
+
+      await expect(handler.executeWithRetry(mockFn)).rejects.toThrow('Expired');
+      expect(onAuthExpired).toHaveBeenCalledTimes(1);
+      expect(mockFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not replay when the error is not handled as expired auth', async () => {
+      const onAuthExpired = vi.fn().mockResolvedValue(false);
+      const handler = new RetryHandler({ onAuthExpired });
+      const mockFn = vi.fn().mockRejectedValue(Object.assign(new Error('Client error'), { status: 400 }));
+
+      await expect(handler.executeWithRetry(mockFn)).rejects.toThrow('Client error');
+      expect(mockFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use a retry condition passed for the call', async () => {
+      const rejectedError = Object.assign(new Error('Unauthorized'), { status: 401 });
+      const mockFn = vi.fn().mockRejectedValueOnce(rejectedError).mockResolvedValue('success');
+      const retryCondition = vi.fn((error) => error.status === 401);
+
+      const promise = retryHandler.executeWithRetry(mockFn, { retryCondition });
+      await vi.runAllTimersAsync();
+
+      await expect(promise).resolves.toBe('success');
+      expect(retryCondition).toHaveBeenCalledWith(rejectedError, 0);
+      expect(mockFn).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('wrap', () => {
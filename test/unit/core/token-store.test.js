@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MemoryTokenStore, FileTokenStore } from '../../../src/core/token-store.js';
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  statSync,
+  readdirSync,
+  rmSync,
+  existsSync,
+  utimesSync
+} from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const entry = {
+  authResponse: { accountId: 'account123', authorizationToken: 'token123' },
+  authorizedAt: 1700000000000
+};
+
+describe('MemoryTokenStore', () => {
+  it('should get, set and delete entries', async () => {
+    const store = new MemoryTokenStore();
+
+    await expect(store.get('key1')).resolves.toBeNull();
+
+    await store.set('key1', entry);
+    await expect(store.get('key1')).resolves.toEqual(entry);
+
+    await store.delete('key1');
+    await expect(store.get('key1')).resolves.toBeNull();
+  });
+});
+
+describe('FileTokenStore', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b2-tokens-'));
+    path = join(dir, 'cache', 'tokens.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a path', () => {
+    expect(() => new FileTokenStore()).toThrow('options object is required');
+    expect(() => new FileTokenStore({})).toThrow('path is required and must be a string');
+  });
+
+  it('should keep entries by key in a file readable by the current user only', async () => {
+    const store = new FileTokenStore({ path });
+
+    await expect(store.get('key1')).resolves.toBeNull();
+
+    await store.set('key1', entry);
+    await store.set('key2', { ...entry, authorizedAt: 1700000001000 });
+
+    await expect(new FileTokenStore({ path }).get('key1')).resolves.toEqual(entry);
+    expect(Object.keys(JSON.parse(readFileSync(path, 'utf8')))).toEqual(['key1', 'key2']);
+    expect(readdirSync(join(dir, 'cache'))).toEqual(['tokens.json']);
+    if (process.platform !== 'win32') {
+      expect(statSync(path).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it('should keep every entry of concurrent updates in a private directory', async () => {
+    const store = new FileTokenStore({ path });
+
+    await Promise.all([store.set('key1', entry), store.set('key2', entry), store.set('key3', entry)]);
+    await store.delete('key2');
+
+    expect(Object.keys(JSON.parse(readFileSync(path, 'utf8')))).toEqual(['key1', 'key3']);
+    expect(readdirSync(join(dir, 'cache'))).toEqual(['tokens.json']);
+    if (process.platform !== 'win32') {
+      expect(statSync(join(dir, 'cache')).mode & 0o777).toBe(0o700);
+    }
+  });
+
+  it('should keep the entries of other stores sharing the file', async () => {
+    // Separate stores only share the lock file, like separate processes
+    const stores = [new FileTokenStore({ path }), new FileTokenStore({ path }), new FileTokenStore({ path })];
+
+    await Promise.all(stores.flatMap((store, i) => [0, 1, 2].map((j) => store.set(`key${i}-${j}`, entry))));
+
+    expect(Object.keys(JSON.parse(readFileSync(path, 'utf8')))).toHaveLength(9);
+    expect(readdirSync(join(dir, 'cache'))).toEqual(['tokens.json']);
+  });
+
+  it('should wait for the lock of another process and take over stale locks', async () => {
+    const store = new FileTokenStore({ path });
+    mkdirSync(join(dir, 'cache'));
+    writeFileSync(`${path}.lock`, '');
+
+    const update = store.set('key1', entry);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(existsSync(path)).toBe(false);
+    rmSync(`${path}.lock`);
+    await update;
+    await expect(store.get('key1')).resolves.toEqual(entry);
+
+    // Left behind by a process that died while updating the file
+    writeFileSync(`${path}.lock`, '');
+    const lockedAt = new Date(Date.now() - 60000);
+    utimesSync(`${path}.lock`, lockedAt, lockedAt);
+
+    await store.set('key2', entry);
+    await expect(store.get('key2')).resolves.toEqual(entry);
+    expect(existsSync(`${path}.lock`)).toBe(false);
+  });
+
+  it('should delete entries', async () => {
+    const store = new FileTokenStore({ path });
+    await store.set('key1', entry);
+    await store.set('key2', entry);
+
+    await store.delete('key1');
+    await store.delete('missing');
+
+    await expect(store.get('key1')).resolves.toBeNull();
+    await expect(store.get('key2')).resolves.toEqual(entry);
+  });
+
+  it('should treat a corrupt file as empty', async () => {
+    const store = new FileTokenStore({ path: join(dir, 'tokens.json') });
+    writeFileSync(join(dir, 'tokens.json'), '{ not json');
+
+    await expect(store.get('key1')).resolves.toBeNull();
+
+    await store.set('key1', entry);
+    await expect(store.get('key1')).resolves.toEqual(entry);
+  });
+});
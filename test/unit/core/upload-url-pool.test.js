@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { UploadUrlPool } from '../../../src/core/upload-url-pool.js';
+
+describe('UploadUrlPool', () => {
+  let pool;
+  let fetchUploadUrl;
+  let fetchCount;
+
+  beforeEach(() => {
+    fetchCount = 0;
+    fetchUploadUrl = vi.fn(async (bucketId) => {
+      fetchCount++;
+      return {
+        bucketId,
+        uploadUrl: `https://upload.test.com/${bucketId}/${fetchCount}`,
+        authorizationToken: `upload-token-${fetchCount}`
+      };
+    });
+    pool = new UploadUrlPool(fetchUploadUrl);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    it('should require a fetch function', () => {
+      expect(() => new UploadUrlPool()).toThrow('fetchUploadUrl must be a function');
+    });
+
+    it('should default maxAge to 23 hours', () => {
+      expect(pool.maxAge).toBe(23 * 60 * 60 * 1000);
+      expect(new UploadUrlPool(fetchUploadUrl, { maxAge: 1000 }).maxAge).toBe(1000);
+    });
+  });
+
+  describe('acquire', () => {
+    it('should fetch an upload URL when none is idle', async () => {
+      const target = await pool.acquire('bucket-1');
+
+      expect(fetchUploadUrl).toHaveBeenCalledWith('bucket-1');
+      expect(target).toEqual({
+        bucketId: 'bucket-1',
+        uploadUrl: 'https://upload.test.com/bucket-1/1',
+        authorizationToken: 'upload-token-1',
+        fetchedAt: expect.any(Number)
+      });
+    });
+
+    it('should hand out a different upload URL to each concurrent upload', async () => {
+      const [first, second] = await Promise.all([pool.acquire('bucket-1'), pool.acquire('bucket-1')]);
+
+      expect(first.uploadUrl).not.toBe(second.uploadUrl);
+      expect(fetchUploadUrl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reuse released upload URLs of the same bucket', async () => {
+      const target = await pool.acquire('bucket-1');
+      pool.release(target);
+
+      expect(await pool.acquire('bucket-1')).toBe(target);
+      expect((await pool.acquire('bucket-2')).uploadUrl).toBe('https://upload.test.com/bucket-2/2');
+      expect(fetchUploadUrl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not hand out upload URLs older than maxAge', async () => {
+      vi.useFakeTimers();
+      pool = new UploadUrlPool(fetchUploadUrl, { maxAge: 1000 });
+
+      const target = await pool.acquire('bucket-1');
+      pool.release(target);
+      vi.advanceTimersByTime(1000);
+
+      const next = await pool.acquire('bucket-1');
+      expect(next).not.toBe(target);
+      expect(pool.getIdleCount('bucket-1')).toBe(0);
+    });
+
+    it('should propagate fetch errors', async () => {
+      fetchUploadUrl.mockRejectedValueOnce(new Error('Invalid bucket ID: bucket-1'));
+      await expect(pool.acquire('bucket-1')).rejects.toThrow('Invalid bucket ID: bucket-1');
+    });
+  });
+
+  describe('isUploadUrlError', () => {
+    it('should discard upload URLs after timeouts, server errors and expired tokens', () => {
+      expect(pool.isUploadUrlError({ status: 503 })).toBe(true);
+      expect(pool.isUploadUrlError({ status: 500 })).toBe(true);
+      expect(pool.isUploadUrlError({ status: 408 })).toBe(true);
+      expect(pool.isUploadUrlError({ status: 401, code: 'expired_auth_token' })).toBe(true);
+      expect(pool.isUploadUrlError({ isNetworkError: true, code: 'TIMEOUT' })).toBe(true);
+    });
+
+    it('should keep upload URLs after other client errors', () => {
+      expect(pool.isUploadUrlError({ status: 400, code: 'bad_request' })).toBe(false);
+      expect(pool.isUploadUrlError(new Error('data is required'))).toBe(false);
+    });
+  });
+
+  describe('getIdleCount and clear', () => {
+    it('should count and drop idle upload URLs per bucket', async () => {
+      const targets = await Promise.all([
+        pool.acquire('bucket-1'),
+        pool.acquire('bucket-1'),
+        pool.acquire('bucket-2')
+      ]);
+      targets.forEach((target) => pool.release(target));
+
+      expect(pool.getIdleCount()).toBe(3);
+      expect(pool.getIdleCount('bucket-1')).toBe(2);
+
+      pool.clear('bucket-1');
+      expect(pool.getIdleCount('bucket-1')).toBe(0);
+      expect(pool.getIdleCount()).toBe(1);
+
+      pool.clear();
+      expect(pool.getIdleCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,530 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { B2Emulator } from '../../../src/emulator/b2-emulator.js';
+import { B2Client } from '../../../src/b2-client.js';
+
+const sha1 = (data) => createHash('sha1').update(data).digest('hex');
+
+describe('B2Emulator', () => {
+  let emulator;
+  let baseUrl;
+  let client;
+  let bucket;
+
+  const credentials = () => ({
+    applicationKeyId: emulator.applicationKeyId,
+    applicationKey: emulator.applicationKey
+  });
+
+  beforeEach(async () => {
+    emulator = new B2Emulator({
+      absoluteMinimumPartSize: 5,
+      recommendedPartSize: 10
+    });
+    baseUrl = await emulator.start();
+    client = new B2Client({ baseUrl, retries: 1, retryDelay: 1 });
+    await client.authorize(credentials());
+    bucket = (
+      await client.createBucket({
+        bucketName: 'test-bucket',
+        bucketType: 'allPrivate'
+      })
+    ).data;
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+  });
+
+  const upload = (fileName, content, options = {}) =>
+    client.uploadFile({
+      bucketId: bucket.bucketId,
+      fileName,
+      data: Buffer.from(content),
+      ...options
+    });
+
+  describe('authorization', () => {
+    it('should authorize with the master key in the v4 format', async () => {
+      const response = await new B2Client({ baseUrl }).authorize(credentials());
+
+      expect(response.data).toMatchObject({
+        accountId: 'emulator0001',
+        apiInfo: {
+          storageApi: {
+            apiUrl: baseUrl,
+            downloadUrl: baseUrl,
+            recommendedPartSize: 10,
+            absoluteMinimumPartSize: 5
+          }
+        }
+      });
+    });
+
+    it('should reject invalid credentials', async () => {
+      const other = new B2Client({ baseUrl });
+
+      await expect(
+        other.authorize({
+          applicationKeyId: emulator.applicationKeyId,
+          applicationKey: 'wrong'
+        })
+      ).rejects.toMatchObject({ status: 401, code: 'bad_auth_token' });
+    });
+
+    it('should reject requests without a valid token', async () => {
+      const response = await fetch(`${baseUrl}/b2api/v2/b2_list_buckets`, {
+        method: 'POST',
+        headers: { Authorization: 'invalid' },
+        body: JSON.stringify({ accountId: 'emulator0001' })
+      });
+
+      expect(response.status).toBe(401);
+      await expect(response.json()).resolves.toEqual({
+        status: 401,
+        code: 'bad_auth_token',
+        message: 'Invalid authorization token'
+      });
+    });
+
+    it('should let clients re-authorize after tokens expire', async () => {
+      await emulator.expireTokens();
+
+      const response = await client.listBuckets();
+
+      expect(response.data.buckets).toHaveLength(1);
+    });
+  });
+
+  describe('buckets', () => {
+    it('should list, update and delete buckets', async () => {
+      await expect(
+        client.createBucket({
+          bucketName: 'test-bucket',
+          bucketType: 'allPrivate'
+        })
+      ).rejects.toMatchObject({ code: 'duplicate_bucket_name' });
+
+      const updated = await client.updateBucket({
+        bucketId: bucket.bucketId,
+        bucketType: 'allPublic',
+        ifRevisionMatch: 1
+      });
+      expect(updated.data).toMatchObject({
+        bucketType: 'allPublic',
+        revision: 2
+      });
+
+      const listed = await client.listBuckets({ bucketName: 'test-bucket' });
+      expect(listed.data.buckets.map((b) => b.bucketId)).toEqual([bucket.bucketId]);
+
+      await upload('file.txt', 'content');
+      await expect(client.deleteBucket({ bucketId: bucket.bucketId })).rejects.toMatchObject({
+        code: 'bucket_not_empty'
+      });
+    });
+  });
+
+  describe('uploads and downloads', () => {
+    it('should store uploads with their SHA1 and file info', async () => {
+      const { data: file } = await upload('dir/hello world.txt', 'hello world', { info: { author: 'Jane Doe' } });
+
+      expect(file).toMatchObject({
+        action: 'upload',
+        fileName: 'dir/hello world.txt',
+        contentLength: 11,
+        contentSha1: sha1('hello world'),
+        fileInfo: { author: 'Jane Doe' }
+      });
+
+      const byName = await client.downloadFileByName({
+        bucketName: 'test-bucket',
+        fileName: 'dir/hello world.txt',
+        verifyChecksum: true
+      });
+      expect(Buffer.from(byName.data).toString()).toBe('hello world');
+
+      const stat = await client.statFileByName({
+        bucketName: 'test-bucket',
+        fileName: 'dir/hello world.txt'
+      });
+      expect(stat).toMatchObject({
+        fileId: file.fileId,
+        contentLength: 11,
+        fileInfo: { author: 'Jane Doe' }
+      });
+    });
+
+    it('should serve byte ranges', async () => {
+      const { data: file } = await upload('file.txt', 'hello world');
+
+      const response = await client.downloadFileById({
+        fileId: file.fileId,
+        range: 'bytes=6-10'
+      });
+
+      expect(Buffer.from(response.data).toString()).toBe('world');
+      expect(response.contentRange).toEqual({ start: 6, end: 10, size: 11 });
+      await expect(client.downloadFileById({ fileId: file.fileId, range: 'bytes=20-30' })).rejects.toMatchObject({
+        status: 416
+      });
+    });
+
+    it('should reject uploads whose SHA1 does not match', async () => {
+      const { data: target } = await client.getUploadUrl({
+        bucketId: bucket.bucketId
+      });
+
+      const response = await fetch(target.uploadUrl, {
+        method: 'POST',
+        headers: {
+          Authorization: target.authorizationToken,
+          'X-Bz-File-Name': 'file.txt',
+          'Content-Type': 'text/plain',
+          'X-Bz-Content-Sha1': sha1('other content')
+        },
+        body: 'content'
+      });
+
+      expect(response.status).toBe(400);
+      await expect(response.json()).resolves.toMatchObject({
+        code: 'bad_request'
+      });
+    });
+
+    it('should accept the SHA1 at the end of streamed uploads', async () => {
+      const data = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('streamed'));
+          controller.close();
+        }
+      });
+
+      const { data: file } = await client.uploadFile({
+        bucketId: bucket.bucketId,
+        fileName: 'stream.txt',
+        data,
+        contentLength: 8
+      });
+
+      expect(file).toMatchObject({
+        contentLength: 8,
+        contentSha1: `unverified:${sha1('streamed')}`
+      });
+    });
+
+    it('should need authorization for private buckets only', async () => {
+      await upload('file.txt', 'content');
+
+      expect((await fetch(`${baseUrl}/file/test-bucket/file.txt`)).status).toBe(401);
+
+      const { url } = await client.getSignedDownloadUrl({
+        bucketName: 'test-bucket',
+        fileName: 'file.txt'
+      });
+      const signed = await fetch(url);
+      expect(signed.status).toBe(200);
+      await expect(signed.text()).resolves.toBe('content');
+
+      await client.updateBucket({
+        bucketId: bucket.bucketId,
+        bucketType: 'allPublic'
+      });
+      expect((await fetch(`${baseUrl}/file/test-bucket/file.txt`)).status).toBe(200);
+    });
+
+    it('should copy files and ranges of them', async () => {
+      const { data: source } = await upload('source.txt', 'hello world');
+
+      const { data: copy } = await client.copyFile({
+        sourceFileId: source.fileId,
+        fileName: 'copy.txt',
+        range: 'bytes=0-4'
+      });
+
+      expect(copy).toMatchObject({
+        fileName: 'copy.txt',
+        contentLength: 5,
+        contentSha1: sha1('hello')
+      });
+    });
+
+    it('should need the customer key of SSE-C files', async () => {
+      const encryption = { mode: 'SSE-C', customerKey: Buffer.alloc(32, 1).toString('base64') };
+      const otherKey = { mode: 'SSE-C', customerKey: Buffer.alloc(32, 2).toString('base64') };
+      const { data: file } = await upload('secret.txt', 'secret', { encryption });
+
+      expect(file.serverSideEncryption).toEqual({ algorithm: 'AES256', mode: 'SSE-C' });
+      await expect(client.downloadFileById({ fileId: file.fileId })).rejects.toMatchObject({ status: 400 });
+      await expect(client.downloadFileById({ fileId: file.fileId, encryption: otherKey })).rejects.toMatchObject({
+        status: 400
+      });
+      await expect(client.copyFile({ sourceFileId: file.fileId, fileName: 'copy.txt' })).rejects.toMatchObject({
+        status: 400,
+        code: 'bad_request'
+      });
+
+      const response = await client.downloadFileById({ fileId: file.fileId, encryption });
+      expect(Buffer.from(response.data).toString()).toBe('secret');
+    });
+
+    it('should reject file info that is not percent-encoded', async () => {
+      const { data: target } = await client.getUploadUrl({ bucketId: bucket.bucketId });
+
+      const response = await fetch(target.uploadUrl, {
+        method: 'POST',
+        headers: {
+          Authorization: target.authorizationToken,
+          'X-Bz-File-Name': 'file.txt',
+          'Content-Type': 'text/plain',
+          'X-Bz-Content-Sha1': sha1('content'),
+          'X-Bz-Info-author': '%E0%A4%A'
+        },
+        body: 'content'
+      });
+
+      expect(response.status).toBe(400);
+      await expect(response.json()).resolves.toMatchObject({ code: 'bad_request' });
+    });
+  });
+
+  describe('listings', () => {
+    it('should page through file names and collapse folders', async () => {
+      for (const name of ['a.txt', 'b.txt', 'dir/c.txt', 'dir/d.txt']) {
+        await upload(name, name);
+      }
+
+      const first = await client.listFileNames({
+        bucketId: bucket.bucketId,
+        maxFileCount: 2
+      });
+      expect(first.data.files.map((f) => f.fileName)).toEqual(['a.txt', 'b.txt']);
+      expect(first.data.nextFileName).toBe('dir/c.txt');
+
+      const names = [];
+      for await (const file of client.iterateFileNames({
+        bucketId: bucket.bucketId,
+        maxFileCount: 1
+      })) {
+        names.push(file.fileName);
+      }
+      expect(names).toEqual(['a.txt', 'b.txt', 'dir/c.txt', 'dir/d.txt']);
+
+      const folders = await client.listFileNames({
+        bucketId: bucket.bucketId,
+        delimiter: '/'
+      });
+      expect(folders.data.files.map((f) => [f.fileName, f.action])).toEqual([
+        ['a.txt', 'upload'],
+        ['b.txt', 'upload'],
+        ['dir/', 'folder']
+      ]);
+    });
+
+    it('should list versions newest first and hide files', async () => {
+      const { data: v1 } = await upload('file.txt', 'one');
+      const { data: v2 } = await upload('file.txt', 'two');
+      const { data: marker } = await client.hideFile({
+        bucketId: bucket.bucketId,
+        fileName: 'file.txt'
+      });
+
+      const versions = [];
+      for await (const file of client.iterateFileVersions({
+        bucketId: bucket.bucketId,
+        maxFileCount: 1
+      })) {
+        versions.push([file.fileId, file.action]);
+      }
+      expect(versions).toEqual([
+        [marker.fileId, 'hide'],
+        [v2.fileId, 'upload'],
+        [v1.fileId, 'upload']
+      ]);
+
+      expect((await client.listFileNames({ bucketId: bucket.bucketId })).data.files).toEqual([]);
+      await expect(client.fileExists({ bucketName: 'test-bucket', fileName: 'file.txt' })).resolves.toBe(false);
+
+      await client.deleteFileVersion({
+        fileId: marker.fileId,
+        fileName: 'file.txt'
+      });
+      const latest = await client.downloadFileByName({
+        bucketName: 'test-bucket',
+        fileName: 'file.txt'
+      });
+      expect(Buffer.from(latest.data).toString()).toBe('two');
+    });
+  });
+
+  describe('large files', () => {
+    it('should upload large files in parts', async () => {
+      const data = Buffer.from('0123456789abcdefghijklmnopqrstuvwxy');
+
+      const { data: file } = await client.uploadLargeFile({
+        bucketId: bucket.bucketId,
+        fileName: 'large.bin',
+        data,
+        partSize: 10
+      });
+
+      expect(file).toMatchObject({
+        action: 'upload',
+        contentLength: 35,
+        contentSha1: 'none'
+      });
+      const download = await client.downloadFileById({
+        fileId: file.fileId,
+        range: 'bytes=8-12'
+      });
+      expect(Buffer.from(download.data).toString()).toBe('89abc');
+    });
+
+    it('should need the customer key for the parts of SSE-C large files', async () => {
+      const encryption = { mode: 'SSE-C', customerKey: Buffer.alloc(32, 1).toString('base64') };
+
+      const { data: file } = await client.uploadLargeFile({
+        bucketId: bucket.bucketId,
+        fileName: 'large.bin',
+        data: Buffer.from('0123456789abcdefghij'),
+        partSize: 10,
+        encryption
+      });
+
+      const download = await client.downloadFileById({ fileId: file.fileId, encryption });
+      expect(Buffer.from(download.data).toString()).toBe('0123456789abcdefghij');
+    });
+
+    it('should check parts when finishing', async () => {
+      const { data: largeFile } = await client.startLargeFile({
+        bucketId: bucket.bucketId,
+        fileName: 'large.bin'
+      });
+      const { data: target } = await client.getUploadPartUrl({
+        fileId: largeFile.fileId
+      });
+      for (const [partNumber, part] of [
+        [1, 'abc'],
+        [2, 'defgh']
+      ]) {
+        await client.uploadPart({
+          uploadUrl: target.uploadUrl,
+          authorizationToken: target.authorizationToken,
+          partNumber,
+          data: Buffer.from(part)
+        });
+      }
+
+      const { data: listed } = await client.listParts({
+        fileId: largeFile.fileId
+      });
+      expect(listed.parts.map((p) => [p.partNumber, p.contentLength])).toEqual([
+        [1, 3],
+        [2, 5]
+      ]);
+
+      await expect(
+        client.finishLargeFile({
+          fileId: largeFile.fileId,
+          partSha1Array: [sha1('abc'), sha1('defgh')]
+        })
+      ).rejects.toMatchObject({
+        status: 400,
+        message: expect.stringContaining('minimum part size')
+      });
+
+      const { data: unfinished } = await client.listUnfinishedLargeFiles({
+        bucketId: bucket.bucketId
+      });
+      expect(unfinished.files.map((f) => f.fileId)).toEqual([largeFile.fileId]);
+
+      await client.cancelLargeFile({ fileId: largeFile.fileId });
+      expect((await client.listUnfinishedLargeFiles({ bucketId: bucket.bucketId })).data.files).toEqual([]);
+    });
+  });
+
+  describe('keys', () => {
+    it('should create restricted keys', async () => {
+      const { data: key } = await client.createKey({
+        capabilities: ['listFiles'],
+        keyName: 'list-only',
+        bucketId: bucket.bucketId
+      });
+      const restricted = new B2Client({ baseUrl, retries: 0 });
+      await restricted.authorize({
+        applicationKeyId: key.applicationKeyId,
+        applicationKey: key.applicationKey
+      });
+
+      await expect(restricted.listFileNames({ bucketId: bucket.bucketId })).resolves.toBeDefined();
+      const refreshAuth = vi.spyOn(restricted, 'refreshAuth');
+      await expect(restricted.getUploadUrl({ bucketId: bucket.bucketId })).rejects.toMatchObject({
+        status: 401,
+        code: 'unauthorized'
+      });
+      const { data: file } = await upload('file.txt', 'content');
+      await expect(restricted.downloadFileById({ fileId: file.fileId })).rejects.toMatchObject({
+        status: 401,
+        code: 'unauthorized'
+      });
+      expect(refreshAuth).not.toHaveBeenCalled();
+
+      const { data: listed } = await client.listKeys();
+      expect(listed.keys).toEqual([
+        expect.objectContaining({
+          keyName: 'list-only',
+          bucketId: bucket.bucketId
+        })
+      ]);
+      expect(listed.keys[0].applicationKey).toBeUndefined();
+
+      await client.deleteKey({ applicationKeyId: key.applicationKeyId });
+      expect((await client.listKeys()).data.keys).toEqual([]);
+    });
+  });
+
+  describe('dataDir', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'b2-emulator-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep buckets and files across restarts', async () => {
+      const first = new B2Emulator({ dataDir: dir });
+      const firstClient = new B2Client({ baseUrl: await first.start() });
+      await firstClient.authorize(credentials());
+      const { data: stored } = await firstClient.createBucket({
+        bucketName: 'stored-bucket',
+        bucketType: 'allPrivate'
+      });
+      await firstClient.uploadFile({
+        bucketId: stored.bucketId,
+        fileName: 'kept.txt',
+        data: Buffer.from('kept')
+      });
+      await first.stop();
+
+      const second = new B2Emulator({ dataDir: dir });
+      try {
+        const secondClient = new B2Client({ baseUrl: await second.start() });
+        await secondClient.authorize(credentials());
+
+        const response = await secondClient.downloadFileByName({
+          bucketName: 'stored-bucket',
+          fileName: 'kept.txt'
+        });
+        expect(Buffer.from(response.data).toString()).toBe('kept');
+      } finally {
+        await second.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { runEmulator } from '../../../src/emulator/cli.js';
+
+const createIo = (overrides = {}) => {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output,
+    io: {
+      env: {},
+      stdout: { write: (chunk) => (output.stdout += chunk) },
+      stderr: { write: (chunk) => (output.stderr += chunk) },
+      ...overrides
+    }
+  };
+};
+
+describe('runEmulator', () => {
+  it('should print usage with --help', async () => {
+    const { output, io } = createIo();
+
+    await expect(runEmulator(['--help'], io)).resolves.toBe(0);
+    expect(output.stdout).toContain('Usage: better-b2-emulator');
+  });
+
+  it('should reject invalid usage', async () => {
+    const { output, io } = createIo();
+
+    await expect(runEmulator(['--port', 'abc'], io)).resolves.toBe(2);
+    expect(output.stderr).toContain('Error: --port must be a non-negative integer');
+
+    await expect(runEmulator(['serve'], io)).resolves.toBe(2);
+    expect(output.stderr).toContain('Error: Unexpected argument: serve');
+  });
+
+  it('should serve with the master key from the environment until told to exit', async () => {
+    let status;
+    const { output, io } = createIo({
+      env: { B2_APPLICATION_KEY_ID: 'keyId', B2_APPLICATION_KEY: 'key' },
+      waitForExit: async (emulator) => {
+        const response = await fetch(`${emulator.url}/b2api/v4/b2_authorize_account`, {
+          headers: {
+            Authorization: `Basic ${Buffer.from('keyId:key').toString('base64')}`
+          }
+        });
+        status = response.status;
+        await response.arrayBuffer();
+      }
+    });
+
+    await expect(runEmulator(['-p', '0'], io)).resolves.toBe(0);
+    expect(status).toBe(200);
+    expect(output.stdout).toMatch(/^B2 emulator listening on http:\/\/127\.0\.0\.1:\d+\n/);
+    expect(output.stdout).toContain('Application key ID: keyId\nApplication key: key\n');
+  });
+});
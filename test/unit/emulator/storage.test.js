@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryStorage, DiskStorage } from '../../../src/emulator/storage.js';
+
+describe('MemoryStorage', () => {
+  it('should keep state and contents', async () => {
+    const storage = new MemoryStorage();
+
+    await expect(storage.loadState()).resolves.toBeNull();
+    await storage.saveState({ buckets: [] });
+    await storage.writeBlob('a', Buffer.from('content'));
+
+    await expect(storage.loadState()).resolves.toEqual({ buckets: [] });
+    await expect(storage.readBlob('a')).resolves.toEqual(Buffer.from('content'));
+
+    await storage.deleteBlob('a');
+    await expect(storage.readBlob('a')).rejects.toThrow('Content not found: a');
+  });
+});
+
+describe('DiskStorage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b2-storage-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a directory', () => {
+    expect(() => new DiskStorage()).toThrow('dataDir is required and must be a string');
+  });
+
+  it('should keep state and contents across instances', async () => {
+    const dataDir = join(dir, 'data');
+    const storage = new DiskStorage(dataDir);
+
+    await expect(storage.loadState()).resolves.toBeNull();
+    await storage.saveState({ buckets: [] });
+    await storage.writeBlob('a', Buffer.from('content'));
+
+    const reopened = new DiskStorage(dataDir);
+    await expect(reopened.loadState()).resolves.toEqual({ buckets: [] });
+    await expect(reopened.readBlob('a')).resolves.toEqual(Buffer.from('content'));
+    expect(readdirSync(dataDir).sort()).toEqual(['blobs', 'state.json']);
+
+    await reopened.deleteBlob('a');
+    await reopened.deleteBlob('a');
+    await expect(reopened.readBlob('a')).rejects.toMatchObject({
+      code: 'ENOENT'
+    });
+  });
+});
@@ -286,6 +286,23 @@ describe('AuthManager', () => {
         expect(authManager.getRecommendedPartSize()).toBeNull();
       });
     });
+
+    describe('getAuthAge', () => {
+      it('should return the time since the token was issued', () => {
+        const authorizedAt = Date.now() - 5000;
+        authManager.saveAuthContext(authManager.getAuthContext(), authorizedAt);
+
+        expect(authManager.getAuthContext().authorizedAt).toBe(authorizedAt);
+        expect(authManager.getAuthAge()).toBeGreaterThanOrEqual(5000);
+        expect(authManager.getAuthAge()).toBeLessThan(60000);
+      });
+
+      it('should return null when not authenticated', () => {
+        authManager.clearAuthContext();
+        expect(authManager.getAuthAge()).toBeNull();
+        expect(authManager.getAuthContext().authorizedAt).toBeNull();
+      });
+    });
   });
 
   describe('clearAuthContext', () => {
@@ -356,6 +373,19 @@ describe('AuthManager', () => {
       expect(authManager.getAuthToken()).toBe('token123');
     });
 
+    it('should authorize against the configured baseUrl', async () => {
+      mockHttpClient.get = vi.fn().mockResolvedValue(mockAuthResponse);
+      const manager = new AuthManager(mockHttpClient, { baseUrl: 'http://127.0.0.1:8787' });
+
+      await manager.authorize(validCredentials);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith(
+        `http://127.0.0.1:8787${API_ENDPOINTS.AUTHORIZE_ACCOUNT}`,
+        expect.any(Object)
+      );
+      expect(manager.getAuthToken()).toBe('token123');
+    });
+
     it('should pass timeout option to http client', async () => {
       mockHttpClient.post.mockResolvedValue(mockAuthResponse);
 
@@ -434,6 +434,495 @@ describe('BucketManager', () => {
     });
   });
 
+  describe('lifecycle rules', () => {
+    const logsRule = { fileNamePrefix: 'logs/', daysFromUploadingToHiding: 30, daysFromHidingToDeleting: 1 };
+    const tmpRule = { fileNamePrefix: 'tmp/', daysFromUploadingToHiding: null, daysFromHidingToDeleting: 7 };
+
+    it('should create a bucket with lifecycle rules', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.create({
+        bucketName: 'test-bucket',
+        bucketType: BUCKET_TYPES.ALL_PRIVATE,
+        lifecycleRules: [logsRule]
+      });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('/b2api/v2/b2_create_bucket'),
+        {
+          accountId: 'test-account-id',
+          bucketName: 'test-bucket',
+          bucketType: 'allPrivate',
+          lifecycleRules: [logsRule]
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should update lifecycle rules without changing the bucket type', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.update({ bucketId: 'bucket-123', lifecycleRules: [], ifRevisionMatch: 3 });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('/b2api/v2/b2_update_bucket'),
+        {
+          accountId: 'test-account-id',
+          bucketId: 'bucket-123',
+          lifecycleRules: [],
+          ifRevisionMatch: 3
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should validate lifecycle rules before any request', async () => {
+      await expect(bucketManager.create({
+        bucketName: 'test-bucket',
+        bucketType: BUCKET_TYPES.ALL_PRIVATE,
+        lifecycleRules: [{ fileNamePrefix: 'logs/', daysFromHidingToDeleting: -1 }]
+      })).rejects.toThrow('lifecycleRules[0].daysFromHidingToDeleting must be at least 1');
+      await expect(bucketManager.update({ bucketId: 'bucket-123' }))
+        .rejects.toThrow('bucketType is required');
+      await expect(bucketManager.update({ bucketId: 'bucket-123', lifecycleRules: [], ifRevisionMatch: 0 }))
+        .rejects.toThrow('ifRevisionMatch must be a positive integer');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    describe('addLifecycleRule and removeLifecycleRule', () => {
+      let bucket;
+      let updates;
+
+      beforeEach(() => {
+        bucket = { bucketId: 'bucket-123', revision: 5, lifecycleRules: [logsRule, tmpRule] };
+        updates = [];
+
+        mockHttpClient.post.mockImplementation(async (url, body) => {
+          if (url.endsWith('b2_list_buckets')) {
+            return { data: { buckets: [bucket] } };
+          }
+          if (url.endsWith('b2_update_bucket')) {
+            updates.push(body);
+            return { data: { ...bucket, lifecycleRules: body.lifecycleRules, revision: bucket.revision + 1 } };
+          }
+          throw new Error(`Unexpected request: ${url}`);
+        });
+      });
+
+      it('should add a rule and keep the existing ones', async () => {
+        const archiveRule = { fileNamePrefix: 'archive/', daysFromUploadingToHiding: 365, daysFromHidingToDeleting: null };
+
+        await bucketManager.addLifecycleRule({ bucketId: 'bucket-123', rule: archiveRule });
+
+        expect(updates).toEqual([{
+          accountId: 'test-account-id',
+          bucketId: 'bucket-123',
+          lifecycleRules: [logsRule, tmpRule, archiveRule],
+          ifRevisionMatch: 5
+        }]);
+      });
+
+      it('should replace a rule with the same prefix', async () => {
+        const newLogsRule = { fileNamePrefix: 'logs/', daysFromHidingToDeleting: 90 };
+
+        await bucketManager.addLifecycleRule({ bucketId: 'bucket-123', rule: newLogsRule });
+
+        expect(updates[0].lifecycleRules).toEqual([tmpRule, newLogsRule]);
+      });
+
+      it('should remove a rule and keep the others', async () => {
+        await bucketManager.removeLifecycleRule({ bucketId: 'bucket-123', fileNamePrefix: 'logs/' });
+
+        expect(updates[0].lifecycleRules).toEqual([tmpRule]);
+        expect(updates[0].ifRevisionMatch).toBe(5);
+      });
+
+      it('should re-read the bucket when it changed concurrently', async () => {
+        const defaultImplementation = mockHttpClient.post.getMockImplementation();
+        let conflicts = 1;
+        mockHttpClient.post.mockImplementation(async (url, body, options) => {
+          if (url.endsWith('b2_update_bucket') && conflicts-- > 0) {
+            // Someone else removed the tmp/ rule in the meantime
+            bucket = { ...bucket, revision: 6, lifecycleRules: [logsRule] };
+            throw Object.assign(new Error('Revision mismatch'), { status: 409, code: B2_ERROR_CODES.CONFLICT });
+          }
+          return defaultImplementation(url, body, options);
+        });
+
+        await bucketManager.removeLifecycleRule({ bucketId: 'bucket-123', fileNamePrefix: 'logs/' });
+
+        expect(updates).toEqual([expect.objectContaining({ lifecycleRules: [], ifRevisionMatch: 6 })]);
+      });
+
+      it('should give up after repeated conflicts', async () => {
+        mockHttpClient.post.mockImplementation(async (url) => {
+          if (url.endsWith('b2_list_buckets')) {
+            return { data: { buckets: [bucket] } };
+          }
+          throw Object.assign(new Error('Revision mismatch'), { status: 409, code: B2_ERROR_CODES.CONFLICT });
+        });
+
+        await expect(bucketManager.removeLifecycleRule({ bucketId: 'bucket-123', fileNamePrefix: 'logs/' }))
+          .rejects.toThrow('Bucket bucket-123 was changed since revision 5');
+        const listCalls = mockHttpClient.post.mock.calls.filter(([url]) => url.endsWith('b2_list_buckets'));
+        expect(listCalls).toHaveLength(3);
+      });
+
+      it('should reject unknown buckets and invalid rules', async () => {
+        mockHttpClient.post.mockResolvedValue({ data: { buckets: [] } });
+
+        await expect(bucketManager.removeLifecycleRule({ bucketId: 'missing', fileNamePrefix: 'logs/' }))
+          .rejects.toThrow('Invalid bucket ID: missing');
+        await expect(bucketManager.addLifecycleRule({ bucketId: 'bucket-123', rule: { fileNamePrefix: 'x/' } }))
+          .rejects.toThrow('lifecycleRules[0] must set daysFromUploadingToHiding or daysFromHidingToDeleting');
+        await expect(bucketManager.removeLifecycleRule({ bucketId: 'bucket-123' }))
+          .rejects.toThrow('fileNamePrefix is required and must be a string');
+      });
+
+      it('should not add a rule that overlaps another prefix', async () => {
+        await expect(bucketManager.addLifecycleRule({
+          bucketId: 'bucket-123',
+          rule: { fileNamePrefix: 'logs/app/', daysFromHidingToDeleting: 1 }
+        })).rejects.toThrow('must not overlap');
+        expect(updates).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('default encryption', () => {
+    it('should create and update buckets with default encryption', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.create({
+        bucketName: 'test-bucket',
+        bucketType: BUCKET_TYPES.ALL_PRIVATE,
+        defaultServerSideEncryption: { mode: 'SSE-B2' }
+      });
+      await bucketManager.update({ bucketId: 'bucket-123', defaultServerSideEncryption: { mode: null } });
+
+      expect(mockHttpClient.post.mock.calls[0][1].defaultServerSideEncryption).toEqual({
+        mode: 'SSE-B2',
+        algorithm: 'AES256'
+      });
+      expect(mockHttpClient.post.mock.calls[1][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketId: 'bucket-123',
+        defaultServerSideEncryption: { mode: null }
+      });
+    });
+
+    it('should reject customer keys as bucket default before any request', async () => {
+      await expect(bucketManager.update({
+        bucketId: 'bucket-123',
+        defaultServerSideEncryption: { mode: 'SSE-C', customerKey: Buffer.alloc(32).toString('base64') }
+      })).rejects.toThrow('defaultServerSideEncryption.mode must be one of: SSE-B2, null');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Object Lock', () => {
+    it('should create buckets with Object Lock enabled', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.create({ bucketName: 'test-bucket', bucketType: BUCKET_TYPES.ALL_PRIVATE, fileLockEnabled: true });
+
+      expect(mockHttpClient.post.mock.calls[0][1].fileLockEnabled).toBe(true);
+    });
+
+    it('should update the default retention', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.update({
+        bucketId: 'bucket-123',
+        defaultRetention: { mode: 'compliance', period: { duration: 30, unit: 'days' } }
+      });
+      await bucketManager.update({ bucketId: 'bucket-123', defaultRetention: { mode: null } });
+
+      expect(mockHttpClient.post.mock.calls[0][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketId: 'bucket-123',
+        defaultRetention: { mode: 'compliance', period: { duration: 30, unit: 'days' } }
+      });
+      expect(mockHttpClient.post.mock.calls[1][1].defaultRetention).toEqual({ mode: null });
+    });
+
+    it('should validate Object Lock settings before any request', async () => {
+      await expect(bucketManager.update({ bucketId: 'bucket-123', fileLockEnabled: 'yes' }))
+        .rejects.toThrow('fileLockEnabled must be a boolean');
+      await expect(bucketManager.update({
+        bucketId: 'bucket-123',
+        defaultRetention: { mode: 'governance', period: { duration: 1, unit: 'weeks' } }
+      })).rejects.toThrow('defaultRetention.period.unit must be one of: days, years');
+      await expect(bucketManager.create({
+        bucketName: 'test-bucket',
+        bucketType: BUCKET_TYPES.ALL_PRIVATE,
+        fileLockEnabled: true,
+        defaultRetention: { mode: 'governance', period: { duration: 1, unit: 'days' } }
+      })).rejects.toThrow('defaultRetention can only be set by updating the bucket');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CORS rules', () => {
+    it('should create and update buckets with CORS rules', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+      const corsRules = bucketManager.createBrowserCorsRules({ allowedOrigins: ['https://app.example.com'] });
+
+      await bucketManager.create({ bucketName: 'test-bucket', bucketType: BUCKET_TYPES.ALL_PRIVATE, corsRules });
+      await bucketManager.update({ bucketId: 'bucket-123', corsRules: [] });
+
+      expect(mockHttpClient.post.mock.calls[0][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketName: 'test-bucket',
+        bucketType: 'allPrivate',
+        corsRules
+      });
+      expect(mockHttpClient.post.mock.calls[1][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketId: 'bucket-123',
+        corsRules: []
+      });
+    });
+
+    it('should validate CORS rules before any request', async () => {
+      await expect(bucketManager.update({
+        bucketId: 'bucket-123',
+        corsRules: [{ corsRuleName: 'uploads', allowedOrigins: ['*'], allowedOperations: ['b2_upload_file'] }]
+      })).rejects.toThrow('corsRules[0].maxAgeSeconds must be a valid number');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    describe('createBrowserCorsRules', () => {
+      it('should allow browser downloads and uploads from the given origins', () => {
+        const rules = bucketManager.createBrowserCorsRules({
+          allowedOrigins: ['https://app.example.com'],
+          maxAgeSeconds: 600
+        });
+
+        expect(rules.map((rule) => rule.corsRuleName)).toEqual(['downloadFromBrowser', 'uploadFromBrowser']);
+        expect(rules[0]).toEqual(expect.objectContaining({
+          allowedOrigins: ['https://app.example.com'],
+          allowedOperations: ['b2_download_file_by_name', 'b2_download_file_by_id'],
+          allowedHeaders: ['authorization', 'range'],
+          maxAgeSeconds: 600
+        }));
+        expect(rules[1].allowedOperations).toEqual(['b2_upload_file', 'b2_upload_part']);
+        expect(rules[1].allowedHeaders).toEqual(expect.arrayContaining(['x-bz-file-name', 'x-bz-content-sha1', 'x-bz-info-*']));
+        expect(rules[1].exposeHeaders).toEqual(['x-bz-content-sha1']);
+      });
+
+      it('should only include the requested directions', () => {
+        const rules = bucketManager.createBrowserCorsRules({ allowedOrigins: ['*'], download: false });
+
+        expect(rules).toHaveLength(1);
+        expect(rules[0].corsRuleName).toBe('uploadFromBrowser');
+        expect(rules[0].maxAgeSeconds).toBe(3600);
+      });
+
+      it('should validate options', () => {
+        expect(() => bucketManager.createBrowserCorsRules()).toThrow('options object is required');
+        expect(() => bucketManager.createBrowserCorsRules({ allowedOrigins: [] }))
+          .toThrow('corsRules[0].allowedOrigins must contain at least 1 items');
+        expect(() => bucketManager.createBrowserCorsRules({ allowedOrigins: ['*'], download: false, upload: false }))
+          .toThrow('At least one of download or upload must be enabled');
+      });
+    });
+  });
+
+  describe('replication', () => {
+    const replicationConfiguration = {
+      asReplicationSource: {
+        sourceApplicationKeyId: 'source-key-id',
+        replicationRules: [{
+          replicationRuleName: 'dr-copy',
+          destinationBucketId: 'destination-bucket-id',
+          fileNamePrefix: '',
+          includeExistingFiles: true,
+          isEnabled: true,
+          priority: 1
+        }]
+      }
+    };
+
+    it('should create and update buckets with a replication configuration', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123' } });
+
+      await bucketManager.create({ bucketName: 'test-bucket', bucketType: BUCKET_TYPES.ALL_PRIVATE, replicationConfiguration });
+      await bucketManager.update({ bucketId: 'bucket-123', replicationConfiguration: { asReplicationSource: null } });
+
+      expect(mockHttpClient.post.mock.calls[0][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketName: 'test-bucket',
+        bucketType: 'allPrivate',
+        replicationConfiguration
+      });
+      expect(mockHttpClient.post.mock.calls[1][1]).toEqual({
+        accountId: 'test-account-id',
+        bucketId: 'bucket-123',
+        replicationConfiguration: { asReplicationSource: null }
+      });
+    });
+
+    it('should validate the replication configuration before any request', async () => {
+      await expect(bucketManager.update({
+        bucketId: 'bucket-123',
+        replicationConfiguration: { asReplicationSource: { sourceApplicationKeyId: 'key', replicationRules: [{}] } }
+      })).rejects.toThrow('replicationRules[0].replicationRuleName must be a string');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    describe('getReplicationConfiguration', () => {
+      it('should return the configuration of the bucket', async () => {
+        mockHttpClient.post.mockResolvedValue({
+          data: {
+            buckets: [{
+              bucketId: 'bucket-123',
+              replicationConfiguration: { isClientAuthorizedToRead: true, value: replicationConfiguration }
+            }]
+          }
+        });
+
+        expect(await bucketManager.getReplicationConfiguration('bucket-123')).toEqual(replicationConfiguration);
+        expect(mockHttpClient.post.mock.calls[0][1]).toEqual({ accountId: 'test-account-id', bucketId: 'bucket-123' });
+      });
+
+      it('should return null for buckets without replication', async () => {
+        mockHttpClient.post.mockResolvedValue({ data: { buckets: [{ bucketId: 'bucket-123' }] } });
+
+        expect(await bucketManager.getReplicationConfiguration({ bucketId: 'bucket-123' })).toBeNull();
+      });
+
+      it('should throw for unknown buckets and keys that cannot read replications', async () => {
+        mockHttpClient.post.mockResolvedValueOnce({ data: { buckets: [] } });
+        await expect(bucketManager.getReplicationConfiguration('missing')).rejects.toThrow('Invalid bucket ID: missing');
+
+        mockHttpClient.post.mockResolvedValueOnce({
+          data: { buckets: [{ bucketId: 'bucket-123', replicationConfiguration: { isClientAuthorizedToRead: false } }] }
+        });
+        await expect(bucketManager.getReplicationConfiguration('bucket-123')).rejects.toMatchObject({
+          message: 'Not allowed to read replication configuration of bucket: bucket-123',
+          code: B2_ERROR_CODES.ACCESS_DENIED
+        });
+      });
+    });
+  });
+
+  describe('event notification rules', () => {
+    const uploadsRule = {
+      name: 'uploads',
+      eventTypes: ['b2:ObjectCreated:*'],
+      objectNamePrefix: 'uploads/',
+      isEnabled: true,
+      targetConfiguration: {
+        targetType: 'webhook',
+        url: 'https://hooks.example.com/b2',
+        hmacSha256SigningSecret: 'a'.repeat(32)
+      }
+    };
+    const deletesRule = {
+      name: 'deletes',
+      eventTypes: ['b2:ObjectDeleted:Delete'],
+      objectNamePrefix: '',
+      isEnabled: false,
+      targetConfiguration: { targetType: 'webhook', url: 'https://hooks.example.com/deletes' }
+    };
+
+    it('should get the rules of a bucket', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123', eventNotificationRules: [uploadsRule] } });
+
+      const response = await bucketManager.getNotificationRules('bucket-123');
+
+      expect(response.data.eventNotificationRules).toEqual([uploadsRule]);
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('/b2api/v4/b2_get_bucket_notification_rules'),
+        { bucketId: 'bucket-123' },
+        { headers: { Authorization: 'Bearer test-token' }, timeout: 30000 }
+      );
+    });
+
+    it('should set the rules without the fields only B2 sets', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { bucketId: 'bucket-123', eventNotificationRules: [] } });
+
+      await bucketManager.setNotificationRules({
+        bucketId: 'bucket-123',
+        eventNotificationRules: [{ ...uploadsRule, isSuspended: true, suspensionReason: 'webhook failed' }]
+      });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('/b2api/v4/b2_set_bucket_notification_rules'),
+        { bucketId: 'bucket-123', eventNotificationRules: [uploadsRule] },
+        expect.any(Object)
+      );
+    });
+
+    it('should map invalid bucket IDs', async () => {
+      mockHttpClient.post.mockRejectedValue({ status: 400, code: B2_ERROR_CODES.INVALID_BUCKET_ID });
+
+      await expect(bucketManager.getNotificationRules({ bucketId: 'missing' }))
+        .rejects.toThrow('Invalid bucket ID: missing');
+      await expect(bucketManager.setNotificationRules({ bucketId: 'missing', eventNotificationRules: [] }))
+        .rejects.toThrow('Invalid bucket ID: missing');
+    });
+
+    it('should validate rules before any request', async () => {
+      await expect(bucketManager.setNotificationRules()).rejects.toThrow('options object is required');
+      await expect(bucketManager.setNotificationRules({
+        bucketId: 'bucket-123',
+        eventNotificationRules: [{ ...uploadsRule, eventTypes: ['b2:ObjectRestored'] }]
+      })).rejects.toThrow('eventNotificationRules[0].eventTypes must only contain: b2:ObjectCreated:*');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    describe('addNotificationRule and removeNotificationRule', () => {
+      let updates;
+
+      beforeEach(() => {
+        updates = [];
+
+        mockHttpClient.post.mockImplementation(async (url, body) => {
+          if (url.endsWith('b2_get_bucket_notification_rules')) {
+            return { data: { bucketId: 'bucket-123', eventNotificationRules: [uploadsRule, deletesRule] } };
+          }
+          if (url.endsWith('b2_set_bucket_notification_rules')) {
+            updates.push(body);
+            return { data: body };
+          }
+          throw new Error(`Unexpected request: ${url}`);
+        });
+      });
+
+      it('should add a rule and keep the existing ones', async () => {
+        const copiesRule = { ...deletesRule, name: 'copies', eventTypes: ['b2:ObjectCreated:Copy'] };
+
+        const response = await bucketManager.addNotificationRule({ bucketId: 'bucket-123', rule: copiesRule });
+
+        expect(response.data.eventNotificationRules).toEqual([uploadsRule, deletesRule, copiesRule]);
+      });
+
+      it('should replace a rule with the same name', async () => {
+        const newUploadsRule = { ...uploadsRule, objectNamePrefix: 'incoming/' };
+
+        await bucketManager.addNotificationRule({ bucketId: 'bucket-123', rule: newUploadsRule });
+
+        expect(updates[0].eventNotificationRules).toEqual([deletesRule, newUploadsRule]);
+      });
+
+      it('should remove a rule and keep the others', async () => {
+        await bucketManager.removeNotificationRule({ bucketId: 'bucket-123', name: 'uploads' });
+
+        expect(updates).toEqual([{ bucketId: 'bucket-123', eventNotificationRules: [deletesRule] }]);
+      });
+
+      it('should validate options before any request', async () => {
+        await expect(bucketManager.addNotificationRule({ bucketId: 'bucket-123', rule: { ...uploadsRule, name: 'a b' } }))
+          .rejects.toThrow('eventNotificationRules[0].name format is invalid');
+        await expect(bucketManager.removeNotificationRule({ bucketId: 'bucket-123' }))
+          .rejects.toThrow('name is required and must be a string');
+        expect(mockHttpClient.post).not.toHaveBeenCalled();
+      });
+    });
+  });
+
   describe('getUploadUrl', () => {
     const mockResponse = {
       data: {
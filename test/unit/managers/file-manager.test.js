@@ -1,6 +1,11 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { FileManager } from '../../../src/managers/file-manager.js';
 import { B2_ERROR_CODES, CONTENT_TYPES } from '../../../src/constants.js';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('FileManager', () => {
   let fileManager;
@@ -253,6 +258,72 @@ describe('FileManager', () => {
       await expect(fileManager.uploadFile(options)).rejects.toThrow('data is required');
     });
 
+    it('should stream Node.js readables with the SHA1 appended to the body', async () => {
+      const onUploadProgress = vi.fn();
+      const options = {
+        ...validUploadOptions,
+        data: Readable.from([Buffer.from('test '), Buffer.from('content')]),
+        contentLength: 12,
+        onUploadProgress
+      };
+
+      let sentBody;
+      mockHttpClient.post.mockImplementation(async (url, body) => {
+        expect(body).toBeInstanceOf(ReadableStream);
+        sentBody = await new Response(body).text();
+        return { status: 200, data: { fileId: 'test-file-id' } };
+      });
+
+      await fileManager.uploadFile(options);
+
+      const [, , requestOptions] = mockHttpClient.post.mock.calls[0];
+      expect(requestOptions.headers).toEqual(expect.objectContaining({
+        'X-Bz-Content-Sha1': 'hex_digits_at_end',
+        'Content-Length': '52'
+      }));
+      expect(requestOptions.onUploadProgress).toBeUndefined();
+
+      const sha1 = createHash('sha1').update('test content').digest('hex');
+      expect(sentBody).toBe(`test content${sha1}`);
+      expect(onUploadProgress.mock.calls.at(-1)[0]).toEqual(
+        expect.objectContaining({ loaded: 12, total: 12, progress: 1 })
+      );
+    });
+
+    it('should stream files from disk', async () => {
+      const tempDir = mkdtempSync(join(tmpdir(), 'b2-upload-'));
+      try {
+        const filePath = join(tempDir, 'test.txt');
+        writeFileSync(filePath, 'test content');
+        const options = { ...validUploadOptions, filePath, contentSha1: 'provided-sha1-hash' };
+        delete options.data;
+
+        let sentBody;
+        mockHttpClient.post.mockImplementation(async (url, body) => {
+          sentBody = await new Response(body).text();
+          return { status: 200, data: { fileId: 'test-file-id' } };
+        });
+
+        await fileManager.uploadFile(options);
+
+        const [, , requestOptions] = mockHttpClient.post.mock.calls[0];
+        expect(requestOptions.headers).toEqual(expect.objectContaining({
+          'X-Bz-Content-Sha1': 'provided-sha1-hash',
+          'Content-Length': '12'
+        }));
+        expect(sentBody).toBe('test content');
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should require contentLength for streams', async () => {
+      const options = { ...validUploadOptions, data: new ReadableStream() };
+
+      await expect(fileManager.uploadFile(options)).rejects.toThrow('contentLength is required when uploading a stream');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
     it('should handle upload errors', async () => {
       const error = new Error('Upload failed');
       error.status = 400;
@@ -1056,6 +1127,532 @@ describe('FileManager', () => {
     });
   });
 
+  describe('ranged and parallel downloads', () => {
+    const content = Uint8Array.from({ length: 1000 }, (_, i) => i % 251);
+
+    // Serves byte ranges of content like the B2 download endpoints
+    const serveRanges = () => vi.fn(async (url, options) => {
+      const match = /^bytes=(\d+)-(\d+)$/.exec(options.headers.Range || '');
+      if (match && Number(match[1]) >= content.length) {
+        throw Object.assign(new Error('Range Not Satisfiable'), { status: 416 });
+      }
+      const start = match ? Number(match[1]) : 0;
+      const end = match ? Math.min(Number(match[2]), content.length - 1) : content.length - 1;
+      const data = content.slice(start, end + 1);
+      options.onDownloadProgress?.({ loaded: data.length });
+      return {
+        status: match ? 206 : 200,
+        headers: new Headers({
+          'x-bz-file-id': 'file-123',
+          ...(match ? { 'content-range': `bytes ${start}-${end}/${content.length}` } : {})
+        }),
+        data: data.buffer
+      };
+    });
+
+    beforeEach(() => {
+      mockHttpClient.get = serveRanges();
+    });
+
+    describe('range option', () => {
+      it('should request a byte range and parse Content-Range', async () => {
+        const response = await fileManager.downloadFileByName({
+          bucketName: 'test-bucket',
+          fileName: 'video.mp4',
+          range: 'bytes=100-199'
+        });
+
+        expect(mockHttpClient.get.mock.calls[0][1].headers).toEqual({
+          Authorization: 'test-token',
+          Range: 'bytes=100-199'
+        });
+        expect(response.status).toBe(206);
+        expect(response.contentRange).toEqual({ start: 100, end: 199, size: 1000 });
+        expect(new Uint8Array(response.data)).toEqual(content.slice(100, 200));
+      });
+
+      it('should leave responses without a range unchanged', async () => {
+        const response = await fileManager.downloadFileById({ fileId: 'file-123' });
+
+        expect(response).not.toHaveProperty('contentRange');
+        expect(mockHttpClient.get.mock.calls[0][1].headers).not.toHaveProperty('Range');
+      });
+
+      it('should validate the range and map unsatisfiable ranges', async () => {
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', range: { start: 0 } }))
+          .rejects.toThrow('range must be a string in the form "bytes=start-end"');
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', range: 'bytes=5-1' }))
+          .rejects.toThrow('range start cannot be greater than range end');
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', range: 'bytes=1000-1999' }))
+          .rejects.toMatchObject({
+            message: 'Range not satisfiable for file: file-123',
+            code: B2_ERROR_CODES.RANGE_NOT_SATISFIABLE,
+            status: 416
+          });
+      });
+    });
+
+    describe('downloadFileParallel', () => {
+      const requestedRanges = () => mockHttpClient.get.mock.calls.map(([, options]) => options.headers.Range);
+
+      it('should download ranges concurrently into an ArrayBuffer', async () => {
+        const response = await fileManager.downloadFileParallel({
+          bucketName: 'test-bucket',
+          fileName: 'video.mp4',
+          partSize: 300,
+          concurrency: 2
+        });
+
+        expect(new Uint8Array(response.data)).toEqual(content);
+        expect(response).toEqual(expect.objectContaining({ status: 200, fileId: 'file-123', contentLength: 1000 }));
+        expect(requestedRanges()).toEqual(['bytes=0-299', 'bytes=300-599', 'bytes=600-899', 'bytes=900-999']);
+      });
+
+      it('should fetch all ranges after the first by file ID', async () => {
+        await fileManager.downloadFileParallel({ bucketName: 'test-bucket', fileName: 'video.mp4', partSize: 500 });
+
+        const urls = mockHttpClient.get.mock.calls.map(([url]) => url);
+        expect(urls[0]).toContain('/file/test-bucket/video.mp4');
+        expect(urls[1]).toContain('b2_download_file_by_id');
+        expect(urls[1]).toContain('file-123');
+      });
+
+      it('should stream ranges in order', async () => {
+        const response = await fileManager.downloadFileParallel({
+          fileId: 'file-123',
+          responseType: 'stream',
+          partSize: 128,
+          concurrency: 3
+        });
+
+        const chunks = [];
+        for await (const chunk of response.data) {
+          chunks.push(...chunk);
+        }
+        expect(Uint8Array.from(chunks)).toEqual(content);
+      });
+
+      it('should write ranges to a file', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'b2-download-'));
+        const filePath = join(dir, 'video.mp4');
+        try {
+          const response = await fileManager.downloadFileParallel({ fileId: 'file-123', filePath, partSize: 256 });
+
+          expect(response.filePath).toBe(filePath);
+          expect(response).not.toHaveProperty('data');
+          expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+        } finally {
+          rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should report progress of the whole file', async () => {
+        const onDownloadProgress = vi.fn();
+
+        await fileManager.downloadFileParallel({ fileId: 'file-123', partSize: 400, concurrency: 1, onDownloadProgress });
+
+        expect(onDownloadProgress.mock.calls.map(([event]) => event.loaded)).toEqual([400, 800, 1000]);
+        expect(onDownloadProgress.mock.calls[2][0].total).toBe(1000);
+      });
+
+      it('should retry a failed range on its own', async () => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        let failures = 1;
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          if (options.headers.Range === 'bytes=500-999' && failures-- > 0) {
+            throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+          }
+          return serve(url, options);
+        });
+        fileManager = new FileManager(mockHttpClient, mockAuthManager, { ...mockConfig, retryDelay: 1 });
+
+        const response = await fileManager.downloadFileParallel({ fileId: 'file-123', partSize: 500 });
+
+        expect(new Uint8Array(response.data)).toEqual(content);
+        expect(requestedRanges()).toEqual(['bytes=0-499', 'bytes=500-999', 'bytes=500-999']);
+      });
+
+      it('should download empty files', async () => {
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          if (options.headers.Range) {
+            throw Object.assign(new Error('Range Not Satisfiable'), { status: 416 });
+          }
+          return { status: 200, headers: new Headers({ 'x-bz-file-id': 'file-123' }), data: new ArrayBuffer(0) };
+        });
+
+        const response = await fileManager.downloadFileParallel({ fileId: 'file-123' });
+
+        expect(response.contentLength).toBe(0);
+        expect(response.data.byteLength).toBe(0);
+      });
+
+      it('should validate options before any request', async () => {
+        await expect(fileManager.downloadFileParallel()).rejects.toThrow('options object is required');
+        await expect(fileManager.downloadFileParallel({ fileName: 'video.mp4' }))
+          .rejects.toThrow('bucketName is required and must be a string');
+        await expect(fileManager.downloadFileParallel({ fileId: 'file-123', responseType: 'blob' }))
+          .rejects.toThrow('Invalid responseType. Must be one of: arraybuffer, stream');
+        await expect(fileManager.downloadFileParallel({ fileId: 'file-123', partSize: 0 }))
+          .rejects.toThrow('partSize must be at least 1');
+        await expect(fileManager.downloadFileParallel({ fileId: 'file-123', concurrency: 0 }))
+          .rejects.toThrow('concurrency must be a positive integer');
+        expect(mockHttpClient.get).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('downloadToFile', () => {
+      let dir;
+      let filePath;
+
+      // Streams byte ranges of content in 100 byte chunks, breaking the
+      // connection of the n-th request after breakAfter[n] bytes
+      const serveStreams = (breakAfter = []) => vi.fn(async (url, options) => {
+        const call = mockHttpClient.get.mock.calls.length - 1;
+        const match = /^bytes=(\d+)-(\d+)$/.exec(options.headers.Range || '');
+        const start = match ? Number(match[1]) : 0;
+        const end = match ? Number(match[2]) : content.length - 1;
+        const data = content.slice(start, end + 1);
+        let sent = 0;
+        return {
+          status: match ? 206 : 200,
+          headers: new Headers({
+            'x-bz-file-id': 'file-123',
+            'content-length': String(data.length),
+            ...(match ? { 'content-range': `bytes ${start}-${end}/${content.length}` } : {})
+          }),
+          data: new ReadableStream({
+            pull(controller) {
+              if (breakAfter[call] !== undefined && sent >= breakAfter[call]) {
+                controller.error(new TypeError('terminated'));
+              } else if (sent >= data.length) {
+                controller.close();
+              } else {
+                controller.enqueue(data.slice(sent, sent + 100));
+                sent += 100;
+              }
+            }
+          })
+        };
+      });
+
+      const requestedRanges = () => mockHttpClient.get.mock.calls.map(([, options]) => options.headers.Range);
+
+      beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'b2-download-'));
+        filePath = join(dir, 'video.mp4');
+        mockHttpClient.get = serveStreams();
+        fileManager = new FileManager(mockHttpClient, mockAuthManager, { ...mockConfig, retryDelay: 1 });
+      });
+
+      afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('should download a file to filePath', async () => {
+        const response = await fileManager.downloadToFile({ bucketName: 'test-bucket', fileName: 'video.mp4', filePath });
+
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+        expect(response).toEqual(expect.objectContaining({
+          status: 200,
+          fileId: 'file-123',
+          contentLength: 1000,
+          filePath,
+          resumeCount: 0
+        }));
+        expect(readdirSync(dir)).toEqual(['video.mp4']);
+      });
+
+      it('should resume by file ID from the last written byte', async () => {
+        mockHttpClient.get = serveStreams([300, 400]);
+        const onDownloadProgress = vi.fn();
+
+        const response = await fileManager.downloadToFile({
+          bucketName: 'test-bucket',
+          fileName: 'video.mp4',
+          filePath,
+          onDownloadProgress
+        });
+
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+        expect(response.resumeCount).toBe(2);
+        expect(requestedRanges()).toEqual([undefined, 'bytes=300-999', 'bytes=700-999']);
+        expect(mockHttpClient.get.mock.calls[1][0]).toContain('b2_download_file_by_id');
+        expect(onDownloadProgress.mock.calls.at(-1)[0]).toEqual(
+          expect.objectContaining({ loaded: 1000, total: 1000 })
+        );
+      });
+
+      it('should only count failures without progress towards retries', async () => {
+        mockHttpClient.get = serveStreams([100, 100, 100, 100, 100]);
+
+        const response = await fileManager.downloadToFile({ fileId: 'file-123', filePath, retries: 1 });
+
+        expect(response.resumeCount).toBe(5);
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+      });
+
+      it('should give up and remove the partial file after retries without progress', async () => {
+        mockHttpClient.get = serveStreams([500, 0, 0]);
+
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath, retries: 2 }))
+          .rejects.toThrow('terminated');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(3);
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should retry transient request errors', async () => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        let failures = 1;
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          if (failures-- > 0) {
+            throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+          }
+          return serve(url, options);
+        });
+
+        const response = await fileManager.downloadToFile({ fileId: 'file-123', filePath });
+
+        expect(response.resumeCount).toBe(1);
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+      });
+
+      it('should not retry other request errors', async () => {
+        mockHttpClient.get.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+        await expect(fileManager.downloadToFile({ bucketName: 'test-bucket', fileName: 'video.mp4', filePath }))
+          .rejects.toThrow('File not found: video.mp4 in bucket test-bucket');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(1);
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should fail when the file ID changes while resuming', async () => {
+        const serve = serveStreams([500]);
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          if (options.headers.Range) {
+            response.headers.set('x-bz-file-id', 'file-456');
+          }
+          return response;
+        });
+
+        await expect(fileManager.downloadToFile({ bucketName: 'test-bucket', fileName: 'video.mp4', filePath }))
+          .rejects.toThrow('File file-123 changed during the download');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(2);
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should fail when a resumed request returns the whole file', async () => {
+        const serve = serveStreams([500]);
+        mockHttpClient.get.mockImplementation(async (url, options) => serve(url, { ...options, headers: {} }));
+
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath }))
+          .rejects.toThrow('Resumed download of file file-123 did not return bytes 500-999');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(2);
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should fail when a resumed range starts elsewhere', async () => {
+        const serve = serveStreams([500]);
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          if (options.headers.Range) {
+            response.headers.set('content-range', 'bytes 0-499/1000');
+          }
+          return response;
+        });
+
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath }))
+          .rejects.toThrow('did not return bytes 500-999');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(2);
+      });
+
+      it('should fail without retrying when more bytes arrive than announced', async () => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          response.headers.set('content-length', '500');
+          return response;
+        });
+
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath }))
+          .rejects.toThrow('Download of file file-123 returned more than 500 bytes');
+        expect(mockHttpClient.get).toHaveBeenCalledTimes(1);
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should re-authorize an expired token through the retry handler', async () => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        mockHttpClient.get.mockImplementationOnce(async () => {
+          throw Object.assign(new Error('Expired'), { status: 401, code: 'expired_auth_token' });
+        });
+        mockHttpClient.get.mockImplementation(serve);
+        fileManager.retryHandler.onAuthExpired = vi.fn().mockResolvedValue(true);
+
+        const response = await fileManager.downloadToFile({ fileId: 'file-123', filePath, retries: 0 });
+
+        expect(fileManager.retryHandler.onAuthExpired).toHaveBeenCalledWith(
+          expect.objectContaining({ code: 'expired_auth_token' })
+        );
+        expect(response.resumeCount).toBe(0);
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+      });
+
+      it('should verify the checksum across resumes before renaming', async () => {
+        const serve = serveStreams([300]);
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          response.headers.set('x-bz-content-sha1', createHash('sha1').update(content).digest('hex'));
+          return response;
+        });
+
+        const response = await fileManager.downloadToFile({ fileId: 'file-123', filePath, verifyChecksum: true });
+
+        expect(response.resumeCount).toBe(1);
+        expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+      });
+
+      it('should not put a file with a mismatching checksum in place', async () => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          response.headers.set('x-bz-content-sha1', 'a9993e364706816aba3e25717850c26c9cd0d89d');
+          return response;
+        });
+
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath, verifyChecksum: true }))
+          .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+        expect(readdirSync(dir)).toEqual([]);
+      });
+
+      it('should validate options before any request', async () => {
+        await expect(fileManager.downloadToFile()).rejects.toThrow('options object is required');
+        await expect(fileManager.downloadToFile({ fileName: 'video.mp4', filePath }))
+          .rejects.toThrow('bucketName is required and must be a string');
+        await expect(fileManager.downloadToFile({ fileId: 'file-123' }))
+          .rejects.toThrow('filePath is required and must be a string');
+        await expect(fileManager.downloadToFile({ fileId: 'file-123', filePath, retries: -1 }))
+          .rejects.toThrow('retries must be at least 0');
+        expect(mockHttpClient.get).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('verifyChecksum', () => {
+      const sha1 = createHash('sha1').update(content).digest('hex');
+      const wrongSha1 = 'a9993e364706816aba3e25717850c26c9cd0d89d';
+
+      // Adds headers to every response of the current mock
+      const addResponseHeaders = (extraHeaders) => {
+        const serve = mockHttpClient.get.getMockImplementation();
+        mockHttpClient.get.mockImplementation(async (url, options) => {
+          const response = await serve(url, options);
+          Object.entries(extraHeaders).forEach(([name, value]) => response.headers.set(name, value));
+          return response;
+        });
+      };
+
+      const readStream = async (stream) => {
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(...chunk);
+        }
+        return Uint8Array.from(chunks);
+      };
+
+      it('should verify array buffer downloads', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': sha1 });
+
+        const response = await fileManager.downloadFileById({ fileId: 'file-123', verifyChecksum: true });
+
+        expect(new Uint8Array(response.data)).toEqual(content);
+      });
+
+      it('should reject array buffer downloads with a mismatching checksum', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': wrongSha1 });
+
+        await expect(fileManager.downloadFileByName({
+          bucketName: 'test-bucket',
+          fileName: 'video.mp4',
+          verifyChecksum: true
+        })).rejects.toMatchObject({
+          message: `SHA1 checksum mismatch for file: video.mp4 (expected ${wrongSha1}, got ${sha1})`,
+          code: 'CHECKSUM_MISMATCH',
+          expectedSha1: wrongSha1,
+          actualSha1: sha1
+        });
+      });
+
+      it('should use large_file_sha1 for large files', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': 'none', 'x-bz-info-large_file_sha1': sha1 });
+
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', verifyChecksum: true })).resolves.toBeDefined();
+      });
+
+      it('should reject files without a checksum', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': 'none' });
+
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', verifyChecksum: true })).rejects.toMatchObject({
+          message: 'No SHA1 checksum available for file: file-123',
+          code: 'CHECKSUM_UNAVAILABLE'
+        });
+      });
+
+      it('should error streams at the end on a mismatch', async () => {
+        const body = (expected) => ({
+          status: 200,
+          headers: new Headers({ 'x-bz-content-sha1': expected }),
+          data: new Blob([content]).stream()
+        });
+
+        mockHttpClient.get.mockResolvedValueOnce(body(sha1));
+        const valid = await fileManager.downloadFileById({ fileId: 'file-123', responseType: 'stream', verifyChecksum: true });
+        expect(await readStream(valid.data)).toEqual(content);
+
+        mockHttpClient.get.mockResolvedValueOnce(body(wrongSha1));
+        const corrupt = await fileManager.downloadFileById({ fileId: 'file-123', responseType: 'stream', verifyChecksum: true });
+        await expect(readStream(corrupt.data)).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+      });
+
+      it('should verify parallel downloads against the whole file', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': sha1 });
+
+        const buffered = await fileManager.downloadFileParallel({ fileId: 'file-123', partSize: 300, verifyChecksum: true });
+        expect(new Uint8Array(buffered.data)).toEqual(content);
+
+        const streamed = await fileManager.downloadFileParallel({
+          fileId: 'file-123',
+          responseType: 'stream',
+          partSize: 300,
+          verifyChecksum: true
+        });
+        expect(await readStream(streamed.data)).toEqual(content);
+
+        const dir = mkdtempSync(join(tmpdir(), 'b2-download-'));
+        try {
+          const filePath = join(dir, 'video.mp4');
+          await fileManager.downloadFileParallel({ fileId: 'file-123', filePath, partSize: 300, verifyChecksum: true });
+          expect(new Uint8Array(readFileSync(filePath))).toEqual(content);
+        } finally {
+          rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should reject parallel downloads with a mismatching checksum', async () => {
+        addResponseHeaders({ 'x-bz-content-sha1': wrongSha1 });
+
+        await expect(fileManager.downloadFileParallel({ fileId: 'file-123', partSize: 300, verifyChecksum: true }))
+          .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+      });
+
+      it('should only verify whole file array buffer and stream downloads', async () => {
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', responseType: 'json', verifyChecksum: true }))
+          .rejects.toThrow('verifyChecksum is only supported with responseType arraybuffer or stream');
+        await expect(fileManager.downloadFileById({ fileId: 'file-123', range: 'bytes=0-9', verifyChecksum: true }))
+          .rejects.toThrow('verifyChecksum cannot be used with range');
+        expect(mockHttpClient.get).not.toHaveBeenCalled();
+      });
+    });
+  });
+
   describe('getDownloadAuthorization', () => {
     const validBucketId = 'test-bucket-id';
     const validFileNamePrefix = 'files/';
@@ -1224,6 +1821,183 @@ describe('FileManager', () => {
 
   // ===== LARGE FILE OPERATIONS TESTS =====
 
+  describe('statFileByName', () => {
+    beforeEach(() => {
+      mockHttpClient.head = vi.fn().mockResolvedValue({
+        status: 200,
+        headers: new Headers({
+          'x-bz-file-id': 'file-123',
+          'x-bz-file-name': 'photos/caf%C3%A9%20menu.jpg',
+          'content-length': '2048',
+          'content-type': 'image/jpeg',
+          'x-bz-content-sha1': 'a9993e364706816aba3e25717850c26c9cd0d89d',
+          'x-bz-upload-timestamp': '1700000000000',
+          'x-bz-info-src_last_modified_millis': '1699999999000',
+          'x-bz-info-author': 'J%C3%BCrgen'
+        }),
+        data: null
+      });
+    });
+
+    it('should return file info from the headers of a HEAD request', async () => {
+      const info = await fileManager.statFileByName({ bucketName: 'test-bucket', fileName: 'photos/café menu.jpg' });
+
+      expect(mockHttpClient.head).toHaveBeenCalledWith(
+        'https://download.test.com/file/test-bucket/photos%2Fcaf%C3%A9%20menu.jpg',
+        { headers: { Authorization: 'test-token' }, timeout: 30000 }
+      );
+      expect(info).toEqual({
+        fileId: 'file-123',
+        fileName: 'photos/café menu.jpg',
+        contentLength: 2048,
+        contentSha1: 'a9993e364706816aba3e25717850c26c9cd0d89d',
+        contentType: 'image/jpeg',
+        uploadTimestamp: 1700000000000,
+        fileInfo: { src_last_modified_millis: '1699999999000', author: 'Jürgen' }
+      });
+    });
+
+    it('should map missing files to file_not_present', async () => {
+      mockHttpClient.head.mockRejectedValue(Object.assign(new Error('HTTP 404: Not Found'), { status: 404 }));
+
+      await expect(fileManager.statFileByName({ bucketName: 'test-bucket', fileName: 'missing.txt' }))
+        .rejects.toMatchObject({
+          message: 'File not found: missing.txt in bucket test-bucket',
+          code: B2_ERROR_CODES.FILE_NOT_PRESENT,
+          status: 404
+        });
+    });
+
+    it('should validate options before any request', async () => {
+      await expect(fileManager.statFileByName()).rejects.toThrow('options object is required');
+      await expect(fileManager.statFileByName({ fileName: 'a.txt' }))
+        .rejects.toThrow('bucketName is required and must be a string');
+      await expect(fileManager.statFileByName({ bucketName: 'test-bucket' })).rejects.toThrow();
+      expect(mockHttpClient.head).not.toHaveBeenCalled();
+    });
+
+    describe('exists', () => {
+      it('should be true for files that can be stat-ed', async () => {
+        expect(await fileManager.exists({ bucketName: 'test-bucket', fileName: 'photos/a.jpg' })).toBe(true);
+      });
+
+      it('should be false for missing or hidden files', async () => {
+        mockHttpClient.head.mockRejectedValue(Object.assign(new Error('HTTP 404: Not Found'), { status: 404 }));
+
+        expect(await fileManager.exists({ bucketName: 'test-bucket', fileName: 'photos/a.jpg' })).toBe(false);
+      });
+
+      it('should rethrow other errors', async () => {
+        mockHttpClient.head.mockRejectedValue(Object.assign(new Error('HTTP 503'), { status: 503 }));
+
+        await expect(fileManager.exists({ bucketName: 'test-bucket', fileName: 'photos/a.jpg' }))
+          .rejects.toMatchObject({ status: 503 });
+      });
+    });
+  });
+
+  describe('getSignedDownloadUrl', () => {
+    let tokenCount;
+
+    beforeEach(() => {
+      tokenCount = 0;
+      mockAuthManager.getAccountId = vi.fn(() => 'test-account');
+      mockHttpClient.post.mockImplementation(async (url, data) => {
+        if (url.includes('b2_list_buckets')) {
+          return { data: { buckets: data.bucketName === 'private-bucket' ? [{ bucketId: 'bucket-1' }] : [] } };
+        }
+        return { data: { ...data, authorizationToken: `download-token-${++tokenCount}` } };
+      });
+    });
+
+    const authorizationRequests = () =>
+      mockHttpClient.post.mock.calls
+        .filter(([url]) => url.includes('b2_get_download_authorization'))
+        .map(([, data]) => data);
+
+    it('should sign a URL for one file', async () => {
+      const signed = await fileManager.getSignedDownloadUrl({
+        bucketName: 'private-bucket',
+        fileName: 'reports/june 2024.pdf',
+        expiresIn: 300
+      });
+
+      expect(signed).toEqual({
+        url: 'https://download.test.com/file/private-bucket/reports%2Fjune%202024.pdf?Authorization=download-token-1',
+        authorizationToken: 'download-token-1',
+        expiresAt: expect.any(Number)
+      });
+      expect(signed.expiresAt).toBeGreaterThan(Date.now() + 299 * 1000);
+      expect(authorizationRequests()).toEqual([
+        { bucketId: 'bucket-1', fileNamePrefix: 'reports/june 2024.pdf', validDurationInSeconds: 300 }
+      ]);
+    });
+
+    it('should add overrides as query parameters', async () => {
+      const { url } = await fileManager.getSignedDownloadUrl({
+        bucketId: 'bucket-1',
+        bucketName: 'private-bucket',
+        fileName: 'report.pdf',
+        overrides: { b2ContentDisposition: 'attachment; filename="r.pdf"', b2CacheControl: 'no-store' }
+      });
+
+      const params = new URL(url).searchParams;
+      expect(params.get('b2ContentDisposition')).toBe('attachment; filename="r.pdf"');
+      expect(params.get('b2CacheControl')).toBe('no-store');
+      expect(authorizationRequests()[0]).not.toHaveProperty('b2ContentDisposition');
+    });
+
+    it('should look up bucket IDs once', async () => {
+      await fileManager.getSignedDownloadUrl({ bucketName: 'private-bucket', fileName: 'a.txt' });
+      await fileManager.getSignedDownloadUrl({ bucketName: 'private-bucket', fileName: 'b.txt' });
+
+      const lookups = mockHttpClient.post.mock.calls.filter(([url]) => url.includes('b2_list_buckets'));
+      expect(lookups).toHaveLength(1);
+      expect(lookups[0][1]).toEqual({ accountId: 'test-account', bucketName: 'private-bucket' });
+
+      await expect(fileManager.getSignedDownloadUrl({ bucketName: 'other-bucket', fileName: 'a.txt' }))
+        .rejects.toMatchObject({ message: 'Bucket not found: other-bucket', code: B2_ERROR_CODES.INVALID_BUCKET_NAME });
+    });
+
+    it('should share one authorization between files under a cached prefix', async () => {
+      const sign = (fileName) => fileManager.getSignedDownloadUrl({
+        bucketId: 'bucket-1',
+        bucketName: 'private-bucket',
+        fileName,
+        expiresIn: 600,
+        cachePrefix: 'reports/'
+      });
+
+      const signed = await Promise.all([sign('reports/a.pdf'), sign('reports/b.pdf'), sign('reports/c.pdf')]);
+
+      expect(signed.map(({ authorizationToken }) => authorizationToken)).toEqual([
+        'download-token-1',
+        'download-token-1',
+        'download-token-1'
+      ]);
+      expect(authorizationRequests()).toEqual([
+        { bucketId: 'bucket-1', fileNamePrefix: 'reports/', validDurationInSeconds: 1200 }
+      ]);
+    });
+
+    it('should validate options before any request', async () => {
+      const options = { bucketName: 'private-bucket', fileName: 'reports/a.pdf' };
+
+      await expect(fileManager.getSignedDownloadUrl()).rejects.toThrow('options object is required');
+      await expect(fileManager.getSignedDownloadUrl({ fileName: 'a.pdf' }))
+        .rejects.toThrow('bucketName is required and must be a string');
+      await expect(fileManager.getSignedDownloadUrl({ ...options, expiresIn: 604801 }))
+        .rejects.toThrow('expiresIn must be an integer between 1 and 604800 (7 days)');
+      await expect(fileManager.getSignedDownloadUrl({ ...options, overrides: { contentType: 'text/plain' } }))
+        .rejects.toThrow('Invalid override: contentType');
+      await expect(fileManager.getSignedDownloadUrl({ ...options, overrides: { b2ContentType: 1 } }))
+        .rejects.toThrow('overrides.b2ContentType must be a string');
+      await expect(fileManager.getSignedDownloadUrl({ ...options, cachePrefix: 'invoices/' }))
+        .rejects.toThrow('fileName must start with cachePrefix: invoices/');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
   describe('startLargeFile', () => {
     const validOptions = {
       bucketId: 'test-bucket-id',
@@ -1705,6 +2479,7 @@ describe('FileManager', () => {
     it('should include optional parameters', async () => {
       const options = {
         ...validOptions,
+        namePrefix: 'videos/',
         startFileId: 'start-file-id',
         maxFileCount: 50
       };
@@ -1715,6 +2490,7 @@ describe('FileManager', () => {
         expect.any(String),
         {
           bucketId: 'test-bucket-id',
+          namePrefix: 'videos/',
           startFileId: 'start-file-id',
           maxFileCount: 50
         },
@@ -1746,6 +2522,9 @@ describe('FileManager', () => {
 
       await expect(fileManager.listUnfinishedLargeFiles({ ...validOptions, startFileId: 123 }))
         .rejects.toThrow('startFileId must be a string');
+
+      await expect(fileManager.listUnfinishedLargeFiles({ ...validOptions, namePrefix: 123 }))
+        .rejects.toThrow('namePrefix must be a string');
     });
 
     it('should handle invalid bucket ID error', async () => {
@@ -1762,4 +2541,1156 @@ describe('FileManager', () => {
       await expect(fileManager.listUnfinishedLargeFiles(validOptions)).rejects.toThrow('Not authenticated. Call authorize() first.');
     });
   });
-});
\ No newline at end of file
+
+  describe('uploadLargeFile', () => {
+    const data = Buffer.from('abcdefghijklmnopqrstuvwxy'); // 25 bytes
+    let uploadedParts;
+    let partUrlCount;
+
+    beforeEach(() => {
+      mockAuthManager.getAuthContext.mockReturnValue({
+        authorizationToken: 'test-token',
+        apiUrl: 'https://api.test.com',
+        downloadUrl: 'https://download.test.com',
+        accountId: 'test-account',
+        recommendedPartSize: 10,
+        absoluteMinimumPartSize: 5
+      });
+
+      fileManager = new FileManager(mockHttpClient, mockAuthManager, {
+        ...mockConfig,
+        retries: 2,
+        retryDelay: 1
+      });
+
+      uploadedParts = [];
+      partUrlCount = 0;
+
+      mockHttpClient.post.mockImplementation(async (url, body, options) => {
+        if (url.endsWith('b2_start_large_file')) {
+          return { data: { fileId: 'large-file-id' } };
+        }
+        if (url.endsWith('b2_get_upload_part_url')) {
+          partUrlCount++;
+          return {
+            data: {
+              uploadUrl: `https://upload.test.com/${partUrlCount}`,
+              authorizationToken: `part-token-${partUrlCount}`
+            }
+          };
+        }
+        if (url.startsWith('https://upload.test.com/')) {
+          uploadedParts.push({
+            url,
+            partNumber: Number(options.headers['X-Bz-Part-Number']),
+            data: Buffer.from(body).toString(),
+            sha1: options.headers['X-Bz-Content-Sha1']
+          });
+          return { data: {} };
+        }
+        if (url.endsWith('b2_finish_large_file')) {
+          return { data: { fileId: 'large-file-id', action: 'upload' } };
+        }
+        if (url.endsWith('b2_cancel_large_file')) {
+          return { data: { fileId: 'large-file-id' } };
+        }
+        throw new Error(`Unexpected request: ${url}`);
+      });
+    });
+
+    it('should split data using the recommended part size and finish the file', async () => {
+      const response = await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data
+      });
+
+      expect(response.data.fileId).toBe('large-file-id');
+      expect(uploadedParts.map((part) => part.data).sort()).toEqual([
+        'abcdefghij',
+        'klmnopqrst',
+        'uvwxy'
+      ]);
+
+      const finishCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_finish_large_file'));
+      const expectedSha1s = ['abcdefghij', 'klmnopqrst', 'uvwxy'].map((part) =>
+        createHash('sha1').update(part).digest('hex')
+      );
+      expect(finishCall[1]).toEqual({ fileId: 'large-file-id', partSha1Array: expectedSha1s });
+    });
+
+    it('should reuse upload URLs and respect the concurrency limit', async () => {
+      await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data,
+        partSize: 5,
+        concurrency: 1
+      });
+
+      expect(uploadedParts).toHaveLength(5);
+      expect(partUrlCount).toBe(1);
+      expect(uploadedParts.map((part) => part.partNumber)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should retry failed parts on a fresh upload URL', async () => {
+      const defaultImplementation = mockHttpClient.post.getMockImplementation();
+      let failed = false;
+      mockHttpClient.post.mockImplementation(async (url, body, options) => {
+        if (url === 'https://upload.test.com/1' && !failed) {
+          failed = true;
+          const error = new Error('Service unavailable');
+          error.status = 503;
+          throw error;
+        }
+        return defaultImplementation(url, body, options);
+      });
+
+      await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data,
+        concurrency: 1
+      });
+
+      expect(partUrlCount).toBe(2);
+      expect(uploadedParts.every((part) => part.url === 'https://upload.test.com/2')).toBe(true);
+      expect(uploadedParts.map((part) => part.partNumber)).toEqual([1, 2, 3]);
+    });
+
+    it('should cancel the large file when a part cannot be uploaded', async () => {
+      const defaultImplementation = mockHttpClient.post.getMockImplementation();
+      mockHttpClient.post.mockImplementation(async (url, body, options) => {
+        if (url.startsWith('https://upload.test.com/')) {
+          const error = new Error('Bad request');
+          error.status = 400;
+          throw error;
+        }
+        return defaultImplementation(url, body, options);
+      });
+
+      await expect(
+        fileManager.uploadLargeFile({ bucketId: 'test-bucket-id', fileName: 'large.bin', data })
+      ).rejects.toThrow('Bad request');
+
+      const cancelCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_cancel_large_file'));
+      expect(cancelCall[1]).toEqual({ fileId: 'large-file-id' });
+      expect(mockHttpClient.post.mock.calls.some(([url]) => url.endsWith('b2_finish_large_file'))).toBe(false);
+    });
+
+    it('should upload streams and report overall progress', async () => {
+      const onUploadProgress = vi.fn();
+      mockHttpClient.post.mockImplementation(
+        ((defaultImplementation) => async (url, body, options) => {
+          if (options.onUploadProgress) {
+            options.onUploadProgress({ loaded: body.length, total: body.length });
+          }
+          return defaultImplementation(url, body, options);
+        })(mockHttpClient.post.getMockImplementation())
+      );
+
+      await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data: Readable.from([data.subarray(0, 7), data.subarray(7)]),
+        contentLength: data.length,
+        onUploadProgress
+      });
+
+      expect(uploadedParts.map((part) => part.data).sort()).toEqual(['abcdefghij', 'klmnopqrst', 'uvwxy']);
+      expect(onUploadProgress).toHaveBeenCalledTimes(3);
+      expect(onUploadProgress.mock.calls.at(-1)[0]).toEqual(
+        expect.objectContaining({ loaded: 25, total: 25, progress: 1 })
+      );
+    });
+
+    it('should reject data that fits in a single part', async () => {
+      await expect(
+        fileManager.uploadLargeFile({ bucketId: 'test-bucket-id', fileName: 'small.bin', data: Buffer.from('abc') })
+      ).rejects.toThrow('Data is too small for a large file upload (3 bytes). Use uploadFile instead.');
+
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    it('should halve the part size when data fits in one recommended part', async () => {
+      await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data: data.subarray(0, 8)
+      });
+
+      expect(uploadedParts.map((part) => part.data).sort()).toEqual(['abcde', 'fgh']);
+    });
+
+    it('should validate options', async () => {
+      await expect(fileManager.uploadLargeFile()).rejects.toThrow('options object is required');
+      await expect(fileManager.uploadLargeFile({ fileName: 'a', data })).rejects.toThrow('bucketId is required and must be a string');
+      await expect(fileManager.uploadLargeFile({ bucketId: 'b', fileName: 'a', data, concurrency: 0 }))
+        .rejects.toThrow('concurrency must be a positive integer');
+      await expect(fileManager.uploadLargeFile({ bucketId: 'b', fileName: 'a', data, partSize: 2 }))
+        .rejects.toThrow('partSize must be an integer between 5 and');
+      await expect(fileManager.uploadLargeFile({ bucketId: 'b', fileName: 'a' }))
+        .rejects.toThrow('Either data or filePath is required');
+      await expect(fileManager.uploadLargeFile({ bucketId: 'b', fileName: 'a', data, fingerprint: '' }))
+        .rejects.toThrow('fingerprint must be a non-empty string');
+    });
+
+    describe('resume', () => {
+      const sha1 = (value) => createHash('sha1').update(value).digest('hex');
+      let unfinishedFiles;
+      let storedParts;
+
+      beforeEach(() => {
+        unfinishedFiles = [];
+        storedParts = {};
+
+        const defaultImplementation = mockHttpClient.post.getMockImplementation();
+        mockHttpClient.post.mockImplementation(async (url, body, options) => {
+          if (url.endsWith('b2_list_unfinished_large_files')) {
+            return { data: { files: unfinishedFiles, nextFileId: null } };
+          }
+          if (url.endsWith('b2_list_parts')) {
+            return { data: { parts: storedParts[body.fileId] || [], nextPartNumber: null } };
+          }
+          return defaultImplementation(url, body, options);
+        });
+      });
+
+      const unfinishedFile = (fileId, uploadTimestamp, fileInfo = {}) => ({
+        fileId,
+        fileName: 'large.bin',
+        uploadTimestamp,
+        fileInfo
+      });
+
+      const storedPart = (partNumber, value) => ({
+        partNumber,
+        contentLength: value.length,
+        contentSha1: sha1(value)
+      });
+
+      it('should only upload parts missing from a matching unfinished file', async () => {
+        unfinishedFiles = [unfinishedFile('old-file-id', 1), unfinishedFile('resumed-file-id', 2)];
+        storedParts['resumed-file-id'] = [storedPart(1, 'abcdefghij'), storedPart(3, 'uvwxy')];
+
+        const onUploadProgress = vi.fn();
+        await fileManager.uploadLargeFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'large.bin',
+          data,
+          resume: true,
+          onUploadProgress
+        });
+
+        const listCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_list_unfinished_large_files'));
+        expect(listCall[1]).toEqual(expect.objectContaining({ bucketId: 'test-bucket-id', namePrefix: 'large.bin' }));
+        expect(mockHttpClient.post.mock.calls.some(([url]) => url.endsWith('b2_start_large_file'))).toBe(false);
+        expect(uploadedParts.map((part) => part.data)).toEqual(['klmnopqrst']);
+
+        const finishCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_finish_large_file'));
+        expect(finishCall[1]).toEqual({
+          fileId: 'resumed-file-id',
+          partSha1Array: ['abcdefghij', 'klmnopqrst', 'uvwxy'].map(sha1)
+        });
+        // Parts that are already uploaded count as loaded
+        expect(onUploadProgress.mock.calls.at(-1)[0]).toEqual(expect.objectContaining({ loaded: 15, total: 25 }));
+      });
+
+      it('should reuse the part size of the unfinished file', async () => {
+        unfinishedFiles = [unfinishedFile('resumed-file-id', 1)];
+        storedParts['resumed-file-id'] = [storedPart(1, 'abcdefgh')];
+
+        await fileManager.uploadLargeFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'large.bin',
+          data,
+          resume: true
+        });
+
+        expect(uploadedParts.map((part) => part.data).sort()).toEqual(['ijklmnop', 'qrstuvwx', 'y']);
+      });
+
+      it('should start a new file with the fingerprint when no unfinished file matches', async () => {
+        unfinishedFiles = [
+          unfinishedFile('other-fingerprint-id', 1, { upload_fingerprint: 'other' }),
+          { ...unfinishedFile('other-name-id', 2), fileName: 'large.bin.bak' }
+        ];
+        storedParts['other-name-id'] = [storedPart(1, 'abcdefghij')];
+
+        await fileManager.uploadLargeFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'large.bin',
+          data,
+          resume: true,
+          fingerprint: 'local-fingerprint',
+          fileInfo: { author: 'test' }
+        });
+
+        const startCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_start_large_file'));
+        expect(startCall[1].fileInfo).toEqual({ author: 'test', upload_fingerprint: 'local-fingerprint' });
+        expect(uploadedParts).toHaveLength(3);
+      });
+
+      it('should skip unfinished files whose parts do not match the local data', async () => {
+        unfinishedFiles = [unfinishedFile('stale-file-id', 1)];
+        storedParts['stale-file-id'] = [storedPart(1, 'ABCDEFGHIJ')];
+
+        await fileManager.uploadLargeFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'large.bin',
+          data,
+          resume: true
+        });
+
+        const finishCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_finish_large_file'));
+        expect(finishCall[1].fileId).toBe('large-file-id');
+        expect(uploadedParts).toHaveLength(3);
+      });
+
+      it('should reject streams that do not match the uploaded parts', async () => {
+        unfinishedFiles = [unfinishedFile('resumed-file-id', 1, { upload_fingerprint: 'stream-fingerprint' })];
+        storedParts['resumed-file-id'] = [storedPart(1, 'ABCDEFGHIJ')];
+
+        await expect(
+          fileManager.uploadLargeFile({
+            bucketId: 'test-bucket-id',
+            fileName: 'large.bin',
+            data: Readable.from([data]),
+            contentLength: data.length,
+            resume: true,
+            fingerprint: 'stream-fingerprint',
+            concurrency: 1
+          })
+        ).rejects.toThrow('Part 1 of large file resumed-file-id does not match the local data');
+      });
+
+      it('should start a new file for streams without a fingerprint', async () => {
+        unfinishedFiles = [unfinishedFile('unrelated-file-id', 1)];
+        storedParts['unrelated-file-id'] = [storedPart(1, 'ABCDEFGHIJ')];
+
+        await fileManager.uploadLargeFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'large.bin',
+          data: Readable.from([data]),
+          contentLength: data.length,
+          resume: true
+        });
+
+        expect(mockHttpClient.post.mock.calls.some(([url]) => url.endsWith('b2_list_unfinished_large_files'))).toBe(
+          false
+        );
+        const finishCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_finish_large_file'));
+        expect(finishCall[1].fileId).toBe('large-file-id');
+        expect(uploadedParts.map((part) => part.data).sort()).toEqual(['abcdefghij', 'klmnopqrst', 'uvwxy']);
+      });
+
+      it('should keep the unfinished file when a resumable upload fails', async () => {
+        const defaultImplementation = mockHttpClient.post.getMockImplementation();
+        mockHttpClient.post.mockImplementation(async (url, body, options) => {
+          if (url.startsWith('https://upload.test.com/')) {
+            const error = new Error('Bad request');
+            error.status = 400;
+            throw error;
+          }
+          return defaultImplementation(url, body, options);
+        });
+
+        const error = await fileManager
+          .uploadLargeFile({ bucketId: 'test-bucket-id', fileName: 'large.bin', data, resume: true })
+          .catch((err) => err);
+
+        expect(error.message).toBe('Bad request');
+        expect(error.fileId).toBe('large-file-id');
+        expect(mockHttpClient.post.mock.calls.some(([url]) => url.endsWith('b2_cancel_large_file'))).toBe(false);
+      });
+    });
+  });
+
+  describe('copyFile', () => {
+    const validOptions = {
+      sourceFileId: 'source-file-id',
+      fileName: 'copies/test.txt'
+    };
+
+    beforeEach(() => {
+      mockHttpClient.post.mockResolvedValue({
+        status: 200,
+        data: { fileId: 'copied-file-id', fileName: 'copies/test.txt', action: 'copy' }
+      });
+    });
+
+    it('should copy file with source metadata by default', async () => {
+      const response = await fileManager.copyFile(validOptions);
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('b2_copy_file'),
+        {
+          sourceFileId: 'source-file-id',
+          fileName: 'copies/test.txt',
+          metadataDirective: 'COPY'
+        },
+        expect.objectContaining({
+          headers: { 'Authorization': 'test-token' },
+          timeout: 30000
+        })
+      );
+      expect(response.data.fileId).toBe('copied-file-id');
+    });
+
+    it('should include destination bucket, range and replaced metadata', async () => {
+      await fileManager.copyFile({
+        ...validOptions,
+        destinationBucketId: 'other-bucket-id',
+        range: 'bytes=0-99',
+        metadataDirective: 'REPLACE',
+        contentType: 'text/plain',
+        fileInfo: { author: 'test' }
+      });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.any(String),
+        {
+          sourceFileId: 'source-file-id',
+          fileName: 'copies/test.txt',
+          destinationBucketId: 'other-bucket-id',
+          range: 'bytes=0-99',
+          metadataDirective: 'REPLACE',
+          contentType: 'text/plain',
+          fileInfo: { author: 'test' }
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should validate options', async () => {
+      await expect(fileManager.copyFile()).rejects.toThrow('options object is required');
+      await expect(fileManager.copyFile({ fileName: 'a' })).rejects.toThrow('sourceFileId is required and must be a string');
+      await expect(fileManager.copyFile({ sourceFileId: ' ', fileName: 'a' })).rejects.toThrow('sourceFileId cannot be empty');
+      await expect(fileManager.copyFile({ ...validOptions, destinationBucketId: 123 }))
+        .rejects.toThrow('destinationBucketId must be a string');
+      await expect(fileManager.copyFile({ ...validOptions, range: '0-99' }))
+        .rejects.toThrow('range must be a string in the form "bytes=start-end"');
+      await expect(fileManager.copyFile({ ...validOptions, range: 'bytes=10-5' }))
+        .rejects.toThrow('range start cannot be greater than range end');
+      await expect(fileManager.copyFile({ ...validOptions, metadataDirective: 'MERGE' }))
+        .rejects.toThrow('metadataDirective must be one of: COPY, REPLACE');
+      await expect(fileManager.copyFile({ ...validOptions, metadataDirective: 'REPLACE' }))
+        .rejects.toThrow('contentType is required when metadataDirective is REPLACE');
+      await expect(fileManager.copyFile({ ...validOptions, contentType: 'text/plain' }))
+        .rejects.toThrow('contentType and fileInfo can only be set when metadataDirective is REPLACE');
+    });
+
+    it('should handle missing source file error', async () => {
+      const error = new Error('File not present');
+      error.status = 400;
+      error.code = B2_ERROR_CODES.FILE_NOT_PRESENT;
+      mockHttpClient.post.mockRejectedValue(error);
+
+      await expect(fileManager.copyFile(validOptions)).rejects.toThrow('Source file not found: source-file-id');
+    });
+
+    it('should throw when not authenticated', async () => {
+      mockAuthManager.isAuthenticated.mockReturnValue(false);
+      await expect(fileManager.copyFile(validOptions)).rejects.toThrow('Not authenticated. Call authorize() first.');
+    });
+  });
+
+  describe('copyPart', () => {
+    const validOptions = {
+      sourceFileId: 'source-file-id',
+      largeFileId: 'large-file-id',
+      partNumber: 1,
+      range: 'bytes=0-5242879'
+    };
+
+    it('should copy part successfully', async () => {
+      mockHttpClient.post.mockResolvedValue({
+        status: 200,
+        data: { fileId: 'large-file-id', partNumber: 1, contentLength: 5242880, contentSha1: 'part-sha1' }
+      });
+
+      const response = await fileManager.copyPart(validOptions);
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('b2_copy_part'),
+        validOptions,
+        expect.objectContaining({ headers: { 'Authorization': 'test-token' } })
+      );
+      expect(response.data.contentSha1).toBe('part-sha1');
+    });
+
+    it('should validate options', async () => {
+      await expect(fileManager.copyPart()).rejects.toThrow('options object is required');
+      await expect(fileManager.copyPart({ ...validOptions, largeFileId: undefined }))
+        .rejects.toThrow('largeFileId is required and must be a string');
+      await expect(fileManager.copyPart({ ...validOptions, partNumber: 0 }))
+        .rejects.toThrow('partNumber must be a number between 1 and 10000');
+      await expect(fileManager.copyPart({ ...validOptions, range: 'bytes=a-b' }))
+        .rejects.toThrow('range must be a string in the form "bytes=start-end"');
+    });
+  });
+
+  describe('copy', () => {
+    const GB = 1024 * 1024 * 1024;
+    let sourceInfo;
+    let copiedRanges;
+
+    beforeEach(() => {
+      fileManager = new FileManager(mockHttpClient, mockAuthManager, {
+        ...mockConfig,
+        retries: 2,
+        retryDelay: 1
+      });
+
+      sourceInfo = {
+        fileId: 'source-file-id',
+        bucketId: 'source-bucket-id',
+        contentLength: 1024,
+        contentType: 'video/mp4',
+        fileInfo: { author: 'test' }
+      };
+      copiedRanges = [];
+
+      mockHttpClient.post.mockImplementation(async (url, body) => {
+        if (url.endsWith('b2_get_file_info')) {
+          return { data: sourceInfo };
+        }
+        if (url.endsWith('b2_copy_file')) {
+          return { data: { fileId: 'copied-file-id', action: 'copy' } };
+        }
+        if (url.endsWith('b2_start_large_file')) {
+          return { data: { fileId: 'large-file-id' } };
+        }
+        if (url.endsWith('b2_copy_part')) {
+          copiedRanges.push(body.range);
+          return { data: { contentSha1: String(body.partNumber).repeat(40) } };
+        }
+        if (url.endsWith('b2_finish_large_file')) {
+          return { data: { fileId: 'large-file-id', action: 'upload' } };
+        }
+        if (url.endsWith('b2_cancel_large_file')) {
+          return { data: { fileId: 'large-file-id' } };
+        }
+        throw new Error(`Unexpected request: ${url}`);
+      });
+    });
+
+    it('should use copyFile for files up to 5GB', async () => {
+      const response = await fileManager.copy({
+        sourceFileId: 'source-file-id',
+        fileName: 'copy.mp4',
+        destinationBucketId: 'other-bucket-id'
+      });
+
+      expect(response.data.fileId).toBe('copied-file-id');
+      const copyCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_copy_file'));
+      expect(copyCall[1]).toEqual({
+        sourceFileId: 'source-file-id',
+        fileName: 'copy.mp4',
+        destinationBucketId: 'other-bucket-id',
+        metadataDirective: 'COPY'
+      });
+    });
+
+    it('should copy files above 5GB in parts with the source metadata', async () => {
+      sourceInfo.contentLength = 5 * GB + 100;
+
+      const response = await fileManager.copy({
+        sourceFileId: 'source-file-id',
+        fileName: 'copy.mp4',
+        partSize: 3 * GB
+      });
+
+      expect(response.data.fileId).toBe('large-file-id');
+      const startCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_start_large_file'));
+      expect(startCall[1]).toEqual({
+        bucketId: 'source-bucket-id',
+        fileName: 'copy.mp4',
+        contentType: 'video/mp4',
+        fileInfo: { author: 'test' }
+      });
+      expect(copiedRanges.sort()).toEqual([`bytes=0-${3 * GB - 1}`, `bytes=${3 * GB}-${5 * GB + 99}`]);
+
+      const finishCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_finish_large_file'));
+      expect(finishCall[1]).toEqual({ fileId: 'large-file-id', partSha1Array: ['1'.repeat(40), '2'.repeat(40)] });
+      expect(mockHttpClient.post.mock.calls.some(([url]) => url.endsWith('b2_copy_file'))).toBe(false);
+    });
+
+    it('should cancel the large file when a part cannot be copied', async () => {
+      sourceInfo.contentLength = 5 * GB + 100;
+      const defaultImplementation = mockHttpClient.post.getMockImplementation();
+      mockHttpClient.post.mockImplementation(async (url, body, options) => {
+        if (url.endsWith('b2_copy_part')) {
+          const error = new Error('Bad request');
+          error.status = 400;
+          throw error;
+        }
+        return defaultImplementation(url, body, options);
+      });
+
+      await expect(
+        fileManager.copy({ sourceFileId: 'source-file-id', fileName: 'copy.mp4', partSize: 3 * GB })
+      ).rejects.toThrow('Bad request');
+
+      const cancelCall = mockHttpClient.post.mock.calls.find(([url]) => url.endsWith('b2_cancel_large_file'));
+      expect(cancelCall[1]).toEqual({ fileId: 'large-file-id' });
+    });
+
+    it('should validate options before any request', async () => {
+      await expect(fileManager.copy({ fileName: 'copy.mp4' })).rejects.toThrow('fileId is required and must be a string');
+      await expect(fileManager.copy({ sourceFileId: 'source-file-id', fileName: 'copy.mp4', metadataDirective: 'REPLACE' }))
+        .rejects.toThrow('contentType is required when metadataDirective is REPLACE');
+      await expect(fileManager.copy({ sourceFileId: 'source-file-id', fileName: 'copy.mp4', concurrency: 0 }))
+        .rejects.toThrow('concurrency must be a positive integer');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadFile with bucketId', () => {
+    let uploadUrlCount;
+    let uploadResponses;
+    let uploads;
+
+    beforeEach(() => {
+      fileManager = new FileManager(mockHttpClient, mockAuthManager, {
+        ...mockConfig,
+        retries: 2,
+        retryDelay: 1
+      });
+
+      uploadUrlCount = 0;
+      uploadResponses = [];
+      uploads = [];
+
+      mockHttpClient.post.mockImplementation(async (url, body, options) => {
+        if (url.endsWith('b2_get_upload_url')) {
+          uploadUrlCount++;
+          return {
+            data: {
+              bucketId: body.bucketId,
+              uploadUrl: `https://upload.test.com/${uploadUrlCount}`,
+              authorizationToken: `upload-token-${uploadUrlCount}`
+            }
+          };
+        }
+        if (url.startsWith('https://upload.test.com/')) {
+          if (body instanceof ReadableStream) {
+            await new Response(body).text();
+          }
+          uploads.push({ url, authorization: options.headers.Authorization });
+          const next = uploadResponses.shift();
+          if (next instanceof Error) {
+            throw next;
+          }
+          return { status: 200, data: { fileId: `file-${uploads.length}`, fileName: 'test.txt' } };
+        }
+        throw new Error(`Unexpected request: ${url}`);
+      });
+    });
+
+    const httpError = (status, code) => Object.assign(new Error(`HTTP ${status}`), { status, code });
+
+    it('should fetch an upload URL for the bucket and reuse it for later uploads', async () => {
+      await fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'a.txt', data: 'a' });
+      const response = await fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'b.txt', data: 'b' });
+
+      const urlCalls = mockHttpClient.post.mock.calls.filter(([url]) => url.endsWith('b2_get_upload_url'));
+      expect(urlCalls).toHaveLength(1);
+      expect(urlCalls[0][1]).toEqual({ bucketId: 'test-bucket-id' });
+      expect(urlCalls[0][2]).toEqual(expect.objectContaining({ headers: { 'Authorization': 'test-token' } }));
+      expect(uploads).toEqual([
+        { url: 'https://upload.test.com/1', authorization: 'upload-token-1' },
+        { url: 'https://upload.test.com/1', authorization: 'upload-token-1' }
+      ]);
+      expect(response.data.fileId).toBe('file-2');
+    });
+
+    it('should give concurrent uploads their own upload URLs', async () => {
+      await Promise.all([
+        fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'a.txt', data: 'a' }),
+        fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'b.txt', data: 'b' })
+      ]);
+
+      expect(new Set(uploads.map(({ url }) => url)).size).toBe(2);
+      expect(fileManager.uploadUrlPool.getIdleCount('test-bucket-id')).toBe(2);
+    });
+
+    it('should retry on a fresh upload URL after 503 and 408', async () => {
+      uploadResponses.push(httpError(503, 'service_unavailable'), httpError(408, 'request_timeout'));
+
+      const response = await fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'a.txt', data: 'a' });
+
+      expect(uploads.map(({ url }) => url)).toEqual([
+        'https://upload.test.com/1',
+        'https://upload.test.com/2',
+        'https://upload.test.com/3'
+      ]);
+      expect(response.data.fileId).toBe('file-3');
+      expect(fileManager.uploadUrlPool.getIdleCount('test-bucket-id')).toBe(1);
+    });
+
+    it('should retry on a fresh upload URL when the upload token expired', async () => {
+      uploadResponses.push(httpError(401, 'expired_auth_token'));
+
+      await fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'a.txt', data: 'a' });
+
+      expect(uploads.map(({ authorization }) => authorization)).toEqual(['upload-token-1', 'upload-token-2']);
+    });
+
+    it('should keep the upload URL and not retry when the request is rejected', async () => {
+      uploadResponses.push(httpError(400, 'bad_request'));
+
+      await expect(
+        fileManager.uploadFile({ bucketId: 'test-bucket-id', fileName: 'a.txt', data: 'a' })
+      ).rejects.toThrow('HTTP 400');
+
+      expect(uploads).toHaveLength(1);
+      expect(fileManager.uploadUrlPool.getIdleCount('test-bucket-id')).toBe(1);
+    });
+
+    it('should not retry stream uploads', async () => {
+      uploadResponses.push(httpError(503, 'service_unavailable'));
+
+      await expect(
+        fileManager.uploadFile({
+          bucketId: 'test-bucket-id',
+          fileName: 'a.txt',
+          data: Readable.from([Buffer.from('stream')]),
+          contentLength: 6
+        })
+      ).rejects.toThrow('HTTP 503');
+
+      expect(uploads).toHaveLength(1);
+      expect(fileManager.uploadUrlPool.getIdleCount('test-bucket-id')).toBe(0);
+    });
+
+    it('should validate the bucket ID and file name before fetching an upload URL', async () => {
+      await expect(fileManager.uploadFile({ bucketId: ' ', fileName: 'a.txt', data: 'a' }))
+        .rejects.toThrow('bucketId cannot be empty');
+      await expect(fileManager.uploadFile({ bucketId: 123, fileName: 'a.txt', data: 'a' }))
+        .rejects.toThrow('bucketId is required and must be a string');
+      await expect(fileManager.uploadFile({ bucketId: 'test-bucket-id', data: 'a' }))
+        .rejects.toThrow();
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listDirectory', () => {
+    const fileNames = [
+      'docs/readme.md',
+      'photos/2023/a.jpg',
+      'photos/2024/b.jpg',
+      'photos/2024/raw/c.cr2',
+      'photos/cover.jpg',
+      'root.txt'
+    ];
+
+    // Simulates b2_list_file_names with prefix, delimiter and pagination
+    const listFileNames = ({ prefix = '', delimiter, startFileName, maxFileCount }) => {
+      const entries = [];
+      for (const fileName of fileNames) {
+        if (!fileName.startsWith(prefix)) {
+          continue;
+        }
+        const index = delimiter ? fileName.indexOf(delimiter, prefix.length) : -1;
+        const entry = index === -1
+          ? { fileName, action: 'upload', fileId: `${fileName}-id` }
+          : { fileName: fileName.slice(0, index + delimiter.length), action: 'folder', fileId: null };
+        if (!entries.some((existing) => existing.fileName === entry.fileName)) {
+          entries.push(entry);
+        }
+      }
+      const start = startFileName ? entries.findIndex((entry) => entry.fileName >= startFileName) : 0;
+      const page = entries.slice(start, start + maxFileCount);
+      return { files: page, nextFileName: entries[start + maxFileCount]?.fileName ?? null };
+    };
+
+    beforeEach(() => {
+      mockHttpClient.post.mockImplementation(async (url, body) => {
+        if (url.endsWith('b2_list_file_names')) {
+          return { status: 200, data: listFileNames(body) };
+        }
+        throw new Error(`Unexpected request: ${url}`);
+      });
+    });
+
+    const names = (entries) => entries.map((entry) => entry.fileName);
+
+    it('should split the bucket root into folders and files', async () => {
+      const directory = await fileManager.listDirectory('test-bucket-id');
+
+      expect(directory.path).toBe('');
+      expect(directory.folders).toEqual([
+        { name: 'docs', path: 'docs/' },
+        { name: 'photos', path: 'photos/' }
+      ]);
+      expect(names(directory.files)).toEqual(['root.txt']);
+      expect(mockHttpClient.post).toHaveBeenCalledWith(
+        expect.stringContaining('b2_list_file_names'),
+        { bucketId: 'test-bucket-id', prefix: '', delimiter: '/', maxFileCount: 1000 },
+        expect.any(Object)
+      );
+    });
+
+    it('should normalize the directory path', async () => {
+      const directory = await fileManager.listDirectory('test-bucket-id', '/photos');
+
+      expect(directory.path).toBe('photos/');
+      expect(directory.folders.map((folder) => folder.name)).toEqual(['2023', '2024']);
+      expect(names(directory.files)).toEqual(['photos/cover.jpg']);
+    });
+
+    it('should follow pagination', async () => {
+      const startFileNames = [];
+      mockHttpClient.post.mockImplementation(async (url, body) => {
+        startFileNames.push(body.startFileName);
+        return { status: 200, data: listFileNames({ ...body, maxFileCount: 1 }) };
+      });
+
+      const directory = await fileManager.listDirectory({ bucketId: 'test-bucket-id', path: 'photos/' });
+
+      expect(startFileNames).toEqual([undefined, 'photos/2024/', 'photos/cover.jpg']);
+      expect(directory.folders).toHaveLength(2);
+      expect(directory.files).toHaveLength(1);
+    });
+
+    it('should walk sub-folders recursively', async () => {
+      const directory = await fileManager.listDirectory('test-bucket-id', 'photos', { recursive: true });
+
+      const [year2023, year2024] = directory.folders;
+      expect(year2023).toEqual({
+        name: '2023',
+        path: 'photos/2023/',
+        folders: [],
+        files: [expect.objectContaining({ fileName: 'photos/2023/a.jpg' })]
+      });
+      expect(year2024.folders[0].name).toBe('raw');
+      expect(names(year2024.folders[0].files)).toEqual(['photos/2024/raw/c.cr2']);
+    });
+
+    it('should stop descending at maxDepth', async () => {
+      const directory = await fileManager.listDirectory({
+        bucketId: 'test-bucket-id',
+        recursive: true,
+        maxDepth: 1
+      });
+
+      const photos = directory.folders.find((folder) => folder.name === 'photos');
+      expect(names(photos.files)).toEqual(['photos/cover.jpg']);
+      expect(photos.folders).toEqual([
+        { name: '2023', path: 'photos/2023/' },
+        { name: '2024', path: 'photos/2024/' }
+      ]);
+    });
+
+    it('should validate options', async () => {
+      await expect(fileManager.listDirectory()).rejects.toThrow('Invalid arguments');
+      await expect(fileManager.listDirectory(' ')).rejects.toThrow('bucketId cannot be empty');
+      await expect(fileManager.listDirectory('test-bucket-id', 42)).rejects.toThrow('path must be a string');
+      await expect(fileManager.listDirectory('test-bucket-id', '', { delimiter: '' }))
+        .rejects.toThrow('delimiter must be a non-empty string');
+      await expect(fileManager.listDirectory('test-bucket-id', '', { recursive: true, maxDepth: -1 }))
+        .rejects.toThrow('maxDepth must be a non-negative integer');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('server-side encryption', () => {
+    const keyBytes = new Uint8Array(32).map((_, index) => index);
+    const customerKey = Buffer.from(keyBytes).toString('base64');
+    const customerKeyMd5 = createHash('md5').update(keyBytes).digest('base64');
+    const customerKeyHeaders = {
+      'X-Bz-Server-Side-Encryption-Customer-Algorithm': 'AES256',
+      'X-Bz-Server-Side-Encryption-Customer-Key': customerKey,
+      'X-Bz-Server-Side-Encryption-Customer-Key-Md5': customerKeyMd5
+    };
+
+    beforeEach(() => {
+      mockHttpClient.post.mockResolvedValue({ status: 200, data: { fileId: 'test-file-id' } });
+      mockHttpClient.get = vi.fn().mockResolvedValue({ status: 200, data: new ArrayBuffer(0) });
+    });
+
+    it('should encrypt uploads with B2-managed keys', async () => {
+      await fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'secret.txt',
+        data: 'secret',
+        encryption: { mode: 'SSE-B2' }
+      });
+
+      const { headers } = mockHttpClient.post.mock.calls[0][2];
+      expect(headers['X-Bz-Server-Side-Encryption']).toBe('AES256');
+      expect(headers).not.toHaveProperty('X-Bz-Server-Side-Encryption-Customer-Key');
+    });
+
+    it('should send customer keys given as bytes with their MD5 digest', async () => {
+      await fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'secret.txt',
+        data: 'secret',
+        encryption: { mode: 'SSE-C', customerKey: keyBytes }
+      });
+
+      const { headers } = mockHttpClient.post.mock.calls[0][2];
+      expect(headers).toMatchObject(customerKeyHeaders);
+      expect(headers).not.toHaveProperty('X-Bz-Server-Side-Encryption');
+    });
+
+    it('should keep a given customer key MD5', async () => {
+      await fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'secret.txt',
+        data: 'secret',
+        encryption: { mode: 'SSE-C', customerKey, customerKeyMd5: 'AAAAAAAAAAAAAAAAAAAAAA==' }
+      });
+
+      const { headers } = mockHttpClient.post.mock.calls[0][2];
+      expect(headers['X-Bz-Server-Side-Encryption-Customer-Key-Md5']).toBe('AAAAAAAAAAAAAAAAAAAAAA==');
+    });
+
+    it('should reject invalid encryption before uploading', async () => {
+      const upload = (encryption) => fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'secret.txt',
+        data: 'secret',
+        encryption
+      });
+
+      await expect(upload({ mode: 'SSE-KMS' })).rejects.toThrow('encryption.mode must be one of: SSE-B2, SSE-C');
+      await expect(upload({ mode: 'SSE-C', customerKey: 'too-short' }))
+        .rejects.toThrow('encryption.customerKey must be a 256-bit key as 32 bytes or a base64 string');
+      await expect(upload({ mode: 'SSE-B2', customerKey }))
+        .rejects.toThrow('encryption.customerKey and customerKeyMd5 are only allowed with SSE-C');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    it('should send customer keys when downloading by name and by ID', async () => {
+      const encryption = { mode: 'SSE-C', customerKey };
+
+      await fileManager.downloadFileByName({ bucketName: 'test-bucket', fileName: 'secret.txt', encryption });
+      await fileManager.downloadFileById({ fileId: 'test-file-id', encryption });
+
+      for (const [, options] of mockHttpClient.get.mock.calls) {
+        expect(options.headers).toEqual({ 'Authorization': 'test-token', ...customerKeyHeaders });
+      }
+    });
+
+    it('should not send encryption headers when downloading SSE-B2 files', async () => {
+      await fileManager.downloadFileById({ fileId: 'test-file-id', encryption: { mode: 'SSE-B2' } });
+
+      expect(mockHttpClient.get.mock.calls[0][1].headers).toEqual({ 'Authorization': 'test-token' });
+    });
+
+    it('should start large files with serverSideEncryption', async () => {
+      await fileManager.startLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        encryption: { mode: 'SSE-C', customerKey: keyBytes }
+      });
+
+      expect(mockHttpClient.post.mock.calls[0][1].serverSideEncryption).toEqual({
+        mode: 'SSE-C',
+        algorithm: 'AES256',
+        customerKey,
+        customerKeyMd5
+      });
+    });
+
+    it('should send customer keys with uploaded parts', async () => {
+      await fileManager.uploadPart({
+        uploadUrl: 'https://upload-part.test.com',
+        authorizationToken: 'part-upload-token',
+        partNumber: 1,
+        data: 'part data',
+        encryption: { mode: 'SSE-C', customerKey }
+      });
+
+      expect(mockHttpClient.post.mock.calls[0][2].headers).toMatchObject(customerKeyHeaders);
+    });
+
+    it('should encrypt every part of a large file upload', async () => {
+      mockAuthManager.getAuthContext.mockReturnValue({
+        authorizationToken: 'test-token',
+        apiUrl: 'https://api.test.com',
+        downloadUrl: 'https://download.test.com',
+        accountId: 'test-account',
+        recommendedPartSize: 10,
+        absoluteMinimumPartSize: 5
+      });
+      mockHttpClient.post.mockImplementation(async (url) => {
+        if (url.endsWith('b2_get_upload_part_url')) {
+          return { data: { uploadUrl: 'https://upload.test.com/part', authorizationToken: 'part-token' } };
+        }
+        return { data: { fileId: 'large-file-id' } };
+      });
+
+      await fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'large.bin',
+        data: Buffer.alloc(25),
+        encryption: { mode: 'SSE-C', customerKey: keyBytes }
+      });
+
+      const calls = mockHttpClient.post.mock.calls;
+      const start = calls.find(([url]) => url.endsWith('b2_start_large_file'));
+      const parts = calls.filter(([url]) => url === 'https://upload.test.com/part');
+      expect(start[1].serverSideEncryption.customerKeyMd5).toBe(customerKeyMd5);
+      expect(parts).toHaveLength(3);
+      for (const [, , options] of parts) {
+        expect(options.headers).toMatchObject(customerKeyHeaders);
+      }
+    });
+  });
+
+  describe('Object Lock', () => {
+    const retention = { mode: 'governance', retainUntilTimestamp: 1893456000000 };
+
+    beforeEach(() => {
+      mockHttpClient.post.mockResolvedValue({ status: 200, data: { fileId: 'test-file-id' } });
+    });
+
+    it('should upload files with retention and legal hold', async () => {
+      await fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'backup.tar',
+        data: 'backup',
+        retention,
+        legalHold: 'on'
+      });
+
+      expect(mockHttpClient.post.mock.calls[0][2].headers).toMatchObject({
+        'X-Bz-File-Retention-Mode': 'governance',
+        'X-Bz-File-Retention-Retain-Until-Timestamp': '1893456000000',
+        'X-Bz-File-Legal-Hold': 'on'
+      });
+    });
+
+    it('should start large files with retention and legal hold', async () => {
+      await fileManager.startLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'backup.tar',
+        retention,
+        legalHold: 'off'
+      });
+
+      expect(mockHttpClient.post.mock.calls[0][1]).toMatchObject({
+        fileRetention: retention,
+        legalHold: 'off'
+      });
+    });
+
+    it('should reject invalid retention and legal hold before uploading', async () => {
+      const upload = (options) => fileManager.uploadFile({
+        uploadUrl: 'https://upload.test.com',
+        uploadAuthToken: 'upload-token',
+        fileName: 'backup.tar',
+        data: 'backup',
+        ...options
+      });
+
+      await expect(upload({ retention: { mode: 'forever', retainUntilTimestamp: 1 } }))
+        .rejects.toThrow('retention.mode must be one of: governance, compliance');
+      await expect(upload({ retention: { mode: 'compliance' } }))
+        .rejects.toThrow('retention.retainUntilTimestamp must be a valid number');
+      await expect(upload({ legalHold: true })).rejects.toThrow('legalHold must be one of: on, off');
+      await expect(fileManager.uploadLargeFile({
+        bucketId: 'test-bucket-id',
+        fileName: 'backup.tar',
+        data: Buffer.alloc(25),
+        retention: { mode: null }
+      })).rejects.toThrow('retention.mode must be one of: governance, compliance');
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+    });
+
+    describe('updateFileRetention', () => {
+      it('should update the retention of a file version', async () => {
+        await fileManager.updateFileRetention({ fileName: 'backup.tar', fileId: 'test-file-id', retention });
+
+        expect(mockHttpClient.post).toHaveBeenCalledWith(
+          expect.stringContaining('/b2api/v2/b2_update_file_retention'),
+          { fileName: 'backup.tar', fileId: 'test-file-id', fileRetention: retention },
+          expect.objectContaining({ headers: { 'Authorization': 'test-token' } })
+        );
+      });
+
+      it('should remove governance retention with bypassGovernance', async () => {
+        await fileManager.updateFileRetention({
+          fileName: 'backup.tar',
+          fileId: 'test-file-id',
+          retention: { mode: null },
+          bypassGovernance: true
+        });
+
+        expect(mockHttpClient.post.mock.calls[0][1]).toEqual({
+          fileName: 'backup.tar',
+          fileId: 'test-file-id',
+          fileRetention: { mode: null, retainUntilTimestamp: null },
+          bypassGovernance: true
+        });
+      });
+
+      it('should validate options', async () => {
+        await expect(fileManager.updateFileRetention()).rejects.toThrow('options object is required');
+        await expect(fileManager.updateFileRetention({ fileName: 'backup.tar', retention }))
+          .rejects.toThrow('fileId is required and must be a string');
+        await expect(fileManager.updateFileRetention({ fileName: 'backup.tar', fileId: 'test-file-id' }))
+          .rejects.toThrow('retention must be an object');
+        await expect(fileManager.updateFileRetention({
+          fileName: 'backup.tar',
+          fileId: 'test-file-id',
+          retention: { mode: null, retainUntilTimestamp: 1 }
+        })).rejects.toThrow('retention.retainUntilTimestamp must be null when mode is null');
+        await expect(fileManager.updateFileRetention({
+          fileName: 'backup.tar',
+          fileId: 'test-file-id',
+          retention,
+          bypassGovernance: 'yes'
+        })).rejects.toThrow('bypassGovernance must be a boolean');
+        expect(mockHttpClient.post).not.toHaveBeenCalled();
+      });
+
+      it('should handle denied retention changes', async () => {
+        mockHttpClient.post.mockRejectedValue({ status: 401, code: 'access_denied', message: 'access denied' });
+
+        await expect(fileManager.updateFileRetention({ fileName: 'backup.tar', fileId: 'test-file-id', retention }))
+          .rejects.toMatchObject({
+            message: 'Not allowed to update retention of file: backup.tar',
+            code: B2_ERROR_CODES.ACCESS_DENIED,
+            status: 401
+          });
+      });
+    });
+
+    describe('updateFileLegalHold', () => {
+      it('should update the legal hold of a file version', async () => {
+        await fileManager.updateFileLegalHold({ fileName: 'backup.tar', fileId: 'test-file-id', legalHold: 'on' });
+
+        expect(mockHttpClient.post).toHaveBeenCalledWith(
+          expect.stringContaining('/b2api/v2/b2_update_file_legal_hold'),
+          { fileName: 'backup.tar', fileId: 'test-file-id', legalHold: 'on' },
+          expect.anything()
+        );
+      });
+
+      it('should validate the legal hold', async () => {
+        await expect(fileManager.updateFileLegalHold({ fileName: 'backup.tar', fileId: 'test-file-id', legalHold: 'ON' }))
+          .rejects.toThrow('legalHold must be one of: on, off');
+      });
+
+      it('should handle missing files', async () => {
+        mockHttpClient.post.mockRejectedValue({ status: 400, code: 'file_not_present', message: 'not found' });
+
+        await expect(fileManager.updateFileLegalHold({ fileName: 'backup.tar', fileId: 'test-file-id', legalHold: 'off' }))
+          .rejects.toMatchObject({
+            message: 'File not found: backup.tar (test-file-id)',
+            code: B2_ERROR_CODES.FILE_NOT_PRESENT
+          });
+      });
+    });
+  });
+});
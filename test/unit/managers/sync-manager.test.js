@@ -0,0 +1,669 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SyncManager } from '../../../src/managers/sync-manager.js';
+import { createHash } from 'crypto';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, statSync, existsSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const MOD_TIME = 1700000000000;
+
+describe('SyncManager', () => {
+  let syncManager;
+  let mockFileManager;
+  let bucketFiles;
+  let dir;
+
+  // Create a local file with a fixed modification time
+  const writeLocalFile = (relativePath, content, modTime = MOD_TIME) => {
+    const path = join(dir, ...relativePath.split('/'));
+    mkdirSync(join(path, '..'), { recursive: true });
+    writeFileSync(path, content);
+    utimesSync(path, modTime / 1000, modTime / 1000);
+  };
+
+  // A bucket file as returned by b2_list_file_names
+  const bucketFile = (fileName, content, fileInfo = { src_last_modified_millis: String(MOD_TIME) }) => ({
+    action: 'upload',
+    fileId: `${fileName}-id`,
+    fileName,
+    contentLength: Buffer.byteLength(content),
+    contentSha1: createHash('sha1').update(content).digest('hex'),
+    fileInfo,
+    uploadTimestamp: MOD_TIME + 60000
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b2-sync-'));
+    bucketFiles = [];
+
+    mockFileManager = {
+      retryHandler: {
+        executeWithRetry: vi.fn((fn) => fn())
+      },
+      resolveBucketId: vi.fn(async () => 'bucket123'),
+      listFileNames: vi.fn(async ({ prefix = '' }) => ({
+        data: {
+          files: bucketFiles.filter((file) => file.fileName.startsWith(prefix)),
+          nextFileName: null
+        }
+      })),
+      listFileVersions: vi.fn(),
+      uploadFile: vi.fn(async () => ({ data: {} })),
+      uploadLargeFile: vi.fn(async () => ({ data: {} })),
+      hideFile: vi.fn(async () => ({ data: {} })),
+      deleteFileVersion: vi.fn(async () => ({ data: {} })),
+      copy: vi.fn(async () => ({ data: {} })),
+      downloadToFile: vi.fn(async ({ fileId, filePath }) => {
+        writeFileSync(filePath, `content of ${fileId}`);
+        return { fileId, filePath };
+      })
+    };
+
+    syncManager = new SyncManager(mockFileManager);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('syncToBucket', () => {
+    it('should upload new and changed files and skip unchanged ones', async () => {
+      writeLocalFile('new.txt', 'new');
+      writeLocalFile('same.txt', 'same');
+      writeLocalFile('docs/resized.txt', 'longer content');
+      writeLocalFile('docs/edited.txt', 'edit', MOD_TIME + 1000);
+      bucketFiles = [
+        bucketFile('backup/docs/edited.txt', 'abcd'),
+        bucketFile('backup/docs/resized.txt', 'short'),
+        bucketFile('backup/same.txt', 'same')
+      ];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', prefix: 'backup' });
+
+      expect(mockFileManager.listFileNames).toHaveBeenCalledWith(
+        expect.objectContaining({ bucketId: 'bucket123', prefix: 'backup/' })
+      );
+      expect(summary).toMatchObject({
+        dryRun: false,
+        uploaded: 3,
+        skipped: 1,
+        hidden: 0,
+        deleted: 0,
+        failed: 0,
+        bytesUploaded: 3 + 4 + 14
+      });
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['upload', 'backup/new.txt', 'new'],
+          ['upload', 'backup/docs/edited.txt', 'modified'],
+          ['upload', 'backup/docs/resized.txt', 'size changed'],
+          ['skip', 'backup/same.txt', 'unchanged']
+        ])
+      );
+      expect(mockFileManager.uploadFile).toHaveBeenCalledWith({
+        bucketId: 'bucket123',
+        fileName: 'backup/docs/edited.txt',
+        filePath: join(dir, 'docs', 'edited.txt'),
+        contentType: 'b2/x-auto',
+        contentSha1: undefined,
+        info: { src_last_modified_millis: String(MOD_TIME + 1000) },
+        encryption: undefined
+      });
+    });
+
+    it('should skip files whose bucket version is newer', async () => {
+      writeLocalFile('a.txt', 'aaaa', MOD_TIME - 1000);
+      bucketFiles = [bucketFile('a.txt', 'bbbb')];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123' });
+
+      expect(summary.actions).toEqual([
+        { action: 'skip', fileName: 'a.txt', localPath: join(dir, 'a.txt'), size: 4, reason: 'remote is newer' }
+      ]);
+      expect(mockFileManager.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the upload time for files without src_last_modified_millis', async () => {
+      writeLocalFile('old.txt', 'old');
+      writeLocalFile('touched.txt', 'new', MOD_TIME + 120000);
+      bucketFiles = [bucketFile('old.txt', 'old', {}), bucketFile('touched.txt', 'new', {})];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123' });
+
+      expect(summary.uploaded).toBe(1);
+      expect(mockFileManager.uploadFile).toHaveBeenCalledWith(expect.objectContaining({ fileName: 'touched.txt' }));
+    });
+
+    it('should compare checksums with compareBy sha1', async () => {
+      writeLocalFile('same.txt', 'same', MOD_TIME + 5000);
+      writeLocalFile('changed.txt', 'abcd');
+      writeLocalFile('large.bin', 'large');
+      bucketFiles = [
+        bucketFile('changed.txt', 'wxyz'),
+        bucketFile('same.txt', 'same'),
+        {
+          ...bucketFile('large.bin', 'large'),
+          contentSha1: 'none',
+          fileInfo: { large_file_sha1: createHash('sha1').update('large').digest('hex') }
+        }
+      ];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', compareBy: 'sha1' });
+
+      expect(summary.uploaded).toBe(1);
+      expect(summary.skipped).toBe(2);
+      expect(mockFileManager.uploadFile).toHaveBeenCalledWith(expect.objectContaining({
+        fileName: 'changed.txt',
+        contentSha1: createHash('sha1').update('abcd').digest('hex')
+      }));
+      expect(summary.actions.find((action) => action.fileName === 'changed.txt').reason).toBe('checksum changed');
+    });
+
+    it('should compare large files without large_file_sha1 by modification time with compareBy sha1', async () => {
+      writeLocalFile('same.bin', 'large');
+      writeLocalFile('edited.bin', 'large', MOD_TIME + 1000);
+      // Uploaded by another tool, B2 knows no SHA1 of the whole file
+      bucketFiles = [
+        { ...bucketFile('edited.bin', 'large'), contentSha1: 'none' },
+        { ...bucketFile('same.bin', 'large'), contentSha1: 'none' }
+      ];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', compareBy: 'sha1' });
+
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['upload', 'edited.bin', 'modified'],
+          ['skip', 'same.bin', 'unchanged']
+        ])
+      );
+      expect(mockFileManager.uploadFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should upload files from largeFileThreshold as large files with large_file_sha1', async () => {
+      const content = Buffer.alloc(6 * 1024 * 1024, 1);
+      writeLocalFile('video.mp4', content);
+
+      await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', largeFileThreshold: 6 * 1024 * 1024 });
+
+      expect(mockFileManager.uploadFile).not.toHaveBeenCalled();
+      expect(mockFileManager.uploadLargeFile).toHaveBeenCalledWith({
+        bucketId: 'bucket123',
+        fileName: 'video.mp4',
+        filePath: join(dir, 'video.mp4'),
+        contentType: 'b2/x-auto',
+        fileInfo: {
+          src_last_modified_millis: String(MOD_TIME),
+          large_file_sha1: createHash('sha1').update(content).digest('hex')
+        },
+        encryption: undefined
+      });
+    });
+
+    it('should apply include and exclude globs on both sides', async () => {
+      writeLocalFile('photos/a.jpg', 'a');
+      writeLocalFile('photos/b.png', 'b');
+      writeLocalFile('photos/cache/c.jpg', 'c');
+      bucketFiles = [bucketFile('photos/cache/old.jpg', 'old'), bucketFile('photos/gone.jpg', 'gone')];
+
+      const summary = await syncManager.syncToBucket({
+        localPath: dir,
+        bucketId: 'bucket123',
+        include: '*.jpg',
+        exclude: 'cache',
+        deleteMode: 'hide'
+      });
+
+      expect(summary.actions.map(({ action, fileName }) => [action, fileName])).toEqual([
+        ['upload', 'photos/a.jpg'],
+        ['hide', 'photos/gone.jpg']
+      ]);
+      expect(mockFileManager.hideFile).toHaveBeenCalledTimes(1);
+      expect(mockFileManager.hideFile).toHaveBeenCalledWith({ bucketId: 'bucket123', fileName: 'photos/gone.jpg' });
+    });
+
+    it('should keep bucket files missing locally without deleteMode', async () => {
+      bucketFiles = [bucketFile('gone.txt', 'gone')];
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123' });
+
+      expect(summary.actions).toEqual([]);
+      expect(mockFileManager.hideFile).not.toHaveBeenCalled();
+    });
+
+    it('should delete every version of bucket files missing locally', async () => {
+      bucketFiles = [bucketFile('gone.txt', 'gone')];
+      mockFileManager.listFileVersions.mockResolvedValue({
+        data: {
+          files: [
+            { action: 'upload', fileName: 'gone.txt', fileId: 'v2' },
+            { action: 'upload', fileName: 'gone.txt', fileId: 'v1' },
+            { action: 'upload', fileName: 'gone.txt.bak', fileId: 'v3' }
+          ],
+          nextFileName: null,
+          nextFileId: null
+        }
+      });
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', deleteMode: 'delete' });
+
+      expect(mockFileManager.listFileVersions).toHaveBeenCalledWith(
+        expect.objectContaining({ bucketId: 'bucket123', prefix: 'gone.txt', startFileName: 'gone.txt' })
+      );
+      expect(mockFileManager.deleteFileVersion.mock.calls.map(([options]) => options)).toEqual([
+        { fileId: 'v2', fileName: 'gone.txt' },
+        { fileId: 'v1', fileName: 'gone.txt' }
+      ]);
+      expect(summary.deleted).toBe(1);
+    });
+
+    it('should only report actions in a dry run', async () => {
+      writeLocalFile('new.txt', 'new');
+      bucketFiles = [bucketFile('gone.txt', 'gone')];
+      const onAction = vi.fn();
+
+      const summary = await syncManager.syncToBucket({
+        localPath: dir,
+        bucketId: 'bucket123',
+        deleteMode: 'delete',
+        dryRun: true,
+        onAction
+      });
+
+      expect(summary).toMatchObject({ dryRun: true, uploaded: 1, deleted: 1, bytesUploaded: 3 });
+      expect(onAction).toHaveBeenCalledTimes(2);
+      expect(onAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'upload', fileName: 'new.txt' }));
+      expect(mockFileManager.uploadFile).not.toHaveBeenCalled();
+      expect(mockFileManager.listFileVersions).not.toHaveBeenCalled();
+      expect(mockFileManager.deleteFileVersion).not.toHaveBeenCalled();
+    });
+
+    it('should report failed files and continue with the others', async () => {
+      writeLocalFile('a.txt', 'a');
+      writeLocalFile('b.txt', 'b');
+      const error = new Error('Upload failed');
+      mockFileManager.uploadFile.mockImplementation(async ({ fileName }) => {
+        if (fileName === 'a.txt') {
+          throw error;
+        }
+        return { data: {} };
+      });
+
+      const summary = await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123', concurrency: 1 });
+
+      expect(summary.uploaded).toBe(1);
+      expect(summary.failed).toBe(1);
+      expect(summary.errors).toEqual([{ fileName: 'a.txt', error }]);
+    });
+
+    it('should resolve the bucket ID from bucketName', async () => {
+      await syncManager.syncToBucket({ localPath: dir, bucketName: 'backups' });
+
+      expect(mockFileManager.resolveBucketId).toHaveBeenCalledWith('backups');
+      expect(mockFileManager.listFileNames).toHaveBeenCalledWith(expect.objectContaining({ bucketId: 'bucket123' }));
+    });
+
+    it('should retry listing pages with the file manager retry handler', async () => {
+      await syncManager.syncToBucket({ localPath: dir, bucketId: 'bucket123' });
+
+      expect(mockFileManager.retryHandler.executeWithRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate options', async () => {
+      await expect(syncManager.syncToBucket()).rejects.toThrow('options object is required');
+      await expect(syncManager.syncToBucket({ bucketId: 'bucket123' })).rejects.toThrow(
+        'localPath is required and must be a string'
+      );
+      await expect(syncManager.syncToBucket({ localPath: dir })).rejects.toThrow('bucketId or bucketName is required');
+      await expect(syncManager.syncToBucket({ localPath: dir, bucketId: 'b', compareBy: 'size' })).rejects.toThrow(
+        'Invalid compareBy: size. Must be one of: modTime, sha1'
+      );
+      await expect(syncManager.syncToBucket({ localPath: dir, bucketId: 'b', deleteMode: 'remove' })).rejects.toThrow(
+        'Invalid deleteMode: remove. Must be one of: hide, delete'
+      );
+      await expect(syncManager.syncToBucket({ localPath: dir, bucketId: 'b', concurrency: 0 })).rejects.toThrow(
+        'concurrency must be a positive integer'
+      );
+      await expect(syncManager.syncToBucket({ localPath: dir, bucketId: 'b', largeFileThreshold: 1024 })).rejects.toThrow(
+        'largeFileThreshold must be at least 5242881'
+      );
+      await expect(syncManager.syncToBucket({ localPath: dir, bucketId: 'b', onAction: 'log' })).rejects.toThrow(
+        'onAction must be a function'
+      );
+    });
+
+    it('should reject local paths that are not directories', async () => {
+      writeLocalFile('file.txt', 'x');
+
+      await expect(
+        syncManager.syncToBucket({ localPath: join(dir, 'file.txt'), bucketId: 'bucket123' })
+      ).rejects.toThrow(`localPath is not a directory: ${join(dir, 'file.txt')}`);
+      expect(mockFileManager.listFileNames).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncToLocal', () => {
+    // A bucket file holding the content the download mock writes for it
+    const downloadable = (fileName, fileInfo) =>
+      bucketFile(fileName, `content of ${fileName}-id`, fileInfo);
+
+    it('should download missing and changed files into new directories', async () => {
+      writeLocalFile('same.txt', 'content of backup/same.txt-id');
+      writeLocalFile('changed.txt', 'content of backup/changed.txt-xx');
+      bucketFiles = [
+        downloadable('backup/changed.txt'),
+        downloadable('backup/docs/new.txt', { src_last_modified_millis: String(MOD_TIME - 5000) }),
+        downloadable('backup/same.txt')
+      ];
+
+      const summary = await syncManager.syncToLocal({ localPath: dir, bucketId: 'bucket123', prefix: 'backup' });
+
+      expect(summary).toMatchObject({ dryRun: false, downloaded: 2, skipped: 1, deleted: 0, failed: 0 });
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['download', 'backup/changed.txt', 'checksum changed'],
+          ['download', 'backup/docs/new.txt', 'new'],
+          ['skip', 'backup/same.txt', 'unchanged']
+        ])
+      );
+      expect(mockFileManager.downloadToFile).toHaveBeenCalledWith({
+        fileId: 'backup/docs/new.txt-id',
+        filePath: join(dir, 'docs', 'new.txt'),
+        encryption: undefined,
+        verifyChecksum: true
+      });
+      expect(readFileSync(join(dir, 'docs', 'new.txt'), 'utf8')).toBe('content of backup/docs/new.txt-id');
+      expect(statSync(join(dir, 'docs', 'new.txt')).mtimeMs).toBe(MOD_TIME - 5000);
+    });
+
+    it('should create a missing local directory', async () => {
+      const localPath = join(dir, 'restore');
+      bucketFiles = [downloadable('a.txt')];
+
+      const summary = await syncManager.syncToLocal({ localPath, bucketId: 'bucket123' });
+
+      expect(summary.downloaded).toBe(1);
+      expect(existsSync(join(localPath, 'a.txt'))).toBe(true);
+    });
+
+    it('should not download large files without large_file_sha1 again when unchanged', async () => {
+      writeLocalFile('same.bin', 'content of same.bin-id');
+      writeLocalFile('outdated.bin', 'content of outdated.bin-xx', MOD_TIME - 1000);
+      bucketFiles = [
+        { ...downloadable('outdated.bin'), contentSha1: 'none' },
+        { ...downloadable('same.bin'), contentSha1: 'none' }
+      ];
+
+      const summary = await syncManager.syncToLocal({ localPath: dir, bucketId: 'bucket123' });
+
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['download', 'outdated.bin', 'modified'],
+          ['skip', 'same.bin', 'unchanged']
+        ])
+      );
+      expect(mockFileManager.downloadToFile).toHaveBeenCalledWith(
+        expect.objectContaining({ fileId: 'outdated.bin-id', verifyChecksum: false })
+      );
+      expect(mockFileManager.downloadToFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should compare modification times with compareBy modTime', async () => {
+      writeLocalFile('older.txt', 'xxxx', MOD_TIME - 1000);
+      writeLocalFile('newer.txt', 'xxxx', MOD_TIME + 1000);
+      bucketFiles = [bucketFile('newer.txt', 'yyyy'), bucketFile('older.txt', 'yyyy')];
+
+      const summary = await syncManager.syncToLocal({ localPath: dir, bucketId: 'bucket123', compareBy: 'modTime' });
+
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['skip', 'newer.txt', 'local is newer'],
+          ['download', 'older.txt', 'modified']
+        ])
+      );
+    });
+
+    it('should restore the versions that were current at asOf', async () => {
+      const version = (fileName, fileId, action, uploadTimestamp) => ({
+        action,
+        fileName,
+        fileId,
+        contentLength: 10,
+        contentSha1: 'none',
+        fileInfo: {},
+        uploadTimestamp
+      });
+      mockFileManager.listFileVersions.mockResolvedValue({
+        data: {
+          files: [
+            version('a.txt', 'a3', 'upload', 3000),
+            version('a.txt', 'a2', 'upload', 2000),
+            version('a.txt', 'a1', 'upload', 1000),
+            version('b.txt', 'b2', 'hide', 1500),
+            version('b.txt', 'b1', 'upload', 500),
+            version('c.txt', 'c2', 'hide', 2500),
+            version('c.txt', 'c1', 'upload', 500),
+            version('d.txt', 'd1', 'upload', 2100),
+            version('e.txt', 'e2', 'start', 1000),
+            version('e.txt', 'e1', 'upload', 900)
+          ],
+          nextFileName: null,
+          nextFileId: null
+        }
+      });
+
+      const summary = await syncManager.syncToLocal({ localPath: dir, bucketId: 'bucket123', asOf: new Date(2000) });
+
+      expect(mockFileManager.listFileNames).not.toHaveBeenCalled();
+      expect(mockFileManager.downloadToFile.mock.calls.map(([options]) => [options.fileId, options.verifyChecksum])).toEqual(
+        expect.arrayContaining([
+          ['a2', false],
+          ['c1', false],
+          ['e1', false]
+        ])
+      );
+      expect(summary.downloaded).toBe(3);
+      expect(statSync(join(dir, 'a.txt')).mtimeMs).toBe(2000);
+    });
+
+    it('should delete local files missing from the bucket with deleteMode delete', async () => {
+      writeLocalFile('keep/a.txt', 'content of a.txt-id');
+      writeLocalFile('gone.txt', 'gone');
+      writeLocalFile('cache/tmp.txt', 'tmp');
+      bucketFiles = [downloadable('keep/a.txt')];
+
+      const summary = await syncManager.syncToLocal({
+        localPath: dir,
+        bucketId: 'bucket123',
+        exclude: 'cache',
+        deleteMode: 'delete'
+      });
+
+      expect(summary.deleted).toBe(1);
+      expect(summary.actions).toContainEqual({
+        action: 'delete',
+        fileName: 'gone.txt',
+        localPath: join(dir, 'gone.txt'),
+        size: 4,
+        reason: 'missing in bucket'
+      });
+      expect(existsSync(join(dir, 'gone.txt'))).toBe(false);
+      expect(existsSync(join(dir, 'cache', 'tmp.txt'))).toBe(true);
+    });
+
+    it('should only report actions in a dry run', async () => {
+      writeLocalFile('gone.txt', 'gone');
+      bucketFiles = [downloadable('a.txt')];
+
+      const summary = await syncManager.syncToLocal({
+        localPath: dir,
+        bucketId: 'bucket123',
+        deleteMode: 'delete',
+        dryRun: true
+      });
+
+      expect(summary).toMatchObject({ dryRun: true, downloaded: 1, deleted: 1 });
+      expect(mockFileManager.downloadToFile).not.toHaveBeenCalled();
+      expect(existsSync(join(dir, 'gone.txt'))).toBe(true);
+    });
+
+    it('should refuse file names that point outside of localPath', async () => {
+      bucketFiles = [downloadable('../escape.txt'), downloadable('ok.txt')];
+
+      const summary = await syncManager.syncToLocal({ localPath: join(dir, 'restore'), bucketId: 'bucket123' });
+
+      expect(summary.downloaded).toBe(1);
+      expect(summary.failed).toBe(1);
+      expect(summary.errors[0].fileName).toBe('../escape.txt');
+      expect(summary.errors[0].error.message).toBe('File name maps to a path outside of localPath: ../escape.txt');
+      expect(existsSync(join(dir, 'escape.txt'))).toBe(false);
+    });
+
+    it('should validate options', async () => {
+      await expect(syncManager.syncToLocal({ localPath: dir, bucketId: 'b', deleteMode: 'hide' })).rejects.toThrow(
+        'Invalid deleteMode: hide. Must be one of: delete'
+      );
+      await expect(syncManager.syncToLocal({ localPath: dir, bucketId: 'b', asOf: 'yesterday' })).rejects.toThrow(
+        'asOf must be a Date or a timestamp in milliseconds'
+      );
+      await expect(syncManager.syncToLocal({ localPath: dir, bucketId: 'b', asOf: new Date('invalid') })).rejects.toThrow(
+        'asOf must be a Date or a timestamp in milliseconds'
+      );
+    });
+  });
+
+  describe('syncBuckets', () => {
+    let filesByBucket;
+
+    beforeEach(() => {
+      filesByBucket = { source: [], destination: [] };
+      mockFileManager.listFileNames.mockImplementation(async ({ bucketId, prefix = '' }) => ({
+        data: {
+          files: filesByBucket[bucketId].filter((file) => file.fileName.startsWith(prefix)),
+          nextFileName: null
+        }
+      }));
+    });
+
+    it('should copy new and changed files server-side and skip unchanged ones', async () => {
+      filesByBucket.source = [
+        bucketFile('tenants/acme/changed.txt', 'abcd'),
+        bucketFile('tenants/acme/new.txt', 'new'),
+        bucketFile('tenants/acme/same.txt', 'same'),
+        bucketFile('tenants/other/skip.txt', 'other')
+      ];
+      filesByBucket.destination = [bucketFile('acme/changed.txt', 'wxyz'), bucketFile('acme/same.txt', 'same')];
+
+      const summary = await syncManager.syncBuckets({
+        sourceBucketId: 'source',
+        sourcePrefix: 'tenants/acme',
+        destinationBucketId: 'destination',
+        destinationPrefix: 'acme'
+      });
+
+      expect(summary).toMatchObject({ dryRun: false, copied: 2, skipped: 1, hidden: 0, deleted: 0, failed: 0, bytesCopied: 7 });
+      expect(summary.actions).toContainEqual({
+        action: 'copy',
+        fileName: 'acme/changed.txt',
+        sourceFileName: 'tenants/acme/changed.txt',
+        size: 4,
+        reason: 'checksum changed'
+      });
+      expect(mockFileManager.copy).toHaveBeenCalledTimes(2);
+      expect(mockFileManager.copy).toHaveBeenCalledWith({
+        sourceFileId: 'tenants/acme/new.txt-id',
+        fileName: 'acme/new.txt',
+        destinationBucketId: 'destination'
+      });
+    });
+
+    it('should compare modification times of files without a SHA1', async () => {
+      const largeFile = (fileName, modTime) => ({
+        ...bucketFile(fileName, 'large', { src_last_modified_millis: String(modTime) }),
+        contentSha1: 'none'
+      });
+      filesByBucket.source = [largeFile('a.bin', MOD_TIME + 1000), largeFile('b.bin', MOD_TIME)];
+      filesByBucket.destination = [largeFile('a.bin', MOD_TIME), largeFile('b.bin', MOD_TIME)];
+
+      const summary = await syncManager.syncBuckets({ sourceBucketId: 'source', destinationBucketId: 'destination' });
+
+      expect(summary.actions.map(({ action, fileName, reason }) => [action, fileName, reason])).toEqual(
+        expect.arrayContaining([
+          ['copy', 'a.bin', 'modified'],
+          ['skip', 'b.bin', 'unchanged']
+        ])
+      );
+    });
+
+    it('should hide destination files missing from the source', async () => {
+      filesByBucket.destination = [bucketFile('gone.txt', 'gone'), bucketFile('cache/tmp.txt', 'tmp')];
+
+      const summary = await syncManager.syncBuckets({
+        sourceBucketId: 'source',
+        destinationBucketId: 'destination',
+        exclude: 'cache',
+        deleteMode: 'hide'
+      });
+
+      expect(summary.actions).toEqual([
+        { action: 'hide', fileName: 'gone.txt', size: 4, reason: 'missing in source' }
+      ]);
+      expect(mockFileManager.hideFile).toHaveBeenCalledWith({ bucketId: 'destination', fileName: 'gone.txt' });
+    });
+
+    it('should only plan the actions in a dry run', async () => {
+      filesByBucket.source = [bucketFile('new.txt', 'new')];
+      filesByBucket.destination = [bucketFile('gone.txt', 'gone')];
+
+      const summary = await syncManager.syncBuckets({
+        sourceBucketId: 'source',
+        destinationBucketId: 'destination',
+        deleteMode: 'delete',
+        dryRun: true
+      });
+
+      expect(summary).toMatchObject({ dryRun: true, copied: 1, deleted: 1 });
+      expect(mockFileManager.copy).not.toHaveBeenCalled();
+      expect(mockFileManager.listFileVersions).not.toHaveBeenCalled();
+    });
+
+    it('should resolve bucket names', async () => {
+      mockFileManager.resolveBucketId.mockImplementation(async (bucketName) => bucketName.replace('-bucket', ''));
+
+      await syncManager.syncBuckets({ sourceBucketName: 'source-bucket', destinationBucketName: 'destination-bucket' });
+
+      expect(mockFileManager.resolveBucketId).toHaveBeenCalledWith('source-bucket');
+      expect(mockFileManager.resolveBucketId).toHaveBeenCalledWith('destination-bucket');
+      expect(mockFileManager.listFileNames).toHaveBeenCalledWith(expect.objectContaining({ bucketId: 'destination' }));
+    });
+
+    it('should reject overlapping folders of the same bucket', async () => {
+      await expect(
+        syncManager.syncBuckets({ sourceBucketId: 'source', destinationBucketId: 'source', destinationPrefix: 'copy' })
+      ).rejects.toThrow('Source and destination folders must not overlap');
+      await expect(
+        syncManager.syncBuckets({
+          sourceBucketId: 'source',
+          sourcePrefix: 'photos',
+          destinationBucketId: 'source',
+          destinationPrefix: 'photos-copy'
+        })
+      ).resolves.toMatchObject({ copied: 0 });
+    });
+
+    it('should validate options', async () => {
+      await expect(syncManager.syncBuckets()).rejects.toThrow('options object is required');
+      await expect(syncManager.syncBuckets({ destinationBucketId: 'destination' })).rejects.toThrow(
+        'sourceBucketId or sourceBucketName is required'
+      );
+      await expect(syncManager.syncBuckets({ sourceBucketId: 'source' })).rejects.toThrow(
+        'destinationBucketId or destinationBucketName is required'
+      );
+      await expect(
+        syncManager.syncBuckets({ sourceBucketId: 'source', destinationBucketId: 'destination', sourcePrefix: 1 })
+      ).rejects.toThrow('sourcePrefix must be a string');
+      await expect(
+        syncManager.syncBuckets({ sourceBucketId: 'source', destinationBucketId: 'destination', compareBy: 'size' })
+      ).rejects.toThrow('Invalid compareBy: size. Must be one of: modTime, sha1');
+    });
+  });
+});
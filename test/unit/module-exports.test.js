@@ -4,6 +4,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
 
 describe('Module Exports', () => {
   describe('ES Module Imports', () => {
@@ -103,6 +104,16 @@ describe('Module Exports', () => {
       expect(Sha1Hasher).toBeDefined();
       expect(typeof Sha1Hasher).toBe('function'); // Sha1Hasher is a class
     });
+
+    it('should export the webhook verifier from its own entry point', async () => {
+      const packageJson = JSON.parse(readFileSync('package.json', 'utf8'));
+      const entry = packageJson.exports['./event-notifications'];
+      const { EventNotifications } = await import(`../../${entry.import}`);
+
+      expect(typeof EventNotifications.verifyAndParse).toBe('function');
+      expect(entry.types).toBe('./src/types/event-notifications.d.ts');
+      expect(await import('../../src/index.js')).not.toHaveProperty('EventNotifications');
+    });
   });
 
   describe('Module Structure', () => {
@@ -119,10 +130,12 @@ describe('Module Exports', () => {
         'EndpointBuilder',
         'ErrorHandler',
         'FileManager',
+        'FileTokenStore',
         'HeaderUtils',
         'HttpClient',
         'KEY_CAPABILITIES',
         'KeyManager',
+        'MemoryTokenStore',
         'ProgressHandler',
         'RetryHandler',
         'Sha1Hasher',
@@ -140,7 +153,7 @@ describe('Module Exports', () => {
       const exportNames = Object.keys(moduleExports);
       
       // Should only have the expected exports (no extra ones)
-      const expectedCount = 18; // Total number of expected exports (18 actual)
+      const expectedCount = 20; // Total number of expected exports (20 actual)
       expect(exportNames.length).toBe(expectedCount);
     });
   });
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { mapConcurrent } from '../../../src/utils/concurrency.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('mapConcurrent', () => {
+  it('should return results in item order', async () => {
+    const results = await mapConcurrent([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let maxActive = 0;
+
+    await mapConcurrent([1, 2, 3, 4, 5, 6], 2, async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      active--;
+    });
+
+    expect(maxActive).toBe(2);
+  });
+
+  it('should consume async iterables lazily', async () => {
+    const pulled = [];
+    async function* items() {
+      for (let i = 0; i < 4; i++) {
+        pulled.push(i);
+        yield i;
+      }
+    }
+
+    const results = await mapConcurrent(items(), 2, async (item) => item * 2);
+
+    expect(results).toEqual([0, 2, 4, 6]);
+    expect(pulled).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should stop pulling items after the first failure', async () => {
+    const processed = [];
+
+    await expect(
+      mapConcurrent([1, 2, 3, 4, 5], 1, async (item) => {
+        if (item === 2) {
+          throw new Error('worker failed');
+        }
+        processed.push(item);
+      })
+    ).rejects.toThrow('worker failed');
+
+    expect(processed).toEqual([1]);
+  });
+
+  it('should reject invalid concurrency', async () => {
+    await expect(mapConcurrent([], 0, async () => {})).rejects.toThrow('concurrency must be a positive integer');
+  });
+});
@@ -2,6 +2,8 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { 
   Sha1Hasher, 
   Sha1Stream, 
+  Md5Hasher,
+  HmacSha256,
   HashUtils, 
   ProgressiveHasher,
   sha1,
@@ -114,6 +116,24 @@ describe('Sha1Stream', () => {
   });
 });
 
+describe('Md5Hasher', () => {
+  it('should calculate base64 MD5 hashes', async () => {
+    expect(await Md5Hasher.hashBase64('abc')).toBe('kAFQmDzST7DWlj99KOF/cg==');
+    expect(await Md5Hasher.hashBase64(new Uint8Array([1, 2, 3]))).toBe('Uonfc331cyb83SJZevsfrA==');
+  });
+});
+
+describe('HmacSha256', () => {
+  it('should calculate hex HMAC-SHA256 signatures', async () => {
+    expect(await HmacSha256.hashHex('key', 'abc')).toBe(
+      '9c196e32dc0175f86f4b1cb89289d6619de6bee699e4c378e68309ed97a1a6ab'
+    );
+    expect(await HmacSha256.hashHex('key', new TextEncoder().encode('abc'))).toBe(
+      '9c196e32dc0175f86f4b1cb89289d6619de6bee699e4c378e68309ed97a1a6ab'
+    );
+  });
+});
+
 describe('HashUtils', () => {
   describe('isValidSha1', () => {
     it('should validate correct SHA1 format', () => {
@@ -0,0 +1,142 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Readable } from 'stream';
+import { createHash } from 'crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  BufferSource,
+  BlobSource,
+  FileSource,
+  StreamSource,
+  createDataSource,
+  createUploadStream,
+  isNodeStream,
+  isWebStream
+} from '../../../src/utils/data-source.js';
+
+const collectParts = async (source, partSize) => {
+  const parts = [];
+  for await (const part of source.parts(partSize)) {
+    parts.push(Buffer.from(part).toString());
+  }
+  return parts;
+};
+
+describe('data sources', () => {
+  let tempDir;
+
+  afterEach(() => {
+    if (tempDir) {
+      rmSync(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  describe('createDataSource', () => {
+    it('should pick a source for each supported input', async () => {
+      expect(await createDataSource({ data: Buffer.from('abc') })).toBeInstanceOf(BufferSource);
+      expect(await createDataSource({ data: 'abc' })).toBeInstanceOf(BufferSource);
+      expect(await createDataSource({ data: new ArrayBuffer(3) })).toBeInstanceOf(BufferSource);
+      expect(await createDataSource({ data: new Blob(['abc']) })).toBeInstanceOf(BlobSource);
+      expect(await createDataSource({ data: Readable.from(['abc']) })).toBeInstanceOf(StreamSource);
+      expect(await createDataSource({ data: new ReadableStream() })).toBeInstanceOf(StreamSource);
+    });
+
+    it('should open file sources and read their size', async () => {
+      tempDir = mkdtempSync(join(tmpdir(), 'b2-data-source-'));
+      const filePath = join(tempDir, 'file.txt');
+      writeFileSync(filePath, 'hello world');
+
+      const source = await createDataSource({ filePath });
+      expect(source).toBeInstanceOf(FileSource);
+      expect(source.size).toBe(11);
+      await source.close();
+    });
+
+    it('should use contentLength as the size of streams', async () => {
+      const source = await createDataSource({ data: Readable.from(['abc']), contentLength: 3 });
+      expect(source.size).toBe(3);
+    });
+
+    it('should reject missing or unsupported input', async () => {
+      await expect(createDataSource({})).rejects.toThrow('Either data or filePath is required');
+      await expect(createDataSource({ data: 123 })).rejects.toThrow('data must be a string, Buffer, Uint8Array, ArrayBuffer, Blob or stream');
+      await expect(createDataSource({ filePath: '' })).rejects.toThrow('filePath must be a non-empty string');
+    });
+  });
+
+  describe('parts', () => {
+    it('should split buffers into fixed-size parts', async () => {
+      const source = new BufferSource(Buffer.from('abcdefghij'));
+      expect(await collectParts(source, 4)).toEqual(['abcd', 'efgh', 'ij']);
+    });
+
+    it('should split blobs into fixed-size parts', async () => {
+      const source = new BlobSource(new Blob(['abcdefghij']));
+      expect(await collectParts(source, 5)).toEqual(['abcde', 'fghij']);
+    });
+
+    it('should split files into fixed-size parts', async () => {
+      tempDir = mkdtempSync(join(tmpdir(), 'b2-data-source-'));
+      const filePath = join(tempDir, 'file.txt');
+      writeFileSync(filePath, 'abcdefghij');
+
+      const source = await new FileSource(filePath).open();
+      expect(await collectParts(source, 3)).toEqual(['abc', 'def', 'ghi', 'j']);
+      expect(Buffer.from(await source.read(2, 5)).toString()).toBe('cde');
+      await source.close();
+    });
+
+    it('should regroup Node.js stream chunks into fixed-size parts', async () => {
+      const source = new StreamSource(Readable.from([Buffer.from('ab'), Buffer.from('cdefg'), Buffer.from('hij')]));
+      expect(await collectParts(source, 4)).toEqual(['abcd', 'efgh', 'ij']);
+    });
+
+    it('should regroup web stream chunks into fixed-size parts', async () => {
+      const encoder = new TextEncoder();
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode('abcde'));
+          controller.enqueue(encoder.encode('fghij'));
+          controller.close();
+        }
+      });
+
+      const source = new StreamSource(stream);
+      expect(await collectParts(source, 3)).toEqual(['abc', 'def', 'ghi', 'j']);
+    });
+
+    it('should not allow a stream to be consumed twice', async () => {
+      const source = new StreamSource(Readable.from(['abc']));
+      await collectParts(source, 2);
+      await expect(collectParts(source, 2)).rejects.toThrow('Stream has already been consumed');
+    });
+  });
+
+  describe('createUploadStream', () => {
+    it('should stream source chunks followed by their SHA1', async () => {
+      const onChunk = vi.fn();
+      const source = new StreamSource(Readable.from([Buffer.from('abc'), Buffer.from('defg')]));
+
+      const body = await new Response(createUploadStream(source.chunks(), { appendSha1: true, onChunk })).text();
+
+      expect(body).toBe(`abcdefg${createHash('sha1').update('abcdefg').digest('hex')}`);
+      expect(onChunk.mock.calls).toEqual([[3], [4]]);
+    });
+
+    it('should stream random access sources without a SHA1 trailer', async () => {
+      const body = await new Response(createUploadStream(new BufferSource('abcdefg').chunks())).text();
+      expect(body).toBe('abcdefg');
+    });
+  });
+
+  describe('stream detection', () => {
+    it('should detect Node.js and web streams', () => {
+      expect(isNodeStream(Readable.from(['a']))).toBe(true);
+      expect(isNodeStream(new ReadableStream())).toBe(false);
+      expect(isWebStream(new ReadableStream())).toBe(true);
+      expect(isWebStream(Buffer.from('a'))).toBe(false);
+    });
+  });
+});
@@ -93,11 +93,16 @@ describe('EndpointBuilder', () => {
       expect(builder.getCreateBucketUrl()).toContain(API_ENDPOINTS.CREATE_BUCKET);
       expect(builder.getDeleteBucketUrl()).toContain(API_ENDPOINTS.DELETE_BUCKET);
       expect(builder.getListBucketsUrl()).toContain(API_ENDPOINTS.LIST_BUCKETS);
+      expect(builder.getGetBucketNotificationRulesUrl()).toContain(API_ENDPOINTS.GET_BUCKET_NOTIFICATION_RULES);
+      expect(builder.getSetBucketNotificationRulesUrl()).toContain(API_ENDPOINTS.SET_BUCKET_NOTIFICATION_RULES);
     });
 
     it('should build file URLs', () => {
       expect(builder.getListFileNamesUrl()).toContain(API_ENDPOINTS.LIST_FILE_NAMES);
       expect(builder.getFileInfoUrl()).toContain(API_ENDPOINTS.GET_FILE_INFO);
+      expect(builder.getCopyFileUrl()).toContain(API_ENDPOINTS.COPY_FILE);
+      expect(builder.getUpdateFileRetentionUrl()).toContain(API_ENDPOINTS.UPDATE_FILE_RETENTION);
+      expect(builder.getUpdateFileLegalHoldUrl()).toContain(API_ENDPOINTS.UPDATE_FILE_LEGAL_HOLD);
     });
 
     it('should build download file by name URL', () => {
@@ -113,6 +118,7 @@ describe('EndpointBuilder', () => {
     it('should build large file URLs', () => {
       expect(builder.getStartLargeFileUrl()).toContain(API_ENDPOINTS.START_LARGE_FILE);
       expect(builder.getFinishLargeFileUrl()).toContain(API_ENDPOINTS.FINISH_LARGE_FILE);
+      expect(builder.getCopyPartUrl()).toContain(API_ENDPOINTS.COPY_PART);
     });
 
     it('should build key management URLs', () => {
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { EventNotifications } from '../../../src/utils/event-notifications.js';
+
+const secret = 'abcdefghijklmnopqrstuvwxyz012345';
+
+const event = {
+  accountId: 'account-id',
+  bucketId: 'bucket-123',
+  bucketName: 'test-bucket',
+  eventId: 'event-1',
+  eventTimestamp: 1700000000000,
+  eventType: 'b2:ObjectCreated:Upload',
+  eventVersion: 1,
+  matchedRuleName: 'uploads',
+  objectName: 'uploads/photo.jpg',
+  objectSize: 1024,
+  objectVersionId: 'file-id'
+};
+
+const body = JSON.stringify({ events: [event] });
+const sign = (data) => `v1=${createHmac('sha256', secret).update(data).digest('hex')}`;
+
+describe('EventNotifications', () => {
+  it('should expose the signature header name', () => {
+    expect(EventNotifications.SIGNATURE_HEADER).toBe('X-Bz-Event-Notification-Signature');
+  });
+
+  describe('verifySignature', () => {
+    it('should accept signatures of the raw body', async () => {
+      const signature = sign(body);
+
+      expect(await EventNotifications.verifySignature({ body, signature, secret })).toBe(true);
+      expect(await EventNotifications.verifySignature({
+        body: new TextEncoder().encode(body),
+        signature: signature.toUpperCase().replace('V1=', 'v1='),
+        secret
+      })).toBe(true);
+      expect(await EventNotifications.verifySignature({
+        body: new TextEncoder().encode(body).buffer,
+        signature: `v2=ignored, ${signature}`,
+        secret
+      })).toBe(true);
+    });
+
+    it('should reject wrong, missing and re-serialized signatures', async () => {
+      expect(await EventNotifications.verifySignature({ body: `${body} `, signature: sign(body), secret })).toBe(false);
+      expect(await EventNotifications.verifySignature({ body, signature: sign(body).slice(3), secret })).toBe(false);
+      expect(await EventNotifications.verifySignature({ body, signature: undefined, secret })).toBe(false);
+      expect(await EventNotifications.verifySignature({
+        body,
+        signature: `v1=${createHmac('sha256', 'other').update(body).digest('hex')}`,
+        secret
+      })).toBe(false);
+    });
+
+    it('should validate options', async () => {
+      await expect(EventNotifications.verifySignature({ body, signature: sign(body) }))
+        .rejects.toThrow('secret is required and must be a string');
+      await expect(EventNotifications.verifySignature({ body: JSON.parse(body), signature: sign(body), secret }))
+        .rejects.toThrow('body must be a string, Uint8Array or ArrayBuffer');
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse events and split their type', () => {
+      const payload = EventNotifications.parse(body);
+
+      expect(payload.events).toEqual([{ ...event, category: 'ObjectCreated', action: 'Upload' }]);
+      expect(EventNotifications.parse(JSON.parse(body))).toEqual(payload);
+      expect(EventNotifications.parse(new TextEncoder().encode(body))).toEqual(payload);
+    });
+
+    it('should reject invalid payloads', () => {
+      expect(() => EventNotifications.parse('{')).toThrow('Event notification body is not valid JSON');
+      expect(() => EventNotifications.parse('{}')).toThrow('Event notification body must contain an events array');
+      expect(() => EventNotifications.parse({ events: [null] })).toThrow('events[0] must be an object');
+      expect(() => EventNotifications.parse({ events: [{ ...event, eventType: 'ObjectCreated' }] }))
+        .toThrow('events[0].eventType is invalid');
+      expect(() => EventNotifications.parse({ events: [{ ...event, eventTimestamp: '1700000000000' }] }))
+        .toThrow('events[0].eventTimestamp must be a number');
+    });
+  });
+
+  describe('verifyAndParse', () => {
+    it('should parse events with a valid signature', async () => {
+      const payload = await EventNotifications.verifyAndParse({ body, signature: sign(body), secret });
+
+      expect(payload.events[0].objectName).toBe('uploads/photo.jpg');
+    });
+
+    it('should throw for an invalid signature', async () => {
+      await expect(EventNotifications.verifyAndParse({ body, signature: 'v1=00', secret }))
+        .rejects.toThrow('Invalid event notification signature');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { globToRegExp, createPathFilter } from '../../../src/utils/glob.js';
+
+describe('globToRegExp', () => {
+  it('should match * and ? within a path segment', () => {
+    expect(globToRegExp('*.log').test('error.log')).toBe(true);
+    expect(globToRegExp('*.log').test('logs/error.log')).toBe(false);
+    expect(globToRegExp('file?.txt').test('file1.txt')).toBe(true);
+    expect(globToRegExp('file?.txt').test('file10.txt')).toBe(false);
+  });
+
+  it('should match ** across path segments', () => {
+    const regExp = globToRegExp('logs/**/*.gz');
+
+    expect(regExp.test('logs/a.gz')).toBe(true);
+    expect(regExp.test('logs/2024/06/a.gz')).toBe(true);
+    expect(regExp.test('other/a.gz')).toBe(false);
+    expect(globToRegExp('photos/**').test('photos/2024/a.jpg')).toBe(true);
+  });
+
+  it('should support character classes and alternatives', () => {
+    expect(globToRegExp('[a-c]*.txt').test('b.txt')).toBe(true);
+    expect(globToRegExp('[a-c]*.txt').test('d.txt')).toBe(false);
+    expect(globToRegExp('[!.]*').test('.hidden')).toBe(false);
+    expect(globToRegExp('*.{jpg,png}').test('a.png')).toBe(true);
+    expect(globToRegExp('*.{jpg,png}').test('a.gif')).toBe(false);
+  });
+
+  it('should match regular expression characters literally', () => {
+    expect(globToRegExp('a+b(1).txt').test('a+b(1).txt')).toBe(true);
+    expect(globToRegExp('a.txt').test('abtxt')).toBe(false);
+    expect(globToRegExp('\\*.txt').test('*.txt')).toBe(true);
+    expect(globToRegExp('\\*.txt').test('a.txt')).toBe(false);
+  });
+
+  it('should reject invalid patterns', () => {
+    expect(() => globToRegExp('')).toThrow('Glob pattern must be a non-empty string');
+    expect(() => globToRegExp('*.{jpg,png')).toThrow('Unclosed brace in glob pattern: *.{jpg,png');
+  });
+});
+
+describe('createPathFilter', () => {
+  it('should include everything without patterns', () => {
+    const filter = createPathFilter();
+
+    expect(filter.includes('a/b/c.txt')).toBe(true);
+    expect(filter.excludesDirectory('a')).toBe(false);
+  });
+
+  it('should match patterns without a slash against any path segment', () => {
+    const filter = createPathFilter({ exclude: ['*.tmp', 'node_modules'] });
+
+    expect(filter.includes('a/b/c.tmp')).toBe(false);
+    expect(filter.includes('app/node_modules/pkg/index.js')).toBe(false);
+    expect(filter.includes('app/index.js')).toBe(true);
+    expect(filter.excludesDirectory('app/node_modules')).toBe(true);
+  });
+
+  it('should match patterns with a slash from the root, including everything below', () => {
+    const filter = createPathFilter({ exclude: 'logs/archive' });
+
+    expect(filter.includes('logs/archive/2024.gz')).toBe(false);
+    expect(filter.includes('logs/current.log')).toBe(true);
+    expect(filter.includes('old/logs/archive/2024.gz')).toBe(true);
+    expect(createPathFilter({ exclude: '/build/' }).includes('build/out.js')).toBe(false);
+  });
+
+  it('should only include paths matching an include pattern and no exclude pattern', () => {
+    const filter = createPathFilter({ include: ['*.jpg', 'docs/**/*.md'], exclude: 'private' });
+
+    expect(filter.includes('photos/a.jpg')).toBe(true);
+    expect(filter.includes('docs/guide/intro.md')).toBe(true);
+    expect(filter.includes('photos/a.png')).toBe(false);
+    expect(filter.includes('private/a.jpg')).toBe(false);
+  });
+
+  it('should validate patterns', () => {
+    expect(() => createPathFilter({ include: 42 })).toThrow('include must be a string or an array of strings');
+    expect(() => createPathFilter({ exclude: ['a', null] })).toThrow('exclude must be a string or an array of strings');
+  });
+});
@@ -247,6 +247,13 @@ describe('InfoHeaders', () => {
 });
 
 describe('HeaderUtils', () => {
+  const customerKeyEncryption = {
+    mode: 'SSE-C',
+    algorithm: 'AES256',
+    customerKey: 'key-base64',
+    customerKeyMd5: 'md5-base64'
+  };
+
   describe('createJsonHeaders', () => {
     it('should create JSON headers without auth', () => {
       const headers = HeaderUtils.createJsonHeaders();
@@ -290,6 +297,29 @@ describe('HeaderUtils', () => {
       const headers = HeaderUtils.createUploadHeaders(options);
       expect(headers['X-Bz-Info-author']).toBe('test');
     });
+
+    it('should include encryption headers', () => {
+      const sseB2 = HeaderUtils.createUploadHeaders({ fileName: 'test.txt', encryption: { mode: 'SSE-B2' } });
+      expect(sseB2[HEADERS.SERVER_SIDE_ENCRYPTION]).toBe('AES256');
+
+      const sseC = HeaderUtils.createUploadHeaders({ fileName: 'test.txt', encryption: customerKeyEncryption });
+      expect(sseC[HEADERS.SSE_CUSTOMER_ALGORITHM]).toBe('AES256');
+      expect(sseC[HEADERS.SSE_CUSTOMER_KEY]).toBe('key-base64');
+      expect(sseC[HEADERS.SSE_CUSTOMER_KEY_MD5]).toBe('md5-base64');
+      expect(sseC[HEADERS.SERVER_SIDE_ENCRYPTION]).toBeUndefined();
+    });
+
+    it('should include Object Lock headers', () => {
+      const headers = HeaderUtils.createUploadHeaders({
+        fileName: 'test.txt',
+        retention: { mode: 'compliance', retainUntilTimestamp: 1893456000000 },
+        legalHold: 'on'
+      });
+
+      expect(headers[HEADERS.FILE_RETENTION_MODE]).toBe('compliance');
+      expect(headers[HEADERS.FILE_RETENTION_RETAIN_UNTIL_TIMESTAMP]).toBe('1893456000000');
+      expect(headers[HEADERS.FILE_LEGAL_HOLD]).toBe('on');
+    });
   });
 
   describe('createPartUploadHeaders', () => {
@@ -308,6 +338,64 @@ describe('HeaderUtils', () => {
       expect(headers[HEADERS.CONTENT_SHA1]).toBe('abc123');
       expect(headers[HEADERS.CONTENT_LENGTH]).toBe('100');
     });
+
+    it('should only resend SSE-C customer keys', () => {
+      const sseB2 = HeaderUtils.createPartUploadHeaders({ partNumber: 1, encryption: { mode: 'SSE-B2' } });
+      expect(Object.keys(sseB2)).toEqual([HEADERS.PART_NUMBER]);
+
+      const sseC = HeaderUtils.createPartUploadHeaders({ partNumber: 1, encryption: customerKeyEncryption });
+      expect(sseC[HEADERS.SSE_CUSTOMER_KEY]).toBe('key-base64');
+    });
+  });
+
+  describe('createCustomerKeyHeaders', () => {
+    it('should return no headers without SSE-C', () => {
+      expect(HeaderUtils.createCustomerKeyHeaders()).toEqual({});
+      expect(HeaderUtils.createCustomerKeyHeaders({ mode: 'SSE-B2' })).toEqual({});
+    });
+  });
+
+  describe('parseContentRange', () => {
+    it('should parse byte ranges', () => {
+      expect(HeaderUtils.parseContentRange('bytes 0-99/1000')).toEqual({ start: 0, end: 99, size: 1000 });
+      expect(HeaderUtils.parseContentRange('bytes 5-9/*')).toEqual({ start: 5, end: 9, size: null });
+    });
+
+    it('should return null for missing or other ranges', () => {
+      expect(HeaderUtils.parseContentRange(null)).toBeNull();
+      expect(HeaderUtils.parseContentRange('bytes */1000')).toBeNull();
+      expect(HeaderUtils.parseContentRange('items 0-9/10')).toBeNull();
+    });
+  });
+
+  describe('getResponseHeader', () => {
+    it('should read fetch Headers and plain objects case-insensitively', () => {
+      expect(HeaderUtils.getResponseHeader(new Headers({ 'Content-Range': 'bytes 0-1/2' }), 'content-range'))
+        .toBe('bytes 0-1/2');
+      expect(HeaderUtils.getResponseHeader({ 'x-bz-file-id': 'file-1' }, HEADERS.FILE_ID)).toBe('file-1');
+      expect(HeaderUtils.getResponseHeader({}, HEADERS.FILE_ID)).toBeNull();
+      expect(HeaderUtils.getResponseHeader(undefined, HEADERS.FILE_ID)).toBeNull();
+    });
+  });
+
+  describe('getContentSha1', () => {
+    const sha1 = 'a9993e364706816aba3e25717850c26c9cd0d89d';
+
+    it('should read X-Bz-Content-Sha1', () => {
+      expect(HeaderUtils.getContentSha1(new Headers({ 'x-bz-content-sha1': sha1.toUpperCase() }))).toBe(sha1);
+      expect(HeaderUtils.getContentSha1({ 'X-Bz-Content-Sha1': `unverified:${sha1}` })).toBe(sha1);
+    });
+
+    it('should fall back to large_file_sha1 for large files', () => {
+      const headers = new Headers({ 'x-bz-content-sha1': 'none', 'x-bz-info-large_file_sha1': sha1 });
+      expect(HeaderUtils.getContentSha1(headers)).toBe(sha1);
+    });
+
+    it('should return null when the file has no SHA1', () => {
+      expect(HeaderUtils.getContentSha1(new Headers({ 'x-bz-content-sha1': 'none' }))).toBeNull();
+      expect(HeaderUtils.getContentSha1({})).toBeNull();
+      expect(HeaderUtils.getContentSha1({ 'x-bz-content-sha1': 'hex_digits_at_end' })).toBeNull();
+    });
   });
 
   describe('normalizeHeaders', () => {
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest';
+import { paginate } from '../../../src/utils/pagination.js';
+
+// Simulates b2_list_file_versions over the given file names
+const createListPage = (names) =>
+  vi.fn(async ({ startFileName, startFileId, maxFileCount }) => {
+    let start = 0;
+    if (startFileName !== undefined) {
+      start = names.findIndex((name) => `${name}-id` === startFileId && name === startFileName);
+    }
+    const files = names.slice(start, start + maxFileCount).map((name) => ({ fileName: name, fileId: `${name}-id` }));
+    const next = names[start + maxFileCount];
+    return {
+      data: {
+        files,
+        nextFileName: next ?? null,
+        nextFileId: next ? `${next}-id` : null
+      }
+    };
+  });
+
+const paginationOptions = {
+  items: 'files',
+  cursors: { nextFileName: 'startFileName', nextFileId: 'startFileId' },
+  pageSize: 'maxFileCount',
+  defaultPageSize: 2
+};
+
+const collect = async (iterator) => {
+  const entries = [];
+  for await (const entry of iterator) {
+    entries.push(entry.fileName);
+  }
+  return entries;
+};
+
+describe('paginate', () => {
+  it('should follow cursors until the listing is complete', async () => {
+    const listPage = createListPage(['a', 'b', 'c', 'd', 'e']);
+
+    const entries = await collect(paginate(listPage, { ...paginationOptions, params: { bucketId: 'bucket' } }));
+
+    expect(entries).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(listPage).toHaveBeenCalledTimes(3);
+    expect(listPage.mock.calls[0][0]).toEqual({ bucketId: 'bucket', maxFileCount: 2 });
+    expect(listPage.mock.calls[1][0]).toEqual({
+      bucketId: 'bucket',
+      maxFileCount: 2,
+      startFileName: 'c',
+      startFileId: 'c-id'
+    });
+  });
+
+  it('should use the page size from params', async () => {
+    const listPage = createListPage(['a', 'b', 'c']);
+
+    await collect(paginate(listPage, { ...paginationOptions, params: { maxFileCount: 10 } }));
+
+    expect(listPage).toHaveBeenCalledTimes(1);
+    expect(listPage.mock.calls[0][0].maxFileCount).toBe(10);
+  });
+
+  it('should stop after limit entries without requesting more than needed', async () => {
+    const listPage = createListPage(['a', 'b', 'c', 'd', 'e']);
+
+    const entries = await collect(paginate(listPage, { ...paginationOptions, limit: 3 }));
+
+    expect(entries).toEqual(['a', 'b', 'c']);
+    expect(listPage.mock.calls.map(([request]) => request.maxFileCount)).toEqual([2, 1]);
+  });
+
+  it('should not request pages before the iterator is consumed', () => {
+    const listPage = createListPage(['a']);
+
+    paginate(listPage, paginationOptions);
+
+    expect(listPage).not.toHaveBeenCalled();
+  });
+
+  it('should stop requesting pages when the consumer breaks out', async () => {
+    const listPage = createListPage(['a', 'b', 'c', 'd']);
+
+    for await (const entry of paginate(listPage, paginationOptions)) {
+      if (entry.fileName === 'b') {
+        break;
+      }
+    }
+
+    expect(listPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop with the abort reason when the signal is aborted', async () => {
+    const listPage = createListPage(['a', 'b', 'c', 'd']);
+    const controller = new AbortController();
+    const entries = [];
+
+    await expect(async () => {
+      for await (const entry of paginate(listPage, { ...paginationOptions, signal: controller.signal })) {
+        entries.push(entry.fileName);
+        controller.abort(new Error('Listing cancelled'));
+      }
+    }).rejects.toThrow('Listing cancelled');
+
+    expect(entries).toEqual(['a']);
+    expect(listPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not request any page when the signal is already aborted', async () => {
+    const listPage = createListPage(['a']);
+
+    await expect(
+      collect(paginate(listPage, { ...paginationOptions, signal: AbortSignal.abort() }))
+    ).rejects.toThrow();
+    expect(listPage).not.toHaveBeenCalled();
+  });
+
+  it('should propagate errors from the list call', async () => {
+    const listPage = vi.fn().mockRejectedValue(new Error('Invalid bucket ID: bucket'));
+
+    await expect(collect(paginate(listPage, paginationOptions))).rejects.toThrow('Invalid bucket ID: bucket');
+  });
+
+  it('should validate limit and signal when called', () => {
+    const listPage = createListPage([]);
+
+    expect(() => paginate(listPage, { ...paginationOptions, limit: 0 })).toThrow('limit must be a positive integer');
+    expect(() => paginate(listPage, { ...paginationOptions, limit: 1.5 })).toThrow('limit must be a positive integer');
+    expect(() => paginate(listPage, { ...paginationOptions, signal: {} })).toThrow('signal must be an AbortSignal');
+  });
+});
@@ -137,6 +137,262 @@ describe('Validator', () => {
     });
   });
 
+  describe('validateLifecycleRules', () => {
+    it('should pass for valid lifecycle rules', () => {
+      expect(() => Validator.validateLifecycleRules([
+        { fileNamePrefix: 'logs/', daysFromUploadingToHiding: 30, daysFromHidingToDeleting: 1 },
+        { fileNamePrefix: 'tmp/', daysFromUploadingToHiding: null, daysFromHidingToDeleting: 7 }
+      ])).not.toThrow();
+      expect(() => Validator.validateLifecycleRules([])).not.toThrow();
+    });
+
+    it('should throw for invalid rule structure', () => {
+      expect(() => Validator.validateLifecycleRules('rules')).toThrow('lifecycleRules must be an array');
+      expect(() => Validator.validateLifecycleRules([null])).toThrow('lifecycleRules[0] must be an object');
+      expect(() => Validator.validateLifecycleRules([{ daysFromHidingToDeleting: 1 }]))
+        .toThrow('lifecycleRules[0].fileNamePrefix must be a string');
+      expect(() => Validator.validateLifecycleRules([{ fileNamePrefix: '', daysFromUploadingToHiding: 0 }]))
+        .toThrow('lifecycleRules[0].daysFromUploadingToHiding must be at least 1');
+      expect(() => Validator.validateLifecycleRules([{ fileNamePrefix: '', daysFromHidingToDeleting: 1.5 }]))
+        .toThrow('lifecycleRules[0].daysFromHidingToDeleting must be an integer');
+      expect(() => Validator.validateLifecycleRules([{ fileNamePrefix: 'logs/' }]))
+        .toThrow('lifecycleRules[0] must set daysFromUploadingToHiding or daysFromHidingToDeleting');
+    });
+
+    it('should throw for overlapping prefixes', () => {
+      expect(() => Validator.validateLifecycleRules([
+        { fileNamePrefix: 'logs/app/', daysFromHidingToDeleting: 1 },
+        { fileNamePrefix: 'logs/', daysFromHidingToDeleting: 1 }
+      ])).toThrow('lifecycleRules fileNamePrefix values must not overlap: "logs/" and "logs/app/"');
+      expect(() => Validator.validateLifecycleRules([
+        { fileNamePrefix: 'logs/', daysFromHidingToDeleting: 1 },
+        { fileNamePrefix: 'logs/', daysFromHidingToDeleting: 2 }
+      ])).toThrow('must not overlap');
+    });
+  });
+
+  describe('validateCorsRules', () => {
+    const validRule = {
+      corsRuleName: 'downloadFromApp',
+      allowedOrigins: ['https://app.example.com'],
+      allowedOperations: ['b2_download_file_by_name'],
+      allowedHeaders: ['range'],
+      exposeHeaders: ['x-bz-content-sha1'],
+      maxAgeSeconds: 3600
+    };
+
+    it('should pass for valid CORS rules', () => {
+      expect(() => Validator.validateCorsRules([validRule])).not.toThrow();
+      expect(() => Validator.validateCorsRules([
+        { ...validRule, corsRuleName: 'anyOrigin', allowedOrigins: ['*'], allowedHeaders: undefined, exposeHeaders: undefined }
+      ])).not.toThrow();
+    });
+
+    it('should throw for invalid rule names', () => {
+      expect(() => Validator.validateCorsRules([{ ...validRule, corsRuleName: 'short' }]))
+        .toThrow('corsRules[0].corsRuleName must be at least 6 characters long');
+      expect(() => Validator.validateCorsRules([{ ...validRule, corsRuleName: 'has space' }]))
+        .toThrow('corsRules[0].corsRuleName format is invalid');
+      expect(() => Validator.validateCorsRules([{ ...validRule, corsRuleName: 'b2-reserved' }]))
+        .toThrow('corsRules[0].corsRuleName cannot start with "b2-"');
+      expect(() => Validator.validateCorsRules([validRule, validRule]))
+        .toThrow('corsRules names must be unique: "downloadFromApp"');
+    });
+
+    it('should throw for invalid origins and operations', () => {
+      expect(() => Validator.validateCorsRules([{ ...validRule, allowedOrigins: [] }]))
+        .toThrow('corsRules[0].allowedOrigins must contain at least 1 items');
+      expect(() => Validator.validateCorsRules([{ ...validRule, allowedOrigins: ['https://*.example.*'] }]))
+        .toThrow('corsRules[0].allowedOrigins entries can contain at most one "*"');
+      expect(() => Validator.validateCorsRules([{ ...validRule, allowedOperations: ['b2_delete_file'] }]))
+        .toThrow('corsRules[0].allowedOperations must only contain');
+    });
+
+    it('should throw for invalid headers and maxAgeSeconds', () => {
+      expect(() => Validator.validateCorsRules([{ ...validRule, allowedHeaders: 'range' }]))
+        .toThrow('corsRules[0].allowedHeaders must be an array');
+      expect(() => Validator.validateCorsRules([{ ...validRule, exposeHeaders: [''] }]))
+        .toThrow('corsRules[0].exposeHeaders must be at least 1 characters long');
+      expect(() => Validator.validateCorsRules([{ ...validRule, maxAgeSeconds: undefined }]))
+        .toThrow('corsRules[0].maxAgeSeconds must be a valid number');
+      expect(() => Validator.validateCorsRules([{ ...validRule, maxAgeSeconds: 86401 }]))
+        .toThrow('corsRules[0].maxAgeSeconds must be no more than 86400');
+    });
+  });
+
+  describe('validateServerSideEncryption', () => {
+    const customerKey = Buffer.alloc(32, 1).toString('base64');
+
+    it('should pass for SSE-B2 and SSE-C settings', () => {
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-B2' })).not.toThrow();
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-B2', algorithm: 'AES256' })).not.toThrow();
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-C', customerKey })).not.toThrow();
+      expect(() => Validator.validateServerSideEncryption({
+        mode: 'SSE-C',
+        customerKey: new Uint8Array(32),
+        customerKeyMd5: 'AAAAAAAAAAAAAAAAAAAAAA=='
+      })).not.toThrow();
+    });
+
+    it('should throw for invalid modes and algorithms', () => {
+      expect(() => Validator.validateServerSideEncryption(null)).toThrow('encryption must be an object');
+      expect(() => Validator.validateServerSideEncryption({ mode: 'none' }))
+        .toThrow('encryption.mode must be one of: SSE-B2, SSE-C');
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-B2', algorithm: 'AES128' }))
+        .toThrow('encryption.algorithm must be one of: AES256');
+    });
+
+    it('should throw for invalid customer keys', () => {
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-C' }))
+        .toThrow('encryption.customerKey must be a 256-bit key as 32 bytes or a base64 string');
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-C', customerKey: new Uint8Array(16) }))
+        .toThrow('encryption.customerKey must be a 256-bit key');
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-C', customerKey, customerKeyMd5: 'abc' }))
+        .toThrow('encryption.customerKeyMd5 format is invalid');
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-B2', customerKeyMd5: 'AAAAAAAAAAAAAAAAAAAAAA==' }))
+        .toThrow('encryption.customerKey and customerKeyMd5 are only allowed with SSE-C');
+    });
+
+    it('should only allow the given modes', () => {
+      const modes = ['SSE-B2', null];
+      expect(() => Validator.validateServerSideEncryption({ mode: null }, 'defaultServerSideEncryption', modes))
+        .not.toThrow();
+      expect(() => Validator.validateServerSideEncryption({ mode: 'SSE-C', customerKey }, 'defaultServerSideEncryption', modes))
+        .toThrow('defaultServerSideEncryption.mode must be one of: SSE-B2, null');
+    });
+  });
+
+  describe('validateFileRetention', () => {
+    it('should pass for valid retention', () => {
+      expect(() => Validator.validateFileRetention({ mode: 'governance', retainUntilTimestamp: 1893456000000 }))
+        .not.toThrow();
+      expect(() => Validator.validateFileRetention({ mode: null }, 'retention', ['governance', 'compliance', null]))
+        .not.toThrow();
+    });
+
+    it('should throw for invalid retention', () => {
+      expect(() => Validator.validateFileRetention('governance')).toThrow('retention must be an object');
+      expect(() => Validator.validateFileRetention({ mode: null }))
+        .toThrow('retention.mode must be one of: governance, compliance');
+      expect(() => Validator.validateFileRetention({ mode: 'compliance', retainUntilTimestamp: 1.5 }))
+        .toThrow('retention.retainUntilTimestamp must be an integer');
+    });
+  });
+
+  describe('validateLegalHold', () => {
+    it('should only allow on and off', () => {
+      expect(() => Validator.validateLegalHold('on')).not.toThrow();
+      expect(() => Validator.validateLegalHold('off')).not.toThrow();
+      expect(() => Validator.validateLegalHold(true)).toThrow('legalHold must be one of: on, off');
+    });
+  });
+
+  describe('validateDefaultRetention', () => {
+    it('should pass for valid default retention', () => {
+      expect(() => Validator.validateDefaultRetention({ mode: 'governance', period: { duration: 1, unit: 'years' } }))
+        .not.toThrow();
+      expect(() => Validator.validateDefaultRetention({ mode: null })).not.toThrow();
+    });
+
+    it('should throw for invalid default retention', () => {
+      expect(() => Validator.validateDefaultRetention({ mode: 'governance' }))
+        .toThrow('defaultRetention.period must be an object');
+      expect(() => Validator.validateDefaultRetention({ mode: 'governance', period: { duration: 0, unit: 'days' } }))
+        .toThrow('defaultRetention.period.duration must be at least 1');
+      expect(() => Validator.validateDefaultRetention({ mode: null, period: { duration: 1, unit: 'days' } }))
+        .toThrow('defaultRetention.period must be null when mode is null');
+      expect(() => Validator.validateDefaultRetention({ mode: 'legal' }))
+        .toThrow('defaultRetention.mode must be one of: governance, compliance, null');
+    });
+  });
+
+  describe('validateEventNotificationRules', () => {
+    const rule = {
+      name: 'uploads',
+      eventTypes: ['b2:ObjectCreated:*', 'b2:ObjectDeleted:Delete'],
+      objectNamePrefix: '',
+      isEnabled: true,
+      targetConfiguration: {
+        targetType: 'webhook',
+        url: 'https://hooks.example.com/b2',
+        customHeaders: [{ name: 'X-Source', value: 'b2' }],
+        hmacSha256SigningSecret: 'abcdefghijklmnopqrstuvwxyz012345'
+      }
+    };
+    const withTarget = (targetConfiguration) => [{ ...rule, targetConfiguration: { ...rule.targetConfiguration, ...targetConfiguration } }];
+
+    it('should pass for valid rules', () => {
+      expect(() => Validator.validateEventNotificationRules([])).not.toThrow();
+      expect(() => Validator.validateEventNotificationRules([rule, { ...rule, name: 'other-rule_2' }])).not.toThrow();
+      expect(() => Validator.validateEventNotificationRules(withTarget({ customHeaders: null, hmacSha256SigningSecret: null })))
+        .not.toThrow();
+    });
+
+    it('should throw for invalid rules', () => {
+      expect(() => Validator.validateEventNotificationRules(rule)).toThrow('eventNotificationRules must be an array');
+      expect(() => Validator.validateEventNotificationRules([rule, rule]))
+        .toThrow('eventNotificationRules names must be unique: "uploads"');
+      expect(() => Validator.validateEventNotificationRules([{ ...rule, name: 'a'.repeat(64) }]))
+        .toThrow('eventNotificationRules[0].name must be no more than 63 characters long');
+      expect(() => Validator.validateEventNotificationRules([{ ...rule, eventTypes: [] }]))
+        .toThrow('eventNotificationRules[0].eventTypes must contain at least 1 items');
+      expect(() => Validator.validateEventNotificationRules([{ ...rule, isEnabled: 'yes' }]))
+        .toThrow('eventNotificationRules[0].isEnabled must be a boolean');
+      expect(() => Validator.validateEventNotificationRules(withTarget({ url: 'http://hooks.example.com' })))
+        .toThrow('eventNotificationRules[0].targetConfiguration.url format is invalid');
+      expect(() => Validator.validateEventNotificationRules(withTarget({ targetType: 'sqs' })))
+        .toThrow('eventNotificationRules[0].targetConfiguration.targetType must be webhook');
+      expect(() => Validator.validateEventNotificationRules(withTarget({ customHeaders: [{ value: 'b2' }] })))
+        .toThrow('eventNotificationRules[0].targetConfiguration.customHeaders[0].name must be a string');
+      expect(() => Validator.validateEventNotificationRules(withTarget({ hmacSha256SigningSecret: 'short' })))
+        .toThrow('eventNotificationRules[0].targetConfiguration.hmacSha256SigningSecret format is invalid');
+    });
+  });
+
+  describe('validateReplicationConfiguration', () => {
+    const rule = {
+      replicationRuleName: 'dr-copy',
+      destinationBucketId: 'destination-bucket-id',
+      fileNamePrefix: '',
+      includeExistingFiles: true,
+      isEnabled: true,
+      priority: 1
+    };
+    const asSource = (rules) => ({
+      asReplicationSource: { sourceApplicationKeyId: 'source-key-id', replicationRules: rules }
+    });
+
+    it('should pass for valid configurations', () => {
+      expect(() => Validator.validateReplicationConfiguration(asSource([rule, { ...rule, replicationRuleName: 'logs', priority: 2 }])))
+        .not.toThrow();
+      expect(() => Validator.validateReplicationConfiguration({
+        asReplicationDestination: { sourceToDestinationKeyMapping: { 'source-key-id': 'destination-key-id' } }
+      })).not.toThrow();
+      expect(() => Validator.validateReplicationConfiguration({ asReplicationSource: null, asReplicationDestination: null }))
+        .not.toThrow();
+    });
+
+    it('should throw for invalid configurations', () => {
+      expect(() => Validator.validateReplicationConfiguration([])).toThrow('replicationConfiguration must be an object');
+      expect(() => Validator.validateReplicationConfiguration(asSource([])))
+        .toThrow('replicationConfiguration.asReplicationSource.replicationRules must contain at least 1 items');
+      expect(() => Validator.validateReplicationConfiguration(asSource([rule, rule])))
+        .toThrow('replicationRules names must be unique: "dr-copy"');
+      expect(() => Validator.validateReplicationConfiguration(asSource([{ ...rule, replicationRuleName: 'dr_copy' }])))
+        .toThrow('replicationConfiguration.asReplicationSource.replicationRules[0].replicationRuleName format is invalid');
+      expect(() => Validator.validateReplicationConfiguration(asSource([{ ...rule, priority: 0 }])))
+        .toThrow('replicationRules[0].priority must be at least 1');
+      expect(() => Validator.validateReplicationConfiguration(asSource([{ ...rule, includeExistingFiles: undefined }])))
+        .toThrow('replicationRules[0].includeExistingFiles must be a boolean');
+      expect(() => Validator.validateReplicationConfiguration({
+        asReplicationSource: { replicationRules: [rule] }
+      })).toThrow('replicationConfiguration.asReplicationSource.sourceApplicationKeyId must be a string');
+      expect(() => Validator.validateReplicationConfiguration({
+        asReplicationDestination: { sourceToDestinationKeyMapping: {} }
+      })).toThrow('sourceToDestinationKeyMapping must map at least one source key ID');
+    });
+  });
+
   describe('validateFileName', () => {
     it('should pass for valid file name', () => {
       expect(() => Validator.validateFileName('folder/file.txt')).not.toThrow();
@@ -314,6 +570,16 @@ describe('B2Validators', () => {
       };
       expect(() => B2Validators.validateCreateBucket(params)).toThrow('bucketInfo must be an object');
     });
+
+    it('should validate lifecycle rules', () => {
+      const params = {
+        bucketName: 'my-bucket',
+        bucketType: BUCKET_TYPES.ALL_PRIVATE,
+        lifecycleRules: [{ fileNamePrefix: 'logs/' }]
+      };
+      expect(() => B2Validators.validateCreateBucket(params))
+        .toThrow('lifecycleRules[0] must set daysFromUploadingToHiding or daysFromHidingToDeleting');
+    });
   });
 
   describe('validateUploadFile', () => {
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, transformWithEsbuild } from 'vite';
 import { resolve } from 'path';
 import { copyFileSync, mkdirSync } from 'fs';
 
@@ -13,6 +13,9 @@ export default defineConfig({
     },
     rollupOptions: {
       external: ['crypto', 'fs', 'path', 'url'],
+      // Keep the code in index.js rather than a hashed chunk it re-exports,
+      // when lazily loaded chunks (sync, downloads, bucket settings) import from it
+      preserveEntrySignatures: 'allow-extension',
       output: {
         exports: 'named', // Fix the named/default export warning
         globals: {
@@ -41,6 +44,21 @@ export default defineConfig({
     chunkSizeWarningLimit: 500
   },
   plugins: [
+    {
+      name: 'strip-comments',
+      // Vite does not minify ES library output, which would ship every JSDoc
+      // block; drop comments and whitespace but keep the names readable
+      async renderChunk(code, chunk, outputOptions) {
+        if (outputOptions.format !== 'es') return null;
+        const result = await transformWithEsbuild(code, chunk.fileName, {
+          loader: 'js',
+          sourcemap: true,
+          minifyWhitespace: true,
+          legalComments: 'none'
+        });
+        return { code: result.code, map: result.map };
+      }
+    },
     {
       name: 'copy-types',
       writeBundle() {